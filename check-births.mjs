@@ -0,0 +1,38 @@
+// Birth-rate check - runs the same world in 'rules' and 'brain' decision mode and fails when brain cells breed
+// far faster than rule-driven ones (e.g. a brain path that skips the reproduction energy gate)
+//
+// Usage:
+//   node check-births.mjs
+//   node check-births.mjs --ticks 3000 --seed 42
+import { runHeadless } from './headless.mjs';
+
+// Brain cells may out-breed rule-driven ones by at most this factor (they start with random networks, so they
+// usually breed less)
+const MAX_BIRTH_RATIO = 3;
+
+function parseArgs(argv) {
+    const options = { ticks: 1500, seed: 7 };
+    for (let i = 0; i < argv.length; i += 2) {
+        if (argv[i] === '--ticks') options.ticks = parseInt(argv[i + 1], 10);
+        else if (argv[i] === '--seed') options.seed = argv[i + 1];
+        else throw new Error(`Unknown argument: ${argv[i]}`);
+    }
+    return options;
+}
+
+function births(mode, options) {
+    const result = runHeadless({ ...options, interval: options.ticks, settings: { decisionMode: mode } });
+    const { mitosis, mating } = result.history[result.history.length - 1].births;
+    return mitosis + mating;
+}
+
+const options = parseArgs(process.argv.slice(2));
+const rules = births('rules', options);
+const brain = births('brain', options);
+console.log(`👶 ${options.ticks} ticks, seed ${options.seed}: ${rules} births in rules mode, ${brain} in brain mode`);
+
+if (brain > Math.max(1, rules) * MAX_BIRTH_RATIO) {
+    console.error(`❌ Brain cells bred ${(brain / Math.max(1, rules)).toFixed(1)}x as often as rule-driven ones (limit ${MAX_BIRTH_RATIO}x)`);
+    process.exit(1);
+}
+console.log('✅ Birth rates are in the same range');
@@ -0,0 +1,217 @@
+// Headless runner - steps the simulation from Node (no canvas, no DOM) and writes stats history to disk
+//
+// Usage:
+//   node headless.mjs --ticks 20000 --seed 42 --settings sweep.json --out results/run-42.json
+//   node headless.mjs --ticks 5000 --set mutationRate=0.2 --set foodSpawnRate=3 --interval 50
+//   node headless.mjs --ticks 5000 --load world.json --save-world world-after.json
+//   node headless.mjs --ticks 18000 --tournament 5 --set tournamentRoundLength=3600
+//   node headless.mjs --ticks 20000 --lineage results/tree.nwk
+//   node headless.mjs --ticks 20000 --run-data results/run.csv
+//   node headless.mjs --ticks 15000 --scenario scenarios/ice-age.json
+import { writeFileSync, readFileSync, mkdirSync } from 'node:fs';
+import { dirname, resolve } from 'node:path';
+import { pathToFileURL } from 'node:url';
+import { Simulation } from './js/simulation.js';
+
+const DEFAULT_OPTIONS = {
+    ticks: 10000,
+    seed: null,
+    width: 1200,
+    height: 800,
+    interval: 20, // Record stats every N ticks
+    settings: {},
+    out: null,
+    scenario: null, // Scenario to start from (world, populations, settings overrides and scripted events)
+    load: null, // World snapshot to continue from (settings/seed are taken from the snapshot)
+    saveWorld: null, // Write the final world snapshot here
+    tournament: 0, // Rounds of tournament mode to start with (0 = continuous ecosystem)
+    lineage: null, // Write the family tree here (.json = nested JSON tree, anything else = Newick)
+    runData: null, // Write the whole-run time series here (.csv = series + <name>.events.csv, anything else = JSON)
+    verbose: false
+};
+
+// Run one simulation and return its stats history
+function runHeadless(options = {}) {
+    const config = { ...DEFAULT_OPTIONS, ...options };
+
+    // The simulation logs a lot - keep batch output readable unless asked
+    const originalLog = console.log;
+    if (!config.verbose) console.log = () => { };
+
+    try {
+        const simulation = new Simulation(config.width, config.height);
+        if (config.load) {
+            simulation.loadState(readFileSync(config.load, 'utf8'));
+            Object.assign(simulation.settings, config.settings);
+        } else {
+            simulation.reset(config.settings, config.seed, config.scenario);
+        }
+        if (config.tournament > 0) {
+            simulation.startTournament(config.tournament);
+        }
+
+        const history = [snapshotStats(simulation)];
+        const startTime = Date.now();
+
+        for (let i = 0; i < config.ticks; i++) {
+            simulation.updateSingleStep();
+
+            if (simulation.tick % config.interval === 0 || i === config.ticks - 1) {
+                history.push(snapshotStats(simulation));
+            }
+
+            // Stop early if the population collapsed completely
+            if (simulation.cells.length === 0) break;
+        }
+
+        if (config.saveWorld) {
+            writeOutput(config.saveWorld, JSON.stringify(simulation.saveState()));
+        }
+        if (config.lineage) {
+            const json = config.lineage.endsWith('.json');
+            const lineage = simulation.exportLineage(json ? 'json' : 'newick');
+            writeOutput(config.lineage, json ? JSON.stringify(lineage) : lineage);
+        }
+        if (config.runData) {
+            if (config.runData.endsWith('.csv')) {
+                writeOutput(config.runData, simulation.exportRunData('csv'));
+                writeOutput(config.runData.replace(/\.csv$/, '.events.csv'), simulation.exportRunData('events-csv'));
+            } else {
+                writeOutput(config.runData, JSON.stringify(simulation.exportRunData('json')));
+            }
+        }
+
+        return {
+            seed: simulation.seed,
+            ticks: simulation.tick,
+            width: simulation.width,
+            height: simulation.height,
+            interval: config.interval,
+            settings: simulation.settings,
+            runtimeMs: Date.now() - startTime,
+            history
+        };
+    } finally {
+        console.log = originalLog;
+    }
+}
+
+// getStats() carries a rolling populationHistory that is redundant once we keep our own history, and copies only
+// the top level - clone so each entry keeps its own births/deathCauses counters
+function snapshotStats(simulation) {
+    const { populationHistory, ...stats } = simulation.getStats();
+    return structuredClone(stats);
+}
+
+function writeOutput(path, contents) {
+    const outPath = resolve(path);
+    mkdirSync(dirname(outPath), { recursive: true });
+    writeFileSync(outPath, contents);
+    return outPath;
+}
+
+function parseArgs(argv) {
+    const options = { settings: {} };
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        const next = () => {
+            const value = argv[++i];
+            if (value === undefined) throw new Error(`Missing value for ${arg}`);
+            return value;
+        };
+
+        switch (arg) {
+            case '--ticks': options.ticks = parseInt(next(), 10); break;
+            case '--seed': options.seed = next(); break;
+            case '--width': options.width = parseInt(next(), 10); break;
+            case '--height': options.height = parseInt(next(), 10); break;
+            case '--interval': options.interval = Math.max(1, parseInt(next(), 10)); break;
+            case '--out': options.out = next(); break;
+            case '--load': options.load = next(); break;
+            case '--scenario': options.scenario = JSON.parse(readFileSync(next(), 'utf8')); break;
+            case '--save-world': options.saveWorld = next(); break;
+            case '--tournament': options.tournament = parseInt(next(), 10); break;
+            case '--lineage': options.lineage = next(); break;
+            case '--run-data': options.runData = next(); break;
+            case '--verbose': options.verbose = true; break;
+            case '--settings':
+                Object.assign(options.settings, JSON.parse(readFileSync(next(), 'utf8')));
+                break;
+            case '--set': {
+                // --set key=value (value parsed as JSON when possible, e.g. numbers/booleans)
+                const [key, ...rest] = next().split('=');
+                const raw = rest.join('=');
+                let value;
+                try {
+                    value = JSON.parse(raw);
+                } catch {
+                    value = raw;
+                }
+                options.settings[key] = value;
+                break;
+            }
+            case '--help':
+                options.help = true;
+                break;
+            default:
+                throw new Error(`Unknown argument: ${arg}`);
+        }
+    }
+
+    return options;
+}
+
+function printHelp() {
+    console.log(`Headless Cell Defense Simulator
+
+  --ticks N          Number of ticks to run (default ${DEFAULT_OPTIONS.ticks})
+  --seed S           Seed for the random stream (default: random)
+  --settings FILE    JSON file with Simulation settings overrides
+  --set key=value    Override a single setting (repeatable)
+  --interval N       Record stats every N ticks (default ${DEFAULT_OPTIONS.interval})
+  --width/--height   World size (default ${DEFAULT_OPTIONS.width}x${DEFAULT_OPTIONS.height})
+  --out FILE         Output path (default: headless-<seed>.json)
+  --scenario FILE    Start from a scenario file (its world size, and its seed unless --seed is given)
+  --load FILE        Continue from a saved world snapshot
+  --save-world FILE  Save the final world snapshot (loadable in the browser)
+  --tournament N     Run an N-round tournament (round length: tournamentRoundLength setting)
+  --lineage FILE     Write the family tree (.json = nested JSON, otherwise Newick)
+  --run-data FILE    Write the whole-run time series (.csv = series + .events.csv, otherwise JSON)
+  --verbose          Keep the simulation's console logging`);
+}
+
+function main() {
+    let options;
+    try {
+        options = parseArgs(process.argv.slice(2));
+    } catch (error) {
+        console.error(`❌ ${error.message}`);
+        printHelp();
+        process.exit(1);
+    }
+
+    if (options.help) {
+        printHelp();
+        return;
+    }
+
+    const result = runHeadless(options);
+    const outPath = writeOutput(options.out || `headless-${result.seed}.json`, JSON.stringify(result, null, 2));
+
+    const last = result.history[result.history.length - 1];
+    console.log(`✅ Ran ${result.ticks} ticks (seed ${result.seed}) in ${result.runtimeMs}ms - ` +
+        `${last.totalCells} cells, ${last.activeColonies} colonies, generation ${last.generation}`);
+    if (last.leaderboard.length > 0) {
+        const winner = last.leaderboard[0];
+        console.log(`🏆 Tournament leader: ${winner.name} - champion in ${winner.roundsWon} rounds, ${Math.round(winner.fitnessScore)} pts`);
+    }
+    console.log(`💾 Stats history written to ${outPath}`);
+}
+
+// Only run the CLI when executed directly, so sweeps can import runHeadless()
+if (import.meta.url === pathToFileURL(process.argv[1]).href) {
+    main();
+}
+
+export { runHeadless };
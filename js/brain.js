@@ -0,0 +1,82 @@
+// Neural-network brains - a small feedforward network whose weights are part of a cell's genome.
+// Used instead of the hand-coded decision rules when the decisionMode setting is 'brain'
+import { random } from './random.js';
+
+// Senses fed to the network, in input order. Directions are -1..1 (fraction of the vision range),
+// closeness 0 (nothing in sight) to 1 (touching), everything else 0..1
+const BRAIN_INPUTS = [
+    'foodX', 'foodY', 'foodCloseness',
+    'threatX', 'threatY', 'threatCloseness',
+    'preyX', 'preyY', 'preyCloseness',
+    'energy', 'health',
+    'dangerPheromone', 'matingPheromone'
+];
+
+// Intents read from the network, in output order (each -1..1; the action ones fire above 0)
+const BRAIN_OUTPUTS = ['moveX', 'moveY', 'attack', 'flee', 'share', 'reproduce'];
+
+// Neurons in the single hidden layer
+const HIDDEN_NEURONS = 8;
+
+// New genomes draw weights from -INITIAL_WEIGHT..INITIAL_WEIGHT
+const INITIAL_WEIGHT = 1;
+
+// A mutated weight moves by up to this much, and never beyond MAX_WEIGHT
+const WEIGHT_MUTATION = 0.4;
+const MAX_WEIGHT = 4;
+
+// Weights (including one bias per neuron) in a genome
+const GENOME_LENGTH = (BRAIN_INPUTS.length + 1) * HIDDEN_NEURONS + (HIDDEN_NEURONS + 1) * BRAIN_OUTPUTS.length;
+
+class Brain {
+    static randomGenome() {
+        return Array.from({ length: GENOME_LENGTH }, () => (random() * 2 - 1) * INITIAL_WEIGHT);
+    }
+
+    // Genomes from another network layout (e.g. an older save) are replaced rather than misread
+    static isValid(genome) {
+        return Array.isArray(genome) && genome.length === GENOME_LENGTH;
+    }
+
+    // Each weight mutates with the given probability
+    static mutate(genome, mutationRate) {
+        return genome.map(weight => {
+            if (random() >= mutationRate) return weight;
+            const mutated = weight + (random() * 2 - 1) * WEIGHT_MUTATION;
+            return Math.max(-MAX_WEIGHT, Math.min(MAX_WEIGHT, mutated));
+        });
+    }
+
+    // Single-point crossover, like the gene maps. A parent without a brain passes on none of its own
+    static crossover(genomeA, genomeB) {
+        const a = Brain.isValid(genomeA) ? genomeA : null;
+        const b = Brain.isValid(genomeB) ? genomeB : null;
+        if (!a || !b) return a || b ? [...(a || b)] : null;
+
+        const crossoverPoint = Math.floor(random() * (GENOME_LENGTH + 1));
+        return a.map((weight, i) => i < crossoverPoint ? weight : b[i]);
+    }
+
+    // senses: { [input name]: value } -> { [output name]: -1..1 }
+    static think(genome, senses) {
+        const inputs = BRAIN_INPUTS.map(name => senses[name] || 0);
+        let w = 0;
+
+        const hidden = [];
+        for (let h = 0; h < HIDDEN_NEURONS; h++) {
+            let sum = genome[w++]; // Bias
+            for (let i = 0; i < inputs.length; i++) sum += inputs[i] * genome[w++];
+            hidden.push(Math.tanh(sum));
+        }
+
+        const intent = {};
+        BRAIN_OUTPUTS.forEach(name => {
+            let sum = genome[w++];
+            for (let h = 0; h < HIDDEN_NEURONS; h++) sum += hidden[h] * genome[w++];
+            intent[name] = Math.tanh(sum);
+        });
+        return intent;
+    }
+}
+
+export { Brain };
@@ -0,0 +1,160 @@
+// Brushes - God Mode painting. A stroke is a list of world points; each one is a dab that changes everything within
+// the brush radius around it. Runs wherever the simulation runs, as the 'paint' god power
+import { random } from './random.js';
+
+// Brush names the UI may request
+const BRUSHES = ['food', 'eraseCells', 'obstacle', 'clearTerrain', 'hazard', 'spikes', 'nutrients'];
+
+// Hazard types the hazard brush paints
+const BRUSH_HAZARDS = ['acid', 'ice', 'toxic'];
+
+// Brush radius limits (world units) and the most dabs one stroke may have
+const MIN_RADIUS = 10;
+const MAX_RADIUS = 400;
+const MAX_DABS = 500;
+
+// Food particles / spike traps per dab at full strength, per 10,000 square units of brush area
+const FOOD_DENSITY = 6;
+const SPIKE_DENSITY = 2;
+
+// Hazard zone damage per tick at full strength
+const HAZARD_DAMAGE = 2;
+
+// Obstacles, hazards and nutrient sources closer than this fraction of the radius to one already there are
+// skipped, so going over the same spot doesn't stack them
+const MIN_SPACING = 0.5;
+
+class Brushes {
+    // Longest stroke the UI may send
+    static maxDabs = MAX_DABS;
+
+    // options: { brush, points: [{ x, y }], radius, strength (0-1), hazardType }
+    static validate(options) {
+        if (!options || !BRUSHES.includes(options.brush)) {
+            throw new Error(`Unknown brush: ${options?.brush}`);
+        }
+        if (!Array.isArray(options.points) || options.points.length === 0 || options.points.length > MAX_DABS) {
+            throw new Error(`A brush stroke needs 1-${MAX_DABS} points`);
+        }
+        if (!options.points.every(point => Number.isFinite(point?.x) && Number.isFinite(point?.y))) {
+            throw new Error('Brush points need finite x and y coordinates');
+        }
+        if (!(options.radius >= MIN_RADIUS && options.radius <= MAX_RADIUS)) {
+            throw new Error(`Brush radius must be ${MIN_RADIUS}-${MAX_RADIUS}`);
+        }
+        if (!(options.strength > 0 && options.strength <= 1)) {
+            throw new Error('Brush strength must be above 0 and at most 1');
+        }
+        if (options.brush === 'hazard' && !BRUSH_HAZARDS.includes(options.hazardType)) {
+            throw new Error(`Unknown hazard type: ${options.hazardType}`);
+        }
+    }
+
+    static paint(simulation, options) {
+        const { brush, points, radius, strength } = options;
+        points.forEach(point => Brushes[brush](simulation, point, radius, strength, options));
+        console.log(`🖌️ God painted ${brush} (${points.length} dabs, radius ${Math.round(radius)})`);
+    }
+
+    static food(simulation, point, radius, strength) {
+        const count = Math.max(1, Math.round(FOOD_DENSITY * strength * Math.PI * radius * radius / 10000));
+        for (let i = 0; i < count; i++) {
+            const position = pointInCircle(point, radius);
+            simulation.foodManager.spawnAt(position.x, position.y, 3 + random() * 4);
+        }
+    }
+
+    // Strength is the chance each cell under the brush is removed (recorded as a death, so it leaves nutrients)
+    static eraseCells(simulation, point, radius, strength) {
+        simulation.cells = simulation.cells.filter(cell => {
+            const erased = Math.hypot(cell.x - point.x, cell.y - point.y) <= radius && random() < strength;
+            if (erased) simulation.recordDeath(cell, 'god');
+            return !erased;
+        });
+    }
+
+    // Square rocks as wide as the brush - a stroke of them makes a wall
+    static obstacle(simulation, point, radius) {
+        const environment = simulation.environment;
+        const size = radius * 1.5;
+        const taken = environment.obstacles.some(obstacle => Math.hypot(
+            obstacle.x + obstacle.width / 2 - point.x, obstacle.y + obstacle.height / 2 - point.y
+        ) < radius * MIN_SPACING);
+        if (taken) return;
+
+        environment.obstacles.push({
+            x: point.x - size / 2,
+            y: point.y - size / 2,
+            width: size,
+            height: size,
+            type: 'rock',
+            rotation: 0
+        });
+    }
+
+    // Removes obstacles, hazard zones, spike traps and nutrient sources under the brush
+    static clearTerrain(simulation, point, radius) {
+        const environment = simulation.environment;
+        const outside = (feature) => Math.hypot(feature.x - point.x, feature.y - point.y) > radius;
+
+        environment.obstacles = environment.obstacles.filter(obstacle =>
+            !environment.obstacleContact(point.x, point.y, radius, obstacle)
+        );
+        environment.hazardZones = environment.hazardZones.filter(outside);
+        environment.spikeTraps = environment.spikeTraps.filter(outside);
+        environment.nutrientSources = environment.nutrientSources.filter(outside);
+    }
+
+    static hazard(simulation, point, radius, strength, options) {
+        const environment = simulation.environment;
+        if (crowded(environment.hazardZones.filter(hazard => hazard.type === options.hazardType), point, radius)) return;
+
+        environment.hazardZones.push({
+            x: point.x,
+            y: point.y,
+            radius,
+            type: options.hazardType,
+            intensity: strength,
+            baseIntensity: strength,
+            pulsePhase: 0,
+            damagePerTick: HAZARD_DAMAGE * strength
+        });
+    }
+
+    static spikes(simulation, point, radius, strength) {
+        const count = Math.max(1, Math.round(SPIKE_DENSITY * strength * Math.PI * radius * radius / 10000));
+        for (let i = 0; i < count; i++) {
+            const position = pointInCircle(point, radius);
+            simulation.environment.spikeTraps.push({
+                x: position.x,
+                y: position.y,
+                radius: 20,
+                damage: 10 + 20 * strength,
+                cooldown: 0,
+                maxCooldown: 180,
+                isActive: true,
+                triggerRadius: 35
+            });
+        }
+    }
+
+    // Permanent food sources - strength is how fast they grow food (see FoodManager.spawnFromSources)
+    static nutrients(simulation, point, radius, strength) {
+        const environment = simulation.environment;
+        if (crowded(environment.nutrientSources, point, radius)) return;
+
+        environment.nutrientSources.push({ x: point.x, y: point.y, radius, rate: strength });
+    }
+}
+
+function pointInCircle(center, radius) {
+    const angle = random() * Math.PI * 2;
+    const distance = Math.sqrt(random()) * radius;
+    return { x: center.x + Math.cos(angle) * distance, y: center.y + Math.sin(angle) * distance };
+}
+
+function crowded(features, point, radius) {
+    return features.some(feature => Math.hypot(feature.x - point.x, feature.y - point.y) < radius * MIN_SPACING);
+}
+
+export { Brushes };
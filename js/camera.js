@@ -175,6 +175,21 @@ class Camera {
     }
 
     // Get camera info for UI display
+    // World rectangle shown now and once a smooth pan settles - render frames are culled to it
+    viewBounds() {
+        const width = this.canvasWidth / this.zoom;
+        const height = this.canvasHeight / this.zoom;
+        const x = Math.min(this.x, this.targetX);
+        const y = Math.min(this.y, this.targetY);
+        return {
+            x,
+            y,
+            width: width + Math.abs(this.targetX - this.x),
+            height: height + Math.abs(this.targetY - this.y),
+            zoom: this.zoom
+        };
+    }
+
     getInfo() {
         return {
             x: Math.round(this.x),
@@ -1,4 +1,88 @@
 // Enhanced Cell class - The heart of our evolutionary simulation with shapes and advanced abilities
+import { random, nextId } from './random.js';
+import { Brain } from './brain.js';
+
+// DNA genes that encode a category (hashed trait string) rather than a quantity
+const CATEGORICAL_GENES = {
+    social: 'socialBehavior',
+    defense: 'defenseType',
+    shape: 'shape',
+    ability: 'specialAbility'
+};
+
+// Cell base color for each defense type
+const DEFENSE_COLORS = {
+    // Original
+    spikes: '#ff6b6b',    // Red
+    poison: '#51cf66',    // Green
+    armor: '#748ffc',     // Blue
+    regen: '#ff9ff3',     // Pink
+    camo: '#69db7c',      // Light Green
+
+    // New defenses
+    shield: '#4dabf7',    // Light Blue
+    electric: '#ffd43b',  // Yellow
+    magnetic: '#9775fa',  // Purple
+    phase: '#495057',     // Gray
+    swarm: '#fd7e14',     // Orange
+    mimic: '#20c997',     // Teal
+    explosive: '#fa5252', // Bright Red
+    viral: '#37b24d',     // Dark Green
+    barrier: '#868e96',   // Silver
+    reflect: '#e64980'    // Magenta
+};
+
+// Ancestors kept in each cell's geneticHistory/mutationHistory
+const HISTORY_LENGTH = 20;
+
+// Values each category trait can take
+const TRAIT_CHOICES = {
+    shape: ['circle', 'triangle', 'square', 'hexagon', 'oval', 'star', 'diamond'],
+    defenseType: [
+        // Original defenses
+        'spikes', 'poison', 'armor', 'regen', 'camo',
+        // New advanced defenses
+        'shield', 'electric', 'magnetic', 'phase', 'swarm',
+        'mimic', 'explosive', 'viral', 'barrier', 'reflect'
+    ],
+    specialAbility: [
+        'none', 'photosynthesis', 'parasite', 'pack_hunter', 'territorial',
+        'migratory', 'burrowing', 'leaping', 'splitting', 'fusion',
+        'time_dilation', 'energy_vampire', 'shape_shift', 'invisibility'
+    ],
+    metabolismType: ['normal', 'efficient', 'burst', 'parasitic', 'photosynthetic'],
+    socialBehavior: ['solitary', 'cooperative', 'aggressive', 'territorial', 'pack'],
+    lifestage: ['juvenile', 'adult', 'elder']
+};
+
+// Trait groups in the order the Cell constructor declares them (for the inspector and the cell designer)
+const TRAIT_GROUPS = {
+    'Basic Physical': ['health', 'maxHealth', 'size', 'maxSize', 'growthRate', 'speed', 'energy', 'maxEnergy',
+        'density', 'flexibility', 'transparency', 'luminescence'],
+    'Lifespan & Aging': ['baseLifespan', 'lifespanMultiplier', 'agingRate', 'longevityGenes', 'regenerationRate'],
+    'Metabolic': ['metabolicEfficiency', 'hungerTolerance', 'digestiveCapacity', 'energyStorage', 'metabolismType',
+        'fermentationAbility', 'photosynthesis'],
+    'Environmental Resistance': ['temperatureTolerance', 'acidTolerance', 'radiationResistance', 'toxinResistance',
+        'pressureResistance', 'osmolarityControl', 'oxygenEfficiency', 'carbondioxideTolerance'],
+    'Sensory': ['visionRange', 'visionAcuity', 'chemoreception', 'mechanoreception', 'magneticSensitivity',
+        'electroreception', 'thermoreception', 'gravitySensing'],
+    'Communication & Social': ['communicationRange', 'pheromoneProduction', 'pheromoneDetection', 'socialIntelligence',
+        'territorialInstinct', 'packCoordination', 'altruism', 'socialBehavior'],
+    'Offensive': ['attackPower', 'weaponSharpness', 'venomPotency', 'paralyzingToxin', 'corrosiveSecretion',
+        'electrogenesis', 'sonicAttack'],
+    'Defensive': ['armorThickness', 'spineLength', 'camouflageAbility', 'mimicrySkill', 'warningColoration',
+        'escapeBurst', 'decoyProduction'],
+    'Reproductive': ['fertilityRate', 'offspringNumber', 'parentalCare', 'geneticStability', 'hybridVigor',
+        'reproductiveAge'],
+    'Behavioral': ['aggression', 'curiosity', 'caution', 'adaptability', 'memory', 'patternRecognition', 'riskTaking'],
+    'Shape & Appearance': ['shape', 'defenseType', 'specialAbility', 'lifestage', 'symmetry', 'surfaceTexture',
+        'colorIntensity']
+};
+
+// One of a trait's choices, at random
+function pick(choices) {
+    return choices[Math.floor(random() * choices.length)];
+}
 
 // Name generation for cells
 class CellNameGenerator {
@@ -16,17 +100,17 @@ class CellNameGenerator {
     ];
 
     static generate(parentName = null, mutationChance = 0.3) {
-        if (parentName && Math.random() > mutationChance) {
+        if (parentName && random() > mutationChance) {
             // Inherit parent name with small variation (Roman numeral or variant)
             const variants = ['II', 'III', 'Jr', 'Neo', 'X', 'Plus', 'Max', 'Pro'];
-            const variant = variants[Math.floor(Math.random() * variants.length)];
+            const variant = variants[Math.floor(random() * variants.length)];
             return `${parentName}-${variant}`;
         }
 
         // Generate new name
-        const prefix = this.prefixes[Math.floor(Math.random() * this.prefixes.length)];
-        const suffix = this.suffixes[Math.floor(Math.random() * this.suffixes.length)];
-        const number = Math.floor(Math.random() * 999) + 1;
+        const prefix = this.prefixes[Math.floor(random() * this.prefixes.length)];
+        const suffix = this.suffixes[Math.floor(random() * this.suffixes.length)];
+        const number = Math.floor(random() * 999) + 1;
 
         return `${prefix}-${suffix}-${number.toString().padStart(3, '0')}`;
     }
@@ -35,7 +119,7 @@ class CellNameGenerator {
 // Colony class for managing cell structures
 class Colony {
     constructor(founderCell) {
-        this.id = `Colony-${Date.now()}-${Math.floor(Math.random() * 1000)}`;
+        this.id = nextId('Colony');
         this.members = [founderCell];
         this.founder = founderCell;
         this.bonds = new Map(); // cell1_id -> cell2_id bonds
@@ -77,7 +161,7 @@ class Colony {
 
         // Remove all bonds involving this cell
         this.bonds.forEach((bond, key) => {
-            if (bond.includes(cell.id)) {
+            if (bond.cell1 === cell.id || bond.cell2 === cell.id) {
                 this.bonds.delete(key);
             }
         });
@@ -93,7 +177,9 @@ class Colony {
         if (!this.members.includes(cell1) || !this.members.includes(cell2)) return false;
         if (cell1.bonds.length >= cell1.maxBonds || cell2.bonds.length >= cell2.maxBonds) return false;
 
-        const bondKey = `${Math.min(cell1.id, cell2.id)}_${Math.max(cell1.id, cell2.id)}`;
+        // IDs are strings - sort them so both directions share one key
+        const [firstId, secondId] = [cell1.id, cell2.id].sort();
+        const bondKey = `${firstId}:${secondId}`;
         if (this.bonds.has(bondKey)) return false;
 
         this.bonds.set(bondKey, { cell1: cell1.id, cell2: cell2.id, strength: 1.0, age: 0 });
@@ -159,7 +245,7 @@ class Colony {
         }
     }
 
-    render(ctx) {
+    render(ctx, detail = 'full') {
         // Draw colony structure outline
         ctx.strokeStyle = 'rgba(0, 255, 136, 0.3)';
         ctx.lineWidth = 2;
@@ -169,6 +255,9 @@ class Colony {
         ctx.stroke();
         ctx.setLineDash([]);
 
+        // Zoomed out, the outline is all that can be made out
+        if (detail === 'dots') return;
+
         // Draw bonds between cells
         this.bonds.forEach((bond) => {
             const cell1 = this.members.find(m => m.id === bond.cell1);
@@ -184,6 +273,8 @@ class Colony {
             }
         });
 
+        if (detail !== 'full') return;
+
         // Draw colony name
         ctx.font = '14px "Orbitron", monospace';
         ctx.textAlign = 'center';
@@ -201,12 +292,12 @@ class Cell {
         // Position and movement
         this.x = x;
         this.y = y;
-        this.vx = (Math.random() - 0.5) * 2; // Random initial velocity
-        this.vy = (Math.random() - 0.5) * 2;
-        this.rotation = Math.random() * Math.PI * 2; // For non-circular shapes
+        this.vx = (random() - 0.5) * 2; // Random initial velocity
+        this.vy = (random() - 0.5) * 2;
+        this.rotation = random() * Math.PI * 2; // For non-circular shapes
 
         // Cell identity
-        this.id = `cell_${Date.now()}_${Math.floor(Math.random() * 10000)}`;
+        this.id = nextId('cell');
         this.name = traits.name || CellNameGenerator.generate(traits.parentName, 0.7);
         this.showName = true;
         this.nameVisibilityTimer = 0;
@@ -216,115 +307,119 @@ class Cell {
         this.isInfected = false;
         this.infectionTimer = 0;
         this.infectionSeverity = 0;
-        this.infectedBy = null;
+        this.infectedBy = null; // ID of the infecting virus
+        this.infectedByName = null;
+
+        // Lineage data arrives with the traits from reproduce() but is kept out of this.traits
+        const { generation, name, parentName, parentId, coParentId, mutations, dna, brain, geneticHistory, mutationHistory, ...traitValues } = traits;
 
         // Core traits (DNA) - MASSIVELY ENHANCED with 50+ traits
         this.traits = {
             // === BASIC PHYSICAL TRAITS ===
-            health: traits.health || 80 + Math.random() * 40, // 80-120
+            health: traits.health || 80 + random() * 40, // 80-120
             maxHealth: traits.maxHealth || traits.health || 100,
-            size: traits.size || 8 + Math.random() * 8, // 8-16 radius (starting size)
-            maxSize: traits.maxSize || (traits.size || 16) + Math.random() * 16, // Increased maximum growth size: 16-32 (was 16-28)
-            growthRate: traits.growthRate || 0.015 + Math.random() * 0.035, // Enhanced growth per food consumed: 0.015-0.05 (was 0.01-0.03)
-            speed: traits.speed || 0.5 + Math.random() * 1.5, // 0.5-2.0
-            energy: traits.energy || 60 + Math.random() * 40, // 60-100
+            size: traits.size || 8 + random() * 8, // 8-16 radius (starting size)
+            maxSize: traits.maxSize || (traits.size || 16) + random() * 16, // Increased maximum growth size: 16-32 (was 16-28)
+            growthRate: traits.growthRate || 0.015 + random() * 0.035, // Enhanced growth per food consumed: 0.015-0.05 (was 0.01-0.03)
+            speed: traits.speed || 0.5 + random() * 1.5, // 0.5-2.0
+            energy: traits.energy || 60 + random() * 40, // 60-100
             maxEnergy: traits.maxEnergy || traits.energy || 80,
-            density: traits.density || 0.7 + Math.random() * 0.6, // 0.7-1.3 (affects mass)
-            flexibility: traits.flexibility || 0.3 + Math.random() * 0.7, // 0.3-1.0 (collision resistance)
-            transparency: traits.transparency || Math.random() * 0.4, // 0.0-0.4 (camouflage)
-            luminescence: traits.luminescence || Math.random() * 0.8, // 0.0-0.8 (bioluminescence)
+            density: traits.density || 0.7 + random() * 0.6, // 0.7-1.3 (affects mass)
+            flexibility: traits.flexibility || 0.3 + random() * 0.7, // 0.3-1.0 (collision resistance)
+            transparency: traits.transparency || random() * 0.4, // 0.0-0.4 (camouflage)
+            luminescence: traits.luminescence || random() * 0.8, // 0.0-0.8 (bioluminescence)
 
             // === LIFESPAN AND AGING ===
-            baseLifespan: traits.baseLifespan || 800000 + Math.random() * 600000, // 800k-1.4M ticks
+            baseLifespan: traits.baseLifespan || 800000 + random() * 600000, // 800k-1.4M ticks
             lifespanMultiplier: traits.lifespanMultiplier || 100.0, // Size effect on lifespan
-            agingRate: traits.agingRate || 0.8 + Math.random() * 0.4, // 0.8-1.2 aging speed
-            longevityGenes: traits.longevityGenes || Math.random() * 0.5, // 0.0-0.5 (extends lifespan)
-            regenerationRate: traits.regenerationRate || 0.1 + Math.random() * 0.4, // 0.1-0.5 healing speed
+            agingRate: traits.agingRate || 0.8 + random() * 0.4, // 0.8-1.2 aging speed
+            longevityGenes: traits.longevityGenes || random() * 0.5, // 0.0-0.5 (extends lifespan)
+            regenerationRate: traits.regenerationRate || 0.1 + random() * 0.4, // 0.1-0.5 healing speed
 
             // === METABOLIC TRAITS ===
-            metabolicEfficiency: traits.metabolicEfficiency || 0.5 + Math.random() * 0.5, // 0.5-1.0 energy conversion
-            hungerTolerance: traits.hungerTolerance || 0.2 + Math.random() * 0.6, // 0.2-0.8 survive without food
-            digestiveCapacity: traits.digestiveCapacity || 0.4 + Math.random() * 0.6, // 0.4-1.0 food processing
-            energyStorage: traits.energyStorage || 0.8 + Math.random() * 0.4, // 0.8-1.2 max energy multiplier
+            metabolicEfficiency: traits.metabolicEfficiency || 0.5 + random() * 0.5, // 0.5-1.0 energy conversion
+            hungerTolerance: traits.hungerTolerance || 0.2 + random() * 0.6, // 0.2-0.8 survive without food
+            digestiveCapacity: traits.digestiveCapacity || 0.4 + random() * 0.6, // 0.4-1.0 food processing
+            energyStorage: traits.energyStorage || 0.8 + random() * 0.4, // 0.8-1.2 max energy multiplier
             metabolismType: traits.metabolismType || this.randomMetabolismType(),
-            fermentationAbility: traits.fermentationAbility || Math.random() * 0.6, // 0.0-0.6 anaerobic energy
-            photosynthesis: traits.photosynthesis || Math.random() * 0.7, // 0.0-0.7 light energy conversion
+            fermentationAbility: traits.fermentationAbility || random() * 0.6, // 0.0-0.6 anaerobic energy
+            photosynthesis: traits.photosynthesis || random() * 0.7, // 0.0-0.7 light energy conversion
 
             // === ENVIRONMENTAL RESISTANCE ===
-            temperatureTolerance: traits.temperatureTolerance || 0.3 + Math.random() * 0.4,
-            acidTolerance: traits.acidTolerance || 0.3 + Math.random() * 0.4,
-            radiationResistance: traits.radiationResistance || 0.2 + Math.random() * 0.3,
-            toxinResistance: traits.toxinResistance || Math.random() * 0.5,
-            pressureResistance: traits.pressureResistance || 0.3 + Math.random() * 0.5, // 0.3-0.8 depth tolerance
-            osmolarityControl: traits.osmolarityControl || 0.4 + Math.random() * 0.4, // 0.4-0.8 salt tolerance
-            oxygenEfficiency: traits.oxygenEfficiency || 0.6 + Math.random() * 0.4, // 0.6-1.0 O2 usage
-            carbondioxideTolerance: traits.carbondioxideTolerance || 0.2 + Math.random() * 0.6, // CO2 tolerance
+            temperatureTolerance: traits.temperatureTolerance || 0.3 + random() * 0.4,
+            acidTolerance: traits.acidTolerance || 0.3 + random() * 0.4,
+            radiationResistance: traits.radiationResistance || 0.2 + random() * 0.3,
+            toxinResistance: traits.toxinResistance || random() * 0.5,
+            pressureResistance: traits.pressureResistance || 0.3 + random() * 0.5, // 0.3-0.8 depth tolerance
+            osmolarityControl: traits.osmolarityControl || 0.4 + random() * 0.4, // 0.4-0.8 salt tolerance
+            oxygenEfficiency: traits.oxygenEfficiency || 0.6 + random() * 0.4, // 0.6-1.0 O2 usage
+            carbondioxideTolerance: traits.carbondioxideTolerance || 0.2 + random() * 0.6, // CO2 tolerance
 
             // === SENSORY ABILITIES ===
-            visionRange: traits.visionRange || 40 + Math.random() * 60, // 40-100
-            visionAcuity: traits.visionAcuity || 0.4 + Math.random() * 0.6, // 0.4-1.0 vision quality
-            chemoreception: traits.chemoreception || 0.3 + Math.random() * 0.7, // 0.3-1.0 chemical detection
-            mechanoreception: traits.mechanoreception || 0.2 + Math.random() * 0.6, // 0.2-0.8 vibration sensing
-            magneticSensitivity: traits.magneticSensitivity || Math.random() * 0.4,
-            electroreception: traits.electroreception || Math.random() * 0.5, // 0.0-0.5 electrical field detection
-            thermoreception: traits.thermoreception || 0.3 + Math.random() * 0.5, // 0.3-0.8 temperature sensing
-            gravitySensing: traits.gravitySensing || Math.random() * 0.4, // 0.0-0.4 gravity orientation
+            visionRange: traits.visionRange || 40 + random() * 60, // 40-100
+            visionAcuity: traits.visionAcuity || 0.4 + random() * 0.6, // 0.4-1.0 vision quality
+            chemoreception: traits.chemoreception || 0.3 + random() * 0.7, // 0.3-1.0 chemical detection
+            mechanoreception: traits.mechanoreception || 0.2 + random() * 0.6, // 0.2-0.8 vibration sensing
+            magneticSensitivity: traits.magneticSensitivity || random() * 0.4,
+            electroreception: traits.electroreception || random() * 0.5, // 0.0-0.5 electrical field detection
+            thermoreception: traits.thermoreception || 0.3 + random() * 0.5, // 0.3-0.8 temperature sensing
+            gravitySensing: traits.gravitySensing || random() * 0.4, // 0.0-0.4 gravity orientation
 
             // === COMMUNICATION & SOCIAL - ENHANCED FRIENDLINESS ===
-            communicationRange: traits.communicationRange || 40 + Math.random() * 60, // Increased range for better cooperation
-            pheromoneProduction: traits.pheromoneProduction || 0.3 + Math.random() * 0.6, // More pheromone production
-            pheromoneDetection: traits.pheromoneDetection || 0.4 + Math.random() * 0.6, // 0.4-1.0 better chemical detection
-            socialIntelligence: traits.socialIntelligence || 0.5 + Math.random() * 0.5, // 0.5-1.0 much higher cooperation
-            territorialInstinct: traits.territorialInstinct || Math.random() * 0.3, // 0.0-0.3 reduced territoriality
-            packCoordination: traits.packCoordination || 0.3 + Math.random() * 0.7, // 0.3-1.0 better group behavior
-            altruism: traits.altruism || 0.2 + Math.random() * 0.6, // 0.2-0.8 much more helping behavior
+            communicationRange: traits.communicationRange || 40 + random() * 60, // Increased range for better cooperation
+            pheromoneProduction: traits.pheromoneProduction || 0.3 + random() * 0.6, // More pheromone production
+            pheromoneDetection: traits.pheromoneDetection || 0.4 + random() * 0.6, // 0.4-1.0 better chemical detection
+            socialIntelligence: traits.socialIntelligence || 0.5 + random() * 0.5, // 0.5-1.0 much higher cooperation
+            territorialInstinct: traits.territorialInstinct || random() * 0.3, // 0.0-0.3 reduced territoriality
+            packCoordination: traits.packCoordination || 0.3 + random() * 0.7, // 0.3-1.0 better group behavior
+            altruism: traits.altruism || 0.2 + random() * 0.6, // 0.2-0.8 much more helping behavior
             socialBehavior: traits.socialBehavior || this.randomSocialBehavior(),
 
             // === OFFENSIVE CAPABILITIES - REDUCED FOR FRIENDLINESS ===
-            attackPower: traits.attackPower || 0.2 + Math.random() * 0.4, // 0.2-0.6 much lower damage (was 0.5-1.3)
-            weaponSharpness: traits.weaponSharpness || Math.random() * 0.3, // 0.0-0.3 reduced piercing (was 0.9)
-            venomPotency: traits.venomPotency || Math.random() * 0.3, // 0.0-0.3 weaker poison (was 0.7)
-            paralyzingToxin: traits.paralyzingToxin || Math.random() * 0.2, // 0.0-0.2 less paralysis (was 0.6)
-            corrosiveSecretion: traits.corrosiveSecretion || Math.random() * 0.2, // 0.0-0.2 weaker acid (was 0.5)
-            electrogenesis: traits.electrogenesis || Math.random() * 0.15, // 0.0-0.15 weaker electrical (was 0.3)
-            sonicAttack: traits.sonicAttack || Math.random() * 0.2, // 0.0-0.2 weaker sonic (was 0.4)
+            attackPower: traits.attackPower || 0.2 + random() * 0.4, // 0.2-0.6 much lower damage (was 0.5-1.3)
+            weaponSharpness: traits.weaponSharpness || random() * 0.3, // 0.0-0.3 reduced piercing (was 0.9)
+            venomPotency: traits.venomPotency || random() * 0.3, // 0.0-0.3 weaker poison (was 0.7)
+            paralyzingToxin: traits.paralyzingToxin || random() * 0.2, // 0.0-0.2 less paralysis (was 0.6)
+            corrosiveSecretion: traits.corrosiveSecretion || random() * 0.2, // 0.0-0.2 weaker acid (was 0.5)
+            electrogenesis: traits.electrogenesis || random() * 0.15, // 0.0-0.15 weaker electrical (was 0.3)
+            sonicAttack: traits.sonicAttack || random() * 0.2, // 0.0-0.2 weaker sonic (was 0.4)
 
             // === DEFENSIVE CAPABILITIES ===
-            armorThickness: traits.armorThickness || Math.random() * 0.8, // 0.0-0.8 physical protection
-            spineLength: traits.spineLength || Math.random() * 0.6, // 0.0-0.6 spike defense
-            camouflageAbility: traits.camouflageAbility || Math.random() * 0.7, // 0.0-0.7 invisibility
-            mimicrySkill: traits.mimicrySkill || Math.random() * 0.5, // 0.0-0.5 appearance copying
-            warningColoration: traits.warningColoration || Math.random() * 0.6, // 0.0-0.6 deterrent display
-            escapeBurst: traits.escapeBurst || Math.random() * 0.8, // 0.0-0.8 sudden speed boost
-            decoyProduction: traits.decoyProduction || Math.random() * 0.4, // 0.0-0.4 false targets
+            armorThickness: traits.armorThickness || random() * 0.8, // 0.0-0.8 physical protection
+            spineLength: traits.spineLength || random() * 0.6, // 0.0-0.6 spike defense
+            camouflageAbility: traits.camouflageAbility || random() * 0.7, // 0.0-0.7 invisibility
+            mimicrySkill: traits.mimicrySkill || random() * 0.5, // 0.0-0.5 appearance copying
+            warningColoration: traits.warningColoration || random() * 0.6, // 0.0-0.6 deterrent display
+            escapeBurst: traits.escapeBurst || random() * 0.8, // 0.0-0.8 sudden speed boost
+            decoyProduction: traits.decoyProduction || random() * 0.4, // 0.0-0.4 false targets
 
             // === REPRODUCTIVE TRAITS ===
-            fertilityRate: traits.fertilityRate || 0.6 + Math.random() * 0.4, // 0.6-1.0 reproduction success
-            offspringNumber: traits.offspringNumber || 0.8 + Math.random() * 0.7, // 0.8-1.5 offspring count modifier
-            parentalCare: traits.parentalCare || Math.random() * 0.8, // 0.0-0.8 offspring protection
-            geneticStability: traits.geneticStability || 0.4 + Math.random() * 0.6, // 0.4-1.0 mutation resistance
-            hybridVigor: traits.hybridVigor || Math.random() * 0.5, // 0.0-0.5 crossbreeding bonus
-            reproductiveAge: traits.reproductiveAge || 0.2 + Math.random() * 0.3, // 0.2-0.5 maturity threshold
+            fertilityRate: traits.fertilityRate || 0.6 + random() * 0.4, // 0.6-1.0 reproduction success
+            offspringNumber: traits.offspringNumber || 0.8 + random() * 0.7, // 0.8-1.5 offspring count modifier
+            parentalCare: traits.parentalCare || random() * 0.8, // 0.0-0.8 offspring protection
+            geneticStability: traits.geneticStability || 0.4 + random() * 0.6, // 0.4-1.0 mutation resistance
+            hybridVigor: traits.hybridVigor || random() * 0.5, // 0.0-0.5 crossbreeding bonus
+            reproductiveAge: traits.reproductiveAge || 0.2 + random() * 0.3, // 0.2-0.5 maturity threshold
 
             // === BEHAVIORAL TRAITS - ENHANCED FRIENDLINESS ===
-            aggression: traits.aggression || Math.random() * 0.3, // 0.0-0.3 much lower aggression (was 0.2-0.8)
-            curiosity: traits.curiosity || 0.3 + Math.random() * 0.7, // 0.3-1.0 higher curiosity
-            caution: traits.caution || 0.5 + Math.random() * 0.4, // 0.5-0.9 more cautious (avoid fights)
-            adaptability: traits.adaptability || 0.6 + Math.random() * 0.4, // 0.6-1.0 better adaptation
-            memory: traits.memory || 0.4 + Math.random() * 0.6, // 0.4-1.0 better memory
-            patternRecognition: traits.patternRecognition || 0.3 + Math.random() * 0.6, // 0.3-0.9 better recognition
-            riskTaking: traits.riskTaking || Math.random() * 0.4, // 0.0-0.4 less risky behavior (was 0.2-1.0)
+            aggression: traits.aggression || random() * 0.3, // 0.0-0.3 much lower aggression (was 0.2-0.8)
+            curiosity: traits.curiosity || 0.3 + random() * 0.7, // 0.3-1.0 higher curiosity
+            caution: traits.caution || 0.5 + random() * 0.4, // 0.5-0.9 more cautious (avoid fights)
+            adaptability: traits.adaptability || 0.6 + random() * 0.4, // 0.6-1.0 better adaptation
+            memory: traits.memory || 0.4 + random() * 0.6, // 0.4-1.0 better memory
+            patternRecognition: traits.patternRecognition || 0.3 + random() * 0.6, // 0.3-0.9 better recognition
+            riskTaking: traits.riskTaking || random() * 0.4, // 0.0-0.4 less risky behavior (was 0.2-1.0)
 
             // === SHAPE AND APPEARANCE ===
             shape: traits.shape || this.randomShape(),
             defenseType: traits.defenseType || this.randomDefenseType(),
             specialAbility: traits.specialAbility || this.randomSpecialAbility(),
             lifestage: traits.lifestage || 'juvenile',
-            symmetry: traits.symmetry || 0.5 + Math.random() * 0.5, // 0.5-1.0 body symmetry
-            surfaceTexture: traits.surfaceTexture || Math.random(), // 0.0-1.0 surface roughness
-            colorIntensity: traits.colorIntensity || 0.3 + Math.random() * 0.7, // 0.3-1.0 coloration strength
+            symmetry: traits.symmetry || 0.5 + random() * 0.5, // 0.5-1.0 body symmetry
+            surfaceTexture: traits.surfaceTexture || random(), // 0.0-1.0 surface roughness
+            colorIntensity: traits.colorIntensity || 0.3 + random() * 0.7, // 0.3-1.0 coloration strength
 
-            ...traits
+            ...traitValues
         };
 
         // Derived properties based on shape
@@ -339,7 +434,12 @@ class Cell {
         this.growthPoints = 0; // Accumulated growth from food
         this.maturityLevel = 0; // 0=juvenile, 1=adult, 2=elder
         this.generation = traits.generation || 1;
+        this.parentId = traits.parentId || null; // ID of the cell this one was born from
+        this.coParentId = traits.coParentId || null; // Second parent when born from mating
+        this.mutations = traits.mutations || []; // Mutations this cell was born with
         this.reproduced = false;
+        this.seekingMate = 0; // Ticks left searching for a partner (sexual reproduction)
+        this.speciesId = null; // Assigned by the simulation's SpeciesTracker
         this.target = null;
         this.lastReproduction = 0;
         this.lastFoodTime = 0; // When cell last consumed food
@@ -363,6 +463,16 @@ class Cell {
         this.fragmenting = false;
         this.fragments = [];
         this.lastDamageTime = 0;
+        this.lastDamageCause = null; // What hurt the cell last (combat, hazard:<type>, spikeTrap, ...)
+        this.deathCause = null; // Set by whatever kills the cell outright, or when its death is recorded
+
+        // Terrain exposure (obstacles, hazard zones, spike traps) for fitness
+        this.terrainStats = {
+            hazardTicks: 0,
+            damageTaken: 0,
+            damageResisted: 0,
+            spikeHits: 0
+        };
 
         // Colony/Structure system
         this.colony = null; // Reference to colony this cell belongs to
@@ -382,26 +492,17 @@ class Cell {
         this.dna = traits.dna || this.generateDNA();
         this.geneticHistory = traits.geneticHistory || []; // Track evolutionary history
         this.fitnessScore = 0; // Current evolutionary fitness
-        this.mutationHistory = traits.mutationHistory || []; // Track all mutations
+        this.mutationHistory = traits.mutationHistory || []; // Recent mutations (last HISTORY_LENGTH generations)
         this.geneExpression = this.calculateGeneExpression(); // How genes are expressed
+        this.brain = traits.brain || null; // Neural-network weights, grown on first use in brain mode (see think)
+        this.brainIntent = null; // What the brain last decided, for the inspector
 
         // Round tournament stats
-        this.roundStats = {
-            survivalTime: 0,
-            foodEaten: 0,
-            combatWins: 0,
-            damageTaken: 0,
-            distanceTraveled: 0,
-            fitnessScore: 0,
-            lastX: this.x,
-            lastY: this.y,
-            roundStartHealth: this.traits.health,
-            roundStartEnergy: this.traits.energy
-        };
+        this.resetRoundStats();
 
         // Lifecycle progression
-        this.maturityAge = 200 + Math.random() * 200; // 200-400 ticks to adult
-        this.elderAge = 1000 + Math.random() * 500; // 1000-1500 ticks to elder
+        this.maturityAge = 200 + random() * 200; // 200-400 ticks to adult
+        this.elderAge = 1000 + random() * 500; // 1000-1500 ticks to elder
 
         // Enhanced defense mechanism states
         this.defenseStates = {
@@ -443,38 +544,23 @@ class Cell {
 
     // Enhanced random generation methods
     randomShape() {
-        const shapes = ['circle', 'triangle', 'square', 'hexagon', 'oval', 'star', 'diamond'];
-        return shapes[Math.floor(Math.random() * shapes.length)];
+        return pick(TRAIT_CHOICES.shape);
     }
 
     randomDefenseType() {
-        const types = [
-            // Original defenses
-            'spikes', 'poison', 'armor', 'regen', 'camo',
-            // New advanced defenses
-            'shield', 'electric', 'magnetic', 'phase', 'swarm',
-            'mimic', 'explosive', 'viral', 'barrier', 'reflect'
-        ];
-        return types[Math.floor(Math.random() * types.length)];
+        return pick(TRAIT_CHOICES.defenseType);
     }
 
     randomSpecialAbility() {
-        const abilities = [
-            'none', 'photosynthesis', 'parasite', 'pack_hunter', 'territorial',
-            'migratory', 'burrowing', 'leaping', 'splitting', 'fusion',
-            'time_dilation', 'energy_vampire', 'shape_shift', 'invisibility'
-        ];
-        return abilities[Math.floor(Math.random() * abilities.length)];
+        return pick(TRAIT_CHOICES.specialAbility);
     }
 
     randomMetabolismType() {
-        const types = ['normal', 'efficient', 'burst', 'parasitic', 'photosynthetic'];
-        return types[Math.floor(Math.random() * types.length)];
+        return pick(TRAIT_CHOICES.metabolismType);
     }
 
     randomSocialBehavior() {
-        const behaviors = ['solitary', 'cooperative', 'aggressive', 'territorial', 'pack'];
-        return behaviors[Math.floor(Math.random() * behaviors.length)];
+        return pick(TRAIT_CHOICES.socialBehavior);
     }
 
     determineInitialRole() {
@@ -515,11 +601,11 @@ class Cell {
         if (size < 12) lifestyleScores.nomad += 1; // Smaller for mobility
 
         // Environmental influences
-        if (Math.random() < 0.3) {
+        if (random() < 0.3) {
             // 30% chance for environmental/random influence
-            if (Math.random() < 0.4) lifestyleScores.nomad += 1;
-            if (Math.random() < 0.4) lifestyleScores.adventurer += 1;
-            if (Math.random() < 0.4) lifestyleScores.sedentary += 1;
+            if (random() < 0.4) lifestyleScores.nomad += 1;
+            if (random() < 0.4) lifestyleScores.adventurer += 1;
+            if (random() < 0.4) lifestyleScores.sedentary += 1;
         }
 
         // Find best lifestyle
@@ -539,7 +625,7 @@ class Cell {
             .map(([lifestyle, _]) => lifestyle);
 
         if (tiedLifestyles.length > 1) {
-            bestLifestyle = tiedLifestyles[Math.floor(Math.random() * tiedLifestyles.length)];
+            bestLifestyle = tiedLifestyles[Math.floor(random() * tiedLifestyles.length)];
         }
 
         return bestLifestyle;
@@ -633,6 +719,22 @@ class Cell {
         return Math.floor(this.traits.baseLifespan * lifespanMultiplier);
     }
 
+    // Fresh tournament scorecard - at birth and at the start of every round
+    resetRoundStats() {
+        this.roundStats = {
+            survivalTime: 0,
+            foodEaten: 0,
+            combatWins: 0,
+            damageTaken: 0,
+            distanceTraveled: 0,
+            fitnessScore: 0,
+            lastX: this.x,
+            lastY: this.y,
+            roundStartHealth: this.traits.health,
+            roundStartEnergy: this.traits.energy
+        };
+    }
+
     // Process cell growth from consuming food - EXPONENTIAL GROWTH SYSTEM
     grow(nutritionValue) {
         if (this.traits.size >= this.traits.maxSize) {
@@ -725,7 +827,7 @@ class Cell {
             fragmentationChance += 0.05;
         }
 
-        if (Math.random() < fragmentationChance) {
+        if (random() < fragmentationChance) {
             return this.fragment();
         }
 
@@ -777,6 +879,7 @@ class Cell {
 
         // Kill the original cell (fragments will be created by simulation)
         this.traits.health = 0;
+        this.deathCause = 'fragmentation';
         return true;
     }
 
@@ -792,7 +895,7 @@ class Cell {
                 y: this.y + Math.sin(angle) * distance,
                 vx: Math.cos(angle) * 1.5,
                 vy: Math.sin(angle) * 1.5,
-                size: 2 + Math.random() * 3,
+                size: 2 + random() * 3,
                 life: 50,
                 maxLife: 50,
                 color: '#00ff66',
@@ -810,14 +913,14 @@ class Cell {
         // Explosive particle effect for fragmentation
         const particleCount = Math.floor(this.traits.size * 2) + 20; // Many particles for dramatic effect
         for (let i = 0; i < particleCount; i++) {
-            const angle = Math.random() * Math.PI * 2;
-            const speed = 2 + Math.random() * 6; // Fast particles
+            const angle = random() * Math.PI * 2;
+            const speed = 2 + random() * 6; // Fast particles
             this.particleEffects.push({
                 x: this.x,
                 y: this.y,
                 vx: Math.cos(angle) * speed,
                 vy: Math.sin(angle) * speed,
-                size: 1 + Math.random() * 4,
+                size: 1 + random() * 4,
                 life: 80,
                 maxLife: 80,
                 color: '#ff6600', // Orange explosion color
@@ -849,28 +952,7 @@ class Cell {
 
     getColorByTraits() {
         // Base color determined by defense type
-        const defenseColors = {
-            // Original
-            spikes: '#ff6b6b',    // Red
-            poison: '#51cf66',    // Green
-            armor: '#748ffc',     // Blue
-            regen: '#ff9ff3',     // Pink
-            camo: '#69db7c',      // Light Green
-
-            // New defenses
-            shield: '#4dabf7',    // Light Blue
-            electric: '#ffd43b',  // Yellow
-            magnetic: '#9775fa',  // Purple
-            phase: '#495057',     // Gray
-            swarm: '#fd7e14',     // Orange
-            mimic: '#20c997',     // Teal
-            explosive: '#fa5252', // Bright Red
-            viral: '#37b24d',     // Dark Green
-            barrier: '#868e96',   // Silver
-            reflect: '#e64980'    // Magenta
-        };
-
-        let baseColor = defenseColors[this.traits.defenseType] || '#ffffff';
+        let baseColor = DEFENSE_COLORS[this.traits.defenseType] || '#ffffff';
 
         // Modify color based on special abilities
         if (this.traits.specialAbility === 'photosynthesis') {
@@ -911,13 +993,22 @@ class Cell {
         }
 
         // Age-related health decline for elders
-        if (this.maturityLevel === 2 && Math.random() < 0.002) { // 0.2% chance per tick for elders
+        if (this.maturityLevel === 2 && random() < 0.002) { // 0.2% chance per tick for elders
             this.traits.health -= 1;
         }
 
         // Lifecycle progression
         this.updateLifecycle();
 
+        // Still looking for a partner - keep asking to reproduce until the search runs out
+        if (this.seekingMate > 0) {
+            this.seekingMate--;
+            if (this.seekingMate > 0) {
+                this.reproduced = true;
+                this.approachMate(cells);
+            }
+        }
+
         // Handle infection effects
         this.handleInfection();
 
@@ -999,15 +1090,15 @@ class Cell {
         if (this.infectionTimer % 20 === 0) {
             // Add sickness particles
             for (let i = 0; i < 3; i++) {
-                const angle = Math.random() * Math.PI * 2;
-                const speed = 0.5 + Math.random() * 1;
+                const angle = random() * Math.PI * 2;
+                const speed = 0.5 + random() * 1;
 
                 this.particleEffects.push({
                     x: this.x,
                     y: this.y,
                     vx: Math.cos(angle) * speed,
                     vy: Math.sin(angle) * speed,
-                    size: 1 + Math.random() * 2,
+                    size: 1 + random() * 2,
                     life: 30,
                     maxLife: 30,
                     color: '#66ff66',
@@ -1021,12 +1112,13 @@ class Cell {
             // Cell either recovers or dies
             const survivalChance = (this.traits.health / this.traits.maxHealth) * 0.7 + this.traits.toxinResistance * 0.3;
 
-            if (Math.random() < survivalChance) {
+            if (random() < survivalChance) {
                 // Successful recovery
                 this.isInfected = false;
                 this.infectionTimer = 0;
                 this.infectionSeverity = 0;
                 this.infectedBy = null;
+                this.infectedByName = null;
 
                 // Gain some immunity (increased toxin resistance)
                 this.traits.toxinResistance = Math.min(0.9, this.traits.toxinResistance + 0.1);
@@ -1035,7 +1127,7 @@ class Cell {
             } else {
                 // Death from infection
                 this.traits.health = 0;
-                console.log(`${this.name} died from infection by ${this.infectedBy}`);
+                console.log(`${this.name} died from infection by ${this.infectedByName}`);
             }
         }
     }
@@ -1058,7 +1150,7 @@ class Cell {
         if (environment.radiation > this.traits.radiationResistance) {
             this.traits.health -= (environment.radiation - this.traits.radiationResistance) * 1.5;
             // Radiation can cause beneficial mutations too
-            if (Math.random() < 0.01) {
+            if (random() < 0.01) {
                 this.randomBeneficialMutation();
             }
         }
@@ -1289,7 +1381,7 @@ class Cell {
         this.vy += (target.vy - this.vy) * influence;
 
         // Slowly adapt some traits
-        if (Math.random() < 0.001) {
+        if (random() < 0.001) {
             this.traits.speed += (target.traits.speed - this.traits.speed) * 0.05;
         }
     }
@@ -1330,7 +1422,7 @@ class Cell {
                 target.traits.energy -= 3;
 
                 // Chance to change target's behavior
-                if (Math.random() < 0.1) {
+                if (random() < 0.1) {
                     target.traits.socialBehavior = 'aggressive';
                 }
             }
@@ -1359,8 +1451,7 @@ class Cell {
     applySpecialAbilities(cells, food) {
         switch (this.traits.specialAbility) {
             case 'photosynthesis':
-                // Generate energy from light (simulated)
-                this.traits.energy += 0.3 * (1 - this.opacity); // More energy when visible
+                // Light-driven - Simulation.applyEnvironmentalEffects adds the energy from the light where the cell is
                 break;
 
             case 'parasite':
@@ -1487,8 +1578,8 @@ class Cell {
             this.distanceToPoint(this.defenseStates.migrationTarget.x, this.defenseStates.migrationTarget.y) < 20) {
             // Set new migration target
             this.defenseStates.migrationTarget = {
-                x: Math.random() * 1000,
-                y: Math.random() * 700
+                x: random() * 1000,
+                y: random() * 700
             };
         }
 
@@ -1508,7 +1599,7 @@ class Cell {
     }
 
     leapingBehavior(cells) {
-        if (this.target && Math.random() < 0.05) {
+        if (this.target && random() < 0.05) {
             // Sudden leap towards target
             const angle = Math.atan2(this.target.y - this.y, this.target.x - this.x);
             const leapPower = this.traits.speed * 3;
@@ -1521,21 +1612,21 @@ class Cell {
     splittingBehavior() {
         if (this.traits.energy > this.traits.maxEnergy * 0.9 &&
             this.traits.size > 12 &&
-            Math.random() < 0.001) {
+            random() < 0.001) {
             this.reproduced = true; // Trigger splitting reproduction
             this.traits.size *= 0.7; // Parent gets smaller
         }
     }
 
     fusionBehavior(cells) {
-        const nearbyFusionCells = cells.filter(cell =>
+        const nearbyFusionCells = this.queryNearby(cells, this.radius + this.maxIndexedRadius() + 2).filter(cell =>
             cell !== this &&
             cell.traits.specialAbility === 'fusion' &&
             this.distanceTo(cell) < this.radius + cell.radius + 2 &&
             cell.traits.size + this.traits.size < 25
         );
 
-        if (nearbyFusionCells.length > 0 && Math.random() < 0.01) {
+        if (nearbyFusionCells.length > 0 && random() < 0.01) {
             const partner = nearbyFusionCells[0];
             // Merge traits
             this.traits.size += partner.traits.size * 0.3;
@@ -1558,7 +1649,7 @@ class Cell {
     }
 
     shapeShiftBehavior() {
-        if (Math.random() < 0.005) {
+        if (random() < 0.005) {
             // Randomly change shape
             this.traits.shape = this.randomShape();
             this.hitbox = this.calculateHitbox();
@@ -1576,8 +1667,12 @@ class Cell {
 
     // Communication and social behavior
     processCommunication(cells) {
+        // Age pheromones here (not in render) so frame rate never changes the simulation
+        this.pheromones.forEach(pheromone => pheromone.age++);
+        this.pheromones = this.pheromones.filter(p => p.age < p.maxAge);
+
         // Emit pheromones
-        if (this.traits.pheromoneProduction > 0 && Math.random() < this.traits.pheromoneProduction) {
+        if (this.traits.pheromoneProduction > 0 && random() < this.traits.pheromoneProduction) {
             this.emitPheromone();
         }
 
@@ -1595,14 +1690,14 @@ class Cell {
             type: this.getCurrentEmotionalState(),
             strength: this.traits.pheromoneProduction,
             age: 0,
-            maxAge: 300 + Math.random() * 200
+            maxAge: 300 + random() * 200
         };
         this.pheromones.push(pheromone);
     }
 
     processSignals(cells) {
         // Process pheromone signals from nearby cells
-        cells.forEach(otherCell => {
+        this.queryNearby(cells, this.traits.communicationRange).forEach(otherCell => {
             if (otherCell === this) return;
 
             const distance = this.distanceTo(otherCell);
@@ -1648,8 +1743,18 @@ class Cell {
                 break;
 
             case 'mating':
-                // Attract compatible cells for reproduction
-                if (this.traits.energy > this.traits.maxEnergy * 0.7 && strength > 0.5) {
+                // Attract compatible cells for reproduction - with sexual reproduction on, only partners we could breed with
+                if (this.simulation?.settings?.reproductionMode === 'sexual' && !this.isCompatibleMate(sender)) break;
+                if (this.seekingMate > 0 && strength > 0.1) {
+                    // Searching cells home in on any signal they pick up
+                    const dx = sender.x - this.x;
+                    const dy = sender.y - this.y;
+                    const distance = Math.sqrt(dx * dx + dy * dy);
+                    if (distance > 0) {
+                        this.vx += (dx / distance) * (strength + this.traits.pheromoneDetection) * 0.3;
+                        this.vy += (dy / distance) * (strength + this.traits.pheromoneDetection) * 0.3;
+                    }
+                } else if (this.traits.energy > this.traits.maxEnergy * 0.7 && strength > 0.5) {
                     const dx = sender.x - this.x;
                     const dy = sender.y - this.y;
                     const distance = Math.sqrt(dx * dx + dy * dy);
@@ -1678,20 +1783,20 @@ class Cell {
 
     updateColonyBehavior(cells) {
         // Don't form colonies if already in one and it's stable (but allow more activity for clustering)
-        if (this.colony && this.colony.members.length > 1 && Math.random() > 0.02) return;
+        if (this.colony && this.colony.members.length > 1 && random() > 0.02) return;
 
         // Role-based colony behavior
         const bondingDistance = this.colonyRole === 'sedentary' ? 80 : 100; // Sedentary cells cluster tighter
         const formationChance = this.colonyRole === 'sedentary' ? 0.08 : 0.03; // Sedentary cells more likely to form colonies
 
         // Look for nearby cells to form bonds with
-        const nearbyCells = cells.filter(cell =>
+        const nearbyCells = this.queryNearby(cells, bondingDistance).filter(cell =>
             cell !== this &&
             cell.traits.defenseType === this.traits.defenseType && // Similar defense types bond better
             this.distanceTo(cell) < bondingDistance &&
             (!this.colony || !cell.colony || this.colony === cell.colony) && // Not in different colonies
             // Prefer same roles for stronger colonies, but allow mixed
-            (this.colonyRole === cell.colonyRole || Math.random() < 0.3)
+            (this.colonyRole === cell.colonyRole || random() < 0.3)
         );
 
         if (nearbyCells.length === 0) return;
@@ -1699,7 +1804,7 @@ class Cell {
         // If not in a colony, consider founding one
         if (!this.colony && this.traits.energy > this.traits.maxEnergy * 0.5) {
             const candidate = nearbyCells.find(cell => !cell.colony);
-            if (candidate && Math.random() < formationChance) {
+            if (candidate && random() < formationChance) {
                 this.foundColony(candidate);
             }
         }
@@ -1708,7 +1813,7 @@ class Cell {
         const maxColonySize = this.colonyRole === 'sedentary' ? 12 : 8; // Sedentary colonies can be larger
         if (this.colony && this.isColonyFounder && this.colony.members.length < maxColonySize) {
             const candidate = nearbyCells.find(cell => !cell.colony);
-            if (candidate && Math.random() < 0.04) { // Increased invitation rate
+            if (candidate && random() < 0.04) { // Increased invitation rate
                 this.colony.addMember(candidate, this);
                 // Update home position for new members to cluster around colony center
                 if (candidate.colonyRole === 'sedentary') {
@@ -1763,7 +1868,7 @@ class Cell {
         if (this.traits.energy < this.traits.maxEnergy * 0.3) return 'hungry';
         if (this.traits.health < this.traits.maxHealth * 0.4) return 'danger';
         if (this.target) return 'hunting';
-        if (this.reproduced) return 'mating';
+        if (this.reproduced || this.seekingMate > 0) return 'mating';
         return 'neutral';
     }
 
@@ -1772,6 +1877,20 @@ class Cell {
         return Math.sqrt((other.x - this.x) ** 2 + (other.y - this.y) ** 2);
     }
 
+    // Candidate neighbors from the simulation's spatial index, in array order.
+    // Falls back to the full list when the index doesn't cover it - callers keep their exact distance checks
+    queryNearby(items, radius, grid = this.spatialIndex?.cells) {
+        if (grid && grid.covers(items)) {
+            return grid.queryRadius(this.x, this.y, radius);
+        }
+        return items;
+    }
+
+    // Largest cell radius in the index - pads contact-range queries
+    maxIndexedRadius() {
+        return this.spatialIndex?.cells.maxRadius ?? Infinity;
+    }
+
     distanceToPoint(x, y) {
         return Math.sqrt((x - this.x) ** 2 + (y - this.y) ** 2);
     }
@@ -1780,7 +1899,7 @@ class Cell {
         let nearest = null;
         let shortestDistance = maxRange;
 
-        cells.forEach(cell => {
+        this.queryNearby(cells, maxRange).forEach(cell => {
             if (cell === this) return;
             const distance = this.distanceTo(cell);
             if (distance < shortestDistance) {
@@ -1838,7 +1957,7 @@ class Cell {
             () => this.traits.toxinResistance += 0.05
         ];
 
-        const mutation = mutations[Math.floor(Math.random() * mutations.length)];
+        const mutation = mutations[Math.floor(random() * mutations.length)];
         mutation();
     }
 
@@ -1848,6 +1967,13 @@ class Cell {
             this.target = null;
         }
 
+        // Brain mode - the cell's evolved network decides instead of the rules below (viruses keep the rules)
+        if (this.simulation?.settings?.decisionMode === 'brain' && !this.isVirus) {
+            this.think(cells, food);
+            return;
+        }
+        this.brainIntent = null;
+
         // FRIENDLY Decision priority:
         // 1. Low energy -> find food
         // 2. Look for cooperation opportunities with nearby cells
@@ -1861,7 +1987,7 @@ class Cell {
         if (energyRatio < 0.4) {
             // Desperately need food
             this.seekFood(food);
-        } else if (socialIntelligence > 0.6 && Math.random() < 0.3) {
+        } else if (socialIntelligence > 0.6 && random() < 0.3) {
             // Look for cooperation opportunities with high social intelligence
             this.seekCooperationOpportunity(cells);
         } else if (energyRatio > 0.8 && this.age > 300) {
@@ -1878,6 +2004,83 @@ class Cell {
         }
     }
 
+    // Feed what the cell senses through its brain and act on the strongest intents: flee a threat, chase prey or
+    // approach a friendly cell to share with, plus free movement and the urge to reproduce
+    think(cells, food) {
+        if (!Brain.isValid(this.brain)) this.brain = Brain.randomGenome();
+
+        const range = this.traits.visionRange;
+        const nearbyFood = this.queryNearby(food, range, this.spatialIndex?.food).filter(f => this.distanceTo(f) < range);
+        const closestFood = this.findClosestFood(nearbyFood);
+
+        let threat = null;
+        let prey = null;
+        let ally = null;
+        this.queryNearby(cells, range).forEach(other => {
+            if (other === this || this.distanceTo(other) >= range) return;
+            const closer = (current) => !current || this.distanceTo(other) < this.distanceTo(current);
+
+            if (other.traits.size > this.traits.size * 1.2) {
+                if (closer(threat)) threat = other;
+            } else if (other.traits.size < this.traits.size * 0.8) {
+                if (closer(prey)) prey = other;
+            }
+            if (other.traits.socialIntelligence > 0.4 && other.traits.aggression < 0.4 && closer(ally)) ally = other;
+        });
+
+        // Pheromones picked up from cells in communication range
+        const pheromones = { danger: 0, mating: 0 };
+        this.queryNearby(cells, this.traits.communicationRange).forEach(other => {
+            const distance = this.distanceTo(other);
+            if (other === this || distance >= this.traits.communicationRange) return;
+            other.pheromones.forEach(pheromone => {
+                if (pheromone.type in pheromones) {
+                    pheromones[pheromone.type] += pheromone.strength * (1 - distance / this.traits.communicationRange);
+                }
+            });
+        });
+
+        const sense = (entity, prefix, senses) => {
+            if (!entity) return;
+            senses[`${prefix}X`] = (entity.x - this.x) / range;
+            senses[`${prefix}Y`] = (entity.y - this.y) / range;
+            senses[`${prefix}Closeness`] = 1 - this.distanceTo(entity) / range;
+        };
+        const senses = {
+            energy: this.traits.energy / this.traits.maxEnergy,
+            health: this.traits.health / this.traits.maxHealth,
+            dangerPheromone: Math.min(1, pheromones.danger),
+            matingPheromone: Math.min(1, pheromones.mating)
+        };
+        sense(closestFood, 'food', senses);
+        sense(threat, 'threat', senses);
+        sense(prey, 'prey', senses);
+
+        const intent = Brain.think(this.brain, senses);
+        this.brainIntent = intent;
+
+        this.vx += intent.moveX * 0.3;
+        this.vy += intent.moveY * 0.3;
+
+        if (threat && intent.flee > 0 && intent.flee >= intent.attack) {
+            this.fleeFrom(threat);
+        } else if (prey && intent.attack > 0) {
+            this.target = prey;
+            this.moveTowards(prey.x, prey.y);
+        } else if (ally && intent.share > 0) {
+            this.target = ally;
+            this.cooperativeIntent = true;
+        } else if (closestFood && !this.target) {
+            this.target = closestFood; // Eaten on contact - where to go is up to moveX/moveY
+        }
+
+        // Same energy gate as the rules path - considerReproduction's own threshold can drop below zero
+        const energyRatio = this.traits.energy / this.traits.maxEnergy;
+        if (intent.reproduce > 0 && energyRatio > 0.8 && this.age > 300) {
+            this.considerReproduction();
+        }
+    }
+
     applyRoleBasedMovement() {
         switch (this.colonyRole) {
             case 'sedentary':
@@ -1909,8 +2112,8 @@ class Cell {
                 break;
             default:
                 // Default random movement for unspecialized cells
-                this.vx += (Math.random() - 0.5) * 0.1;
-                this.vy += (Math.random() - 0.5) * 0.1;
+                this.vx += (random() - 0.5) * 0.1;
+                this.vy += (random() - 0.5) * 0.1;
         }
     }
 
@@ -1932,11 +2135,11 @@ class Cell {
                 this.moveTowards(center.x, center.y);
             } else {
                 // Minimal movement - focus on structure maintenance
-                this.vx += (Math.random() - 0.5) * 0.03;
-                this.vy += (Math.random() - 0.5) * 0.03;
+                this.vx += (random() - 0.5) * 0.03;
+                this.vy += (random() - 0.5) * 0.03;
 
                 // Occasionally adjust position to maintain structure integrity
-                if (Math.random() < 0.1) {
+                if (random() < 0.1) {
                     this.optimizeStructuralPosition();
                 }
             }
@@ -1959,7 +2162,7 @@ class Cell {
             }
         } else {
             // Explore for resources
-            if (!this.explorationTarget || Math.random() < 0.02) {
+            if (!this.explorationTarget || random() < 0.02) {
                 // Set new exploration target
                 this.setNewExplorationTarget();
             }
@@ -2005,8 +2208,8 @@ class Cell {
             }
         } else {
             // Solo nomad - seek other nomads or just keep moving
-            this.vx += (Math.random() - 0.5) * 0.2;
-            this.vy += (Math.random() - 0.5) * 0.2;
+            this.vx += (random() - 0.5) * 0.2;
+            this.vy += (random() - 0.5) * 0.2;
 
             // Look for other nomads to join
             this.seekNomadGroup();
@@ -2035,8 +2238,8 @@ class Cell {
 
     setNewExplorationTarget() {
         // Set exploration target within range of home
-        const angle = Math.random() * Math.PI * 2;
-        const distance = 50 + Math.random() * (this.maxDistanceFromHome - 50);
+        const angle = random() * Math.PI * 2;
+        const distance = 50 + random() * (this.maxDistanceFromHome - 50);
 
         this.explorationTarget = {
             x: this.homePosition.x + Math.cos(angle) * distance,
@@ -2072,7 +2275,7 @@ class Cell {
     // NEW: Peaceful environment evaluation (avoid conflicts)
     evaluateEnvironmentPeacefully(cells, food) {
         // Look for food first
-        const nearbyFood = food.filter(f => !f.consumed && this.distanceTo(f) < this.traits.visionRange);
+        const nearbyFood = this.queryNearby(food, this.traits.visionRange, this.spatialIndex?.food).filter(f => !f.consumed && this.distanceTo(f) < this.traits.visionRange);
 
         if (nearbyFood.length > 0) {
             this.target = this.findClosestFood(nearbyFood);
@@ -2080,7 +2283,7 @@ class Cell {
         }
 
         // Avoid aggressive cells
-        const aggressiveCells = cells.filter(cell =>
+        const aggressiveCells = this.queryNearby(cells, this.traits.visionRange * 0.8).filter(cell =>
             cell !== this &&
             this.distanceTo(cell) < this.traits.visionRange * 0.8 &&
             cell.traits.aggression > 0.5
@@ -2099,13 +2302,13 @@ class Cell {
         }
 
         // Look for friendly social gatherings
-        const socialCells = cells.filter(cell =>
+        const socialCells = this.queryNearby(cells, this.traits.visionRange).filter(cell =>
             cell !== this &&
             this.distanceTo(cell) < this.traits.visionRange &&
             cell.traits.socialIntelligence > 0.6
         );
 
-        if (socialCells.length >= 2 && Math.random() < 0.3) {
+        if (socialCells.length >= 2 && random() < 0.3) {
             // Join social gathering
             const centerX = socialCells.reduce((sum, cell) => sum + cell.x, 0) / socialCells.length;
             const centerY = socialCells.reduce((sum, cell) => sum + cell.y, 0) / socialCells.length;
@@ -2143,15 +2346,15 @@ class Cell {
     applyMigrationMovement() {
         // Nomad groups follow migration patterns
         if (!this.migrationDirection) {
-            this.migrationDirection = Math.random() * Math.PI * 2;
-            this.migrationChangeTimer = 300 + Math.random() * 400; // Change direction every 5-10 seconds
+            this.migrationDirection = random() * Math.PI * 2;
+            this.migrationChangeTimer = 300 + random() * 400; // Change direction every 5-10 seconds
         }
 
         this.migrationChangeTimer--;
         if (this.migrationChangeTimer <= 0) {
             // Change migration direction
-            this.migrationDirection += (Math.random() - 0.5) * Math.PI * 0.5;
-            this.migrationChangeTimer = 300 + Math.random() * 400;
+            this.migrationDirection += (random() - 0.5) * Math.PI * 0.5;
+            this.migrationChangeTimer = 300 + random() * 400;
         }
 
         const migrationSpeed = 0.15;
@@ -2229,8 +2432,8 @@ class Cell {
             }
         } else {
             // No colony - aggressive exploration
-            this.vx += (Math.random() - 0.5) * 0.3;
-            this.vy += (Math.random() - 0.5) * 0.3;
+            this.vx += (random() - 0.5) * 0.3;
+            this.vy += (random() - 0.5) * 0.3;
         }
     }
 
@@ -2247,13 +2450,13 @@ class Cell {
                 this.moveTowards(center.x, center.y);
             } else {
                 // Small work movements in colony area
-                this.vx += (Math.random() - 0.5) * 0.08;
-                this.vy += (Math.random() - 0.5) * 0.08;
+                this.vx += (random() - 0.5) * 0.08;
+                this.vy += (random() - 0.5) * 0.08;
             }
         } else {
             // Look for colony to join or food to gather
-            this.vx += (Math.random() - 0.5) * 0.06;
-            this.vy += (Math.random() - 0.5) * 0.06;
+            this.vx += (random() - 0.5) * 0.06;
+            this.vy += (random() - 0.5) * 0.06;
         }
     }
 
@@ -2270,13 +2473,13 @@ class Cell {
                 this.moveTowards(center.x, center.y);
             } else {
                 // Minimal movement to conserve energy for reproduction
-                this.vx += (Math.random() - 0.5) * 0.03;
-                this.vy += (Math.random() - 0.5) * 0.03;
+                this.vx += (random() - 0.5) * 0.03;
+                this.vy += (random() - 0.5) * 0.03;
             }
         } else {
             // Seek colony to join for breeding
-            this.vx += (Math.random() - 0.5) * 0.08;
-            this.vy += (Math.random() - 0.5) * 0.08;
+            this.vx += (random() - 0.5) * 0.08;
+            this.vy += (random() - 0.5) * 0.08;
         }
     }
 
@@ -2284,10 +2487,10 @@ class Cell {
         // Scouts explore far from colony and report back
         const maxScoutDistance = 200;
 
-        if (!this.scoutTarget || Math.random() < 0.02) {
+        if (!this.scoutTarget || random() < 0.02) {
             // Set new distant exploration target
-            const angle = Math.random() * Math.PI * 2;
-            const distance = 80 + Math.random() * maxScoutDistance;
+            const angle = random() * Math.PI * 2;
+            const distance = 80 + random() * maxScoutDistance;
             const baseX = this.colony ? this.getColonyCenter().x : this.homePosition.x;
             const baseY = this.colony ? this.getColonyCenter().y : this.homePosition.y;
 
@@ -2318,7 +2521,7 @@ class Cell {
 
             // Position at fixed guard distance from colony
             if (!this.guardPosition) {
-                const angle = Math.random() * Math.PI * 2;
+                const angle = random() * Math.PI * 2;
                 this.guardPosition = {
                     x: center.x + Math.cos(angle) * guardDistance,
                     y: center.y + Math.sin(angle) * guardDistance
@@ -2333,13 +2536,13 @@ class Cell {
                 this.moveTowards(this.guardPosition.x, this.guardPosition.y);
             } else {
                 // Stay vigilant with minimal movement
-                this.vx += (Math.random() - 0.5) * 0.02;
-                this.vy += (Math.random() - 0.5) * 0.02;
+                this.vx += (random() - 0.5) * 0.02;
+                this.vy += (random() - 0.5) * 0.02;
             }
         } else {
             // Defensive movement while looking for colony
-            this.vx += (Math.random() - 0.5) * 0.05;
-            this.vy += (Math.random() - 0.5) * 0.05;
+            this.vx += (random() - 0.5) * 0.05;
+            this.vy += (random() - 0.5) * 0.05;
         }
     }
 
@@ -2349,7 +2552,7 @@ class Cell {
             // Move between colony members to strengthen bonds
             const members = this.colony.members.filter(m => m !== this);
             if (members.length > 0) {
-                const target = members[Math.floor(Math.random() * members.length)];
+                const target = members[Math.floor(random() * members.length)];
                 const distance = this.distanceTo(target);
 
                 if (distance > 40) {
@@ -2359,14 +2562,14 @@ class Cell {
                     this.moveTowards(this.x + (this.x - target.x) * 0.1, this.y + (this.y - target.y) * 0.1);
                 } else {
                     // Good distance, small adjustments
-                    this.vx += (Math.random() - 0.5) * 0.04;
-                    this.vy += (Math.random() - 0.5) * 0.04;
+                    this.vx += (random() - 0.5) * 0.04;
+                    this.vy += (random() - 0.5) * 0.04;
                 }
             }
         } else {
             // Moderate exploration to find building opportunities
-            this.vx += (Math.random() - 0.5) * 0.1;
-            this.vy += (Math.random() - 0.5) * 0.1;
+            this.vx += (random() - 0.5) * 0.1;
+            this.vy += (random() - 0.5) * 0.1;
         }
     }
 
@@ -2450,7 +2653,7 @@ class Cell {
                     ? 0.5 + (other.defenseStates.camouflageActive / 120) * 0.4
                     : 1.0;
 
-                if (Math.random() > detectionChance) return;
+                if (random() > detectionChance) return;
 
                 if (other.traits.size > this.traits.size * 1.2) {
                     threats.push({ cell: other, distance });
@@ -2647,9 +2850,6 @@ class Cell {
 
             this.traits.energy *= (1 - energyCost);
 
-            // Role-based reproduction behavior
-            this.handleRoleBasedReproduction();
-
             // Visual feedback for reproduction
             this.addReproductionEffect();
 
@@ -2657,50 +2857,6 @@ class Cell {
         }
     }
 
-    handleRoleBasedReproduction() {
-        if (this.colonyRole === 'sedentary' && this.colony) {
-            // Sedentary cells tend to produce more sedentary offspring
-            // and place them close to the colony center
-            const offspring = this.createOffspring();
-            if (offspring) {
-                offspring.colonyRole = Math.random() < 0.8 ? 'sedentary' : 'adventurer';
-                offspring.homePosition = { x: this.x, y: this.y };
-
-                // Try to add offspring to the same colony
-                if (this.colony.members.length < 12) {
-                    this.colony.addMember(offspring, this);
-                }
-            }
-        } else if (this.colonyRole === 'adventurer') {
-            // Adventurers might reproduce in remote locations
-            const offspring = this.createOffspring();
-            if (offspring) {
-                offspring.colonyRole = Math.random() < 0.6 ? 'adventurer' : 'sedentary';
-                offspring.homePosition = { x: offspring.x, y: offspring.y };
-
-                // Adventurers might start new colonies if far from home
-                const distanceFromHome = Math.sqrt(
-                    (this.x - this.homePosition.x) ** 2 +
-                    (this.y - this.homePosition.y) ** 2
-                );
-
-                if (distanceFromHome > this.maxDistanceFromHome * 0.8 &&
-                    !this.colony && Math.random() < 0.3) {
-                    // Found new outpost colony
-                    const newColony = new Colony(offspring);
-                    offspring.isColonyFounder = true;
-                }
-            }
-        }
-    }
-
-    createOffspring() {
-        // This method should be implemented in simulation.js to actually create the offspring
-        // Here we just return a conceptual offspring for role assignment
-        // The actual creation happens in the simulation
-        return null;
-    }
-
     addReproductionEffect() {
         // Add particle effects to show reproduction/duplication
         for (let i = 0; i < 8; i++) {
@@ -2757,7 +2913,7 @@ class Cell {
             // Well-fed cells have chance for immediate reproduction
             if (this.traits.energy > this.traits.maxEnergy * 0.9) {
                 // Small chance for bonus reproduction from being well-fed
-                if (Math.random() < 0.15) { // 15% chance
+                if (random() < 0.15) { // 15% chance
                     this.justAte = 'abundance'; // Special flag for abundance reproduction
                 }
             }
@@ -2815,6 +2971,7 @@ class Cell {
         // Track damage time for fragmentation system
         this.lastDamageTime = this.age;
         other.lastDamageTime = other.age;
+        this.lastDamageCause = other.lastDamageCause = 'combat';
 
         // Track combat results for fitness calculation
         const selfDamageDealt = damage;
@@ -2887,11 +3044,11 @@ class Cell {
         // Add predation particle effects
         for (let i = 0; i < 5; i++) {
             this.particleEffects.push({
-                x: this.x + (Math.random() - 0.5) * this.radius * 2,
-                y: this.y + (Math.random() - 0.5) * this.radius * 2,
-                vx: (Math.random() - 0.5) * 3,
-                vy: (Math.random() - 0.5) * 3,
-                size: 2 + Math.random() * 3,
+                x: this.x + (random() - 0.5) * this.radius * 2,
+                y: this.y + (random() - 0.5) * this.radius * 2,
+                vx: (random() - 0.5) * 3,
+                vy: (random() - 0.5) * 3,
+                size: 2 + random() * 3,
                 life: 40,
                 maxLife: 40,
                 color: '#ff4444',
@@ -2902,11 +3059,17 @@ class Cell {
         return true;
     }
 
-    // Rendering
-    render(ctx) {
+    // Rendering - detail 'full' draws everything, anything cheaper (zoomed out or crowded) just the body
+    render(ctx, detail = 'full') {
         ctx.save();
         ctx.globalAlpha = this.opacity;
 
+        if (detail !== 'full') {
+            this.renderSimpleBody(ctx);
+            ctx.restore();
+            return;
+        }
+
         // Draw special auras and fields first (background layer)
         this.renderAuras(ctx);
 
@@ -2949,6 +3112,14 @@ class Cell {
         ctx.restore();
     }
 
+    // Plain disc in the cell's color - no outline, shape or rotation
+    renderSimpleBody(ctx) {
+        ctx.fillStyle = this.color;
+        ctx.beginPath();
+        ctx.arc(this.x, this.y, this.radius, 0, Math.PI * 2);
+        ctx.fill();
+    }
+
     renderCellBody(ctx) {
         ctx.fillStyle = this.color;
         ctx.strokeStyle = this.getOutlineColor();
@@ -3377,8 +3548,8 @@ class Cell {
     }
 
     renderPhotosynthesisEffect(ctx) {
-        // Green energy particles
-        if (Math.random() < 0.2) {
+        // Green energy particles - as many as the light allows
+        if (Math.random() < 0.2 * Math.min(1, (this.defenseStates.photosynthesisRate || 0) * 2)) {
             ctx.fillStyle = 'rgba(64, 192, 87, 0.6)';
             for (let i = 0; i < 2; i++) {
                 const angle = Math.random() * Math.PI * 2;
@@ -3515,12 +3686,7 @@ class Cell {
             ctx.arc(pheromone.x, pheromone.y, radius, 0, Math.PI * 2);
             ctx.fill();
             ctx.globalAlpha = oldAlpha;
-
-            pheromone.age++;
         });
-
-        // Remove old pheromones
-        this.pheromones = this.pheromones.filter(p => p.age < p.maxAge);
     }
 
     renderName(ctx) {
@@ -3656,16 +3822,16 @@ class Cell {
     }
 
     // Advanced mutation system with genetic inheritance
-    mutate(mutationRate) {
-        const newTraits = { ...this.traits };
+    mutate(mutationRate, baseTraits = this.traits, baseDNA = this.dna, baseBrain = this.brain) {
+        const newTraits = { ...baseTraits };
         newTraits.generation = this.generation + 1;
 
         // Create DNA for offspring through inheritance and mutation
-        const newDNA = this.inheritAndMutateDNA(mutationRate);
         const mutations = [];
+        const newDNA = this.inheritAndMutateDNA(mutationRate, mutations, baseDNA);
 
         // Apply DNA-based mutations with evolutionary pressure
-        if (Math.random() < mutationRate) {
+        if (random() < mutationRate) {
             const sizeGene = this.decodeGeneToValue(newDNA.size, 4, 20);
             if (Math.abs(sizeGene - newTraits.size) > 0.5) {
                 mutations.push({ trait: 'size', oldValue: newTraits.size, newValue: sizeGene });
@@ -3673,7 +3839,7 @@ class Cell {
             }
         }
 
-        if (Math.random() < mutationRate) {
+        if (random() < mutationRate) {
             const speedGene = this.decodeGeneToValue(newDNA.speed, 0.2, 3.0);
             if (Math.abs(speedGene - newTraits.speed) > 0.1) {
                 mutations.push({ trait: 'speed', oldValue: newTraits.speed, newValue: speedGene });
@@ -3681,7 +3847,7 @@ class Cell {
             }
         }
 
-        if (Math.random() < mutationRate) {
+        if (random() < mutationRate) {
             const healthGene = this.decodeGeneToValue(newDNA.health, 40, 160);
             if (Math.abs(healthGene - newTraits.maxHealth) > 5) {
                 mutations.push({ trait: 'maxHealth', oldValue: newTraits.maxHealth, newValue: healthGene });
@@ -3690,7 +3856,7 @@ class Cell {
             }
         }
 
-        if (Math.random() < mutationRate) {
+        if (random() < mutationRate) {
             const energyGene = this.decodeGeneToValue(newDNA.energy, 40, 120);
             if (Math.abs(energyGene - newTraits.maxEnergy) > 5) {
                 mutations.push({ trait: 'maxEnergy', oldValue: newTraits.maxEnergy, newValue: energyGene });
@@ -3700,20 +3866,20 @@ class Cell {
         }
 
         // Environmental tolerance mutations with natural selection pressure
-        if (Math.random() < mutationRate) {
+        if (random() < mutationRate) {
             const tempGene = this.decodeGeneToValue(newDNA.tempTol, 0.1, 0.9);
             mutations.push({ trait: 'temperatureTolerance', oldValue: newTraits.temperatureTolerance, newValue: tempGene });
             newTraits.temperatureTolerance = tempGene;
         }
 
-        if (Math.random() < mutationRate) {
+        if (random() < mutationRate) {
             const toxinGene = this.decodeGeneToValue(newDNA.toxinRes, 0, 0.9);
             mutations.push({ trait: 'toxinResistance', oldValue: newTraits.toxinResistance, newValue: toxinGene });
             newTraits.toxinResistance = toxinGene;
         }
 
         // Complex trait mutations (shape, defense, abilities) with inheritance patterns
-        if (Math.random() < mutationRate * 0.3) {
+        if (random() < mutationRate * 0.3) {
             const shapes = ['circle', 'triangle', 'square', 'hexagon', 'oval', 'star', 'diamond'];
             const newShape = shapes[newDNA.shape % shapes.length];
             if (newShape !== newTraits.shape) {
@@ -3722,7 +3888,7 @@ class Cell {
             }
         }
 
-        if (Math.random() < mutationRate * 0.4) {
+        if (random() < mutationRate * 0.4) {
             const defenseTypes = ['spikes', 'poison', 'armor', 'regen', 'camo', 'shield', 'electric', 'magnetic'];
             const newDefense = defenseTypes[newDNA.defense % defenseTypes.length];
             if (newDefense !== newTraits.defenseType) {
@@ -3731,23 +3897,31 @@ class Cell {
             }
         }
 
-        // Record mutation history for evolutionary tracking
+        // Behavior evolves too - brain weights mutate at the same rate as the traits
+        if (Brain.isValid(baseBrain)) {
+            newTraits.brain = Brain.mutate(baseBrain, mutationRate);
+        }
+
+        // Record recent mutation history for evolutionary tracking - the full family tree lives in the
+        // simulation's LineageRegistry, so each cell only carries its last few ancestors
         newTraits.dna = newDNA;
+        newTraits.mutations = mutations;
         newTraits.mutationHistory = [...(this.mutationHistory || []), {
             generation: newTraits.generation,
             mutations: mutations,
             parentFitness: this.fitnessScore,
             mutationRate: mutationRate,
-            timestamp: Date.now()
-        }];
+            tick: this.simulation?.tick ?? null // Simulation time, so replays and reloads keep the same history
+        }].slice(-HISTORY_LENGTH);
 
-        // Inherit genetic history
+        // Inherit genetic history (ancestors' genes rather than their whole trait sets)
         newTraits.geneticHistory = [...(this.geneticHistory || []), {
             generation: this.generation,
-            traits: { ...this.traits },
+            id: this.id,
+            dna: { ...this.dna },
             fitness: this.fitnessScore,
             survivalTime: this.age
-        }];
+        }].slice(-HISTORY_LENGTH);
 
         // Apply evolutionary pressure - beneficial mutations more likely to survive
         this.applyEvolutionaryPressure(newTraits, mutations);
@@ -3755,21 +3929,64 @@ class Cell {
         return newTraits;
     }
 
-    inheritAndMutateDNA(mutationRate) {
-        const newDNA = { ...this.dna };
+    inheritAndMutateDNA(mutationRate, mutations = [], baseDNA = this.dna) {
+        const newDNA = { ...baseDNA };
 
         // Each gene has a chance to mutate
         Object.keys(newDNA).forEach(gene => {
-            if (Math.random() < mutationRate * 0.5) { // 50% of base mutation rate for DNA
+            if (random() < mutationRate * 0.5) { // 50% of base mutation rate for DNA
                 // Point mutations - change by small amounts
-                const change = Math.round((Math.random() - 0.5) * 20); // ±10 change
-                newDNA[gene] = Math.max(0, Math.min(255, newDNA[gene] + change));
+                const change = Math.round((random() - 0.5) * 20); // ±10 change
+                const newValue = Math.max(0, Math.min(255, newDNA[gene] + change));
+                if (newValue !== newDNA[gene]) {
+                    mutations.push({ gene, oldValue: newDNA[gene], newValue });
+                    newDNA[gene] = newValue;
+                }
             }
         });
 
         return newDNA;
     }
 
+    // Current traits split into TRAIT_GROUPS; anything else (viral traits, later additions) goes under Other
+    groupedTraits() {
+        const grouped = {};
+        const listed = new Set();
+        Object.entries(TRAIT_GROUPS).forEach(([group, names]) => {
+            grouped[group] = {};
+            names.forEach(name => {
+                listed.add(name);
+                if (this.traits[name] !== undefined) grouped[group][name] = this.traits[name];
+            });
+        });
+
+        const other = Object.entries(this.traits).filter(([name]) => !listed.has(name));
+        if (other.length > 0) grouped.Other = Object.fromEntries(other);
+        return grouped;
+    }
+
+    // What a child inherits before mutation: the parent's genes, not the size and stats it grew into
+    inheritedTraits() {
+        return { ...this.traits, ...this.traitsFromGenes(this.dna) };
+    }
+
+    // Body traits decoded from a gene map, for a newborn
+    traitsFromGenes(dna) {
+        const maxHealth = this.decodeGeneToValue(dna.health, 40, 160);
+        const maxEnergy = this.decodeGeneToValue(dna.energy, 40, 120);
+
+        return {
+            size: this.decodeGeneToValue(dna.size, 4, 20),
+            speed: this.decodeGeneToValue(dna.speed, 0.2, 3.0),
+            visionRange: this.decodeGeneToValue(dna.vision, 20, 120),
+            maxHealth,
+            health: maxHealth,
+            maxEnergy,
+            energy: maxEnergy,
+            lifestage: 'juvenile'
+        };
+    }
+
     decodeGeneToValue(geneCode, minVal, maxVal) {
         const normalized = geneCode / 255;
         return minVal + (normalized * (maxVal - minVal));
@@ -3815,23 +4032,179 @@ class Cell {
         };
     }
 
-    // Create offspring
+    // Create offspring - mitosis, splitting, colony and predation-triggered reproduction all come through here
     reproduce(mutationRate) {
-        if (!this.reproduced) return null;
-
         this.reproduced = false;
 
         // Create mutated offspring near parent
-        const angle = Math.random() * Math.PI * 2;
+        const angle = random() * Math.PI * 2;
         const distance = this.radius * 3;
         const childX = this.x + Math.cos(angle) * distance;
         const childY = this.y + Math.sin(angle) * distance;
 
-        const mutatedTraits = this.mutate(mutationRate);
+        const mutatedTraits = this.mutate(mutationRate, this.inheritedTraits());
         mutatedTraits.parentName = this.name; // Pass parent name for inheritance
+        mutatedTraits.parentId = this.id;
         mutatedTraits.generation = this.generation + 1; // Increment generation
         return new Cell(childX, childY, mutatedTraits);
     }
+
+    // Genetic distance to another cell: 0 = identical genes, 1 = nothing in common
+    geneticDistance(other) {
+        return Cell.dnaDistance(this.dna, other.dna);
+    }
+
+    // Distance between two gene maps. Quantity genes count by how far apart they are,
+    // category genes either match or don't
+    static dnaDistance(dnaA, dnaB) {
+        const genes = Object.keys(dnaA || {});
+        if (genes.length === 0 || !dnaB) return 1;
+
+        const total = genes.reduce((sum, gene) => {
+            const a = dnaA[gene];
+            const b = dnaB[gene] ?? a;
+            if (gene in CATEGORICAL_GENES) return sum + (a === b ? 0 : 1);
+            return sum + Math.abs(a - b) / 255;
+        }, 0);
+
+        return total / genes.length;
+    }
+
+    // Typical gene map of a group: mean of the quantity genes, most common value of the category genes
+    static averageDNA(dnaList) {
+        const average = {};
+        Object.keys(dnaList[0] || {}).forEach(gene => {
+            if (gene in CATEGORICAL_GENES) {
+                const counts = new Map();
+                dnaList.forEach(dna => counts.set(dna[gene], (counts.get(dna[gene]) || 0) + 1));
+                let best = dnaList[0][gene];
+                counts.forEach((count, value) => {
+                    if (count > counts.get(best)) best = value;
+                });
+                average[gene] = best;
+            } else {
+                average[gene] = dnaList.reduce((sum, dna) => sum + dna[gene], 0) / dnaList.length;
+            }
+        });
+        return average;
+    }
+
+    // Grown (adult or elder), healthy cells of a close enough lineage can breed
+    isCompatibleMate(other) {
+        const maxDistance = this.simulation?.settings?.mateCompatibility ?? 0.45;
+
+        return other !== this &&
+            !this.isVirus && !other.isVirus &&
+            other.traits.health > other.traits.maxHealth * 0.4 &&
+            this.traits.lifestage !== 'juvenile' &&
+            other.traits.lifestage !== 'juvenile' &&
+            this.geneticDistance(other) <= maxDistance;
+    }
+
+    // Pick a partner among nearby compatible cells. Stronger pheromone signals, a matching social
+    // behavior, shared colonies and (for cells with hybrid vigor) genetic novelty all make a mate attractive
+    chooseMate(cells, range = this.traits.communicationRange * (0.5 + this.traits.pheromoneDetection)) {
+        let bestMate = null;
+        let bestScore = 0;
+
+        this.queryNearby(cells, range).forEach(other => {
+            const distance = this.distanceTo(other);
+            if (distance > range || !this.isCompatibleMate(other)) return;
+
+            let score = other.traits.pheromoneProduction * (1 - distance / range);
+            if (other.traits.socialBehavior === this.traits.socialBehavior) {
+                score += this.traits.socialIntelligence * 0.5;
+            }
+            if (this.colony && other.colony === this.colony) {
+                score += this.traits.altruism * 0.3;
+            }
+            score += this.traits.hybridVigor * this.geneticDistance(other);
+
+            if (score > bestScore) {
+                bestScore = score;
+                bestMate = other;
+            }
+        });
+
+        return bestMate;
+    }
+
+    // Swim towards the most attractive partner in sight while searching
+    approachMate(cells) {
+        const mate = this.chooseMate(cells, this.traits.visionRange * (1 + this.traits.pheromoneDetection));
+        if (!mate) return;
+
+        const dx = mate.x - this.x;
+        const dy = mate.y - this.y;
+        const distance = Math.sqrt(dx * dx + dy * dy);
+        if (distance > 0) {
+            this.vx += (dx / distance) * this.traits.speed * 0.1;
+            this.vy += (dy / distance) * this.traits.speed * 0.1;
+        }
+    }
+
+    // Single-point crossover of the two gene maps (and brains); traits without a gene are taken from either parent
+    crossover(mate) {
+        const genes = Object.keys(this.dna);
+        const crossoverPoint = Math.floor(random() * (genes.length + 1));
+        const dna = {};
+        const donors = {};
+        genes.forEach((gene, i) => {
+            const donor = i < crossoverPoint || mate.dna[gene] === undefined ? this : mate;
+            dna[gene] = donor.dna[gene];
+            donors[gene] = donor;
+        });
+
+        const traits = {};
+        Object.keys(this.traits).forEach(key => {
+            const donor = random() < 0.5 || mate.traits[key] === undefined ? this : mate;
+            traits[key] = donor.traits[key];
+        });
+
+        // Category traits follow whichever parent passed on their gene
+        Object.entries(CATEGORICAL_GENES).forEach(([gene, trait]) => {
+            if (donors[gene]) traits[trait] = donors[gene].traits[trait];
+        });
+
+        return { dna, traits: { ...traits, ...this.traitsFromGenes(dna) }, brain: Brain.crossover(this.brain, mate.brain) };
+    }
+
+    // Sexual reproduction - both parents' genomes recombine, then mutate
+    reproduceWith(mate, mutationRate) {
+        this.reproduced = false;
+        this.seekingMate = 0;
+        mate.reproduced = false;
+        mate.seekingMate = 0;
+        mate.lastReproduction = mate.age;
+        mate.reproductiveSuccess = (mate.reproductiveSuccess || 0) + 1;
+
+        // Child appears between the parents
+        const angle = random() * Math.PI * 2;
+        const distance = this.radius * 2;
+        const childX = (this.x + mate.x) / 2 + Math.cos(angle) * distance;
+        const childY = (this.y + mate.y) / 2 + Math.sin(angle) * distance;
+
+        const { dna, traits, brain } = this.crossover(mate);
+
+        // Stable genomes copy more faithfully
+        const stability = (this.traits.geneticStability + mate.traits.geneticStability) / 2;
+        const childTraits = this.mutate(mutationRate * (1.5 - stability), traits, dna, brain);
+
+        // Hybrid vigor - more distant parents give a sturdier child
+        const vigor = (this.traits.hybridVigor + mate.traits.hybridVigor) / 2 * this.geneticDistance(mate);
+        if (vigor > 0) {
+            childTraits.maxHealth *= 1 + vigor;
+            childTraits.health = childTraits.maxHealth;
+            childTraits.maxEnergy *= 1 + vigor;
+            childTraits.energy = Math.min(childTraits.energy * (1 + vigor), childTraits.maxEnergy);
+        }
+
+        childTraits.parentName = this.name;
+        childTraits.parentId = this.id;
+        childTraits.coParentId = mate.id;
+        childTraits.generation = Math.max(this.generation, mate.generation) + 1;
+        return new Cell(childX, childY, childTraits);
+    }
 }
 
 // Virus class - infectious agents that can infect cells
@@ -3840,56 +4213,56 @@ class Virus extends Cell {
         // Viruses are smaller and faster than regular cells but share trait system
         const virusTraits = {
             // === BASIC VIRAL PHYSICAL TRAITS ===
-            health: 20 + Math.random() * 20, // 20-40 (much lower than cells)
-            size: 3 + Math.random() * 4, // 3-7 (smaller than cells)
-            maxSize: 15 + Math.random() * 10, // Can grow larger than starting size
-            speed: 2 + Math.random() * 2, // 2-4 (faster than cells)
-            energy: 30 + Math.random() * 20, // 30-50
-            growthRate: 1.2 + Math.random() * 0.6, // 1.2-1.8 (faster growth)
+            health: 20 + random() * 20, // 20-40 (much lower than cells)
+            size: 3 + random() * 4, // 3-7 (smaller than cells)
+            maxSize: 15 + random() * 10, // Can grow larger than starting size
+            speed: 2 + random() * 2, // 2-4 (faster than cells)
+            energy: 30 + random() * 20, // 30-50
+            growthRate: 1.2 + random() * 0.6, // 1.2-1.8 (faster growth)
             baseLifespan: 200000, // Base lifespan increased 100x
             lifespanMultiplier: 80000, // Size affects lifespan (100x increase)
 
             // === VIRAL-SPECIFIC TRAITS ===
-            infectivity: 0.4 + Math.random() * 0.5, // 0.4-0.9 infection success rate
-            virulence: 0.3 + Math.random() * 0.4, // 0.3-0.7 damage to host
-            transmissionRange: 20 + Math.random() * 30, // 20-50 infection radius
-            latencyPeriod: 0.1 + Math.random() * 0.4, // 0.1-0.5 dormancy time
-            hostSpecificity: Math.random() * 0.8, // 0.0-0.8 target selectivity
-            replicationSpeed: 0.6 + Math.random() * 0.6, // 0.6-1.2 reproduction rate
-            antigeneticShift: Math.random() * 0.5, // 0.0-0.5 immune evasion
-            vectorAdaptation: Math.random() * 0.4, // 0.0-0.4 carrier enhancement
+            infectivity: 0.4 + random() * 0.5, // 0.4-0.9 infection success rate
+            virulence: 0.3 + random() * 0.4, // 0.3-0.7 damage to host
+            transmissionRange: 20 + random() * 30, // 20-50 infection radius
+            latencyPeriod: 0.1 + random() * 0.4, // 0.1-0.5 dormancy time
+            hostSpecificity: random() * 0.8, // 0.0-0.8 target selectivity
+            replicationSpeed: 0.6 + random() * 0.6, // 0.6-1.2 reproduction rate
+            antigeneticShift: random() * 0.5, // 0.0-0.5 immune evasion
+            vectorAdaptation: random() * 0.4, // 0.0-0.4 carrier enhancement
 
             // === ENHANCED VIRAL RESISTANCE ===
-            heatStability: 0.3 + Math.random() * 0.4, // 0.3-0.7 temperature resistance
-            desiccationResistance: 0.2 + Math.random() * 0.6, // 0.2-0.8 drying tolerance
-            chemicalResistance: 0.1 + Math.random() * 0.5, // 0.1-0.6 disinfectant resistance
-            uvResistance: 0.1 + Math.random() * 0.3, // 0.1-0.4 radiation tolerance
-            phResistance: 0.2 + Math.random() * 0.5, // 0.2-0.7 acid/base tolerance
-            enzymaticResistance: Math.random() * 0.6, // 0.0-0.6 enzyme degradation resistance
+            heatStability: 0.3 + random() * 0.4, // 0.3-0.7 temperature resistance
+            desiccationResistance: 0.2 + random() * 0.6, // 0.2-0.8 drying tolerance
+            chemicalResistance: 0.1 + random() * 0.5, // 0.1-0.6 disinfectant resistance
+            uvResistance: 0.1 + random() * 0.3, // 0.1-0.4 radiation tolerance
+            phResistance: 0.2 + random() * 0.5, // 0.2-0.7 acid/base tolerance
+            enzymaticResistance: random() * 0.6, // 0.0-0.6 enzyme degradation resistance
 
             // === VIRAL BEHAVIOR TRAITS ===
-            hostManipulation: Math.random() * 0.7, // 0.0-0.7 behavior control
-            dormancyTrigger: 0.2 + Math.random() * 0.5, // 0.2-0.7 hibernation capability
-            burstSize: 0.8 + Math.random() * 0.7, // 0.8-1.5 offspring per reproduction
-            lysisTime: 0.3 + Math.random() * 0.6, // 0.3-0.9 host destruction timing
-            chronicInfection: Math.random() * 0.6, // 0.0-0.6 persistent infection ability
-            crossSpeciesJump: Math.random() * 0.3, // 0.0-0.3 interspecies transmission
+            hostManipulation: random() * 0.7, // 0.0-0.7 behavior control
+            dormancyTrigger: 0.2 + random() * 0.5, // 0.2-0.7 hibernation capability
+            burstSize: 0.8 + random() * 0.7, // 0.8-1.5 offspring per reproduction
+            lysisTime: 0.3 + random() * 0.6, // 0.3-0.9 host destruction timing
+            chronicInfection: random() * 0.6, // 0.0-0.6 persistent infection ability
+            crossSpeciesJump: random() * 0.3, // 0.0-0.3 interspecies transmission
 
             // === METABOLIC ADAPTATIONS ===
-            metabolicHijacking: 0.4 + Math.random() * 0.5, // 0.4-0.9 host resource usage
-            energyEfficiency: 0.7 + Math.random() * 0.3, // 0.7-1.0 viral energy conservation
-            resourceScavenging: 0.3 + Math.random() * 0.6, // 0.3-0.9 nutrient acquisition
+            metabolicHijacking: 0.4 + random() * 0.5, // 0.4-0.9 host resource usage
+            energyEfficiency: 0.7 + random() * 0.3, // 0.7-1.0 viral energy conservation
+            resourceScavenging: 0.3 + random() * 0.6, // 0.3-0.9 nutrient acquisition
 
             // === INHERIT CELL TRAITS WITH VIRAL MODIFICATIONS ===
             // Enhanced sensory for finding hosts
-            visionRange: 60 + Math.random() * 80, // Better than cells for hunting
-            chemoreception: 0.6 + Math.random() * 0.4, // Enhanced chemical detection
-            thermoreception: 0.5 + Math.random() * 0.4, // Heat sensing for hosts
+            visionRange: 60 + random() * 80, // Better than cells for hunting
+            chemoreception: 0.6 + random() * 0.4, // Enhanced chemical detection
+            thermoreception: 0.5 + random() * 0.4, // Heat sensing for hosts
 
             // Viral mobility traits
-            penetrationPower: 0.4 + Math.random() * 0.6, // 0.4-1.0 cell membrane piercing
-            adhesionStrength: 0.3 + Math.random() * 0.5, // 0.3-0.8 attachment to hosts
-            motilityType: Math.random() < 0.3 ? 'flagellar' : 'drift', // Movement type
+            penetrationPower: 0.4 + random() * 0.6, // 0.4-1.0 cell membrane piercing
+            adhesionStrength: 0.3 + random() * 0.5, // 0.3-0.8 attachment to hosts
+            motilityType: random() < 0.3 ? 'flagellar' : 'drift', // Movement type
 
             // Base traits
             defenseType: 'viral',
@@ -3911,7 +4284,7 @@ class Virus extends Cell {
 
         // Visual properties
         this.color = '#ff0066'; // Bright pink/red
-        this.pulsePhase = Math.random() * Math.PI * 2;
+        this.pulsePhase = random() * Math.PI * 2;
 
         // Override name generation for viruses
         this.name = traits.name || this.generateVirusName();
@@ -3924,8 +4297,8 @@ class Virus extends Cell {
             'Nano-Plague', 'Bio-Hazard', 'Toxic-Agent', 'Cyber-Virus', 'Mutant-Code'
         ];
 
-        const number = Math.floor(Math.random() * 999) + 1;
-        const baseName = virusNames[Math.floor(Math.random() * virusNames.length)];
+        const number = Math.floor(random() * 999) + 1;
+        const baseName = virusNames[Math.floor(random() * virusNames.length)];
         return `${baseName}-${number.toString().padStart(3, '0')}`;
     }
 
@@ -3957,7 +4330,7 @@ class Virus extends Cell {
             this.traits.speed *= Math.max(0.7, 1 / agingFactor); // Slower movement
 
             // Gradual health decay for old viruses
-            if (Math.random() < (ageRatio - 0.7) * 0.01) { // Very slow health decay
+            if (random() < (ageRatio - 0.7) * 0.01) { // Very slow health decay
                 this.traits.health -= 0.5;
             }
         }
@@ -3969,7 +4342,7 @@ class Virus extends Cell {
         if (this.traits.size > this.traits.maxSize * 0.7 && // Must be at least 70% of max size
             this.traits.energy > this.traits.maxEnergy * 0.8 && // High energy
             this.age > 300 && // Must be mature (300 ticks)
-            Math.random() < 0.002) { // 0.2% chance per tick
+            random() < 0.002) { // 0.2% chance per tick
 
             const reproduced = this.considerViralReproduction();
 
@@ -3985,7 +4358,8 @@ class Virus extends Cell {
         if (this.infectionCooldown > 0) return;
 
         // ENHANCED VIRUS BEHAVIOR: Seek both infection targets and predation targets
-        const potentialHosts = cells.filter(cell => !cell.isVirus);
+        const potentialHosts = this.queryNearby(cells, Math.max(this.infectionRadius, this.infectionRadius * 1.5))
+            .filter(cell => !cell.isVirus);
 
         // Separate into infection and predation targets
         const infectionTargets = potentialHosts.filter(cell =>
@@ -4048,7 +4422,7 @@ class Virus extends Cell {
 
         // Check if cell resists infection
         const resistanceChance = cell.traits.toxinResistance * 0.5; // Toxin resistance helps against viruses
-        if (Math.random() < resistanceChance) {
+        if (random() < resistanceChance) {
             // Cell resisted infection
             this.addParticleEffect('resist', cell.x, cell.y);
             this.infectionCooldown = 120; // 2 second cooldown after failed infection
@@ -4057,9 +4431,10 @@ class Virus extends Cell {
 
         // Successful infection
         cell.isInfected = true;
-        cell.infectionTimer = 600 + Math.random() * 300; // 10-15 seconds of infection
+        cell.infectionTimer = 600 + random() * 300; // 10-15 seconds of infection
         cell.infectionSeverity = this.infectionStrength;
-        cell.infectedBy = this.name;
+        cell.infectedBy = this.id;
+        cell.infectedByName = this.name;
 
         // Visual effects
         this.addParticleEffect('infection', cell.x, cell.y);
@@ -4094,7 +4469,7 @@ class Virus extends Cell {
         if (cell.traits.toxinResistance > 0.5) successChance *= 0.8;
 
         // Attempt predation
-        if (Math.random() < successChance) {
+        if (random() < successChance) {
             // SUCCESSFUL VIRAL PREDATION
             const biomass = cell.traits.size * 2; // Viruses extract more biomass
             const nutritionValue = biomass * 1.5; // Higher nutrition conversion
@@ -4122,6 +4497,7 @@ class Virus extends Cell {
 
             // Mark cell as consumed
             cell.traits.health = 0; // Kill the consumed cell
+            cell.deathCause = 'virus';
             this.infectionCooldown = 60; // Short cooldown after predation
 
             console.log(`🦠 ${this.name} consumed ${cell.name}! Grew by ${sizeGrowth.toFixed(2)} (Size: ${this.traits.size.toFixed(1)})`);
@@ -4244,14 +4620,14 @@ class Virus extends Cell {
 
         for (let i = 0; i < particleCount; i++) {
             const angle = (i / particleCount) * Math.PI * 2;
-            const speed = 2 + Math.random() * 2;
+            const speed = 2 + random() * 2;
 
             this.particleEffects.push({
                 x: x,
                 y: y,
                 vx: Math.cos(angle) * speed,
                 vy: Math.sin(angle) * speed,
-                size: 2 + Math.random() * 2,
+                size: 2 + random() * 2,
                 life: 40,
                 maxLife: 40,
                 color: color,
@@ -4260,13 +4636,17 @@ class Virus extends Cell {
         }
     }
 
-    render(ctx) {
+    render(ctx, detail = 'full') {
         // Pulsing effect for virus
         const pulse = Math.sin(this.pulsePhase) * 0.3 + 0.7;
         const oldAlpha = ctx.globalAlpha;
         ctx.globalAlpha = pulse;
 
-        super.render(ctx);
+        super.render(ctx, detail);
+        if (detail !== 'full') {
+            ctx.globalAlpha = oldAlpha;
+            return;
+        }
 
         // Add viral glow
         ctx.globalAlpha = pulse * 0.3;
@@ -4291,4 +4671,4 @@ class Virus extends Cell {
     }
 }
 
-export { Cell, Virus };
\ No newline at end of file
+export { Cell, Virus, Colony, CellNameGenerator, DEFENSE_COLORS, TRAIT_GROUPS, TRAIT_CHOICES };
\ No newline at end of file
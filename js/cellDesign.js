@@ -0,0 +1,106 @@
+// Cell designs - hand-built organisms as JSON, spawned into the world as one cell or a population (God Mode)
+import { Cell, TRAIT_GROUPS, TRAIT_CHOICES } from './cell.js';
+import { random } from './random.js';
+
+const DESIGN_FORMAT = 'cells-dominion-cell-design';
+const DESIGN_VERSION = 1;
+
+// [min, max] of the numeric traits a design may set - anything not listed is 0-1
+const TRAIT_RANGES = {
+    health: [10, 300],
+    maxHealth: [10, 300],
+    size: [3, 40],
+    maxSize: [5, 60],
+    growthRate: [0, 0.1],
+    speed: [0.1, 5],
+    energy: [10, 300],
+    maxEnergy: [10, 300],
+    density: [0.3, 2],
+    baseLifespan: [10000, 2000000],
+    lifespanMultiplier: [1, 200],
+    agingRate: [0.2, 2],
+    energyStorage: [0.5, 2],
+    visionRange: [10, 300],
+    communicationRange: [10, 200],
+    offspringNumber: [0.5, 2]
+};
+
+// Most cells one placement may spawn
+const MAX_POPULATION = 200;
+
+// Design names become cell names (and their children's name prefix) and end up in the inspector and species
+// panel markup - letters, digits, spaces and - _ . only
+const DESIGN_NAME_PATTERN = /^[A-Za-z0-9 _.-]{1,40}$/;
+
+class CellDesign {
+    static maxPopulation = MAX_POPULATION;
+
+    // { min, max } for a numeric trait, or { choices } for a category trait
+    static traitSpec(trait) {
+        if (TRAIT_CHOICES[trait]) return { choices: TRAIT_CHOICES[trait] };
+        const [min, max] = TRAIT_RANGES[trait] || [0, 1];
+        return { min, max };
+    }
+
+    // The starting design: every number mid-range, the first choice of every category
+    static defaults(name = 'New Design') {
+        const traits = {};
+        Object.values(TRAIT_GROUPS).flat().forEach(trait => {
+            const spec = CellDesign.traitSpec(trait);
+            traits[trait] = spec.choices ? spec.choices[0] : (spec.min + spec.max) / 2;
+        });
+        return { format: DESIGN_FORMAT, version: DESIGN_VERSION, name, traits };
+    }
+
+    static validate(design) {
+        if (!design || design.format !== DESIGN_FORMAT) {
+            throw new Error('Not a cell design');
+        }
+        if (design.version > DESIGN_VERSION) {
+            throw new Error(`Cell design version ${design.version} is newer than this simulator supports (${DESIGN_VERSION})`);
+        }
+        if (typeof design.name !== 'string' || design.name.trim() === '') {
+            throw new Error('A cell design needs a name');
+        }
+        if (!DESIGN_NAME_PATTERN.test(design.name)) {
+            throw new Error('Design names may only use letters, digits, spaces and - _ . (up to 40 characters)');
+        }
+
+        const known = new Set(Object.values(TRAIT_GROUPS).flat());
+        Object.entries(design.traits || {}).forEach(([trait, value]) => {
+            if (!known.has(trait)) throw new Error(`Unknown trait: ${trait}`);
+
+            const spec = CellDesign.traitSpec(trait);
+            if (spec.choices ? !spec.choices.includes(value) : !(value >= spec.min && value <= spec.max)) {
+                throw new Error(`Invalid ${trait}: ${value}`);
+            }
+        });
+    }
+
+    // options: { design, count, spread } - count cells scattered within spread of the position
+    static spawn(simulation, position, options) {
+        const { design, count, spread } = options;
+        const cells = [];
+
+        for (let i = 0; i < count; i++) {
+            const angle = random() * Math.PI * 2;
+            const distance = count > 1 ? Math.sqrt(random()) * spread : 0;
+            const x = Math.max(20, Math.min(simulation.width - 20, position.x + Math.cos(angle) * distance));
+            const y = Math.max(20, Math.min(simulation.height - 20, position.y + Math.sin(angle) * distance));
+
+            const cell = new Cell(x, y, {
+                ...design.traits,
+                name: count > 1 ? `${design.name} ${i + 1}` : design.name,
+                generation: 1
+            });
+            cell.simulation = simulation;
+            cells.push(cell);
+        }
+
+        simulation.cells.push(...cells);
+        console.log(`🧫 God placed ${count} × ${design.name}`);
+        return cells;
+    }
+}
+
+export { CellDesign };
@@ -0,0 +1,261 @@
+// Composition chart - stacked area / Muller plot of the population by defense type, species or special ability
+import { DEFENSE_COLORS } from './cell.js';
+
+class CompositionChart {
+    constructor(canvasId = 'compositionChart') {
+        this.group = 'defense'; // 'defense', 'species' or 'ability'
+        this.mode = 'stacked'; // 'stacked' = cell counts, 'muller' = share of the population
+        this.zoom = null; // { min, max } tick window, null = the whole history
+        this.history = []; // { tick, composition } samples of the whole run, built up from what each frame adds
+        this.legend = {}; // species id -> { name, color, parentSpeciesId }
+        this.drag = null;
+
+        this.canvas = document.getElementById(canvasId);
+        this.initChart();
+        this.initializeControls();
+        this.initializeZoom();
+    }
+
+    initChart() {
+        this.chart = new Chart(this.canvas.getContext('2d'), {
+            type: 'line',
+            data: { datasets: [] },
+            options: {
+                responsive: true,
+                maintainAspectRatio: false,
+                interaction: {
+                    mode: 'index',
+                    intersect: false
+                },
+                plugins: {
+                    title: {
+                        display: true,
+                        text: '🧬 Population Composition',
+                        color: '#ffffff',
+                        font: {
+                            size: 16
+                        }
+                    },
+                    legend: {
+                        position: 'bottom',
+                        labels: {
+                            color: '#ffffff',
+                            boxWidth: 10,
+                            font: {
+                                size: 10
+                            }
+                        }
+                    }
+                },
+                scales: {
+                    x: {
+                        type: 'linear',
+                        grid: {
+                            color: 'rgba(255, 255, 255, 0.1)'
+                        },
+                        ticks: {
+                            color: '#ffffff'
+                        }
+                    },
+                    y: {
+                        stacked: true,
+                        min: 0,
+                        grid: {
+                            color: 'rgba(255, 255, 255, 0.1)'
+                        },
+                        ticks: {
+                            color: '#ffffff'
+                        }
+                    }
+                },
+                elements: {
+                    point: {
+                        radius: 0,
+                        hoverRadius: 3
+                    },
+                    line: {
+                        borderWidth: 1
+                    }
+                },
+                animation: {
+                    duration: 0
+                }
+            }
+        });
+    }
+
+    initializeControls() {
+        document.getElementById('compositionGroup')?.addEventListener('change', (e) => {
+            this.group = e.target.value;
+            this.redraw();
+        });
+        document.getElementById('compositionMode')?.addEventListener('change', (e) => {
+            this.mode = e.target.value;
+            this.redraw();
+        });
+        document.getElementById('compositionResetZoom')?.addEventListener('click', () => this.resetZoom());
+    }
+
+    // Wheel zooms the time axis around the cursor, dragging pans it, double-click shows everything again
+    initializeZoom() {
+        this.canvas.addEventListener('wheel', (e) => {
+            const extent = this.extent();
+            if (!extent) return;
+            e.preventDefault();
+
+            const scale = this.chart.scales.x;
+            const span = this.zoom || extent;
+            const anchor = scale.getValueForPixel(e.offsetX);
+            const factor = e.deltaY > 0 ? 1.25 : 0.8;
+            const minWidth = 100; // Ticks - a handful of history entries
+
+            const width = Math.max(minWidth, (span.max - span.min) * factor);
+            const ratio = (anchor - span.min) / (span.max - span.min || 1);
+            this.setZoom(anchor - width * ratio, anchor + width * (1 - ratio));
+        }, { passive: false });
+
+        this.canvas.addEventListener('mousedown', (e) => {
+            if (!this.zoom) return;
+            this.drag = { x: e.offsetX, zoom: { ...this.zoom } };
+        });
+        this.canvas.addEventListener('mousemove', (e) => {
+            if (!this.drag) return;
+            const scale = this.chart.scales.x;
+            const shift = scale.getValueForPixel(this.drag.x) - scale.getValueForPixel(e.offsetX);
+            this.setZoom(this.drag.zoom.min + shift, this.drag.zoom.max + shift);
+        });
+        window.addEventListener('mouseup', () => { this.drag = null; });
+        this.canvas.addEventListener('dblclick', () => this.resetZoom());
+    }
+
+    setZoom(min, max) {
+        const extent = this.extent();
+        if (!extent) return;
+
+        // Keep the window inside the recorded history
+        const width = Math.min(max - min, extent.max - extent.min);
+        min = Math.max(extent.min, Math.min(min, extent.max - width));
+        this.zoom = width >= extent.max - extent.min ? null : { min, max: min + width };
+        this.redraw();
+    }
+
+    resetZoom() {
+        this.zoom = null;
+        this.redraw();
+    }
+
+    extent() {
+        const entries = this.history;
+        if (entries.length < 2) return null;
+        return { min: entries[0].tick, max: entries[entries.length - 1].tick };
+    }
+
+    // composition = { reset, samples } - new samples since the last update, or the whole history when reset
+    update(stats, composition) {
+        if (!composition.reset && composition.samples.length === 0) return;
+
+        if (composition.reset) this.history = [];
+        this.history.push(...composition.samples);
+        this.legend = stats.speciesLegend || {};
+        this.redraw();
+    }
+
+    redraw() {
+        const entries = this.history;
+        const keys = this.orderedKeys(entries);
+
+        this.chart.data.datasets = keys.map((key, index) => {
+            const color = this.colorFor(key, index);
+            return {
+                label: this.labelFor(key),
+                data: entries.map(entry => ({ x: entry.tick, y: this.valueFor(entry, key) })),
+                borderColor: color,
+                backgroundColor: withAlpha(color, 0.6),
+                fill: index === 0 ? 'origin' : '-1'
+            };
+        });
+
+        const scales = this.chart.options.scales;
+        scales.x.min = this.zoom ? this.zoom.min : undefined;
+        scales.x.max = this.zoom ? this.zoom.max : undefined;
+        scales.y.max = this.mode === 'muller' ? 100 : undefined;
+
+        this.chart.update('none');
+    }
+
+    valueFor(entry, key) {
+        const counts = entry.composition[this.group];
+        const count = counts[key] || 0;
+        if (this.mode !== 'muller') return count;
+
+        const total = Object.values(counts).reduce((sum, value) => sum + value, 0);
+        return total > 0 ? (count / total) * 100 : 0;
+    }
+
+    // Largest groups at the bottom; species are ordered by descent so daughter species sit on their parent
+    orderedKeys(entries) {
+        const totals = {};
+        entries.forEach(entry => {
+            Object.entries(entry.composition[this.group]).forEach(([key, count]) => {
+                totals[key] = (totals[key] || 0) + count;
+            });
+        });
+
+        const bySize = Object.keys(totals).filter(key => key !== 'other').sort((a, b) => totals[b] - totals[a]);
+        const keys = this.group === 'species' ? this.lineageOrder(bySize) : bySize;
+        return totals.other ? [...keys, 'other'] : keys;
+    }
+
+    lineageOrder(speciesIds) {
+        const present = new Set(speciesIds);
+        const children = new Map();
+        const roots = [];
+        speciesIds.forEach(id => {
+            const parentId = this.legend[id]?.parentSpeciesId;
+            if (parentId && present.has(parentId)) {
+                if (!children.has(parentId)) children.set(parentId, []);
+                children.get(parentId).push(id);
+            } else {
+                roots.push(id);
+            }
+        });
+
+        const ordered = [];
+        const stack = [...roots].reverse();
+        while (stack.length > 0) {
+            const id = stack.pop();
+            ordered.push(id);
+            (children.get(id) || []).slice().reverse().forEach(child => stack.push(child));
+        }
+        return ordered;
+    }
+
+    labelFor(key) {
+        if (key === 'other') return 'Other';
+        if (this.group === 'species') return this.legend[key]?.name || key;
+        return key.replace(/_/g, ' ');
+    }
+
+    colorFor(key, index) {
+        if (key === 'other') return '#868e96';
+        if (this.group === 'species' && this.legend[key]) return this.legend[key].color;
+        if (this.group === 'defense' && DEFENSE_COLORS[key]) return DEFENSE_COLORS[key];
+        return `hsl(${Math.round((index * 137.508) % 360)}, 65%, 55%)`;
+    }
+
+    reset() {
+        this.history = [];
+        this.legend = {};
+        this.zoom = null;
+        this.redraw();
+    }
+}
+
+function withAlpha(color, alpha) {
+    if (color.startsWith('#')) {
+        return color + Math.round(alpha * 255).toString(16).padStart(2, '0');
+    }
+    return color.replace('hsl(', 'hsla(').replace(')', `, ${alpha})`);
+}
+
+export { CompositionChart };
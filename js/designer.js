@@ -0,0 +1,269 @@
+// Cell designer - build an organism trait by trait with a live preview, keep designs in a named library and
+// place them in the world as one cell or a population (the 'spawnDesign' god power)
+import { TRAIT_GROUPS } from './cell.js';
+import { CellDesign } from './cellDesign.js';
+import { RenderSnapshot } from './renderSnapshot.js';
+import { downloadFile } from './download.js';
+
+// localStorage key of the design library ({ [name]: design })
+const LIBRARY_KEY = 'cellsDominion.cellDesigns';
+
+// Slider steps per numeric trait range
+const SLIDER_STEPS = 200;
+
+// Designs every library starts with - overrides on top of CellDesign.defaults()
+const BUILT_IN_DESIGNS = {
+    'Poison-Armored Swarm': {
+        size: 7, maxSize: 14, speed: 2.2, maxHealth: 90, health: 90,
+        armorThickness: 0.9, venomPotency: 0.8, toxinResistance: 0.9, packCoordination: 0.9,
+        aggression: 0.3, fertilityRate: 0.95, offspringNumber: 1.6,
+        defenseType: 'poison', shape: 'hexagon', socialBehavior: 'cooperative', specialAbility: 'splitting'
+    },
+    'Pack Hunter': {
+        size: 14, maxSize: 28, speed: 3, maxHealth: 160, health: 160,
+        attackPower: 0.9, weaponSharpness: 0.8, visionRange: 180, packCoordination: 1, aggression: 0.9,
+        riskTaking: 0.7, caution: 0.2,
+        defenseType: 'spikes', shape: 'triangle', socialBehavior: 'pack', specialAbility: 'pack_hunter'
+    }
+};
+
+class CellDesigner {
+    constructor(simulation, godMode) {
+        this.simulation = simulation;
+        this.godMode = godMode;
+        this.design = CellDesign.defaults();
+        this.inputs = new Map(); // trait -> its <input>/<select>
+
+        this.preview = document.getElementById('designerPreview');
+        this.nameInput = document.getElementById('designName');
+        this.librarySelect = document.getElementById('designLibrary');
+        this.countInput = document.getElementById('designCount');
+        this.spreadInput = document.getElementById('designSpread');
+
+        this.buildTraitControls();
+        this.initializeControls();
+        this.renderLibrary();
+        this.showDesign(this.design);
+    }
+
+    // One <details> per trait group: a slider per number, a dropdown per category
+    buildTraitControls() {
+        const container = document.getElementById('designerTraits');
+        if (!container) return;
+
+        Object.entries(TRAIT_GROUPS).forEach(([group, traits]) => {
+            const details = document.createElement('details');
+            const summary = document.createElement('summary');
+            summary.textContent = group;
+            details.append(summary);
+
+            traits.forEach(trait => {
+                const spec = CellDesign.traitSpec(trait);
+                const row = document.createElement('label');
+                row.className = 'designer-trait';
+                row.textContent = trait;
+
+                let input;
+                if (spec.choices) {
+                    input = document.createElement('select');
+                    spec.choices.forEach(choice => input.add(new Option(choice, choice)));
+                } else {
+                    input = document.createElement('input');
+                    input.type = 'range';
+                    input.min = spec.min;
+                    input.max = spec.max;
+                    input.step = (spec.max - spec.min) / SLIDER_STEPS;
+                }
+
+                const value = document.createElement('span');
+                value.className = 'designer-value';
+                input.addEventListener('input', () => {
+                    this.design.traits[trait] = spec.choices ? input.value : parseFloat(input.value);
+                    this.renderValue(trait);
+                    this.renderPreview();
+                });
+
+                row.append(input, value);
+                details.append(row);
+                this.inputs.set(trait, { input, value });
+            });
+
+            container.append(details);
+        });
+    }
+
+    initializeControls() {
+        this.nameInput?.addEventListener('input', () => {
+            this.design.name = this.nameInput.value;
+        });
+
+        this.librarySelect?.addEventListener('change', () => {
+            const design = this.loadLibrary()[this.librarySelect.value];
+            if (design) this.showDesign(design);
+        });
+
+        document.getElementById('designSave')?.addEventListener('click', () => this.saveDesign());
+        document.getElementById('designDelete')?.addEventListener('click', () => this.deleteDesign());
+        document.getElementById('designReset')?.addEventListener('click', () => this.showDesign(CellDesign.defaults()));
+        document.getElementById('designRandomize')?.addEventListener('click', () => this.randomize());
+        document.getElementById('designExport')?.addEventListener('click', () => this.exportDesign());
+
+        const importInput = document.getElementById('designImportFile');
+        document.getElementById('designImport')?.addEventListener('click', () => {
+            importInput.value = '';
+            importInput.click();
+        });
+        importInput?.addEventListener('change', (e) => {
+            if (e.target.files[0]) this.importDesign(e.target.files[0]);
+        });
+
+        document.getElementById('designPlaceOne')?.addEventListener('click', () => this.place(1));
+        document.getElementById('designPlaceMany')?.addEventListener('click', () => {
+            this.place(parseInt(this.countInput?.value) || 1);
+        });
+    }
+
+    // Load a design into the editor (a copy - edits don't touch the library until saved)
+    showDesign(design) {
+        this.design = { ...CellDesign.defaults(design.name), traits: { ...CellDesign.defaults().traits, ...design.traits } };
+        if (this.nameInput) this.nameInput.value = this.design.name;
+        this.inputs.forEach(({ input }, trait) => {
+            input.value = this.design.traits[trait];
+            this.renderValue(trait);
+        });
+        this.renderPreview();
+    }
+
+    renderValue(trait) {
+        const { value } = this.inputs.get(trait);
+        const current = this.design.traits[trait];
+        value.textContent = typeof current === 'number' ? formatNumber(current) : '';
+    }
+
+    renderPreview() {
+        if (!this.preview) return;
+        const ctx = this.preview.getContext('2d');
+        const { width, height } = this.preview;
+        ctx.clearRect(0, 0, width, height);
+
+        // Auras and spikes reach well past the body - keep the largest cells inside the canvas
+        const cell = RenderSnapshot.previewCell(this.design.traits, 0, 0, this.design.name);
+        const scale = Math.min(2.5, width / 5 / cell.radius);
+        ctx.save();
+        ctx.translate(width / 2, height / 2);
+        ctx.scale(scale, scale);
+        cell.render(ctx);
+        ctx.restore();
+    }
+
+    randomize() {
+        const traits = {};
+        this.inputs.forEach((_, trait) => {
+            const spec = CellDesign.traitSpec(trait);
+            // Math.random, not the simulation's seeded stream - the UI must not shift a run's randomness
+            traits[trait] = spec.choices ?
+                spec.choices[Math.floor(Math.random() * spec.choices.length)] :
+                spec.min + Math.random() * (spec.max - spec.min);
+        });
+        this.showDesign({ name: this.design.name, traits });
+    }
+
+    // Built-in designs, overridden by saved ones of the same name
+    loadLibrary() {
+        const library = {};
+        Object.entries(BUILT_IN_DESIGNS).forEach(([name, traits]) => {
+            library[name] = { ...CellDesign.defaults(name), traits: { ...CellDesign.defaults().traits, ...traits } };
+        });
+
+        try {
+            Object.assign(library, JSON.parse(localStorage.getItem(LIBRARY_KEY) || '{}'));
+        } catch (error) {
+            console.warn('⚠️ Could not read the cell design library:', error.message);
+        }
+        return library;
+    }
+
+    storeLibrary(library) {
+        const saved = Object.fromEntries(Object.entries(library).filter(([name]) => !BUILT_IN_DESIGNS[name]));
+        try {
+            localStorage.setItem(LIBRARY_KEY, JSON.stringify(saved));
+        } catch (error) {
+            alert(`Could not save the cell design library: ${error.message}`);
+        }
+    }
+
+    renderLibrary(selected = null) {
+        if (!this.librarySelect) return;
+        this.librarySelect.replaceChildren(new Option('📚 Library…', ''));
+        Object.keys(this.loadLibrary()).sort().forEach(name => this.librarySelect.add(new Option(name, name)));
+        this.librarySelect.value = selected || '';
+    }
+
+    saveDesign() {
+        try {
+            this.design.name = this.design.name.trim();
+            CellDesign.validate(this.design);
+        } catch (error) {
+            alert(error.message);
+            return;
+        }
+
+        const library = this.loadLibrary();
+        library[this.design.name] = JSON.parse(JSON.stringify(this.design));
+        this.storeLibrary(library);
+        this.renderLibrary(this.design.name);
+        console.log(`🧫 Saved cell design "${this.design.name}"`);
+    }
+
+    deleteDesign() {
+        const name = this.librarySelect?.value;
+        if (!name) return;
+        if (BUILT_IN_DESIGNS[name]) {
+            alert('Built-in designs can\'t be deleted');
+            return;
+        }
+
+        const library = this.loadLibrary();
+        delete library[name];
+        this.storeLibrary(library);
+        this.renderLibrary();
+    }
+
+    exportDesign() {
+        const name = this.design.name.trim().replace(/\W+/g, '-').toLowerCase() || 'design';
+        downloadFile(`cell-${name}.json`, JSON.stringify(this.design, null, 2));
+    }
+
+    async importDesign(file) {
+        try {
+            const design = JSON.parse(await file.text());
+            CellDesign.validate(design);
+            this.showDesign(design);
+            this.saveDesign();
+        } catch (error) {
+            console.error('❌ Could not import cell design:', error);
+            alert(`Could not import cell design: ${error.message}`);
+        }
+    }
+
+    // At the last canvas click (or somewhere random), as one god-mode command
+    place(count) {
+        try {
+            CellDesign.validate(this.design);
+        } catch (error) {
+            alert(error.message);
+            return;
+        }
+
+        const spread = parseFloat(this.spreadInput?.value) || 0;
+        const design = JSON.parse(JSON.stringify(this.design));
+        this.godMode.usePower('spawnDesign', true, { design, count: Math.min(count, CellDesign.maxPopulation), spread });
+    }
+}
+
+function formatNumber(value) {
+    if (Math.abs(value) >= 1000) return Math.round(value).toLocaleString();
+    return Math.abs(value) >= 10 ? value.toFixed(1) : value.toFixed(2);
+}
+
+export { CellDesigner };
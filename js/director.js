@@ -0,0 +1,225 @@
+// Camera director - follows a cell, virus or colony, and in auto mode cuts between the liveliest moments
+
+// How long (ms) the auto-director stays on a highlight before cutting to the next one
+const DWELL_TIME = 7000;
+
+// Highlights older than this many ticks are no longer worth a cut
+const STALE_TICKS = 600;
+
+// Pending highlights kept for the auto-director
+const MAX_QUEUE = 20;
+
+// Dragging the view further than this (pixels) takes the camera back from the director
+const DRAG_TOLERANCE = 5;
+
+// Rarer moments win: a new species beats a disaster beats a meal beats a new colony
+const HIGHLIGHT_PRIORITY = {
+    species: 4,
+    disaster: 3,
+    predation: 2,
+    colony: 1
+};
+
+const HIGHLIGHT_ICONS = {
+    species: '🌱',
+    disaster: '💥',
+    predation: '🦈',
+    colony: '🏘️'
+};
+
+// Zoom the auto-director uses for each kind of shot (disasters need the wide view)
+const HIGHLIGHT_ZOOM = {
+    species: 1.5,
+    disaster: 0.6,
+    predation: 1.5,
+    colony: 1.0
+};
+
+class CameraDirector {
+    constructor(simulation, camera) {
+        this.simulation = simulation;
+        this.camera = camera;
+        this.auto = false;
+        this.target = null; // What we asked the simulation to follow ({ kind, id })
+        this.requestedAt = 0; // Frame version when the target was sent - later frames carry its position
+        this.current = null; // Latest resolved follow target, including successors
+        this.shot = null; // Auto-director highlight on screen: { type, x, y, label, started }
+        this.queue = [];
+        this.onChange = null; // (current) => void - the followed entity changed (e.g. handed over to offspring)
+
+        this.autoToggle = document.getElementById('autoDirector');
+        this.status = document.getElementById('followStatus');
+
+        this.initializeControls();
+    }
+
+    initializeControls() {
+        this.autoToggle?.addEventListener('change', (e) => this.setAuto(e.target.checked));
+        document.getElementById('stopFollow')?.addEventListener('click', () => this.release());
+
+        const canvas = document.getElementById('gameCanvas');
+        let pressed = null;
+        canvas?.addEventListener('mousedown', (e) => {
+            pressed = { x: e.clientX, y: e.clientY };
+        });
+        canvas?.addEventListener('mousemove', (e) => {
+            if (!pressed || Math.hypot(e.clientX - pressed.x, e.clientY - pressed.y) <= DRAG_TOLERANCE) return;
+            pressed = null;
+            this.release();
+        });
+        window.addEventListener('mouseup', () => { pressed = null; });
+    }
+
+    follow(target) {
+        this.target = target;
+        this.current = null;
+        this.requestedAt = this.simulation.frameVersion;
+        this.simulation.followTarget(target);
+        this.updateStatus();
+    }
+
+    stop() {
+        if (!this.target && !this.shot) return;
+        this.target = null;
+        this.current = null;
+        this.shot = null;
+        this.simulation.followTarget(null);
+        this.updateStatus();
+    }
+
+    // A new or loaded world - nothing from the old one is worth a look any more
+    reset() {
+        this.stop();
+        this.queue = [];
+        this.simulation.takeHighlights();
+    }
+
+    // The user takes the camera back - no target, no auto-director
+    release() {
+        if (this.auto) this.setAuto(false);
+        this.stop();
+    }
+
+    isFollowing(id) {
+        return this.current ? this.current.id === id : this.target?.id === id;
+    }
+
+    setAuto(enabled) {
+        this.auto = enabled;
+        this.queue = [];
+        if (this.autoToggle) this.autoToggle.checked = enabled;
+        if (enabled) {
+            this.simulation.takeHighlights(); // Start from what happens next
+            console.log('🎬 Auto-director on');
+        } else {
+            this.shot = null;
+        }
+        this.updateStatus();
+    }
+
+    // Called every rendered frame, before the camera update
+    update() {
+        const highlights = this.simulation.takeHighlights();
+        if (this.auto) this.enqueue(highlights);
+
+        if (this.target && this.simulation.frameVersion > this.requestedAt) {
+            this.track(this.simulation.follow);
+        } else if (this.shot && !this.target) {
+            this.camera.centerOn(this.shot.x, this.shot.y);
+        }
+
+        if (this.auto && (!this.shot || Date.now() - this.shot.started > DWELL_TIME)) {
+            this.nextShot();
+        }
+    }
+
+    track(follow) {
+        if (!follow) {
+            console.log('🎥 Nothing left to follow');
+            this.target = null;
+            this.current = null;
+            this.shot = null; // Lets the auto-director cut right away
+            this.updateStatus();
+            return;
+        }
+
+        const changed = !this.current || this.current.id !== follow.id;
+        this.current = follow;
+        this.camera.centerOn(follow.x, follow.y);
+
+        if (changed) {
+            this.updateStatus();
+            if (this.onChange) this.onChange(follow);
+        }
+    }
+
+    enqueue(highlights) {
+        if (highlights.length === 0) return;
+        this.queue.push(...highlights);
+        this.queue = this.queue.slice(-MAX_QUEUE);
+    }
+
+    nextShot() {
+        const tick = this.simulation.getStats()?.tick || 0;
+        this.queue = this.queue.filter(highlight => tick - highlight.tick <= STALE_TICKS);
+        if (this.queue.length === 0) return;
+
+        // Highest priority first, newest among equals
+        const best = this.queue.reduce((a, b) => {
+            const priority = HIGHLIGHT_PRIORITY[b.type] - HIGHLIGHT_PRIORITY[a.type];
+            return priority > 0 || (priority === 0 && b.tick > a.tick) ? b : a;
+        });
+        this.queue.splice(this.queue.indexOf(best), 1);
+
+        this.shot = { ...best, started: Date.now() };
+        this.camera.setZoom(HIGHLIGHT_ZOOM[best.type] || 1);
+
+        if (best.target) {
+            this.follow(best.target);
+        } else {
+            if (this.target) this.simulation.followTarget(null);
+            this.target = null;
+            this.current = null;
+            this.camera.centerOn(best.x, best.y);
+            this.updateStatus();
+        }
+    }
+
+    describe() {
+        if (this.current) {
+            const via = this.current.via ? ` (${this.current.previous} is gone - ${this.current.via})` : '';
+            return `🎥 Following ${this.current.name}${via}`;
+        }
+        if (this.target) return '🎥 Finding target…';
+        if (this.auto) return this.shot ? `🎬 ${this.shot.label}` : '🎬 Waiting for something to happen…';
+        return 'Not following';
+    }
+
+    updateStatus() {
+        if (this.status) this.status.textContent = this.describe();
+    }
+
+    // Screen-space caption at the bottom of the canvas
+    renderCaption(ctx) {
+        if (!this.target && !this.shot) return;
+
+        const lines = [];
+        if (this.shot) lines.push(`${HIGHLIGHT_ICONS[this.shot.type] || '🎬'} ${this.shot.label}`);
+        if (this.current && (!this.shot || this.current.via)) lines.push(this.describe());
+
+        ctx.save();
+        ctx.font = '14px Arial';
+        ctx.textAlign = 'center';
+        lines.forEach((line, index) => {
+            const y = ctx.canvas.height - 20 - (lines.length - 1 - index) * 24;
+            const width = ctx.measureText(line).width + 20;
+            ctx.fillStyle = 'rgba(0, 0, 0, 0.7)';
+            ctx.fillRect(ctx.canvas.width / 2 - width / 2, y - 16, width, 22);
+            ctx.fillStyle = '#ffffff';
+            ctx.fillText(line, ctx.canvas.width / 2, y);
+        });
+        ctx.restore();
+    }
+}
+
+export { CameraDirector };
@@ -0,0 +1,13 @@
+// File downloads - hand text the app generated (saves, exports, recordings) to the browser as a file
+function downloadFile(name, text, type = 'application/json') {
+    const blob = new Blob([text], { type });
+    const url = URL.createObjectURL(blob);
+
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = name;
+    link.click();
+    URL.revokeObjectURL(url);
+}
+
+export { downloadFile };
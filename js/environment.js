@@ -1,5 +1,65 @@
 // Environmental hazards, obstacles, and dynamic climate system
+import { random } from './random.js';
+import { SpatialGrid } from './spatial.js';
+import { EnvironmentFields } from './fields.js';
+
+// Which trait protects against each hazard type (0 = no protection, 1 = immune)
+const HAZARD_RESISTANCE = {
+    toxic: traits => traits.toxinResistance,
+    radiation: traits => traits.radiationResistance,
+    acid: traits => traits.acidTolerance,
+    fire: traits => traits.temperatureTolerance,
+    ice: traits => traits.temperatureTolerance,
+    electric: traits => traits.defenseType === 'electric' ? 0.9 : traits.armorThickness * 0.5,
+    explosion: traits => traits.armorThickness * 0.5
+};
+
+// What each hazard type writes into the environment fields per tick, at full intensity
+const HAZARD_FIELD_EFFECTS = {
+    toxic: { toxin: 0.0015 },
+    acid: { toxin: 0.001 },
+    fire: { temperature: 0.01 },
+    ice: { temperature: -0.01 },
+    explosion: { temperature: 0.02, light: -0.02 },
+    radiation: { light: 0.005 }
+};
+
+// Ambient temperature difference between the top (colder) and bottom (warmer) edge of the world
+const LATITUDE_TEMPERATURE = 0.3;
+
+// Dissolved nutrients a nutrient source releases per tick at rate 1
+const NUTRIENT_SOURCE_OUTPUT = 0.003;
+
+// Ticks in a day (two days per season) and the time of day a new world starts at (0 = midnight, 0.5 = noon)
+const DAY_LENGTH = 1000;
+const START_TIME_OF_DAY = 0.3;
+
+// Share of full daylight left at night (moonlight), and how far below the horizon (in sun heights) twilight lasts
+const NIGHT_LIGHT = 0.05;
+const TWILIGHT = 0.2;
+
+// Light taken per tick from the ground under an obstacle and its shadow, at full daylight. Shadows are sampled at
+// SHADOW_STEPS points and are up to MAX_SHADOW_LENGTH obstacle sizes long when the sun is low
+const OBSTACLE_SHADE = 0.006;
+const SHADOW_STEPS = 3;
+const MAX_SHADOW_LENGTH = 3;
+
+// Overlay colors per field layer: [r, g, b] at the low end and at the high end
+const FIELD_COLORS = {
+    temperature: [[60, 140, 255], [255, 80, 40]],
+    toxin: [[120, 255, 60], [120, 255, 60]],
+    light: [[0, 0, 40], [255, 240, 160]],
+    nutrients: [[60, 200, 255], [60, 200, 255]]
+};
+
+// Overlay layers that fade out where the value is low instead of shading every square
+const FADING_FIELDS = new Set(['toxin', 'nutrients']);
+
 class Environment {
+    // Day cycle of a new world - also what saves from before the cycle existed start with
+    static dayLength = DAY_LENGTH;
+    static startTimeOfDay = START_TIME_OF_DAY;
+
     constructor(width, height) {
         this.width = width;
         this.height = height;
@@ -8,6 +68,7 @@ class Environment {
         this.obstacles = [];
         this.hazardZones = [];
         this.spikeTraps = [];
+        this.nutrientSources = []; // Painted in God Mode: { x, y, radius, rate } - grow food around them
 
         // Seasonal and climate system
         this.season = 'spring'; // spring, summer, autumn, winter
@@ -15,6 +76,13 @@ class Environment {
         this.seasonDuration = 2000; // Ticks per season
         this.temperature = 0.5; // 0-1 range
         this.humidity = 0.5;
+        this.light = 0.7; // Sunlight at noon - the season sets it, the time of day scales it
+
+        // Day/night cycle
+        this.dayLength = DAY_LENGTH;
+        this.dayTick = Math.floor(DAY_LENGTH * START_TIME_OF_DAY);
+        this.daylight = 1; // 0-1 share of the sun's light reaching the world right now
+        this.updateDaylight();
         this.resourceAvailability = 1.0;
 
         // Natural disasters
@@ -30,6 +98,9 @@ class Environment {
         // Climate tracking
         this.climateHistory = [];
 
+        // Local conditions on top of the global climate (see fields.js)
+        this.fields = new EnvironmentFields(width, height);
+
         this.generateEnvironment();
     }
 
@@ -44,12 +115,12 @@ class Environment {
 
         for (let i = 0; i < numObstacles; i++) {
             const obstacle = {
-                x: Math.random() * this.width,
-                y: Math.random() * this.height,
-                width: 30 + Math.random() * 70,
-                height: 30 + Math.random() * 70,
+                x: random() * this.width,
+                y: random() * this.height,
+                width: 30 + random() * 70,
+                height: 30 + random() * 70,
                 type: this.randomObstacleType(),
-                rotation: Math.random() * Math.PI * 2
+                rotation: random() * Math.PI * 2
             };
 
             // Ensure obstacles don't overlap with spawn areas
@@ -64,14 +135,15 @@ class Environment {
 
         for (let i = 0; i < numHazards; i++) {
             const hazard = {
-                x: Math.random() * (this.width - 200) + 100,
-                y: Math.random() * (this.height - 200) + 100,
-                radius: 80 + Math.random() * 120,
+                x: random() * (this.width - 200) + 100,
+                y: random() * (this.height - 200) + 100,
+                radius: 80 + random() * 120,
                 type: this.randomHazardType(),
-                intensity: 0.5 + Math.random() * 0.5,
-                pulsePhase: Math.random() * Math.PI * 2,
-                damagePerTick: 0.5 + Math.random() * 1.5
+                intensity: 0.5 + random() * 0.5,
+                pulsePhase: random() * Math.PI * 2,
+                damagePerTick: 0.5 + random() * 1.5
             };
+            hazard.baseIntensity = hazard.intensity; // Seasons scale intensity from here
 
             this.hazardZones.push(hazard);
         }
@@ -82,14 +154,14 @@ class Environment {
 
         for (let i = 0; i < numSpikes; i++) {
             const spike = {
-                x: Math.random() * this.width,
-                y: Math.random() * this.height,
-                radius: 15 + Math.random() * 20,
-                damage: 10 + Math.random() * 20,
+                x: random() * this.width,
+                y: random() * this.height,
+                radius: 15 + random() * 20,
+                damage: 10 + random() * 20,
                 cooldown: 0,
-                maxCooldown: 120 + Math.random() * 180, // 2-5 seconds
-                isActive: Math.random() > 0.5,
-                triggerRadius: 25 + Math.random() * 25
+                maxCooldown: 120 + random() * 180, // 2-5 seconds
+                isActive: random() > 0.5,
+                triggerRadius: 25 + random() * 25
             };
 
             this.spikeTraps.push(spike);
@@ -98,12 +170,12 @@ class Environment {
 
     randomObstacleType() {
         const types = ['rock', 'wall', 'crystal', 'debris', 'pillar'];
-        return types[Math.floor(Math.random() * types.length)];
+        return types[Math.floor(random() * types.length)];
     }
 
     randomHazardType() {
         const types = ['toxic', 'radiation', 'acid', 'fire', 'electric', 'ice'];
-        return types[Math.floor(Math.random() * types.length)];
+        return types[Math.floor(random() * types.length)];
     }
 
     isValidObstaclePosition(obstacle) {
@@ -136,19 +208,25 @@ class Environment {
         // Update seasonal cycle
         this.updateSeasons();
 
+        // Advance the time of day
+        this.dayTick = (this.dayTick + 1) % this.dayLength;
+        this.updateDaylight();
+
         // Update natural disasters
         this.updateDisasters();
 
         // Update climate effects
         this.updateClimateEffects();
 
-        // Update spike traps
+        // Update spike traps - they re-arm once the cooldown runs out
         this.spikeTraps.forEach(spike => {
             if (spike.cooldown > 0) {
                 spike.cooldown--;
                 if (spike.cooldown === 0) {
                     spike.isActive = true;
                 }
+            } else if (!spike.isActive) {
+                spike.isActive = true;
             }
         });
 
@@ -176,6 +254,40 @@ class Environment {
 
             return disaster.duration > 0;
         });
+
+        // Hazards and nutrient sources feed the fields, which then spread and fade
+        this.updateFields();
+    }
+
+    updateFields() {
+        this.hazardZones.forEach(hazard => {
+            const effects = HAZARD_FIELD_EFFECTS[hazard.type];
+            if (!effects) return;
+            Object.entries(effects).forEach(([layer, amount]) => {
+                this.fields.deposit(layer, hazard.x, hazard.y, hazard.radius, amount * Math.min(1, hazard.intensity));
+            });
+        });
+
+        this.nutrientSources.forEach(source => {
+            this.fields.deposit('nutrients', source.x, source.y, source.radius, NUTRIENT_SOURCE_OUTPUT * source.rate);
+        });
+
+        // Obstacles block the sun - the ground under them and their shadow gets less light
+        if (this.sunHeight() > 0) {
+            const shadow = this.shadowVector();
+            const shade = -OBSTACLE_SHADE * this.daylight;
+            this.obstacles.forEach(obstacle => {
+                const size = Math.max(obstacle.width, obstacle.height) / 2;
+                const x = obstacle.x + obstacle.width / 2;
+                const y = obstacle.y + obstacle.height / 2;
+                for (let step = 0; step <= SHADOW_STEPS; step++) {
+                    const reach = size * step / SHADOW_STEPS;
+                    this.fields.deposit('light', x + shadow.x * reach, y + shadow.y * reach, size, shade);
+                }
+            });
+        }
+
+        this.fields.update();
     }
 
     updateSeasons() {
@@ -191,6 +303,29 @@ class Environment {
         this.updateSeasonalEffects(seasonProgress);
     }
 
+    // 0 = midnight, 0.25 = dawn, 0.5 = noon, 0.75 = dusk
+    timeOfDay() {
+        return this.dayTick / this.dayLength;
+    }
+
+    // Height of the sun: -1 at midnight, 0 on the horizon (dawn and dusk), 1 at noon
+    sunHeight() {
+        return Math.sin((this.timeOfDay() - 0.25) * Math.PI * 2);
+    }
+
+    updateDaylight() {
+        const sun = Math.max(0, Math.min(1, (this.sunHeight() + TWILIGHT) / (1 + TWILIGHT)));
+        this.daylight = NIGHT_LIGHT + (1 - NIGHT_LIGHT) * sun;
+    }
+
+    // Where shadows fall, per unit of obstacle size: west in the morning, east in the evening (and a little north,
+    // the sun being in the south), longest when the sun is low
+    shadowVector() {
+        const dayProgress = (this.timeOfDay() - 0.25) * 2; // 0 at dawn, 1 at dusk
+        const length = 1 + (MAX_SHADOW_LENGTH - 1) * (1 - Math.max(0, this.sunHeight()));
+        return { x: -Math.cos(dayProgress * Math.PI) * length, y: -0.3 * length };
+    }
+
     advanceSeason() {
         const seasons = ['spring', 'summer', 'autumn', 'winter'];
         const currentIndex = seasons.indexOf(this.season);
@@ -213,24 +348,28 @@ class Environment {
             case 'spring':
                 this.temperature = 0.4 + (progress * 0.3); // 0.4 to 0.7
                 this.humidity = 0.7 + (progress * 0.2); // 0.7 to 0.9
+                this.light = 0.6 + (progress * 0.2); // 0.6 to 0.8
                 this.resourceAvailability = 0.8 + (progress * 0.4); // 0.8 to 1.2
                 break;
 
             case 'summer':
                 this.temperature = 0.7 + (progress * 0.2); // 0.7 to 0.9
                 this.humidity = 0.3 + (progress * 0.2); // 0.3 to 0.5
+                this.light = 0.9 - (progress * 0.1); // 0.9 to 0.8
                 this.resourceAvailability = 1.2 - (progress * 0.4); // 1.2 to 0.8
                 break;
 
             case 'autumn':
                 this.temperature = 0.6 - (progress * 0.3); // 0.6 to 0.3
                 this.humidity = 0.5 + (progress * 0.3); // 0.5 to 0.8
+                this.light = 0.7 - (progress * 0.3); // 0.7 to 0.4
                 this.resourceAvailability = 0.8 - (progress * 0.3); // 0.8 to 0.5
                 break;
 
             case 'winter':
                 this.temperature = 0.3 - (progress * 0.1); // 0.3 to 0.2
                 this.humidity = 0.8 - (progress * 0.2); // 0.8 to 0.6
+                this.light = 0.4 + (progress * 0.2); // 0.4 to 0.6
                 this.resourceAvailability = 0.5 + (progress * 0.3); // 0.5 to 0.8 (preparing for spring)
                 break;
         }
@@ -245,23 +384,23 @@ class Environment {
         // Random chance for natural disasters
         const disasterChance = 0.001 + (this.season === 'autumn' ? 0.0005 : 0); // Higher chance in autumn
 
-        if (Math.random() < disasterChance) {
+        if (random() < disasterChance) {
             this.triggerRandomDisaster();
-            this.disasterCooldown = 500 + Math.random() * 1000; // Cooldown between disasters
+            this.disasterCooldown = 500 + random() * 1000; // Cooldown between disasters
         }
     }
 
     triggerRandomDisaster() {
         const disasterTypes = ['meteor', 'toxicSpill', 'radiationStorm', 'plague', 'drought', 'flood'];
-        const type = disasterTypes[Math.floor(Math.random() * disasterTypes.length)];
+        const type = disasterTypes[Math.floor(random() * disasterTypes.length)];
 
         const disaster = {
             type: type,
-            x: Math.random() * this.width,
-            y: Math.random() * this.height,
-            radius: 100 + Math.random() * 200,
-            intensity: 0.5 + Math.random() * 0.5,
-            duration: 300 + Math.random() * 700, // 5-17 seconds at 60fps
+            x: random() * this.width,
+            y: random() * this.height,
+            radius: 100 + random() * 200,
+            intensity: 0.5 + random() * 0.5,
+            duration: 300 + random() * 700, // 5-17 seconds at 60fps
             age: 0,
             maxDuration: 1000
         };
@@ -284,6 +423,8 @@ class Environment {
                         radius: disaster.radius,
                         type: 'explosion',
                         intensity: disaster.intensity * 2,
+                        baseIntensity: disaster.intensity * 2,
+                        damagePerTick: 3,
                         pulsePhase: 0,
                         temporary: true,
                         lifetime: disaster.duration
@@ -292,8 +433,8 @@ class Environment {
                 break;
 
             case 'toxicSpill':
-                // Increases global toxicity
-                this.toxicity = Math.min(1.0, this.toxicity + 0.001);
+                // Poisons the area it hit
+                this.fields.deposit('toxin', disaster.x, disaster.y, disaster.radius, 0.004 * disaster.intensity);
                 break;
 
             case 'radiationStorm':
@@ -302,13 +443,17 @@ class Environment {
                 break;
 
             case 'drought':
-                // Reduces resource availability
+                // Reduces resource availability and bakes the area it hit
                 this.resourceAvailability *= 0.999;
+                this.fields.deposit('temperature', disaster.x, disaster.y, disaster.radius, 0.005 * disaster.intensity);
+                this.fields.deposit('light', disaster.x, disaster.y, disaster.radius, 0.005 * disaster.intensity);
                 break;
 
             case 'flood':
-                // Increases humidity, reduces movement
+                // Increases humidity, reduces movement, cools the area and washes nutrients into it
                 this.humidity = Math.min(1.0, this.humidity + 0.001);
+                this.fields.deposit('temperature', disaster.x, disaster.y, disaster.radius, -0.003 * disaster.intensity);
+                this.fields.deposit('nutrients', disaster.x, disaster.y, disaster.radius, 0.002 * disaster.intensity);
                 break;
         }
     }
@@ -317,7 +462,7 @@ class Environment {
         // Gradual recovery from disasters
         this.toxicity = Math.max(0, this.toxicity - 0.0001);
         this.radiation = Math.max(0, this.radiation - 0.0002);
-        this.oxygenLevel = Math.max(0.5, Math.min(1.0, this.oxygenLevel + (Math.random() - 0.5) * 0.001));
+        this.oxygenLevel = Math.max(0.5, Math.min(1.0, this.oxygenLevel + (random() - 0.5) * 0.001));
 
         // Remove temporary hazard zones
         this.hazardZones = this.hazardZones.filter(hazard => {
@@ -335,6 +480,8 @@ class Environment {
             humidity: this.humidity,
             toxicity: this.toxicity,
             radiation: this.radiation,
+            light: this.light * this.daylight,
+            timeOfDay: this.timeOfDay(),
             oxygenLevel: this.oxygenLevel,
             resourceAvailability: this.resourceAvailability,
             season: this.season,
@@ -343,27 +490,150 @@ class Environment {
         };
     }
 
+    // Conditions at a world position: the global climate plus the local field values, each 0-1
+    sampleFields(x, y) {
+        const clamp = (value) => Math.max(0, Math.min(1, value));
+        return {
+            temperature: clamp(this.ambientTemperature(y) + this.fields.valueAt('temperature', x, y)),
+            toxicity: clamp(this.toxicity + this.fields.valueAt('toxin', x, y)),
+            light: clamp(this.light * this.daylight + this.fields.valueAt('light', x, y)),
+            nutrients: clamp(this.fields.valueAt('nutrients', x, y))
+        };
+    }
+
+    // The seasonal temperature, colder toward the top of the world and warmer toward the bottom
+    ambientTemperature(y) {
+        return this.temperature + LATITUDE_TEMPERATURE * (y / this.height - 0.5);
+    }
+
+    // One layer sampled at every grid square, for the field overlay
+    fieldView(layer) {
+        const key = layer === 'toxin' ? 'toxicity' : layer;
+        const size = this.fields.cellSize;
+        const values = new Float32Array(this.fields.cols * this.fields.rows);
+        for (let row = 0; row < this.fields.rows; row++) {
+            for (let col = 0; col < this.fields.cols; col++) {
+                values[row * this.fields.cols + col] = this.sampleFields((col + 0.5) * size, (row + 0.5) * size)[key];
+            }
+        }
+        return { layer, cols: this.fields.cols, rows: this.fields.rows, cellSize: size, values };
+    }
+
+    // Index obstacles, hazards and spike traps for per-cell lookups. Features are filed by their
+    // center with a radius that covers their whole reach (obstacles are rotated rectangles)
+    indexTerrain() {
+        if (!this.spatialIndex) {
+            this.spatialIndex = {
+                obstacles: new SpatialGrid(200),
+                hazards: new SpatialGrid(200),
+                spikes: new SpatialGrid(200)
+            };
+        }
+
+        this.spatialIndex.obstacles.rebuild(this.obstacles.map(obstacle => ({
+            x: obstacle.x + obstacle.width / 2,
+            y: obstacle.y + obstacle.height / 2,
+            radius: Math.hypot(obstacle.width, obstacle.height) / 2,
+            feature: obstacle
+        })));
+        this.spatialIndex.hazards.rebuild(this.hazardZones.map(hazard => ({
+            x: hazard.x, y: hazard.y, radius: hazard.radius, feature: hazard
+        })));
+        this.spatialIndex.spikes.rebuild(this.spikeTraps.map(spike => ({
+            x: spike.x, y: spike.y, radius: Math.max(spike.radius, spike.triggerRadius), feature: spike
+        })));
+    }
+
+    // Terrain features of one kind that could touch the cell
+    nearbyTerrain(kind, cell) {
+        if (!this.spatialIndex) this.indexTerrain();
+        const grid = this.spatialIndex[kind];
+        return grid.queryRadius(cell.x, cell.y, cell.radius + grid.maxRadius).map(entry => entry.feature);
+    }
+
     // Check if a cell collides with any obstacle
     checkObstacleCollision(cell) {
-        for (let obstacle of this.obstacles) {
-            if (this.circleRectangleCollision(
-                cell.x, cell.y, cell.radius,
-                obstacle.x, obstacle.y, obstacle.width, obstacle.height
-            )) {
-                return obstacle;
+        return this.nearbyTerrain('obstacles', cell).find(obstacle =>
+            this.obstacleContact(cell.x, cell.y, cell.radius, obstacle)
+        ) || null;
+    }
+
+    // Push a cell out of the obstacles it overlaps and drop the part of its velocity
+    // that points into the wall, so it slides along the surface instead of sticking
+    resolveObstacleCollisions(cell) {
+        let collided = false;
+
+        this.nearbyTerrain('obstacles', cell).forEach(obstacle => {
+            const contact = this.obstacleContact(cell.x, cell.y, cell.radius, obstacle);
+            if (!contact) return;
+
+            cell.x += contact.nx * contact.depth;
+            cell.y += contact.ny * contact.depth;
+
+            const intoWall = cell.vx * contact.nx + cell.vy * contact.ny;
+            if (intoWall < 0) {
+                cell.vx -= intoWall * contact.nx;
+                cell.vy -= intoWall * contact.ny;
+            }
+            collided = true;
+        });
+
+        return collided;
+    }
+
+    // Contact normal and penetration depth of a circle against a rotated obstacle (null when apart)
+    obstacleContact(cx, cy, radius, obstacle) {
+        const halfWidth = obstacle.width / 2;
+        const halfHeight = obstacle.height / 2;
+        const cos = Math.cos(obstacle.rotation || 0);
+        const sin = Math.sin(obstacle.rotation || 0);
+
+        // Circle center in the obstacle's own frame (same rotation the renderer uses)
+        const dx = cx - (obstacle.x + halfWidth);
+        const dy = cy - (obstacle.y + halfHeight);
+        const localX = dx * cos + dy * sin;
+        const localY = -dx * sin + dy * cos;
+
+        const closestX = Math.max(-halfWidth, Math.min(halfWidth, localX));
+        const closestY = Math.max(-halfHeight, Math.min(halfHeight, localY));
+        let nx = localX - closestX;
+        let ny = localY - closestY;
+        const distanceSq = nx * nx + ny * ny;
+        let depth;
+
+        if (distanceSq > 0) {
+            if (distanceSq >= radius * radius) return null;
+            const distance = Math.sqrt(distanceSq);
+            nx /= distance;
+            ny /= distance;
+            depth = radius - distance;
+        } else {
+            // Center is inside - leave through the nearest side
+            const exitX = halfWidth - Math.abs(localX);
+            const exitY = halfHeight - Math.abs(localY);
+            if (exitX < exitY) {
+                nx = localX < 0 ? -1 : 1;
+                ny = 0;
+                depth = exitX + radius;
+            } else {
+                nx = 0;
+                ny = localY < 0 ? -1 : 1;
+                depth = exitY + radius;
             }
         }
-        return null;
+
+        // Normal back in world space
+        return { nx: nx * cos - ny * sin, ny: nx * sin + ny * cos, depth };
     }
 
     // Check if a cell is in a hazard zone
     checkHazardCollision(cell) {
         const hazards = [];
 
-        for (let hazard of this.hazardZones) {
+        for (let hazard of this.nearbyTerrain('hazards', cell)) {
             const distance = Math.sqrt((cell.x - hazard.x) ** 2 + (cell.y - hazard.y) ** 2);
             if (distance < hazard.radius + cell.radius) {
-                const intensity = 1 - (distance / hazard.radius); // Stronger at center
+                const intensity = Math.max(0, 1 - (distance / hazard.radius)); // Stronger at center
                 hazards.push({ ...hazard, intensity: intensity * hazard.intensity });
             }
         }
@@ -371,22 +641,32 @@ class Environment {
         return hazards;
     }
 
-    // Check spike trap collisions
+    // How well a cell's traits protect it from a hazard type (0-0.95)
+    hazardResistance(hazardType, traits) {
+        const resistance = HAZARD_RESISTANCE[hazardType];
+        return resistance ? Math.max(0, Math.min(0.95, resistance(traits) || 0)) : 0;
+    }
+
+    // Check spike trap collisions - returns the spikes that hit this cell.
+    // A cell inside the trigger radius fires an armed trap; while the spikes are extended they
+    // hit every cell in reach once per activation
     checkSpikeTrapCollision(cell) {
         const triggeredSpikes = [];
 
-        for (let spike of this.spikeTraps) {
+        for (let spike of this.nearbyTerrain('spikes', cell)) {
             const distance = Math.sqrt((cell.x - spike.x) ** 2 + (cell.y - spike.y) ** 2);
 
             // Trigger spike if cell is close and spike is ready
             if (distance < spike.triggerRadius && spike.isActive && spike.cooldown === 0) {
                 spike.isActive = false;
                 spike.cooldown = spike.maxCooldown;
-                triggeredSpikes.push(spike);
+                spike.hitIds = [];
             }
 
             // Damage cell if spike is activated and cell is in damage radius
-            if (distance < spike.radius && spike.cooldown > spike.maxCooldown * 0.8) {
+            if (distance < spike.radius + cell.radius && spike.cooldown > spike.maxCooldown * 0.8 &&
+                spike.hitIds && !spike.hitIds.includes(cell.id)) {
+                spike.hitIds.push(cell.id);
                 triggeredSpikes.push(spike);
             }
         }
@@ -408,11 +688,53 @@ class Environment {
 
     // Render environmental features
     render(ctx, camera) {
+        this.renderField(ctx, camera);
+        this.renderNutrientSources(ctx, camera);
         this.renderObstacles(ctx, camera);
         this.renderHazardZones(ctx, camera);
         this.renderSpikeTraps(ctx, camera);
     }
 
+    // Field overlay - only render frames carry one (see RenderSnapshot.captureEnvironment)
+    renderField(ctx, camera) {
+        if (!this.field) return;
+
+        const { layer, cols, rows, cellSize, values } = this.field;
+        const [low, high] = FIELD_COLORS[layer];
+        const fading = FADING_FIELDS.has(layer);
+        ctx.save();
+        for (let row = 0; row < rows; row++) {
+            for (let col = 0; col < cols; col++) {
+                const x = (col + 0.5) * cellSize;
+                const y = (row + 0.5) * cellSize;
+                if (!camera.isVisible(x, y, cellSize)) continue;
+
+                const value = values[row * cols + col];
+                const [r, g, b] = low.map((channel, i) => Math.round(channel + (high[i] - channel) * value));
+                ctx.fillStyle = `rgba(${r}, ${g}, ${b}, ${fading ? value * 0.6 : 0.35})`;
+                ctx.fillRect(col * cellSize, row * cellSize, cellSize, cellSize);
+            }
+        }
+        ctx.restore();
+    }
+
+    renderNutrientSources(ctx, camera) {
+        (this.nutrientSources || []).forEach(source => {
+            if (!camera.isVisible(source.x, source.y, source.radius * 2)) {
+                return;
+            }
+
+            const gradient = ctx.createRadialGradient(source.x, source.y, 0, source.x, source.y, source.radius);
+            gradient.addColorStop(0, `rgba(120, 255, 120, ${0.08 + source.rate * 0.12})`);
+            gradient.addColorStop(1, 'rgba(40, 160, 60, 0)');
+
+            ctx.fillStyle = gradient;
+            ctx.beginPath();
+            ctx.arc(source.x, source.y, source.radius, 0, Math.PI * 2);
+            ctx.fill();
+        });
+    }
+
     renderObstacles(ctx, camera) {
         ctx.save();
 
@@ -497,6 +819,10 @@ class Environment {
                     gradient.addColorStop(0, `rgba(173, 216, 230, ${0.3 * pulse})`);
                     gradient.addColorStop(1, `rgba(70, 130, 180, ${0.1 * pulse})`);
                     break;
+                case 'explosion':
+                    gradient.addColorStop(0, `rgba(255, 140, 0, ${0.5 * pulse})`);
+                    gradient.addColorStop(1, `rgba(120, 30, 0, ${0.15 * pulse})`);
+                    break;
             }
 
             ctx.fillStyle = gradient;
@@ -563,9 +889,7 @@ class Environment {
     // Get environment data for a specific position
     getEnvironmentAt(x, y) {
         return {
-            obstacles: this.obstacles.filter(obs =>
-                this.circleRectangleCollision(x, y, 10, obs.x, obs.y, obs.width, obs.height)
-            ),
+            obstacles: this.obstacles.filter(obs => this.obstacleContact(x, y, 10, obs)),
             hazards: this.hazardZones.filter(hazard => {
                 const distance = Math.sqrt((x - hazard.x) ** 2 + (y - hazard.y) ** 2);
                 return distance < hazard.radius;
@@ -583,6 +907,8 @@ class Environment {
             season: this.season,
             temperature: this.temperature,
             humidity: this.humidity,
+            light: this.light * this.daylight,
+            timeOfDay: this.timeOfDay(),
             resourceAvailability: this.resourceAvailability,
             toxicity: this.toxicity,
             radiation: this.radiation,
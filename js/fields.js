@@ -0,0 +1,112 @@
+// Environment fields - coarse grids of temperature, toxin, light and dissolved nutrients laid over the world.
+// Each grid holds the local deviation from the ambient level (the Environment's global climate), spreads to its
+// neighbours every tick and fades back toward zero. Disasters, hazard zones and nutrient sources write into them
+// and cells sample them where they are
+
+// World units per grid square
+const FIELD_CELL_SIZE = 50;
+
+// Per layer: share of the gap to the neighbours' average closed per tick, share of the value lost per tick and
+// the range of the stored deviation
+const FIELD_LAYERS = {
+    temperature: { diffusion: 0.2, decay: 0.01, min: -1, max: 1 },
+    toxin: { diffusion: 0.1, decay: 0.004, min: 0, max: 1 },
+    light: { diffusion: 0.05, decay: 0.03, min: -1, max: 1 },
+    nutrients: { diffusion: 0.05, decay: 0.002, min: 0, max: 1 }
+};
+
+class EnvironmentFields {
+    static layers = Object.keys(FIELD_LAYERS);
+
+    // Plain arrays, so world snapshots save the grids like any other environment data
+    constructor(width, height) {
+        this.cellSize = FIELD_CELL_SIZE;
+        this.cols = Math.max(1, Math.ceil(width / FIELD_CELL_SIZE));
+        this.rows = Math.max(1, Math.ceil(height / FIELD_CELL_SIZE));
+        this.layers = {};
+        EnvironmentFields.layers.forEach(layer => {
+            this.layers[layer] = new Array(this.cols * this.rows).fill(0);
+        });
+    }
+
+    // Snapshots decode the fields as plain data; saves from before the fields existed have none
+    static restore(data, width, height) {
+        const fields = new EnvironmentFields(width, height);
+        if (data && data.cols === fields.cols && data.rows === fields.rows) {
+            EnvironmentFields.layers.forEach(layer => {
+                if (data.layers?.[layer]) fields.layers[layer] = data.layers[layer];
+            });
+        }
+        return fields;
+    }
+
+    indexAt(x, y) {
+        const col = Math.max(0, Math.min(this.cols - 1, Math.floor(x / this.cellSize)));
+        const row = Math.max(0, Math.min(this.rows - 1, Math.floor(y / this.cellSize)));
+        return row * this.cols + col;
+    }
+
+    // Local deviation of a layer at a world position
+    valueAt(layer, x, y) {
+        return this.layers[layer][this.indexAt(x, y)];
+    }
+
+    // Add amount to every square whose center is within radius (always at least the square under the point)
+    deposit(layer, x, y, radius, amount) {
+        const values = this.layers[layer];
+        const { min, max } = FIELD_LAYERS[layer];
+        const size = this.cellSize;
+
+        const minCol = Math.max(0, Math.floor((x - radius) / size));
+        const maxCol = Math.min(this.cols - 1, Math.floor((x + radius) / size));
+        const minRow = Math.max(0, Math.floor((y - radius) / size));
+        const maxRow = Math.min(this.rows - 1, Math.floor((y + radius) / size));
+        const center = this.indexAt(x, y);
+
+        for (let row = minRow; row <= maxRow; row++) {
+            for (let col = minCol; col <= maxCol; col++) {
+                const index = row * this.cols + col;
+                const dx = (col + 0.5) * size - x;
+                const dy = (row + 0.5) * size - y;
+                if (index !== center && dx * dx + dy * dy > radius * radius) continue;
+                values[index] = Math.max(min, Math.min(max, values[index] + amount));
+            }
+        }
+    }
+
+    // Remove up to amount from the square under a point - returns how much was there to take
+    take(layer, x, y, amount) {
+        const values = this.layers[layer];
+        const index = this.indexAt(x, y);
+        const taken = Math.max(0, Math.min(amount, values[index]));
+        values[index] -= taken;
+        return taken;
+    }
+
+    // Diffuse and decay every layer (edges reflect, so nothing leaks out of the world)
+    update() {
+        EnvironmentFields.layers.forEach(layer => {
+            const { diffusion, decay } = FIELD_LAYERS[layer];
+            const values = this.layers[layer];
+            const next = new Array(values.length);
+
+            for (let row = 0; row < this.rows; row++) {
+                for (let col = 0; col < this.cols; col++) {
+                    const index = row * this.cols + col;
+                    const value = values[index];
+                    const left = col > 0 ? values[index - 1] : value;
+                    const right = col < this.cols - 1 ? values[index + 1] : value;
+                    const up = row > 0 ? values[index - this.cols] : value;
+                    const down = row < this.rows - 1 ? values[index + this.cols] : value;
+
+                    const spread = value + ((left + right + up + down) / 4 - value) * diffusion;
+                    next[index] = spread * (1 - decay);
+                }
+            }
+
+            this.layers[layer] = next;
+        });
+    }
+}
+
+export { EnvironmentFields };
@@ -1,17 +1,22 @@
 // Food particle system for cell nourishment
+import { random } from './random.js';
+
+// Ticks between food particles a full-strength nutrient source grows (on average)
+const NUTRIENT_SPAWN_INTERVAL = 30;
+
 class Food {
     constructor(x, y, size = null) {
         this.x = x;
         this.y = y;
-        this.radius = size || (2 + Math.random() * 4); // 2-6 radius
+        this.radius = size || (2 + random() * 4); // 2-6 radius
         this.energyValue = this.radius * 8; // Bigger food = more energy
         this.consumed = false;
         this.age = 0;
-        this.maxAge = 1800 + Math.random() * 1200; // 30-50 seconds at 60fps
+        this.maxAge = 1800 + random() * 1200; // 30-50 seconds at 60fps
 
         // Visual properties
         this.color = this.getColorByValue();
-        this.pulsePhase = Math.random() * Math.PI * 2;
+        this.pulsePhase = random() * Math.PI * 2;
         this.decay = 1.0;
     }
 
@@ -45,7 +50,7 @@ class Food {
         return true;
     }
 
-    render(ctx) {
+    render(ctx, detail = 'full') {
         if (this.consumed) return;
 
         ctx.save();
@@ -61,6 +66,12 @@ class Food {
         ctx.arc(this.x, this.y, this.radius * pulseScale, 0, Math.PI * 2);
         ctx.fill();
 
+        // Zoomed out the glow and sparkles are too small to see
+        if (detail !== 'full') {
+            ctx.restore();
+            return;
+        }
+
         // Inner glow
         const gradient = ctx.createRadialGradient(this.x, this.y, 0, this.x, this.y, this.radius * pulseScale);
         gradient.addColorStop(0, 'rgba(255, 255, 255, 0.8)');
@@ -119,31 +130,57 @@ class FoodManager {
 
     spawnFood(x = null, y = null) {
         // Spawn at random location if not specified
-        const spawnX = x !== null ? x : Math.random() * this.width;
-        const spawnY = y !== null ? y : Math.random() * this.height;
+        const spawnX = x !== null ? x : random() * this.width;
+        const spawnY = y !== null ? y : random() * this.height;
 
         // Different food types with different probabilities
         let size;
-        const rand = Math.random();
+        const rand = random();
         if (rand < 0.6) {
-            size = 2 + Math.random() * 2; // Small food (60% chance)
+            size = 2 + random() * 2; // Small food (60% chance)
         } else if (rand < 0.9) {
-            size = 3 + Math.random() * 3; // Medium food (30% chance)
+            size = 3 + random() * 3; // Medium food (30% chance)
         } else {
-            size = 5 + Math.random() * 3; // Large food (10% chance)
+            size = 5 + random() * 3; // Large food (10% chance)
         }
 
         const newFood = new Food(spawnX, spawnY, size);
         this.food.push(newFood);
     }
 
+    // Drop one particle of a chosen size (God Mode), kept inside the world
+    spawnAt(x, y, size) {
+        const food = new Food(
+            Math.max(10, Math.min(this.width - 10, x)),
+            Math.max(10, Math.min(this.height - 10, y)),
+            size
+        );
+        this.food.push(food);
+        return food;
+    }
+
+    // Nutrient sources painted in God Mode keep growing food inside their radius
+    spawnFromSources(sources) {
+        sources.forEach(source => {
+            if (random() >= source.rate / NUTRIENT_SPAWN_INTERVAL) return;
+
+            const angle = random() * Math.PI * 2;
+            const distance = Math.sqrt(random()) * source.radius;
+            this.spawnAt(
+                source.x + Math.cos(angle) * distance,
+                source.y + Math.sin(angle) * distance,
+                2 + random() * 4
+            );
+        });
+    }
+
     // Spawn food when a cell dies (nutrients from corpse)
     spawnFromDeath(x, y, cellSize) {
         const nutrientCount = Math.floor(cellSize / 4) + 1;
 
         for (let i = 0; i < nutrientCount; i++) {
-            const angle = (i / nutrientCount) * Math.PI * 2 + Math.random();
-            const distance = Math.random() * cellSize * 2;
+            const angle = (i / nutrientCount) * Math.PI * 2 + random();
+            const distance = random() * cellSize * 2;
             const spawnX = Math.max(10, Math.min(this.width - 10, x + Math.cos(angle) * distance));
             const spawnY = Math.max(10, Math.min(this.height - 10, y + Math.sin(angle) * distance));
 
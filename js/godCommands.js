@@ -0,0 +1,296 @@
+// God commands - every God Mode action as a command object: queued, applied on the next tick boundary, logged with
+// its parameters and undoable. Undo works on a diff of the world taken right before and after the command ran
+import { GodPowers } from './godpowers.js';
+
+const GOD_LOG_FORMAT = 'cells-dominion-god-log';
+const GOD_LOG_VERSION = 1;
+
+// Most recent commands that keep their diff (older ones stay in the log but can no longer be undone)
+const MAX_UNDO = 20;
+
+// Log entries sent to the UI with every frame
+const STATUS_ENTRIES = 8;
+
+// Environment feature lists god powers and brushes add to or remove from
+const TERRAIN_LISTS = ['disasters', 'obstacles', 'hazardZones', 'spikeTraps', 'nutrientSources'];
+
+// Cell state outside the traits that god powers change
+const CELL_FIELDS = ['isInfected', 'infectionTimer', 'infectionSeverity', 'dna', 'brain'];
+
+class GodCommandLog {
+    constructor(simulation) {
+        this.simulation = simulation;
+        this.powers = new GodPowers(simulation);
+        this.pending = []; // Commands waiting for their tick boundary: { id, tick, action, position, options }
+        this.entries = []; // Applied commands, oldest first: { id, tick, action, position, options, undone }
+        this.diffs = new Map(); // Command id -> world diff, for the MAX_UNDO most recent commands
+        this.redoable = []; // Ids of commands undone since the last new one, most recently undone last
+        this.nextId = 1;
+    }
+
+    // Queue a god power for the next tick boundary (or a later tick, for an imported log)
+    submit(action, position = null, options = null, tick = this.simulation.tick) {
+        GodPowers.validate(action, options);
+
+        const command = { id: this.nextId++, tick, action, position, options };
+        const index = this.pending.findIndex(other => other.tick > tick);
+        this.pending.splice(index === -1 ? this.pending.length : index, 0, command);
+        return command;
+    }
+
+    // Apply every queued command that is due - called between ticks
+    applyDue() {
+        while (this.pending.length > 0 && this.pending[0].tick <= this.simulation.tick) {
+            this.execute(this.pending.shift());
+        }
+    }
+
+    execute(command) {
+        // Untargeted calls of targeted powers land somewhere random - log where, so the log replays exactly
+        const position = command.position ||
+            (GodPowers.targeted.includes(command.action) ? this.powers.getRandomPosition() : null);
+
+        const before = captureWorld(this.simulation);
+        this.powers.apply(command.action, position, command.options);
+        const diff = diffWorld(before, captureWorld(this.simulation));
+
+        this.entries.push({
+            id: command.id,
+            tick: this.simulation.tick,
+            action: command.action,
+            position,
+            options: command.options,
+            undone: false
+        });
+        this.diffs.set(command.id, diff);
+        if (this.diffs.size > MAX_UNDO) {
+            this.diffs.delete(this.diffs.keys().next().value);
+        }
+        this.redoable = [];
+    }
+
+    // Most recent command still in effect, if it can be undone
+    undoTarget() {
+        const entry = this.entries.findLast(candidate => !candidate.undone);
+        return entry && this.diffs.has(entry.id) ? entry : null;
+    }
+
+    redoTarget() {
+        const id = this.redoable[this.redoable.length - 1];
+        return id !== undefined ? this.entries.find(entry => entry.id === id) : null;
+    }
+
+    // Commands queued before the undo go first, so "click, then undo" undoes that click
+    undo() {
+        this.applyDue();
+        const entry = this.undoTarget();
+        if (!entry) return null;
+
+        applyDiff(this.simulation, this.diffs.get(entry.id), 'before');
+        entry.undone = true;
+        this.redoable.push(entry.id);
+        console.log(`↩️ Undid ${entry.action} (tick ${entry.tick})`);
+        return entry;
+    }
+
+    redo() {
+        this.applyDue();
+        const entry = this.redoTarget();
+        if (!entry) return null;
+
+        applyDiff(this.simulation, this.diffs.get(entry.id), 'after');
+        entry.undone = false;
+        this.redoable.pop();
+        console.log(`↪️ Redid ${entry.action} (tick ${entry.tick})`);
+        return entry;
+    }
+
+    // Brush strokes can carry hundreds of points - the UI only needs the brush
+    status() {
+        return {
+            recent: this.entries.slice(-STATUS_ENTRIES).map(({ options, ...entry }) => ({ ...entry, brush: options?.brush })),
+            pending: this.pending.length,
+            canUndo: !!this.undoTarget(),
+            canRedo: !!this.redoTarget()
+        };
+    }
+
+    // The commands still in effect, replayable in another run with schedule()
+    toJSON() {
+        return {
+            format: GOD_LOG_FORMAT,
+            version: GOD_LOG_VERSION,
+            seed: this.simulation.seed,
+            endTick: this.simulation.tick,
+            commands: this.entries
+                .filter(entry => !entry.undone)
+                .map(({ tick, action, position, options }) => ({ tick, action, position, options }))
+        };
+    }
+
+    // Queue an exported log's commands at their ticks (ones already past apply at the next tick boundary)
+    schedule(log) {
+        if (!log || log.format !== GOD_LOG_FORMAT) {
+            throw new Error('Not a god-mode log');
+        }
+        if (log.version > GOD_LOG_VERSION) {
+            throw new Error(`God-mode log version ${log.version} is newer than this simulator supports (${GOD_LOG_VERSION})`);
+        }
+
+        log.commands.forEach(command => {
+            this.submit(command.action, command.position || null, command.options || null, command.tick);
+        });
+        console.log(`📜 Scheduled ${log.commands.length} god-mode commands`);
+    }
+
+    // Diffs hold live object references, so saves keep the log and the queue but not the undo history
+    serialize() {
+        return {
+            pending: this.pending.map(command => ({ ...command })),
+            entries: this.entries.map(entry => ({ ...entry })),
+            nextId: this.nextId
+        };
+    }
+
+    static restore(data, simulation) {
+        const log = new GodCommandLog(simulation);
+        if (!data) return log;
+
+        log.pending = data.pending.map(command => ({ ...command }));
+        log.entries = data.entries.map(entry => ({ ...entry }));
+        log.nextId = data.nextId;
+        return log;
+    }
+}
+
+// Everything a god power can change, shallow-copied so a later capture can be compared against it
+function captureWorld(simulation) {
+    const environment = simulation.environment;
+    return {
+        settings: { ...simulation.settings },
+        environment: Object.fromEntries(Object.entries(environment).filter(([, value]) => isPlain(value))),
+        terrain: Object.fromEntries(TERRAIN_LISTS.map(list => [list, [...environment[list]]])),
+        mutationBoost: simulation.mutationBoost,
+        cells: new Map(simulation.cells.map(cell => [cell, captureCell(cell)])),
+        food: new Map(simulation.foodManager.food.map(food => [food, food.consumed]))
+    };
+}
+
+function captureCell(cell) {
+    const fields = {};
+    CELL_FIELDS.forEach(field => { fields[field] = cell[field]; });
+    return { traits: { ...cell.traits }, fields };
+}
+
+function isPlain(value) {
+    return value === null || ['number', 'string', 'boolean'].includes(typeof value);
+}
+
+// { key: [before, after] } for every key whose value changed
+function changedValues(before, after) {
+    const changes = {};
+    new Set([...Object.keys(before), ...Object.keys(after)]).forEach(key => {
+        if (before[key] !== after[key]) changes[key] = [before[key], after[key]];
+    });
+    return changes;
+}
+
+function diffList(before, after) {
+    const beforeSet = new Set(before);
+    const afterSet = new Set(after);
+    return {
+        added: after.filter(item => !beforeSet.has(item)),
+        removed: before.filter(item => !afterSet.has(item))
+    };
+}
+
+function diffWorld(before, after) {
+    const cells = diffList([...before.cells.keys()], [...after.cells.keys()]);
+    cells.changed = [];
+    after.cells.forEach((state, cell) => {
+        const previous = before.cells.get(cell);
+        if (!previous) return;
+        const traits = changedValues(previous.traits, state.traits);
+        const fields = changedValues(previous.fields, state.fields);
+        if (Object.keys(traits).length > 0 || Object.keys(fields).length > 0) {
+            cells.changed.push({ cell, traits, fields });
+        }
+    });
+
+    const food = diffList([...before.food.keys()], [...after.food.keys()]);
+    food.consumed = [...after.food].filter(([particle, consumed]) => consumed && before.food.get(particle) === false)
+        .map(([particle]) => particle);
+
+    return {
+        settings: changedValues(before.settings, after.settings),
+        environment: changedValues(before.environment, after.environment),
+        mutationBoost: before.mutationBoost !== after.mutationBoost ? [before.mutationBoost, after.mutationBoost] : null,
+        terrain: Object.fromEntries(TERRAIN_LISTS.map(list => [list, diffList(before.terrain[list], after.terrain[list])])),
+        cells,
+        food
+    };
+}
+
+// Move the world to one side ('before' = undo, 'after' = redo) of a diff. The world has moved on since the
+// command ran, so numbers shift back by the amount the command changed them, other values are only put back if
+// nothing has changed them since, and entities it added or removed are taken out or put back
+function applyDiff(simulation, diff, side) {
+    const to = side === 'before' ? 0 : 1;
+    const from = 1 - to;
+    const environment = simulation.environment;
+
+    restoreValues(simulation.settings, diff.settings, to, from);
+    restoreValues(environment, diff.environment, to, from);
+    if (diff.mutationBoost && simulation.mutationBoost === diff.mutationBoost[from]) {
+        simulation.mutationBoost = diff.mutationBoost[to];
+    }
+
+    TERRAIN_LISTS.forEach(list => {
+        environment[list] = restoreList(environment[list], diff.terrain[list], side);
+    });
+
+    // Cells that died since stay dead. The command's removals were recorded as deaths: undo takes those back and
+    // redo records them again; spawned cells that redo brings back are no longer missing
+    const alive = (cell) => cell.traits.health > 0;
+    const cells = { added: diff.cells.added.filter(alive), removed: diff.cells.removed.filter(alive) };
+    const present = new Set(simulation.cells);
+    if (side === 'before') {
+        cells.removed.filter(cell => !present.has(cell)).forEach(cell => simulation.undoDeath(cell));
+    } else {
+        cells.removed.filter(cell => present.has(cell)).forEach(cell => simulation.recordDeath(cell, 'god'));
+        cells.added.filter(cell => !present.has(cell)).forEach(cell => simulation.undoDeath(cell));
+    }
+    simulation.cells = restoreList(simulation.cells, cells, side);
+    diff.cells.changed.forEach(({ cell, traits, fields }) => {
+        restoreValues(cell.traits, traits, to, from);
+        restoreValues(cell, fields, to, from);
+    });
+
+    const foodManager = simulation.foodManager;
+    foodManager.food = restoreList(foodManager.food, diff.food, side);
+    diff.food.consumed.forEach(particle => {
+        particle.consumed = side === 'after';
+        if (!particle.consumed && !foodManager.food.includes(particle)) foodManager.food.push(particle);
+    });
+}
+
+function restoreValues(target, changes, to, from) {
+    Object.entries(changes).forEach(([key, values]) => {
+        if (typeof values[to] === 'number' && typeof values[from] === 'number' && typeof target[key] === 'number') {
+            target[key] += values[to] - values[from];
+        } else if (target[key] === values[from]) {
+            target[key] = values[to];
+        }
+    });
+}
+
+// Undo takes out what the command added and puts back what it removed; redo does the opposite
+function restoreList(list, changes, side) {
+    const takeOut = new Set(side === 'before' ? changes.added : changes.removed);
+    const putBack = side === 'before' ? changes.removed : changes.added;
+    const kept = list.filter(item => !takeOut.has(item));
+    const present = new Set(kept);
+    return [...kept, ...putBack.filter(item => !present.has(item))];
+}
+
+export { GodCommandLog };
@@ -1,10 +1,37 @@
-// God Mode controls for Cell Defense Simulator
+// God Mode controls for Cell Defense Simulator - buttons send commands, GodPowers applies them. Every command is
+// logged by the simulation and can be undone, redone, exported and replayed in another run
+import { Brushes } from './brushes.js';
+import { downloadFile } from './download.js';
+
+// Brush dabs along a stroke are this fraction of the radius apart
+const STROKE_SPACING = 0.5;
+
+// Outline color of each brush's cursor and stroke preview
+const BRUSH_COLORS = {
+    food: '#feca57',
+    eraseCells: '#ff6b6b',
+    obstacle: '#aaaaaa',
+    clearTerrain: '#ffffff',
+    hazard: '#ff9f43',
+    spikes: '#ff4757',
+    nutrients: '#7bed9f'
+};
 class GodMode {
-    constructor(simulation) {
+    constructor(simulation, camera) {
         this.simulation = simulation;
-        this.clickPosition = null;
+        this.camera = camera;
+        this.clickPosition = null; // World position of the last canvas click
+        this.brush = null; // Selected brush - while set, the canvas paints instead of panning and selecting
+        this.stroke = null; // World points of the stroke being drawn
+        this.hover = null; // World position of the mouse over the canvas
+        this.renderedLog = null; // Log status last drawn into the history list
+        this.logList = document.getElementById('godLogList');
+        this.undoButton = document.getElementById('godUndo');
+        this.redoButton = document.getElementById('godRedo');
         this.initializeControls();
         this.initializeCanvas();
+        this.initializeHistory();
+        this.initializeBrushes();
     }
 
     initializeControls() {
@@ -33,29 +60,174 @@ class GodMode {
         this.initializeSliders();
     }
 
+    // GodMode is created before the camera and inspector wire up the canvas, so while a brush is selected these
+    // listeners run first and keep the mouse from panning the view or selecting cells
     initializeCanvas() {
         const canvas = document.getElementById('gameCanvas');
-        if (canvas) {
-            canvas.addEventListener('click', (e) => {
-                const rect = canvas.getBoundingClientRect();
-                this.clickPosition = {
-                    x: e.clientX - rect.left,
-                    y: e.clientY - rect.top
-                };
+        if (!canvas) return;
+
+        const worldPoint = (e) => {
+            const rect = canvas.getBoundingClientRect();
+            return this.camera.screenToWorld(e.clientX - rect.left, e.clientY - rect.top);
+        };
+
+        canvas.addEventListener('mousedown', (e) => {
+            if (!this.brush) return;
+            e.stopImmediatePropagation();
+            this.stroke = [worldPoint(e)];
+        });
+        canvas.addEventListener('mousemove', (e) => {
+            this.hover = worldPoint(e);
+            if (!this.brush) return;
+            e.stopImmediatePropagation();
+            if (this.stroke) this.extendStroke(this.hover);
+        });
+        canvas.addEventListener('mouseleave', () => {
+            this.hover = null;
+        });
+        window.addEventListener('mouseup', () => this.finishStroke());
+
+        canvas.addEventListener('click', (e) => {
+            if (this.brush) {
+                e.stopImmediatePropagation();
+                return;
+            }
+            this.clickPosition = worldPoint(e);
+        });
+    }
+
+    initializeHistory() {
+        this.undoButton?.addEventListener('click', () => this.simulation.godUndo());
+        this.redoButton?.addEventListener('click', () => this.simulation.godRedo());
+        document.getElementById('exportGodLog')?.addEventListener('click', () => this.exportLog());
+
+        const logInput = document.getElementById('importGodLogFile');
+        document.getElementById('importGodLog')?.addEventListener('click', () => {
+            logInput.value = '';
+            logInput.click();
+        });
+        logInput?.addEventListener('change', (e) => {
+            if (e.target.files[0]) this.importLog(e.target.files[0]);
+        });
+
+        // Ctrl+Z / Ctrl+Shift+Z (Cmd on macOS), unless a text field has focus
+        document.addEventListener('keydown', (e) => {
+            if (!(e.ctrlKey || e.metaKey) || e.key.toLowerCase() !== 'z') return;
+            if (['INPUT', 'TEXTAREA', 'SELECT'].includes(e.target.tagName)) return;
+
+            if (e.shiftKey) {
+                this.simulation.godRedo();
+            } else {
+                this.simulation.godUndo();
+            }
+            e.preventDefault();
+        });
+    }
+
+    initializeBrushes() {
+        this.radiusSlider = document.getElementById('brushRadius');
+        this.strengthSlider = document.getElementById('brushStrength');
+        this.hazardSelect = document.getElementById('brushHazardType');
+
+        document.querySelectorAll('[data-brush]').forEach(button => {
+            button.addEventListener('click', () => this.selectBrush(button.dataset.brush));
+        });
+
+        this.radiusSlider?.addEventListener('input', (e) => {
+            document.getElementById('brushRadiusValue').textContent = e.target.value;
+        });
+        this.strengthSlider?.addEventListener('input', (e) => {
+            document.getElementById('brushStrengthValue').textContent = e.target.value + '%';
+        });
+
+        document.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape' && this.brush) this.selectBrush(null);
+        });
+    }
+
+    // Clicking the selected brush again puts it away
+    selectBrush(brush) {
+        this.brush = brush === this.brush ? null : brush;
+        this.stroke = null;
+        document.querySelectorAll('[data-brush]').forEach(button => {
+            button.classList.toggle('active', button.dataset.brush === this.brush);
+        });
+
+        const canvas = document.getElementById('gameCanvas');
+        if (canvas) canvas.style.cursor = this.brush ? 'crosshair' : '';
+    }
+
+    brushRadius() {
+        return parseInt(this.radiusSlider?.value || 60);
+    }
+
+    // Add a dab once the mouse is far enough from the last one
+    extendStroke(point) {
+        const last = this.stroke[this.stroke.length - 1];
+        const spacing = this.brushRadius() * STROKE_SPACING;
+        if (Math.hypot(point.x - last.x, point.y - last.y) < spacing || this.stroke.length >= Brushes.maxDabs) return;
+        this.stroke.push(point);
+    }
+
+    // A whole stroke is one command - one log entry and one undo step
+    finishStroke() {
+        if (!this.stroke) return;
+
+        const points = this.stroke.map(point => ({ x: point.x, y: point.y }));
+        const options = {
+            brush: this.brush,
+            points,
+            radius: this.brushRadius(),
+            strength: parseInt(this.strengthSlider?.value || 50) / 100
+        };
+        if (this.brush === 'hazard') options.hazardType = this.hazardSelect?.value || 'toxic';
+
+        this.simulation.godPower('paint', points[0], options);
+        this.stroke = null;
+    }
+
+    // Brush outline under the mouse and the stroke being drawn (world coordinates - call inside the camera transform)
+    renderBrush(ctx) {
+        if (!this.brush) return;
+
+        const radius = this.brushRadius();
+        const color = BRUSH_COLORS[this.brush];
+        ctx.save();
+        ctx.lineWidth = 2 / this.camera.zoom;
+
+        if (this.stroke) {
+            ctx.fillStyle = color;
+            ctx.globalAlpha = 0.15;
+            this.stroke.forEach(point => {
+                ctx.beginPath();
+                ctx.arc(point.x, point.y, radius, 0, Math.PI * 2);
+                ctx.fill();
             });
+            ctx.globalAlpha = 1;
         }
+
+        if (this.hover) {
+            ctx.strokeStyle = color;
+            ctx.setLineDash([6 / this.camera.zoom, 4 / this.camera.zoom]);
+            ctx.beginPath();
+            ctx.arc(this.hover.x, this.hover.y, radius, 0, Math.PI * 2);
+            ctx.stroke();
+        }
+
+        ctx.restore();
     }
 
     initializeSliders() {
         const tempSlider = document.getElementById('tempSlider');
         const toxicSlider = document.getElementById('toxicSlider');
         const radiationSlider = document.getElementById('radiationSlider');
+        const fieldOverlay = document.getElementById('fieldOverlay');
 
         if (tempSlider) {
             tempSlider.addEventListener('input', (e) => {
                 const value = e.target.value;
                 document.getElementById('tempValue').textContent = value + '%';
-                this.simulation.environment.temperature = value / 100;
+                this.simulation.setEnvironment('temperature', value / 100);
             });
         }
 
@@ -63,7 +235,7 @@ class GodMode {
             toxicSlider.addEventListener('input', (e) => {
                 const value = e.target.value;
                 document.getElementById('toxicValue').textContent = value + '%';
-                this.simulation.environment.toxicity = value / 100;
+                this.simulation.setEnvironment('toxicity', value / 100);
             });
         }
 
@@ -71,239 +243,130 @@ class GodMode {
             radiationSlider.addEventListener('input', (e) => {
                 const value = e.target.value;
                 document.getElementById('radiationValue').textContent = value + '%';
-                this.simulation.environment.radiation = value / 100;
+                this.simulation.setEnvironment('radiation', value / 100);
+            });
+        }
+
+        if (fieldOverlay) {
+            fieldOverlay.addEventListener('change', (e) => {
+                this.simulation.setFieldView(e.target.value || null);
             });
         }
     }
 
+    async exportLog() {
+        const log = await this.simulation.exportGodLog();
+        downloadFile(`god-log-seed${log.seed}-tick${log.endTick}.json`, JSON.stringify(log));
+
+        console.log(`📜 God-mode log exported (${log.commands.length} commands)`);
+    }
+
+    async importLog(file) {
+        try {
+            this.simulation.importGodLog(JSON.parse(await file.text()));
+        } catch (error) {
+            console.error('❌ Could not import god-mode log:', error);
+            alert(`Could not import god-mode log: ${error.message}`);
+        }
+    }
+
+    // Called every frame - shows the latest commands and whether undo/redo is possible
+    update() {
+        const godLog = this.simulation.godLog;
+        if (!godLog) return;
+
+        if (this.undoButton) this.undoButton.disabled = !godLog.canUndo;
+        if (this.redoButton) this.redoButton.disabled = !godLog.canRedo;
+        if (!this.logList) return;
+
+        const key = JSON.stringify(godLog);
+        if (key === this.renderedLog) return;
+        this.renderedLog = key;
+
+        this.logList.replaceChildren(...godLog.recent.slice().reverse().map(entry => {
+            const item = document.createElement('li');
+            const where = entry.position ? ` @ ${Math.round(entry.position.x)}, ${Math.round(entry.position.y)}` : '';
+            const name = entry.brush ? `🖌️ ${entry.brush}` : entry.action;
+            item.textContent = `${entry.tick}: ${name}${where}`;
+            item.classList.toggle('undone', entry.undone);
+            return item;
+        }));
+
+        if (godLog.pending > 0) {
+            const item = document.createElement('li');
+            item.className = 'pending';
+            item.textContent = `${godLog.pending} queued`;
+            this.logList.prepend(item);
+        }
+        if (this.logList.children.length === 0) {
+            const item = document.createElement('li');
+            item.className = 'pending';
+            item.textContent = 'No commands yet';
+            this.logList.append(item);
+        }
+    }
+
+    // Ask the simulation to apply a god power. Targeted powers use the last canvas click
+    usePower(action, targeted = false, options = null) {
+        const position = targeted ? this.clickPosition : null;
+        this.simulation.godPower(action, position, options);
+        if (targeted) this.clickPosition = null;
+    }
+
     // Resource controls
     spawnFood() {
-        const position = this.clickPosition || this.getRandomPosition();
-        console.log('🍎 God spawned food!');
-
-        // Spawn multiple food particles
-        for (let i = 0; i < 10; i++) {
-            this.simulation.foodManager.spawnAt(
-                position.x + (Math.random() - 0.5) * 100,
-                position.y + (Math.random() - 0.5) * 100,
-                8 + Math.random() * 12 // Large food particles
-            );
-        }
-        this.clickPosition = null;
+        this.usePower('spawnFood', true);
     }
 
     causeFamine() {
-        console.log('💀 God caused a famine!');
-        this.simulation.environment.resourceAvailability = 0.1;
-        this.simulation.settings.foodSpawnRate = 0.1;
-        this.simulation.foodManager.setSpawnRate(0.1);
-
-        // Remove existing food
-        const food = this.simulation.foodManager.getFood();
-        food.forEach(f => f.consumed = true);
+        this.usePower('causeFamine');
     }
 
     createAbundance() {
-        console.log('🌾 God created abundance!');
-        this.simulation.environment.resourceAvailability = 2.0;
-        this.simulation.settings.foodSpawnRate = 10.0;
-        this.simulation.foodManager.setSpawnRate(10.0);
-
-        // Spawn lots of food everywhere
-        for (let i = 0; i < 100; i++) {
-            this.simulation.foodManager.spawnAt(
-                Math.random() * this.simulation.width,
-                Math.random() * this.simulation.height,
-                5 + Math.random() * 10
-            );
-        }
+        this.usePower('createAbundance');
     }
 
     // Disaster controls
     triggerMeteor() {
-        const position = this.clickPosition || this.getRandomPosition();
-        console.log('☄️ God triggered a meteor strike!');
-
-        this.simulation.environment.triggerRandomDisaster = () => {
-            return {
-                type: 'meteor',
-                x: position.x,
-                y: position.y,
-                radius: 150 + Math.random() * 100,
-                intensity: 0.8 + Math.random() * 0.2,
-                duration: 600,
-                age: 0
-            };
-        };
-
-        const disaster = this.simulation.environment.triggerRandomDisaster();
-        this.simulation.environment.disasters.push(disaster);
-        this.clickPosition = null;
+        this.usePower('triggerMeteor', true);
     }
 
     triggerPlague() {
-        console.log('🦠 God triggered a plague outbreak!');
-
-        // Infect random cells
-        const cellsToInfect = Math.min(10, Math.floor(this.simulation.cells.length * 0.3));
-        for (let i = 0; i < cellsToInfect; i++) {
-            const cell = this.simulation.cells[Math.floor(Math.random() * this.simulation.cells.length)];
-            if (cell && !cell.isInfected) {
-                cell.isInfected = true;
-                cell.infectionTimer = 400 + Math.random() * 200;
-                cell.infectionSeverity = 0.7 + Math.random() * 0.3;
-            }
-        }
+        this.usePower('triggerPlague');
     }
 
     triggerToxicSpill() {
-        const position = this.clickPosition || this.getRandomPosition();
-        console.log('☢️ God triggered a toxic spill!');
-
-        // Add toxic hazard zone
-        this.simulation.environment.hazardZones.push({
-            x: position.x,
-            y: position.y,
-            radius: 120,
-            type: 'acid',
-            intensity: 0.9,
-            pulsePhase: 0,
-            temporary: true,
-            lifetime: 1000
-        });
-
-        this.simulation.environment.toxicity = Math.min(1.0, this.simulation.environment.toxicity + 0.3);
-        this.clickPosition = null;
+        this.usePower('triggerToxicSpill', true);
     }
 
     triggerRadiation() {
-        console.log('☢️ God triggered a radiation storm!');
-        this.simulation.environment.radiation = Math.min(1.0, this.simulation.environment.radiation + 0.5);
-
-        // Cause random mutations in all cells
-        this.simulation.cells.forEach(cell => {
-            if (Math.random() < 0.3) {
-                this.simulation.applyRadiationMutation(cell);
-            }
-        });
+        this.usePower('triggerRadiation');
     }
 
     // Climate controls
     triggerHeatwave() {
-        console.log('🔥 God triggered a heatwave!');
-        this.simulation.environment.temperature = 0.9;
-        this.simulation.environment.humidity = 0.2;
-
-        // Add heat damage to cells
-        this.simulation.cells.forEach(cell => {
-            if (cell.traits.temperatureTolerance < 0.7) {
-                cell.traits.health -= 10;
-                cell.traits.energy -= 15;
-            }
-        });
+        this.usePower('triggerHeatwave');
     }
 
     triggerIceAge() {
-        console.log('🧊 God triggered an ice age!');
-        this.simulation.environment.temperature = 0.1;
-        this.simulation.environment.resourceAvailability = 0.3;
-        this.simulation.settings.foodSpawnRate *= 0.2;
-
-        // Slow down all cells
-        this.simulation.cells.forEach(cell => {
-            cell.traits.speed *= 0.6;
-            if (cell.traits.temperatureTolerance < 0.4) {
-                cell.traits.health -= 15;
-            }
-        });
+        this.usePower('triggerIceAge');
     }
 
     restoreClimate() {
-        console.log('🌍 God restored normal climate!');
-        this.simulation.environment.temperature = 0.5;
-        this.simulation.environment.humidity = 0.5;
-        this.simulation.environment.resourceAvailability = 1.0;
-        this.simulation.environment.toxicity = 0.0;
-        this.simulation.environment.radiation = 0.0;
-        this.simulation.settings.foodSpawnRate = 2.0;
-        this.simulation.foodManager.setSpawnRate(2.0);
+        this.usePower('restoreClimate');
     }
 
     // Evolution controls
     massExtinction() {
-        console.log('💀 God triggered mass extinction!');
-
-        const survivorCount = Math.max(5, Math.floor(this.simulation.cells.length * 0.1));
-        const survivors = this.simulation.cells
-            .sort((a, b) => (b.fitnessScore || 0) - (a.fitnessScore || 0))
-            .slice(0, survivorCount);
-
-        // Remove all but the fittest
-        this.simulation.cells = survivors;
-
-        // Add environmental damage
-        this.simulation.environment.toxicity = 0.8;
-        this.simulation.environment.radiation = 0.6;
+        this.usePower('massExtinction');
     }
 
     mutationBoost() {
-        console.log('🧬 God boosted mutations!');
-
-        // Temporarily increase mutation rate
-        const oldRate = this.simulation.settings.mutationRate;
-        this.simulation.settings.mutationRate = 0.8;
-
-        // Trigger mutations in all cells
-        this.simulation.cells.forEach(cell => {
-            if (Math.random() < 0.5) {
-                const mutatedTraits = cell.mutate(0.8);
-                Object.assign(cell.traits, mutatedTraits);
-                cell.dna = mutatedTraits.dna;
-            }
-        });
-
-        // Restore normal rate after 5 seconds
-        setTimeout(() => {
-            this.simulation.settings.mutationRate = oldRate;
-        }, 5000);
+        this.usePower('mutationBoost');
     }
 
     createSuperCell() {
-        const position = this.clickPosition || this.getRandomPosition();
-        console.log('💫 God created a super cell!');
-
-        // Create cell with amazing traits
-        const superTraits = {
-            size: 18,
-            speed: 3.0,
-            maxHealth: 200,
-            health: 200,
-            maxEnergy: 150,
-            energy: 150,
-            defenseType: 'shield',
-            shape: 'star',
-            specialAbility: 'fusion',
-            socialBehavior: 'cooperative',
-            temperatureTolerance: 0.9,
-            toxinResistance: 0.8,
-            radiationResistance: 0.7,
-            visionRange: 120,
-            generation: this.simulation.generation + 10,
-            fitnessBonus: 5.0
-        };
-
-        const superCell = new Cell(position.x, position.y, superTraits);
-        superCell.name = "🌟 Divine Creation";
-        superCell.colonyRole = 'builder';
-        this.simulation.cells.push(superCell);
-        this.clickPosition = null;
-    }
-
-    getRandomPosition() {
-        return {
-            x: 100 + Math.random() * (this.simulation.width - 200),
-            y: 100 + Math.random() * (this.simulation.height - 200)
-        };
+        this.usePower('createSuperCell', true);
     }
 }
 
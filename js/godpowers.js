@@ -0,0 +1,288 @@
+// God powers - the world-changing half of God Mode. Runs wherever the simulation runs (worker or main thread)
+import { Cell } from './cell.js';
+import { Brushes } from './brushes.js';
+import { CellDesign } from './cellDesign.js';
+import { random } from './random.js';
+
+// How long a mutation boost lasts (5 seconds at 60 ticks/second)
+const MUTATION_BOOST_TICKS = 300;
+
+// Mutation rate while a boost lasts
+const BOOSTED_MUTATION_RATE = 0.8;
+
+class GodPowers {
+    // Actions the UI may request by name
+    static actions = [
+        'spawnFood', 'causeFamine', 'createAbundance',
+        'triggerMeteor', 'triggerPlague', 'triggerToxicSpill', 'triggerRadiation',
+        'triggerHeatwave', 'triggerIceAge', 'restoreClimate',
+        'massExtinction', 'mutationBoost', 'createSuperCell',
+        'paint', 'spawnDesign'
+    ];
+
+    // Actions aimed at a world position (a random one when none is given)
+    static targeted = ['spawnFood', 'triggerMeteor', 'triggerToxicSpill', 'createSuperCell', 'spawnDesign'];
+
+    constructor(simulation) {
+        this.simulation = simulation;
+    }
+
+    // Throws if a GOD_POWER command can't be applied - checked when it is queued, not when it runs mid-tick
+    static validate(action, options = null) {
+        if (!GodPowers.actions.includes(action)) {
+            throw new Error(`Unknown god power: ${action}`);
+        }
+        if (action === 'paint') Brushes.validate(options);
+        if (action === 'spawnDesign') {
+            CellDesign.validate(options?.design);
+            if (!(options.count >= 1 && options.count <= CellDesign.maxPopulation) || !(options.spread >= 0)) {
+                throw new Error(`A cell design is placed 1-${CellDesign.maxPopulation} at a time, within a spread of 0 or more`);
+            }
+        }
+    }
+
+    // Dispatch a GOD_POWER command by action name
+    apply(action, position = null, options = null) {
+        GodPowers.validate(action, options);
+        this[action](position, options);
+    }
+
+    // Resource controls
+    spawnFood(clickPosition = null) {
+        const position = clickPosition || this.getRandomPosition();
+        console.log('🍎 God spawned food!');
+
+        // Spawn multiple food particles
+        for (let i = 0; i < 10; i++) {
+            this.simulation.foodManager.spawnAt(
+                position.x + (random() - 0.5) * 100,
+                position.y + (random() - 0.5) * 100,
+                8 + random() * 12 // Large food particles
+            );
+        }
+    }
+
+    causeFamine() {
+        console.log('💀 God caused a famine!');
+        this.simulation.environment.resourceAvailability = 0.1;
+        this.simulation.settings.foodSpawnRate = 0.1;
+        this.simulation.foodManager.setSpawnRate(0.1);
+
+        // Remove existing food
+        const food = this.simulation.foodManager.getFood();
+        food.forEach(f => f.consumed = true);
+    }
+
+    createAbundance() {
+        console.log('🌾 God created abundance!');
+        this.simulation.environment.resourceAvailability = 2.0;
+        this.simulation.settings.foodSpawnRate = 10.0;
+        this.simulation.foodManager.setSpawnRate(10.0);
+
+        // Spawn lots of food everywhere
+        for (let i = 0; i < 100; i++) {
+            this.simulation.foodManager.spawnAt(
+                random() * this.simulation.width,
+                random() * this.simulation.height,
+                5 + random() * 10
+            );
+        }
+    }
+
+    // Disaster controls
+    triggerMeteor(clickPosition = null) {
+        const position = clickPosition || this.getRandomPosition();
+        console.log('☄️ God triggered a meteor strike!');
+
+        this.simulation.environment.disasters.push({
+            type: 'meteor',
+            x: position.x,
+            y: position.y,
+            radius: 150 + random() * 100,
+            intensity: 0.8 + random() * 0.2,
+            duration: 600,
+            age: 0,
+            maxDuration: 1000
+        });
+    }
+
+    triggerPlague() {
+        console.log('🦠 God triggered a plague outbreak!');
+
+        // Infect random cells
+        const cellsToInfect = Math.min(10, Math.floor(this.simulation.cells.length * 0.3));
+        for (let i = 0; i < cellsToInfect; i++) {
+            const cell = this.simulation.cells[Math.floor(random() * this.simulation.cells.length)];
+            if (cell && !cell.isInfected) {
+                cell.isInfected = true;
+                cell.infectionTimer = 400 + random() * 200;
+                cell.infectionSeverity = 0.7 + random() * 0.3;
+            }
+        }
+    }
+
+    triggerToxicSpill(clickPosition = null) {
+        const position = clickPosition || this.getRandomPosition();
+        console.log('☢️ God triggered a toxic spill!');
+
+        // Add toxic hazard zone
+        this.simulation.environment.hazardZones.push({
+            x: position.x,
+            y: position.y,
+            radius: 120,
+            type: 'acid',
+            intensity: 0.9,
+            pulsePhase: 0,
+            temporary: true,
+            lifetime: 1000
+        });
+
+        this.simulation.environment.toxicity = Math.min(1.0, this.simulation.environment.toxicity + 0.3);
+    }
+
+    triggerRadiation() {
+        console.log('☢️ God triggered a radiation storm!');
+        this.simulation.environment.radiation = Math.min(1.0, this.simulation.environment.radiation + 0.5);
+
+        // Cause random mutations in all cells
+        this.simulation.cells.forEach(cell => {
+            if (random() < 0.3) {
+                this.simulation.applyRadiationMutation(cell);
+            }
+        });
+    }
+
+    // Climate controls
+    triggerHeatwave() {
+        console.log('🔥 God triggered a heatwave!');
+        this.simulation.environment.temperature = 0.9;
+        this.simulation.environment.humidity = 0.2;
+
+        // Add heat damage to cells
+        this.simulation.cells.forEach(cell => {
+            if (cell.traits.temperatureTolerance < 0.7) {
+                cell.traits.health -= 10;
+                cell.traits.energy -= 15;
+            }
+        });
+    }
+
+    triggerIceAge() {
+        console.log('🧊 God triggered an ice age!');
+        this.simulation.environment.temperature = 0.1;
+        this.simulation.environment.resourceAvailability = 0.3;
+        this.simulation.settings.foodSpawnRate *= 0.2;
+
+        // Slow down all cells
+        this.simulation.cells.forEach(cell => {
+            cell.traits.speed *= 0.6;
+            if (cell.traits.temperatureTolerance < 0.4) {
+                cell.traits.health -= 15;
+            }
+        });
+    }
+
+    restoreClimate() {
+        console.log('🌍 God restored normal climate!');
+        this.simulation.environment.temperature = 0.5;
+        this.simulation.environment.humidity = 0.5;
+        this.simulation.environment.resourceAvailability = 1.0;
+        this.simulation.environment.toxicity = 0.0;
+        this.simulation.environment.radiation = 0.0;
+        this.simulation.settings.foodSpawnRate = 2.0;
+        this.simulation.foodManager.setSpawnRate(2.0);
+    }
+
+    // Evolution controls
+    massExtinction() {
+        console.log('💀 God triggered mass extinction!');
+
+        const survivorCount = Math.max(5, Math.floor(this.simulation.cells.length * 0.1));
+        const survivors = this.simulation.cells
+            .sort((a, b) => (b.fitnessScore || 0) - (a.fitnessScore || 0))
+            .slice(0, survivorCount);
+
+        // Remove all but the fittest - the rest die like any other cell, leaving their nutrients behind
+        const spared = new Set(survivors);
+        this.simulation.cells.forEach(cell => {
+            if (!spared.has(cell)) this.simulation.recordDeath(cell, 'god');
+        });
+        this.simulation.cells = survivors;
+
+        // Add environmental damage
+        this.simulation.environment.toxicity = 0.8;
+        this.simulation.environment.radiation = 0.6;
+    }
+
+    mutationBoost() {
+        console.log('🧬 God boosted mutations!');
+
+        // Temporarily increase the mutation rate - the simulation drops the boost once its tick has passed
+        this.simulation.mutationBoost = {
+            rate: BOOSTED_MUTATION_RATE,
+            endTick: this.simulation.tick + MUTATION_BOOST_TICKS
+        };
+
+        // Trigger mutations in all cells
+        this.simulation.cells.forEach(cell => {
+            if (random() < 0.5) {
+                // mutate() returns a child's trait set - keep the trait values, genes and brain, not the lineage data
+                const mutated = cell.mutate(BOOSTED_MUTATION_RATE);
+                Object.keys(cell.traits).forEach(trait => {
+                    cell.traits[trait] = mutated[trait];
+                });
+                cell.dna = mutated.dna;
+                if (mutated.brain) cell.brain = mutated.brain;
+            }
+        });
+    }
+
+    createSuperCell(clickPosition = null) {
+        const position = clickPosition || this.getRandomPosition();
+        console.log('💫 God created a super cell!');
+
+        // Create cell with amazing traits
+        const superTraits = {
+            size: 18,
+            speed: 3.0,
+            maxHealth: 200,
+            health: 200,
+            maxEnergy: 150,
+            energy: 150,
+            defenseType: 'shield',
+            shape: 'star',
+            specialAbility: 'fusion',
+            socialBehavior: 'cooperative',
+            temperatureTolerance: 0.9,
+            toxinResistance: 0.8,
+            radiationResistance: 0.7,
+            visionRange: 120,
+            generation: this.simulation.generation + 10,
+            fitnessBonus: 5.0
+        };
+
+        const superCell = new Cell(position.x, position.y, superTraits);
+        superCell.name = "🌟 Divine Creation";
+        superCell.colonyRole = 'builder';
+        this.simulation.cells.push(superCell);
+    }
+
+    // Hand-built organisms from the cell designer (options: { design, count, spread })
+    spawnDesign(clickPosition, options) {
+        CellDesign.spawn(this.simulation, clickPosition || this.getRandomPosition(), options);
+    }
+
+    // Level editing - a brush stroke (options: see Brushes.validate)
+    paint(position, options) {
+        Brushes.paint(this.simulation, options);
+    }
+
+    getRandomPosition() {
+        return {
+            x: 100 + random() * (this.simulation.width - 200),
+            y: 100 + random() * (this.simulation.height - 200)
+        };
+    }
+}
+
+export { GodPowers };
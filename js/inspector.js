@@ -0,0 +1,278 @@
+// Cell inspector - click a cell or virus on the canvas to see its traits, genes, family and fitness
+
+// Pixels the mouse may move between press and release and still count as a click (not a camera drag)
+const CLICK_TOLERANCE = 5;
+
+// World distance beyond a cell's edge that still selects it
+const PICK_MARGIN = 15;
+
+// The panel is rebuilt at most this often - frames arrive at 60/s
+const REFRESH_INTERVAL = 250;
+
+class CellInspector {
+    constructor(simulation, camera, director) {
+        this.simulation = simulation;
+        this.camera = camera;
+        this.director = director;
+        this.selectedId = null;
+        this.openGroups = new Set(['Basic Physical']); // Trait groups the user expanded
+        this.lastRefresh = 0;
+        this.shown = null; // Inspection currently in the panel
+
+        this.panel = document.getElementById('cellInspector');
+        this.body = document.getElementById('inspectorBody');
+        this.followToggle = document.getElementById('inspectorFollow');
+
+        this.initializeControls();
+        this.initializeCanvas();
+    }
+
+    initializeControls() {
+        document.getElementById('inspectorClose')?.addEventListener('click', () => this.clear());
+        this.followToggle?.addEventListener('change', (e) => {
+            if (e.target.checked) {
+                this.director.setAuto(false);
+                this.director.follow({ kind: this.shown?.isVirus ? 'virus' : 'cell', id: this.selectedId });
+            } else {
+                this.director.stop();
+            }
+        });
+
+        // Buttons inside the panel are rebuilt with it - delegate their clicks
+        this.body?.addEventListener('click', (e) => {
+            const colonyId = e.target.dataset?.followColony;
+            if (!colonyId) return;
+            this.director.setAuto(false);
+            this.director.follow({ kind: 'colony', id: colonyId });
+        });
+
+        // A followed cell that died or split hands over to its successor - keep the panel on it
+        this.director.onChange = (current) => {
+            if (this.selectedId && this.followToggle?.checked && current.kind !== 'colony' && current.id !== this.selectedId) {
+                this.select(current.id);
+            }
+        };
+
+        // <details> toggles don't bubble - listen in the capture phase so rebuilds keep groups open
+        this.body?.addEventListener('toggle', (e) => {
+            const group = e.target.dataset.group;
+            if (!group) return;
+            if (e.target.open) {
+                this.openGroups.add(group);
+            } else {
+                this.openGroups.delete(group);
+            }
+        }, true);
+
+        document.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape' && this.selectedId) this.clear();
+        });
+    }
+
+    initializeCanvas() {
+        const canvas = document.getElementById('gameCanvas');
+        if (!canvas) return;
+
+        let pressed = null;
+        canvas.addEventListener('mousedown', (e) => {
+            pressed = { x: e.clientX, y: e.clientY };
+        });
+        canvas.addEventListener('click', (e) => {
+            if (pressed && Math.hypot(e.clientX - pressed.x, e.clientY - pressed.y) > CLICK_TOLERANCE) return;
+
+            const rect = canvas.getBoundingClientRect();
+            const point = this.camera.screenToWorld(e.clientX - rect.left, e.clientY - rect.top);
+            this.selectAt(point.x, point.y);
+        });
+    }
+
+    selectAt(x, y) {
+        const entity = this.simulation.frame?.findNearest(x, y, PICK_MARGIN);
+        if (entity) this.select(entity.id);
+    }
+
+    select(id) {
+        this.selectedId = id;
+        this.simulation.selectCell(id);
+        this.panel.hidden = false;
+        this.lastRefresh = 0;
+        this.shown = null;
+        this.update();
+    }
+
+    clear() {
+        if (this.selectedId && this.director.isFollowing(this.selectedId)) this.director.stop();
+        this.selectedId = null;
+        if (this.followToggle) this.followToggle.checked = false;
+        this.simulation.selectCell(null);
+        this.panel.hidden = true;
+    }
+
+    // Selection ring, drawn in world space
+    renderSelection(ctx) {
+        if (!this.selectedId) return;
+        const entity = this.simulation.frame?.find(this.selectedId);
+        if (!entity) return;
+
+        ctx.save();
+        ctx.strokeStyle = 'rgba(255, 255, 255, 0.9)';
+        ctx.lineWidth = 2 / this.camera.zoom;
+        ctx.setLineDash([6 / this.camera.zoom, 4 / this.camera.zoom]);
+        ctx.beginPath();
+        ctx.arc(entity.x, entity.y, entity.radius + 8, 0, Math.PI * 2);
+        ctx.stroke();
+        ctx.restore();
+    }
+
+    // Rebuild the panel from the latest inspection the simulation sent (called every rendered frame)
+    update() {
+        if (!this.selectedId || !this.body) return;
+        if (this.followToggle) this.followToggle.checked = this.director.isFollowing(this.selectedId);
+
+        const inspection = this.simulation.inspection;
+        const now = Date.now();
+        if (inspection === this.shown && this.lastRefresh > 0) return;
+        if (this.shown && now - this.lastRefresh < REFRESH_INTERVAL) return;
+        this.lastRefresh = now;
+        this.shown = inspection;
+
+        if (!inspection || inspection.id !== this.selectedId) {
+            this.shown = null;
+            this.body.innerHTML = '<p class="inspector-note">Waiting for the simulation…</p>';
+            return;
+        }
+
+        if (!inspection.alive) {
+            const cause = inspection.deathCause ? ` (${inspection.deathCause.replace(/_/g, ' ')})` : '';
+            const when = inspection.deathTick !== null && inspection.deathTick !== undefined ? ` at tick ${inspection.deathTick}` : '';
+            this.body.innerHTML = `<h4>${inspection.name}</h4><p class="inspector-note">🪦 Died${when}${cause}</p>`;
+            return;
+        }
+
+        this.body.innerHTML = [
+            this.renderSummary(inspection),
+            this.renderFamily(inspection),
+            this.renderFitness(inspection.fitness),
+            this.renderDNA(inspection.dna),
+            this.renderBrain(inspection.brain),
+            this.renderSection('Surroundings', inspection.surroundings, 'surroundings'),
+            this.renderSection('Defense States', inspection.defenseStates, 'defenseStates'),
+            ...Object.entries(inspection.traits).map(([group, traits]) => this.renderSection(group, traits, group))
+        ].join('');
+    }
+
+    renderSummary(inspection) {
+        const infection = inspection.infection;
+        const infectionText = infection.infected ?
+            `🤒 Infected${infection.by ? ` by ${infection.by}` : ''} - severity ${infection.severity.toFixed(2)}, ${Math.round(infection.timer)} ticks left` :
+            '✅ Healthy';
+        const colony = inspection.colony ?
+            `${inspection.colony.founder ? 'Founder of' : 'Member of'} ${inspection.colony.id} (${inspection.colony.size} cells)
+             <button class="inspector-link" data-follow-colony="${inspection.colony.id}" title="Follow the colony center">🎥</button>` :
+            'No colony';
+        const species = inspection.species ?
+            `<span style="color: ${inspection.species.color}">${inspection.species.name}</span>` : '-';
+
+        return `
+            <h4 style="color: ${inspection.color}">${inspection.isVirus ? '🦠' : '🧫'} ${inspection.name}</h4>
+            <div class="inspector-grid">
+                <span>Species</span><span>${species}</span>
+                <span>Generation</span><span>${inspection.generation}</span>
+                <span>Age</span><span>${Math.round(inspection.age)} ticks</span>
+                <span>State</span><span>${inspection.emotionalState}</span>
+                <span>Colony role</span><span>${inspection.colonyRole}</span>
+                <span>Colony</span><span>${colony}</span>
+                <span>Infection</span><span>${infectionText}</span>
+            </div>
+        `;
+    }
+
+    renderFamily(inspection) {
+        const relative = (entry) => entry ?
+            `${entry.name}${entry.alive ? '' : ' 🪦'}` : '- (spawned)';
+
+        return `
+            <h5>👪 Family</h5>
+            <div class="inspector-grid">
+                <span>Parent</span><span>${relative(inspection.parent)}</span>
+                ${inspection.coParent ? `<span>Co-parent</span><span>${relative(inspection.coParent)}</span>` : ''}
+                <span>Offspring</span><span>${inspection.offspring}</span>
+                <span>Mutations</span><span>${inspection.mutations} at birth</span>
+            </div>
+        `;
+    }
+
+    renderFitness(fitness) {
+        const entries = Object.entries(fitness.breakdown).filter(([, value]) => Math.abs(value) >= 0.5);
+        if (entries.length === 0) return '';
+
+        const largest = Math.max(...entries.map(([, value]) => Math.abs(value)));
+        const rows = entries
+            .sort((a, b) => b[1] - a[1])
+            .map(([category, value]) => `
+                <div class="inspector-bar">
+                    <span>${formatLabel(category)}</span>
+                    <div class="bar"><div class="fill fitness${value < 0 ? ' negative' : ''}" style="width: ${(Math.abs(value) / largest) * 100}%"></div></div>
+                    <span>${Math.round(value)}</span>
+                </div>
+            `).join('');
+
+        return `<h5>🏆 Fitness ${Math.round(fitness.total)}</h5>${rows}`;
+    }
+
+    renderDNA(dna) {
+        const rows = Object.entries(dna).map(([gene, value]) => `
+            <div class="inspector-bar">
+                <span>${gene}</span>
+                <div class="bar"><div class="fill dna" style="width: ${(value / 255) * 100}%"></div></div>
+                <span>${value}</span>
+            </div>
+        `).join('');
+
+        return `<h5>🧬 DNA</h5>${rows}`;
+    }
+
+    // Latest intents of the cell's neural network (brain mode), -1..1 - the actions fire above 0
+    renderBrain(brain) {
+        if (!brain) return '';
+        if (!brain.intent) return `<h5>🧠 Brain</h5><p class="inspector-note">${brain.weights} weights - idle while cells follow the rules</p>`;
+
+        const rows = Object.entries(brain.intent).map(([output, value]) => `
+            <div class="inspector-bar">
+                <span>${formatLabel(output)}</span>
+                <div class="bar"><div class="fill brain${value < 0 ? ' negative' : ''}" style="width: ${Math.abs(value) * 100}%"></div></div>
+                <span>${value.toFixed(2)}</span>
+            </div>
+        `).join('');
+
+        return `<h5>🧠 Brain (${brain.weights} weights)</h5>${rows}`;
+    }
+
+    renderSection(title, values, group) {
+        const rows = Object.entries(values).map(([name, value]) =>
+            `<span>${formatLabel(name)}</span><span>${formatValue(value)}</span>`
+        ).join('');
+
+        return `
+            <details data-group="${group}" ${this.openGroups.has(group) ? 'open' : ''}>
+                <summary>${title}</summary>
+                <div class="inspector-grid">${rows}</div>
+            </details>
+        `;
+    }
+}
+
+// camelCase -> "camel Case"
+function formatLabel(name) {
+    return name.replace(/([a-z])([A-Z])/g, '$1 $2').replace(/_/g, ' ');
+}
+
+function formatValue(value) {
+    if (typeof value === 'number') {
+        return Number.isInteger(value) || Math.abs(value) >= 100 ? Math.round(value) : value.toFixed(2);
+    }
+    if (value === null || value === undefined) return '-';
+    return String(value);
+}
+
+export { CellInspector };
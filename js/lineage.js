@@ -0,0 +1,250 @@
+// Lineage registry - one compact record per cell ever born, for family trees and phylogeny export
+
+const LINEAGE_FORMAT = 'cells-dominion-lineage';
+
+// Characters with a meaning in Newick (and spaces) can't appear in unquoted labels
+const NEWICK_UNSAFE = /[^A-Za-z0-9_.\-]/g;
+
+class LineageRegistry {
+    constructor() {
+        this.nodes = new Map(); // cell id -> lineage node
+        this.living = 0;
+        this.pruned = 0; // Nodes dropped with extinct branches
+    }
+
+    // Called once per tick: registers cells born (or spawned) since the last tick
+    update(cells, tick) {
+        cells.forEach(cell => {
+            if (!this.nodes.has(cell.id)) this.recordBirth(cell, tick);
+        });
+    }
+
+    recordBirth(cell, tick) {
+        const node = {
+            id: cell.id,
+            name: cell.name,
+            parentId: cell.parentId,
+            coParentId: cell.coParentId || null, // Second parent of a sexual birth
+            generation: cell.generation,
+            defenseType: cell.traits.defenseType,
+            birthTick: tick,
+            deathTick: null,
+            deathCause: null,
+            offspring: 0, // Children ever born, kept when their branches are pruned
+            mutations: (cell.mutations || []).map(mutation => ({
+                ...mutation,
+                oldValue: roundValue(mutation.oldValue),
+                newValue: roundValue(mutation.newValue)
+            })),
+            childIds: []
+        };
+
+        this.nodes.set(node.id, node);
+        this.living++;
+
+        const parent = this.nodes.get(node.parentId);
+        if (parent) {
+            parent.childIds.push(node.id);
+            parent.offspring = (parent.offspring || 0) + 1;
+        }
+        const coParent = this.nodes.get(node.coParentId);
+        if (coParent) coParent.offspring = (coParent.offspring || 0) + 1;
+    }
+
+    recordDeath(cell, tick, cause) {
+        const node = this.nodes.get(cell.id);
+        if (!node || node.deathTick !== null) return;
+
+        node.deathTick = tick;
+        node.deathCause = cause;
+        this.living--;
+    }
+
+    // A cell that was counted dead is back in the world (god-mode undo)
+    undoDeath(cell) {
+        const node = this.nodes.get(cell.id);
+        if (!node || node.deathTick === null) return;
+
+        node.deathTick = null;
+        node.deathCause = null;
+        this.living++;
+    }
+
+    // Cells that left the world without a recorded death (tournament rounds, undone god-mode spawns) count as removed
+    markMissing(cells, tick) {
+        const alive = new Set(cells.map(cell => cell.id));
+        this.nodes.forEach(node => {
+            if (node.deathTick === null && !alive.has(node.id)) {
+                node.deathTick = tick;
+                node.deathCause = 'removed';
+                this.living--;
+            }
+        });
+    }
+
+    // Drop every branch with no living cell left in it. Dead ancestors of living cells stay
+    pruneExtinct() {
+        let removed = 0;
+
+        Array.from(this.nodes.values()).forEach(leaf => {
+            let node = leaf;
+            while (node && node.deathTick !== null && node.childIds.length === 0 && this.nodes.has(node.id)) {
+                this.nodes.delete(node.id);
+                removed++;
+
+                const parent = this.nodes.get(node.parentId);
+                if (parent) parent.childIds = parent.childIds.filter(id => id !== node.id);
+                node = parent;
+            }
+        });
+
+        this.pruned += removed;
+        return removed;
+    }
+
+    get(id) {
+        return this.nodes.get(id) || null;
+    }
+
+    childrenOf(node) {
+        return node.childIds.map(id => this.nodes.get(id)).filter(Boolean);
+    }
+
+    // Cells spawned from nothing, or whose ancestors were pruned
+    roots() {
+        return Array.from(this.nodes.values()).filter(node => !this.nodes.has(node.parentId));
+    }
+
+    // Closest living relative of a (dead) cell: its descendants first, nearest generation first, then the
+    // families of ever more distant ancestors (parent, siblings, cousins, ...)
+    closestLivingRelative(id, isLiving) {
+        let node = this.nodes.get(id);
+        let searched = null; // Branch already covered by the previous round
+        let relation = 'offspring';
+
+        while (node) {
+            const queue = [node];
+            while (queue.length > 0) {
+                const current = queue.shift();
+                if (current.id !== id && isLiving(current.id)) return { id: current.id, relation };
+                this.childrenOf(current).forEach(child => {
+                    if (child.id !== searched) queue.push(child);
+                });
+            }
+
+            searched = node.id;
+            relation = 'kin';
+            node = this.nodes.get(node.parentId);
+        }
+
+        return null;
+    }
+
+    // Branch length is the parent's age when the child was born, in ticks
+    branchLength(node) {
+        const parent = this.nodes.get(node.parentId);
+        return parent ? node.birthTick - parent.birthTick : 0;
+    }
+
+    // Standard Newick text - one tree per root, joined under an unnamed root when there are several
+    toNewick() {
+        const roots = this.roots();
+        if (roots.length === 0) return ';';
+
+        // Post-order walk with an explicit stack - lineages can be thousands of generations deep
+        const subtrees = new Map();
+        const stack = roots.map(node => ({ node, expanded: false })).reverse();
+
+        while (stack.length > 0) {
+            const entry = stack[stack.length - 1];
+            const children = this.childrenOf(entry.node);
+
+            if (!entry.expanded) {
+                entry.expanded = true;
+                for (let i = children.length - 1; i >= 0; i--) {
+                    stack.push({ node: children[i], expanded: false });
+                }
+                continue;
+            }
+
+            stack.pop();
+            const inner = children.length > 0 ?
+                `(${children.map(child => subtrees.get(child.id)).join(',')})` : '';
+            children.forEach(child => subtrees.delete(child.id));
+            subtrees.set(entry.node.id, `${inner}${newickLabel(entry.node)}:${this.branchLength(entry.node)}`);
+        }
+
+        const trees = roots.map(root => subtrees.get(root.id));
+        return `${trees.length === 1 ? trees[0] : `(${trees.join(',')})`};`;
+    }
+
+    // Nested JSON tree with the full birth/death records
+    toTree(tick = null) {
+        const copies = new Map();
+        this.nodes.forEach((node, id) => {
+            const { childIds, ...record } = node;
+            copies.set(id, { ...record, children: [] });
+        });
+
+        const roots = [];
+        this.nodes.forEach((node, id) => {
+            const parent = copies.get(node.parentId);
+            if (parent) {
+                parent.children.push(copies.get(id));
+            } else {
+                roots.push(copies.get(id));
+            }
+        });
+
+        return {
+            format: LINEAGE_FORMAT,
+            tick,
+            living: this.living,
+            pruned: this.pruned,
+            roots
+        };
+    }
+
+    getStats() {
+        return {
+            tracked: this.nodes.size,
+            living: this.living,
+            pruned: this.pruned
+        };
+    }
+
+    // Snapshot support - child links are rebuilt from the parent ids
+    serialize() {
+        return {
+            pruned: this.pruned,
+            nodes: Array.from(this.nodes.values(), ({ childIds, ...record }) => record)
+        };
+    }
+
+    static restore(data) {
+        const registry = new LineageRegistry();
+        if (!data) return registry;
+
+        registry.pruned = data.pruned || 0;
+        data.nodes.forEach(record => {
+            registry.nodes.set(record.id, { ...record, childIds: [] });
+            if (record.deathTick === null) registry.living++;
+        });
+        registry.nodes.forEach(node => {
+            const parent = registry.nodes.get(node.parentId);
+            if (parent) parent.childIds.push(node.id);
+        });
+
+        return registry;
+    }
+}
+
+function roundValue(value) {
+    return typeof value === 'number' ? Math.round(value * 1000) / 1000 : value;
+}
+
+function newickLabel(node) {
+    return `${node.name}_${node.id}`.replace(NEWICK_UNSAFE, '_');
+}
+
+export { LineageRegistry };
@@ -1,8 +1,15 @@
 // Main game controller
-import { Simulation } from './simulation.js';
+import { SimulationClient } from './simulationClient.js';
 import { UIManager } from './ui.js';
 import { Camera } from './camera.js';
 import { GodMode } from './godmode.js';
+import { CellDesigner } from './designer.js';
+import { CellInspector } from './inspector.js';
+import { CameraDirector } from './director.js';
+import { Minimap } from './minimap.js';
+import { ReplayTimeline } from './timeline.js';
+import { Scenario } from './scenario.js';
+import { downloadFile } from './download.js';
 
 class CellDefenseSimulator {
     constructor() {
@@ -15,8 +22,9 @@ class CellDefenseSimulator {
         console.log('Context:', this.ctx);
 
         // World and camera settings
-        this.worldWidth = 4000; // Large world size
+        this.worldWidth = 4000; // Default world size - the current one (scenarios, replays, loaded saves) lives on the camera
         this.worldHeight = 3000;
+        this.scenarios = new Map(); // Scenario select value -> loaded scenario file
 
         // Generate starfield for space background
         this.stars = this.generateStarfield(800); // 800 stars across the world
@@ -35,9 +43,10 @@ class CellDefenseSimulator {
             this.camera.centerOn(this.worldWidth / 2, this.worldHeight / 2); // Start centered
             console.log('✅ Camera created');
 
-            // Initialize systems
+            // Initialize systems - the simulation itself runs in a Web Worker
             console.log('📦 Creating Simulation...');
-            this.simulation = new Simulation(this.worldWidth, this.worldHeight);
+            this.simulation = new SimulationClient(this.worldWidth, this.worldHeight);
+            this.lastFrameVersion = 0;
             console.log('✅ Simulation created');
 
             console.log('📦 Creating UIManager...');
@@ -45,8 +54,14 @@ class CellDefenseSimulator {
             console.log('✅ UIManager created');
 
             console.log('🌟 Creating GodMode...');
-            this.godMode = new GodMode(this.simulation);
+            this.godMode = new GodMode(this.simulation, this.camera);
             console.log('✅ GodMode created');
+            this.designer = new CellDesigner(this.simulation, this.godMode);
+
+            this.director = new CameraDirector(this.simulation, this.camera);
+            this.inspector = new CellInspector(this.simulation, this.camera, this.director);
+            this.minimap = new Minimap(this.simulation, this.camera, this.director);
+            this.timeline = new ReplayTimeline(this.simulation);
 
             this.init();
         } catch (error) {
@@ -113,12 +128,71 @@ class CellDefenseSimulator {
         // Step simulation button
         document.getElementById('stepSimulation').addEventListener('click', () => {
             if (!this.isRunning) {
-                this.simulation.update();
-                this.render();
-                this.ui.updateStats(this.simulation.getStats());
+                this.simulation.step(); // Stats and render refresh when the frame arrives
             }
         });
 
+        // Tournament mode
+        document.getElementById('startTournament').addEventListener('click', () => {
+            this.startTournament();
+        });
+
+        // World snapshot save/load
+        document.getElementById('saveWorld').addEventListener('click', () => {
+            this.saveWorld();
+        });
+
+        // Phylogeny export
+        document.getElementById('exportNewick').addEventListener('click', () => {
+            this.exportLineage('newick');
+        });
+        document.getElementById('exportLineageJson').addEventListener('click', () => {
+            this.exportLineage('json');
+        });
+
+        // Run data export
+        document.getElementById('exportRunCsv').addEventListener('click', () => {
+            this.exportRunData('csv');
+        });
+        document.getElementById('exportEventsCsv').addEventListener('click', () => {
+            this.exportRunData('events-csv');
+        });
+        document.getElementById('exportRunJson').addEventListener('click', () => {
+            this.exportRunData('json');
+        });
+
+        // Replay recordings
+        document.getElementById('saveReplay').addEventListener('click', () => {
+            this.saveReplay();
+        });
+        const replayInput = document.getElementById('loadReplayFile');
+        document.getElementById('loadReplay').addEventListener('click', () => {
+            replayInput.value = '';
+            replayInput.click();
+        });
+        replayInput.addEventListener('change', (e) => {
+            if (e.target.files[0]) this.loadReplay(e.target.files[0]);
+        });
+
+        const scenarioInput = document.getElementById('loadScenarioFile');
+        document.getElementById('loadScenario').addEventListener('click', () => {
+            scenarioInput.value = '';
+            scenarioInput.click();
+        });
+        scenarioInput.addEventListener('change', (e) => {
+            if (e.target.files[0]) this.loadScenario(e.target.files[0]);
+        });
+
+        const loadInput = document.getElementById('loadWorldFile');
+        document.getElementById('loadWorld').addEventListener('click', () => {
+            loadInput.value = ''; // Allow loading the same file twice
+            loadInput.click();
+        });
+        loadInput.addEventListener('change', (e) => {
+            const file = e.target.files[0];
+            if (file) this.loadWorld(file);
+        });
+
         // Enhanced settings sliders with real-time display updates
         this.setupSliderControls();
 
@@ -135,9 +209,9 @@ class CellDefenseSimulator {
                 slider.addEventListener('input', (e) => {
                     const value = parseFloat(e.target.value);
                     if (isNested && parentProperty) {
-                        this.simulation.settings[parentProperty][property] = value;
+                        this.simulation.setSetting(parentProperty, { ...this.simulation.settings[parentProperty], [property]: value });
                     } else {
-                        this.simulation.settings[property] = value;
+                        this.simulation.setSetting(property, value);
                     }
                     valueSpan.textContent = formatter ? formatter(value) : value;
                 });
@@ -165,6 +239,25 @@ class CellDefenseSimulator {
         setupSlider('birthRate', 'reproductionRate', false, null, (v) => v.toFixed(1));
         setupSlider('mitosisCooldown', 'mitosisCooldown');
         setupSlider('energyThreshold', 'energyThreshold', false, null, (v) => v.toFixed(2));
+        setupSlider('mateCompatibility', 'mateCompatibility', false, null, (v) => v.toFixed(2));
+
+        // Mitosis vs. mating with genetic crossover
+        const reproductionMode = document.getElementById('reproductionMode');
+        if (reproductionMode) {
+            reproductionMode.value = this.simulation.settings.reproductionMode;
+            reproductionMode.addEventListener('change', (e) => {
+                this.simulation.setSetting('reproductionMode', e.target.value);
+            });
+        }
+
+        // Hand-coded decision rules vs. each cell's evolving neural network
+        const decisionMode = document.getElementById('decisionMode');
+        if (decisionMode) {
+            decisionMode.value = this.simulation.settings.decisionMode;
+            decisionMode.addEventListener('change', (e) => {
+                this.simulation.setSetting('decisionMode', e.target.value);
+            });
+        }
 
         // Disease Controls
         setupSlider('virusSpawnRate', 'virusSpawnRate', false, null, (v) => v.toFixed(3));
@@ -212,7 +305,7 @@ class CellDefenseSimulator {
         if (panRight) panRight.addEventListener('click', () => this.camera.pan(this.camera.panSpeed, 0));
         if (panCenter) {
             panCenter.addEventListener('click', () => {
-                this.camera.centerOn(this.worldWidth / 2, this.worldHeight / 2);
+                this.camera.centerOn(this.camera.worldWidth / 2, this.camera.worldHeight / 2);
             });
         }
 
@@ -276,7 +369,7 @@ class CellDefenseSimulator {
                     break;
                 case 'c':
                 case 'C':
-                    this.camera.centerOn(this.worldWidth / 2, this.worldHeight / 2);
+                    this.camera.centerOn(this.camera.worldWidth / 2, this.camera.worldHeight / 2);
                     e.preventDefault();
                     break;
             }
@@ -294,41 +387,176 @@ class CellDefenseSimulator {
         console.log('🏁 Starting tournament mode!');
         this.simulation.startTournament(10); // 10 rounds
         this.isRunning = true;
+        this.simulation.setRunning(true);
         document.getElementById('playPause').textContent = '⏸️ Pause';
     }
 
     togglePlayPause() {
         this.isRunning = !this.isRunning;
+        this.simulation.setRunning(this.isRunning);
         const button = document.getElementById('playPause');
         button.textContent = this.isRunning ? '⏸️ Pause' : '▶️ Play';
     }
 
-    resetSimulation() {
+    async saveWorld() {
+        const snapshot = await this.simulation.saveState();
+        downloadFile(`world-seed${snapshot.random.seed}-tick${snapshot.simulation.tick}.json`, JSON.stringify(snapshot));
+
+        console.log(`💾 World saved at tick ${snapshot.simulation.tick}`);
+    }
+
+    async exportLineage(format) {
+        const lineage = await this.simulation.exportLineage(format);
+        const stats = this.simulation.getStats() || {};
+        const json = format === 'json';
+        downloadFile(`lineage-seed${stats.seed}-tick${stats.tick}.${json ? 'json' : 'nwk'}`,
+            json ? JSON.stringify(lineage) : lineage, json ? 'application/json' : 'text/plain');
+
+        console.log(`🌳 Lineage exported as ${format}`);
+    }
+
+    async exportRunData(format) {
+        const data = await this.simulation.exportRunData(format);
+        const stats = this.simulation.getStats() || {};
+        const json = format === 'json';
+        const name = format === 'events-csv' ? 'events' : 'run';
+        downloadFile(`${name}-seed${stats.seed}-tick${stats.tick}.${json ? 'json' : 'csv'}`,
+            json ? JSON.stringify(data) : data, json ? 'application/json' : 'text/csv');
+
+        console.log(`📈 Run data exported as ${format}`);
+    }
+
+    async saveReplay() {
+        const recording = await this.simulation.exportReplay();
+        downloadFile(`replay-seed${recording.seed}-tick${recording.endTick}.json`, JSON.stringify(recording));
+
+        console.log(`🎞️ Replay saved (ticks ${recording.startTick}-${recording.endTick}, ${recording.commands.length} commands)`);
+    }
+
+    async loadReplay(file) {
+        try {
+            const recording = JSON.parse(await file.text());
+            this.simulation.startReplay(recording);
+
+            this.camera.worldWidth = recording.width;
+            this.camera.worldHeight = recording.height;
+            this.camera.centerOn(recording.width / 2, recording.height / 2);
+
+            this.ui.reset();
+            this.inspector.clear();
+            this.director.reset();
+        } catch (error) {
+            console.error('❌ Could not load replay:', error);
+            alert(`Could not load replay: ${error.message}`);
+        }
+    }
+
+    async loadWorld(file) {
+        try {
+            const text = await file.text();
+            await this.simulation.loadState(text);
+
+            // Snapshots may come from a different world size (e.g. headless runs)
+            this.camera.worldWidth = this.simulation.width;
+            this.camera.worldHeight = this.simulation.height;
+            this.camera.centerOn(this.simulation.width / 2, this.simulation.height / 2);
+
+            this.ui.reset();
+            this.inspector.clear();
+            this.director.reset();
+        } catch (error) {
+            console.error('❌ Could not load world:', error);
+            alert(`Could not load world: ${error.message}`);
+        }
+    }
+
+    // Scenario files picked with Load Scenario join the built-in ones in the Scenario select
+    async loadScenario(file) {
+        try {
+            const scenario = JSON.parse(await file.text());
+            Scenario.validate(scenario);
+
+            const key = `file:${file.name}`;
+            this.scenarios.set(key, scenario);
+            const select = document.getElementById('scenarioSelect');
+            if (!Array.from(select.options).some(option => option.value === key)) {
+                select.add(new Option(`📄 ${scenario.name || file.name}`, key));
+            }
+            select.value = key;
+
+            await this.resetSimulation();
+        } catch (error) {
+            console.error('❌ Could not load scenario:', error);
+            alert(`Could not load scenario: ${error.message}`);
+        }
+    }
+
+    // The scenario chosen in the Scenario select (null = random world). Built-in ones are fetched on first use
+    async selectedScenario() {
+        const key = document.getElementById('scenarioSelect')?.value;
+        if (!key) return null;
+
+        if (!this.scenarios.has(key)) {
+            const response = await fetch(new URL(`../scenarios/${key}`, import.meta.url));
+            if (!response.ok) throw new Error(`${key}: ${response.status} ${response.statusText}`);
+            this.scenarios.set(key, await response.json());
+        }
+        return this.scenarios.get(key);
+    }
+
+    async resetSimulation() {
         console.log('🔄 Resetting simulation...');
 
+        let scenario = null;
+        try {
+            scenario = await this.selectedScenario();
+        } catch (error) {
+            console.error('❌ Could not load scenario:', error);
+            alert(`Could not load scenario: ${error.message}`);
+            return;
+        }
+
         // Get current settings from UI
         const cellCount = parseInt(document.getElementById('cellCount').value);
         const foodSpawnRate = parseFloat(document.getElementById('foodSpawnRate').value);
         const mutationRate = parseFloat(document.getElementById('mutationRate').value);
         const simSpeed = parseFloat(document.getElementById('simSpeed').value);
+        const seedInput = document.getElementById('seedInput');
+        const seed = seedInput && seedInput.value.trim() !== '' ? seedInput.value.trim() : null;
+
+        // Reset simulation with new settings (blank seed = random run, or the scenario's seed).
+        // A scenario brings its own settings - only the speed slider applies on top
+        if (scenario) {
+            this.simulation.reset({ simulationSpeed: simSpeed }, seed, scenario);
+        } else {
+            this.simulation.reset({
+                initialCells: cellCount,
+                foodSpawnRate: foodSpawnRate,
+                mutationRate: mutationRate,
+                simulationSpeed: simSpeed
+            }, seed);
+        }
 
-        // Reset simulation with new settings
-        this.simulation.reset({
-            initialCells: cellCount,
-            foodSpawnRate: foodSpawnRate,
-            mutationRate: mutationRate,
-            simulationSpeed: simSpeed
-        });
+        // Scenarios may use a different world size
+        const width = scenario?.world?.width || this.worldWidth;
+        const height = scenario?.world?.height || this.worldHeight;
+        if (this.camera.worldWidth !== width || this.camera.worldHeight !== height) {
+            this.camera.worldWidth = width;
+            this.camera.worldHeight = height;
+            this.camera.centerOn(width / 2, height / 2);
+        }
 
         // Clear canvas
         this.ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
 
-        // Update UI
+        // Update UI (stats refresh when the first frame of the new run arrives)
         this.ui.reset();
-        this.ui.updateStats(this.simulation.getStats());
+        this.inspector.clear();
+        this.director.reset();
 
         // Ensure we're in play mode
         this.isRunning = true;
+        this.simulation.setRunning(true);
         document.getElementById('playPause').textContent = '⏸️ Pause';
     }
 
@@ -336,15 +564,16 @@ class CellDefenseSimulator {
         const deltaTime = currentTime - this.lastTime;
 
         if (deltaTime >= this.frameInterval) {
-            if (this.isRunning) {
-                // Update simulation
-                this.simulation.update();
-
-                // Update UI stats
-                this.ui.updateStats(this.simulation.getStats());
+            // The worker advances the simulation - refresh the UI whenever a new frame arrived
+            if (this.simulation.frameVersion !== this.lastFrameVersion && this.simulation.getStats()) {
+                this.lastFrameVersion = this.simulation.frameVersion;
+                this.ui.updateStats(this.simulation.getStats(), this.simulation.takeComposition());
+                this.timeline.update();
             }
 
             // Always render (even when paused)
+            this.inspector.update();
+            this.godMode.update();
             this.render();
 
             this.lastTime = currentTime;
@@ -356,10 +585,13 @@ class CellDefenseSimulator {
     render() {
         try {
             // Update camera
+            this.director.update();
             this.camera.update();
+            this.simulation.setViewport(this.camera.viewBounds());
 
             // Clear canvas
             this.ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
+            this.drawSky();
 
             // Apply camera transformation
             this.camera.applyTransform(this.ctx);
@@ -369,6 +601,8 @@ class CellDefenseSimulator {
 
             // Render simulation with camera-aware rendering
             this.simulation.render(this.ctx, this.camera);
+            this.inspector.renderSelection(this.ctx);
+            this.godMode.renderBrush(this.ctx);
 
             // Remove camera transformation
             this.camera.removeTransform(this.ctx);
@@ -376,6 +610,8 @@ class CellDefenseSimulator {
             // Draw UI overlay info (always on top, not affected by camera)
             this.drawOverlay();
             this.drawCameraInfo();
+            this.director.renderCaption(this.ctx);
+            this.minimap.update();
         } catch (error) {
             console.error('❌ Render error:', error);
             // Draw error on canvas
@@ -400,7 +636,52 @@ class CellDefenseSimulator {
         return stars;
     }
 
+    // The sky over the canvas background follows the world's day/night cycle: a blue haze by day, a warm glow on
+    // the horizon the sun is rising from (east) or setting toward (west), and clear darkness at night
+    drawSky() {
+        const sky = this.simulation.frame?.environment.sky;
+        if (!sky) return;
+
+        const { width, height } = this.canvas;
+        const day = this.dayness(sky);
+        if (day > 0) {
+            this.ctx.fillStyle = `rgba(90, 150, 210, ${day * 0.2})`;
+            this.ctx.fillRect(0, 0, width, height);
+        }
+
+        // Twilight glow - strongest with the sun on the horizon
+        const sunHeight = Math.sin((sky.timeOfDay - 0.25) * Math.PI * 2);
+        const glow = Math.max(0, 1 - Math.abs(sunHeight) / 0.35);
+        if (glow > 0) {
+            const dawn = sky.timeOfDay < 0.5;
+            const color = dawn ? '255, 160, 90' : '230, 80, 120';
+            const gradient = dawn ?
+                this.ctx.createLinearGradient(width, height, width * 0.3, 0) :
+                this.ctx.createLinearGradient(0, height, width * 0.7, 0);
+            gradient.addColorStop(0, `rgba(${color}, ${glow * 0.4})`);
+            gradient.addColorStop(1, `rgba(${color}, 0)`);
+            this.ctx.fillStyle = gradient;
+            this.ctx.fillRect(0, 0, width, height);
+        }
+    }
+
+    // 0 at night to 1 in full daylight
+    dayness(sky) {
+        return Math.max(0, (sky.daylight - 0.05) / 0.95);
+    }
+
+    timeOfDayLabel(timeOfDay) {
+        const hours = timeOfDay * 24;
+        const clock = `${String(Math.floor(hours)).padStart(2, '0')}:${String(Math.floor((hours % 1) * 60)).padStart(2, '0')}`;
+        const phase = hours < 5 || hours >= 20 ? '🌙 Night' : hours < 8 ? '🌅 Dawn' : hours < 17 ? '☀️ Day' : '🌇 Dusk';
+        return `${phase} ${clock}`;
+    }
+
     drawStarfield() {
+        // Stars fade out as the day brightens
+        const sky = this.simulation.frame?.environment.sky;
+        const visibility = sky ? 1 - this.dayness(sky) * 0.85 : 1;
+
         // Only draw stars that are visible in the current camera view
         const viewLeft = this.camera.x;
         const viewRight = this.camera.x + (this.canvas.width / this.camera.zoom);
@@ -418,7 +699,7 @@ class CellDefenseSimulator {
                 // Calculate twinkle effect
                 star.twinklePhase += star.twinkleSpeed;
                 const twinkle = Math.sin(star.twinklePhase) * 0.3 + 0.7; // 0.4 to 1.0
-                const alpha = star.brightness * twinkle;
+                const alpha = star.brightness * twinkle * visibility;
 
                 // Draw the star
                 this.ctx.fillStyle = `rgba(255, 255, 255, ${alpha})`;
@@ -450,14 +731,14 @@ class CellDefenseSimulator {
         // Calculate visible grid bounds based on camera
         const startX = Math.floor(this.camera.x / gridSize) * gridSize;
         const startY = Math.floor(this.camera.y / gridSize) * gridSize;
-        const endX = Math.min(this.worldWidth, this.camera.x + (this.canvas.width / this.camera.zoom) + gridSize);
-        const endY = Math.min(this.worldHeight, this.camera.y + (this.canvas.height / this.camera.zoom) + gridSize);
+        const endX = Math.min(this.camera.worldWidth, this.camera.x + (this.canvas.width / this.camera.zoom) + gridSize);
+        const endY = Math.min(this.camera.worldHeight, this.camera.y + (this.canvas.height / this.camera.zoom) + gridSize);
 
         // Vertical lines
         for (let x = startX; x <= endX; x += gridSize) {
             this.ctx.beginPath();
             this.ctx.moveTo(x, Math.max(0, this.camera.y));
-            this.ctx.lineTo(x, Math.min(this.worldHeight, this.camera.y + (this.canvas.height / this.camera.zoom)));
+            this.ctx.lineTo(x, Math.min(this.camera.worldHeight, this.camera.y + (this.canvas.height / this.camera.zoom)));
             this.ctx.stroke();
         }
 
@@ -465,28 +746,31 @@ class CellDefenseSimulator {
         for (let y = startY; y <= endY; y += gridSize) {
             this.ctx.beginPath();
             this.ctx.moveTo(Math.max(0, this.camera.x), y);
-            this.ctx.lineTo(Math.min(this.worldWidth, this.camera.x + (this.canvas.width / this.camera.zoom)), y);
+            this.ctx.lineTo(Math.min(this.camera.worldWidth, this.camera.x + (this.canvas.width / this.camera.zoom)), y);
             this.ctx.stroke();
         }
 
         // Draw world boundaries
         this.ctx.strokeStyle = 'rgba(255, 255, 255, 0.2)';
         this.ctx.lineWidth = 3;
-        this.ctx.strokeRect(0, 0, this.worldWidth, this.worldHeight);
+        this.ctx.strokeRect(0, 0, this.camera.worldWidth, this.camera.worldHeight);
     }
 
     drawCameraInfo() {
         // Display camera information in top-right corner
         const info = this.camera.getInfo();
         this.ctx.fillStyle = 'rgba(0, 0, 0, 0.7)';
-        this.ctx.fillRect(this.canvas.width - 200, 10, 190, 80);
+        this.ctx.fillRect(this.canvas.width - 200, 10, 190, 95);
 
         this.ctx.fillStyle = '#ffffff';
         this.ctx.font = '12px monospace';
         this.ctx.fillText(`Camera: (${info.x}, ${info.y})`, this.canvas.width - 190, 30);
         this.ctx.fillText(`Zoom: ${info.zoom}%`, this.canvas.width - 190, 45);
         this.ctx.fillText(`View: ${info.viewWidth}×${info.viewHeight}`, this.canvas.width - 190, 60);
-        this.ctx.fillText(`World: ${this.worldWidth}×${this.worldHeight}`, this.canvas.width - 190, 75);
+        this.ctx.fillText(`World: ${this.camera.worldWidth}×${this.camera.worldHeight}`, this.canvas.width - 190, 75);
+
+        const sky = this.simulation.frame?.environment.sky;
+        if (sky) this.ctx.fillText(`Time: ${this.timeOfDayLabel(sky.timeOfDay)}`, this.canvas.width - 190, 90);
     }
 
     drawOverlay() {
@@ -0,0 +1,170 @@
+// Minimap - whole-world overview of cell density, colonies and terrain; click or drag it to move the camera
+import { DEFENSE_COLORS } from './cell.js';
+
+// The world layer is redrawn at most this often (ms) - the viewport rectangle follows the camera every frame
+const REDRAW_INTERVAL = 250;
+
+const DISASTER_ICONS = {
+    meteor: '☄️',
+    toxicSpill: '☣️',
+    radiationStorm: '☢️',
+    plague: '🦠',
+    drought: '🏜️',
+    flood: '🌊'
+};
+
+class Minimap {
+    constructor(simulation, camera, director = null) {
+        this.simulation = simulation;
+        this.camera = camera;
+        this.director = director;
+        this.lastRedraw = 0;
+        this.drawnVersion = -1;
+        this.dragging = false;
+
+        this.canvas = document.getElementById('minimapCanvas');
+        if (!this.canvas) return;
+        this.ctx = this.canvas.getContext('2d');
+
+        // World layer drawn off-screen, composited under the viewport rectangle every frame
+        this.layer = document.createElement('canvas');
+        this.layer.width = this.canvas.width;
+        this.layer.height = this.canvas.height;
+        this.layerCtx = this.layer.getContext('2d');
+
+        this.initializeControls();
+    }
+
+    initializeControls() {
+        this.canvas.addEventListener('mousedown', (e) => {
+            this.dragging = true;
+            this.navigate(e);
+        });
+        this.canvas.addEventListener('mousemove', (e) => {
+            if (this.dragging) this.navigate(e);
+        });
+        window.addEventListener('mouseup', () => { this.dragging = false; });
+    }
+
+    // Center the camera on the world point under the mouse
+    navigate(e) {
+        const rect = this.canvas.getBoundingClientRect();
+        const x = ((e.clientX - rect.left) / rect.width) * this.simulation.width;
+        const y = ((e.clientY - rect.top) / rect.height) * this.simulation.height;
+
+        if (this.director) this.director.release();
+        this.camera.centerOn(x, y);
+        e.preventDefault();
+    }
+
+    // Called every rendered frame
+    update() {
+        if (!this.canvas) return;
+
+        const frame = this.simulation.frame;
+        const now = Date.now();
+        if (frame && this.simulation.frameVersion !== this.drawnVersion && now - this.lastRedraw >= REDRAW_INTERVAL) {
+            this.drawnVersion = this.simulation.frameVersion;
+            this.lastRedraw = now;
+            this.renderWorld(frame);
+        }
+
+        this.ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
+        this.ctx.drawImage(this.layer, 0, 0);
+        this.renderViewport();
+    }
+
+    renderWorld(frame) {
+        const ctx = this.layerCtx;
+        const scaleX = this.layer.width / frame.width;
+        const scaleY = this.layer.height / frame.height;
+        const environment = frame.environment;
+
+        ctx.fillStyle = '#050a14';
+        ctx.fillRect(0, 0, this.layer.width, this.layer.height);
+
+        // Obstacles
+        ctx.fillStyle = 'rgba(150, 150, 150, 0.8)';
+        environment.obstacles.forEach(obstacle => {
+            ctx.fillRect(obstacle.x * scaleX, obstacle.y * scaleY,
+                Math.max(1, obstacle.width * scaleX), Math.max(1, obstacle.height * scaleY));
+        });
+
+        // Nutrient sources
+        ctx.fillStyle = 'rgba(120, 255, 120, 0.35)';
+        (environment.nutrientSources || []).forEach(source => {
+            ctx.beginPath();
+            ctx.ellipse(source.x * scaleX, source.y * scaleY, source.radius * scaleX, source.radius * scaleY, 0, 0, Math.PI * 2);
+            ctx.fill();
+        });
+
+        // Hazard zones
+        ctx.fillStyle = 'rgba(255, 80, 80, 0.3)';
+        environment.hazardZones.forEach(hazard => {
+            ctx.beginPath();
+            ctx.ellipse(hazard.x * scaleX, hazard.y * scaleY, hazard.radius * scaleX, hazard.radius * scaleY, 0, 0, Math.PI * 2);
+            ctx.fill();
+        });
+
+        this.renderDensity(ctx, frame.overview);
+
+        // Colonies
+        ctx.strokeStyle = 'rgba(0, 255, 136, 0.9)';
+        ctx.lineWidth = 1;
+        frame.overview.colonies.forEach(colony => {
+            const { center, radius } = colony.structure;
+            ctx.beginPath();
+            ctx.arc(center.x * scaleX, center.y * scaleY, Math.max(2, radius * scaleX), 0, Math.PI * 2);
+            ctx.stroke();
+        });
+
+        // Active disasters
+        ctx.strokeStyle = 'rgba(255, 170, 0, 0.9)';
+        ctx.lineWidth = 1.5;
+        ctx.font = '10px sans-serif';
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        (environment.disasters || []).forEach(disaster => {
+            const x = disaster.x * scaleX;
+            const y = disaster.y * scaleY;
+            ctx.beginPath();
+            ctx.ellipse(x, y, disaster.radius * scaleX, disaster.radius * scaleY, 0, 0, Math.PI * 2);
+            ctx.stroke();
+            ctx.fillText(DISASTER_ICONS[disaster.type] || '⚠️', x, y);
+        });
+    }
+
+    // Each bin of the frame's density grid is tinted by its most common defense type, brighter where more cells live
+    renderDensity(ctx, overview) {
+        const { columns, rows, counts, defenses } = overview;
+        const densest = Math.max(1, ...counts);
+        const binWidth = this.layer.width / columns;
+        const binHeight = this.layer.height / rows;
+
+        ctx.save();
+        counts.forEach((count, bin) => {
+            if (count === 0) return;
+            ctx.globalAlpha = 0.35 + 0.65 * Math.sqrt(count / densest);
+            ctx.fillStyle = DEFENSE_COLORS[defenses[bin]] || '#ffffff';
+            ctx.fillRect((bin % columns) * binWidth, Math.floor(bin / columns) * binHeight,
+                Math.ceil(binWidth), Math.ceil(binHeight));
+        });
+        ctx.restore();
+    }
+
+    renderViewport() {
+        const scaleX = this.canvas.width / this.simulation.width;
+        const scaleY = this.canvas.height / this.simulation.height;
+
+        this.ctx.strokeStyle = '#ffffff';
+        this.ctx.lineWidth = 1.5;
+        this.ctx.strokeRect(
+            this.camera.x * scaleX,
+            this.camera.y * scaleY,
+            (this.camera.canvasWidth / this.camera.zoom) * scaleX,
+            (this.camera.canvasHeight / this.camera.zoom) * scaleY
+        );
+    }
+}
+
+export { Minimap };
@@ -0,0 +1,43 @@
+// Message protocol between the main thread and the simulation worker
+
+// Main thread -> worker
+const Commands = {
+    RESET: 'reset',               // { settings, seed, scenario } - scenario: a scenario file's contents (optional)
+    SET_RUNNING: 'setRunning',    // { running }
+    STEP: 'step',                 // single update while paused
+    SET_SETTING: 'setSetting',    // { key, value }
+    SET_ENVIRONMENT: 'setEnvironment', // { key, value } - temperature, toxicity, radiation
+    GOD_POWER: 'godPower',        // { action, position, options } - queued, applied at the next tick boundary
+    GOD_UNDO: 'godUndo',          // undo the most recent god-mode command still in effect
+    GOD_REDO: 'godRedo',          // redo the most recently undone one
+    IMPORT_GOD_LOG: 'importGodLog', // { log } - schedule an exported god-mode log's commands at their ticks
+    START_TOURNAMENT: 'startTournament', // { rounds }
+    SELECT_CELL: 'selectCell',    // { id } - frames carry an inspection of this cell (null = none)
+    FOLLOW: 'follow',             // { target } - { kind: 'cell' | 'virus' | 'colony', id }, null stops following
+    SET_FIELD_VIEW: 'setFieldView', // { layer } - frames carry this environment field for the overlay (null = none)
+    SET_VIEWPORT: 'setViewport',  // { view } - { x, y, width, height, zoom }: frames only carry entities around it
+    FRAME_ACK: 'frameAck',        // main thread is ready for the next frame
+    SAVE: 'save',                 // { requestId }
+    LOAD: 'load',                 // { requestId, data }
+    EXPORT_LINEAGE: 'exportLineage', // { requestId, format } - 'newick' or 'json'
+    EXPORT_RUN_DATA: 'exportRunData', // { requestId, format } - 'csv', 'events-csv' or 'json'
+    REPLAY_START: 'replayStart',  // { recording } - play back a recording (null = the current run) from its start
+    REPLAY_CONTROL: 'replayControl', // { action, tick, speed } - 'play', 'pause', 'seek', 'speed', 'takeOver' or 'live'
+    EXPORT_REPLAY: 'exportReplay', // { requestId } - recording of the current run
+    EXPORT_GOD_LOG: 'exportGodLog' // { requestId } - the god-mode commands still in effect
+};
+
+// Worker -> main thread
+const Messages = {
+    READY: 'ready',
+    FRAME: 'frame',               // { frame, stats, inspection, follow, highlights, composition, replay, godLog }
+    SAVED: 'saved',               // { requestId, data }
+    LOADED: 'loaded',             // { requestId, width, height }
+    LINEAGE: 'lineage',           // { requestId, data }
+    RUN_DATA: 'runData',          // { requestId, data }
+    REPLAY: 'replay',             // { requestId, data }
+    GOD_LOG: 'godLog',            // { requestId, data }
+    ERROR: 'error'                // { requestId?, message }
+};
+
+export { Commands, Messages };
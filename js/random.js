@@ -0,0 +1,76 @@
+// Seedable random number generator - every simulation system draws from the shared stream
+class SeededRandom {
+    constructor(seed = SeededRandom.randomSeed()) {
+        this.setSeed(seed);
+    }
+
+    // Pick a fresh seed when the user doesn't supply one
+    static randomSeed() {
+        return Math.floor(Math.random() * 0xFFFFFFFF) >>> 0;
+    }
+
+    // Accept numbers or arbitrary strings (e.g. "colony-crash") as seeds
+    static normalizeSeed(seed) {
+        if (typeof seed === 'number' && Number.isFinite(seed)) {
+            return Math.floor(seed) >>> 0;
+        }
+
+        const text = String(seed).trim();
+        if (/^\d+$/.test(text)) {
+            return Number(text) >>> 0;
+        }
+
+        // FNV-1a hash for text seeds
+        let hash = 2166136261;
+        for (let i = 0; i < text.length; i++) {
+            hash ^= text.charCodeAt(i);
+            hash = Math.imul(hash, 16777619);
+        }
+        return hash >>> 0;
+    }
+
+    setSeed(seed) {
+        this.seed = SeededRandom.normalizeSeed(seed);
+        this.state = this.seed;
+    }
+
+    // Mulberry32 - fast, 32-bit state, good enough distribution for gameplay
+    next() {
+        this.state = (this.state + 0x6D2B79F5) >>> 0;
+        let t = this.state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+}
+
+// Shared generator used by Simulation, Environment, FoodManager, Cell, Virus and CellNameGenerator
+const rng = new SeededRandom();
+
+// Drop-in replacement for Math.random() in simulation code.
+// Rendering keeps using Math.random() so drawing never shifts the seeded stream.
+function random() {
+    return rng.next();
+}
+
+// Sequential entity IDs (reset with the seed so IDs are reproducible too)
+let nextEntityId = 1;
+
+function nextId(prefix) {
+    return `${prefix}_${nextEntityId++}`;
+}
+
+function resetIds() {
+    nextEntityId = 1;
+}
+
+// Save/restore the ID counter with world snapshots so restored runs never reuse an ID
+function getIdCounter() {
+    return nextEntityId;
+}
+
+function setIdCounter(value) {
+    nextEntityId = value;
+}
+
+export { SeededRandom, rng, random, nextId, resetIds, getIdCounter, setIdCounter };
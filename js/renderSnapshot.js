@@ -0,0 +1,370 @@
+// Render snapshots - the compact per-frame view of the world the worker sends to the main thread. Entities are culled
+// to the viewport the main thread reports and packed column by column into one Float32Array per kind, holding only
+// what the renderers read; the minimap gets a coarse density grid of the whole world instead
+import { Cell, Virus, Colony } from './cell.js';
+import { Food } from './food.js';
+import { Environment } from './environment.js';
+import { WorldRenderer } from './worldRenderer.js';
+
+// Defense state fields the cell renderer reads
+const DEFENSE_VISUAL_FIELDS = [
+    'shieldEnergy', 'reflectCharge', 'electricCharge', 'viralLoad',
+    'regenCooldown', 'poisonAura', 'phaseShift', 'magneticField', 'photosynthesisRate'
+];
+
+// Share of the viewport's width/height added on every side - the camera keeps moving until the next frame arrives
+const VIEW_PADDING = 0.25;
+
+// Minimap density grid resolution (the world is split into COLUMNS x ROWS bins)
+const DENSITY_COLUMNS = 48;
+const DENSITY_ROWS = 36;
+
+// Packed layouts: numeric columns, string columns (indexes into the frame's string table), flags among the numeric
+// columns (sent as 0/1, missing values as NaN), optional objects (null when their first column is missing) and
+// per-entity lists
+const CELL_LAYOUT = layout({
+    numbers: [
+        'x', 'y', 'radius', 'hitbox', 'rotation', 'opacity', 'generation', 'age',
+        'isVirus', 'isInfected', 'showName', 'infectionTimer', 'infectionSeverity',
+        'growthRingTimer', 'shockwaveTimer', 'shockwaveSize',
+        'traits.size', 'traits.health', 'traits.maxHealth', 'traits.energy', 'traits.maxEnergy',
+        'territory.x', 'territory.y', 'territory.radius', 'barrier.active', 'barrier.radius',
+        'defenseStates.parasiteHost.x', 'defenseStates.parasiteHost.y',
+        ...DEFENSE_VISUAL_FIELDS.map(field => `defenseStates.${field}`)
+    ],
+    strings: ['id', 'name', 'color', 'traits.shape', 'traits.defenseType', 'traits.specialAbility', 'traits.lifestage'],
+    flags: ['isVirus', 'isInfected', 'showName', 'barrier.active'],
+    optional: ['territory', 'barrier', 'defenseStates.parasiteHost'],
+    // Only drawn at full detail - left out of frames the main thread will draw at a cheaper level
+    lists: {
+        particleEffects: { numbers: ['x', 'y', 'intensity'], strings: ['type'] },
+        pheromones: { numbers: ['x', 'y', 'age', 'maxAge'] },
+        'defenseStates.packMembers': { numbers: ['x', 'y'] }
+    }
+});
+
+const VIRUS_LAYOUT = layout({
+    ...CELL_LAYOUT.source,
+    numbers: [...CELL_LAYOUT.source.numbers, 'pulsePhase', 'infectionRadius', 'infectionCooldown']
+});
+
+const FOOD_LAYOUT = layout({
+    numbers: ['x', 'y', 'radius', 'decay', 'pulsePhase', 'energyValue'],
+    strings: ['color']
+});
+
+const COLONY_LAYOUT = layout({
+    numbers: ['structure.center.x', 'structure.center.y', 'structure.radius'],
+    strings: ['id'],
+    lists: {
+        members: { numbers: ['x', 'y'], strings: ['id'] },
+        bonds: { numbers: ['strength'], strings: ['cell1', 'cell2'] }
+    }
+});
+
+// Colony outlines on the minimap
+const COLONY_OUTLINE_LAYOUT = layout({
+    numbers: ['structure.center.x', 'structure.center.y', 'structure.radius']
+});
+
+// Terrain is sent whole - the minimap draws all of it
+const TERRAIN_LAYOUTS = {
+    obstacles: layout({ numbers: ['x', 'y', 'width', 'height', 'rotation'], strings: ['type'] }),
+    hazardZones: layout({ numbers: ['x', 'y', 'radius', 'pulsePhase'], strings: ['type'] }),
+    spikeTraps: layout({ numbers: ['x', 'y', 'radius', 'isActive', 'cooldown', 'maxCooldown'], flags: ['isActive'] }),
+    nutrientSources: layout({ numbers: ['x', 'y', 'radius', 'rate'] }),
+    // Only the minimap shows disasters
+    disasters: layout({ numbers: ['x', 'y', 'radius'], strings: ['type'] })
+};
+
+class RenderSnapshot {
+    // Worker side: pack what Cell/Virus/Colony/Food render() need (plus one field layer for the overlay).
+    // view: { x, y, width, height, zoom } - the world rectangle the main thread shows (null = everything)
+    static capture(simulation, fieldView = null, view = null) {
+        const strings = new StringTable();
+        const area = view ? padded(view) : null;
+        const margin = WorldRenderer.entityMargin;
+        const reachOf = entity => entity.radius + (entity.infectionRadius || 0) + margin;
+        const near = (entity) => !area || overlaps(area, entity.x, entity.y, reachOf(entity));
+
+        const cells = simulation.cells.filter(near);
+        const viruses = simulation.viruses.filter(near);
+        const colonies = simulation.colonies.filter(colony => !area ||
+            overlaps(area, colony.structure.center.x, colony.structure.center.y, colony.structure.radius + margin));
+        const food = simulation.foodManager.getFood().filter(particle => !area ||
+            overlaps(area, particle.x, particle.y, particle.radius));
+
+        // Same level-of-detail choice as WorldRenderer, counted over what the camera actually shows
+        const shown = view ?
+            [...cells, ...viruses].filter(entity => overlaps(view, entity.x, entity.y, reachOf(entity))).length : 0;
+        const fullDetail = !view || WorldRenderer.levelOfDetail(view.zoom, shown) === 'full';
+
+        return {
+            tick: simulation.tick,
+            width: simulation.width,
+            height: simulation.height,
+            environment: RenderSnapshot.captureEnvironment(simulation.environment, fieldView, strings),
+            food: pack(food, FOOD_LAYOUT, strings),
+            colonies: pack(colonies, COLONY_LAYOUT, strings),
+            cells: pack(cells, CELL_LAYOUT, strings, fullDetail),
+            viruses: pack(viruses, VIRUS_LAYOUT, strings, fullDetail),
+            overview: RenderSnapshot.captureOverview(simulation, strings),
+            strings: strings.values
+        };
+    }
+
+    // A never-simulated cell with these traits, for previews (the Cell constructor would draw from the seeded
+    // random stream the simulation shares when it runs on the main thread)
+    static previewCell(traits, x, y, name = '') {
+        const defenseStates = { parasiteHost: null, packMembers: [] };
+        DEFENSE_VISUAL_FIELDS.forEach(field => { defenseStates[field] = 0; });
+
+        const cell = Object.assign(Object.create(Cell.prototype), {
+            id: null,
+            x,
+            y,
+            radius: traits.size,
+            rotation: 0,
+            opacity: 1,
+            name,
+            showName: false,
+            generation: 1,
+            age: 0,
+            isVirus: false,
+            isInfected: false,
+            infectionTimer: 0,
+            infectionSeverity: 0,
+            growthRingTimer: 0,
+            shockwaveTimer: 0,
+            shockwaveSize: traits.size,
+            territory: null,
+            traits: { ...traits },
+            defenseStates,
+            particleEffects: [],
+            pheromones: []
+        });
+        cell.hitbox = cell.calculateHitbox();
+        cell.color = cell.getColorByTraits();
+        return cell;
+    }
+
+    static captureEnvironment(environment, fieldView, strings) {
+        const captured = {
+            field: fieldView ? environment.fieldView(fieldView) : null,
+            // The background sky follows the day/night cycle
+            sky: { timeOfDay: environment.timeOfDay(), daylight: environment.daylight }
+        };
+        Object.entries(TERRAIN_LAYOUTS).forEach(([key, terrainLayout]) => {
+            captured[key] = pack(environment[key] || [], terrainLayout, strings);
+        });
+        return captured;
+    }
+
+    // Minimap: cells per density bin and the most common defense type in each (a string table index)
+    static captureOverview(simulation, strings) {
+        const counts = new Uint16Array(DENSITY_COLUMNS * DENSITY_ROWS);
+        const defenses = new Uint16Array(DENSITY_COLUMNS * DENSITY_ROWS);
+        const tallies = new Map(); // bin -> { defenseType: cells }
+
+        simulation.cells.forEach(cell => {
+            const column = Math.min(DENSITY_COLUMNS - 1, Math.max(0, Math.floor((cell.x / simulation.width) * DENSITY_COLUMNS)));
+            const row = Math.min(DENSITY_ROWS - 1, Math.max(0, Math.floor((cell.y / simulation.height) * DENSITY_ROWS)));
+            const bin = row * DENSITY_COLUMNS + column;
+            if (!tallies.has(bin)) tallies.set(bin, {});
+            const tally = tallies.get(bin);
+            const defense = cell.traits.defenseType;
+            tally[defense] = (tally[defense] || 0) + 1;
+            counts[bin] = Math.min(0xffff, counts[bin] + 1);
+        });
+
+        tallies.forEach((tally, bin) => {
+            defenses[bin] = strings.add(Object.keys(tally).reduce((a, b) => tally[b] > tally[a] ? b : a));
+        });
+
+        return {
+            columns: DENSITY_COLUMNS,
+            rows: DENSITY_ROWS,
+            counts,
+            defenses,
+            colonies: pack(simulation.colonies, COLONY_OUTLINE_LAYOUT, strings)
+        };
+    }
+
+    // Main thread: unpack the tables and wrap the plain data in the entity prototypes so the existing render() code
+    // draws it
+    constructor(frame) {
+        const strings = frame.strings;
+        this.tick = frame.tick;
+        this.width = frame.width;
+        this.height = frame.height;
+
+        const environment = { field: frame.environment.field, sky: frame.environment.sky };
+        Object.entries(TERRAIN_LAYOUTS).forEach(([key, terrainLayout]) => {
+            environment[key] = unpack(frame.environment[key], terrainLayout, strings);
+        });
+        this.environment = Object.assign(Object.create(Environment.prototype), environment);
+
+        this.food = unpack(frame.food, FOOD_LAYOUT, strings).map(food => Object.assign(Object.create(Food.prototype), food));
+        this.colonies = unpack(frame.colonies, COLONY_LAYOUT, strings).map(colony => Object.assign(Object.create(Colony.prototype), colony, {
+            bonds: new Map(colony.bonds.map((bond, i) => [i, bond]))
+        }));
+        this.cells = unpack(frame.cells, CELL_LAYOUT, strings).map(cell => Object.assign(Object.create(Cell.prototype), cell));
+        this.viruses = unpack(frame.viruses, VIRUS_LAYOUT, strings).map(virus => Object.assign(Object.create(Virus.prototype), virus));
+
+        const overview = frame.overview;
+        this.overview = {
+            columns: overview.columns,
+            rows: overview.rows,
+            counts: overview.counts,
+            defenses: Array.from(overview.defenses, (index, bin) => overview.counts[bin] > 0 ? strings[index] : null),
+            colonies: unpack(overview.colonies, COLONY_OUTLINE_LAYOUT, strings)
+        };
+    }
+
+    find(id) {
+        return this.cells.find(cell => cell.id === id) || this.viruses.find(virus => virus.id === id) || null;
+    }
+
+    // Closest cell or virus whose edge is within `margin` of a world point (for click selection)
+    findNearest(x, y, margin = 0) {
+        let nearest = null;
+        let nearestDistance = Infinity;
+        [...this.cells, ...this.viruses].forEach(entity => {
+            const distance = Math.hypot(entity.x - x, entity.y - y) - entity.radius;
+            if (distance <= margin && distance < nearestDistance) {
+                nearest = entity;
+                nearestDistance = distance;
+            }
+        });
+        return nearest;
+    }
+
+    // Same culling and level of detail as Simulation.render()
+    render(ctx, camera = null) {
+        WorldRenderer.render(ctx, this, camera);
+    }
+}
+
+// Frame-wide string table - every distinct string (ids, names, colors, categories) is sent once
+class StringTable {
+    constructor() {
+        this.values = [];
+        this.indexes = new Map();
+    }
+
+    // Index of a string (NaN for a missing one)
+    add(value) {
+        if (value === undefined || value === null) return NaN;
+        let index = this.indexes.get(value);
+        if (index === undefined) {
+            index = this.values.length;
+            this.values.push(value);
+            this.indexes.set(value, index);
+        }
+        return index;
+    }
+}
+
+// Split the column paths once - packing runs for every entity in every frame
+function layout(source) {
+    const { numbers = [], strings = [], flags = [], optional = [], lists = {} } = source;
+    const column = path => ({ keys: path.split('.'), flag: flags.includes(path) });
+    return {
+        source,
+        numbers: numbers.map(column),
+        strings: strings.map(column),
+        stride: numbers.length + strings.length,
+        optional: optional.map(path => ({
+            keys: path.split('.'),
+            probe: numbers.find(number => number.startsWith(`${path}.`)).split('.')
+        })),
+        lists: Object.entries(lists).map(([path, item]) => ({ path, keys: path.split('.'), layout: layout(item) }))
+    };
+}
+
+function readPath(object, keys) {
+    let value = object;
+    for (let i = 0; i < keys.length && value !== undefined && value !== null; i++) value = value[keys[i]];
+    return value;
+}
+
+function writePath(object, keys, value) {
+    let target = object;
+    for (let i = 0; i < keys.length - 1; i++) target = target[keys[i]] ?? (target[keys[i]] = {});
+    target[keys[keys.length - 1]] = value;
+}
+
+// Entities -> { count, data: Float32Array (row after row), lists: { path: { offsets, items } } }
+function pack(entities, entityLayout, strings, withLists = true) {
+    const data = new Float32Array(entities.length * entityLayout.stride);
+    let offset = 0;
+    entities.forEach(entity => {
+        entityLayout.numbers.forEach(({ keys }) => {
+            const value = readPath(entity, keys);
+            data[offset++] = typeof value === 'number' || typeof value === 'boolean' ? Number(value) : NaN;
+        });
+        entityLayout.strings.forEach(({ keys }) => {
+            data[offset++] = strings.add(readPath(entity, keys));
+        });
+    });
+
+    const table = { count: entities.length, data, lists: {} };
+    if (withLists) {
+        entityLayout.lists.forEach(list => {
+            const offsets = new Uint32Array(entities.length + 1);
+            const items = [];
+            entities.forEach((entity, row) => {
+                const value = readPath(entity, list.keys) || [];
+                for (const item of value instanceof Map ? value.values() : value) items.push(item);
+                offsets[row + 1] = items.length;
+            });
+            table.lists[list.path] = { offsets, items: pack(items, list.layout, strings) };
+        });
+    }
+    return table;
+}
+
+// The reverse of pack() - missing values stay undefined and lists a frame left out come back empty
+function unpack(table, entityLayout, strings) {
+    const entities = [];
+    let offset = 0;
+    for (let row = 0; row < table.count; row++) {
+        const entity = {};
+        entityLayout.numbers.forEach(({ keys, flag }) => {
+            const value = table.data[offset++];
+            if (!Number.isNaN(value)) writePath(entity, keys, flag ? value === 1 : value);
+        });
+        entityLayout.strings.forEach(({ keys }) => {
+            const index = table.data[offset++];
+            writePath(entity, keys, Number.isNaN(index) ? null : strings[index]);
+        });
+        entityLayout.optional.forEach(({ keys, probe }) => {
+            if (readPath(entity, probe) === undefined) writePath(entity, keys, null);
+        });
+        entities.push(entity);
+    }
+
+    entityLayout.lists.forEach(list => {
+        const packed = table.lists[list.path];
+        const items = packed ? unpack(packed.items, list.layout, strings) : [];
+        entities.forEach((entity, row) => {
+            writePath(entity, list.keys, packed ? items.slice(packed.offsets[row], packed.offsets[row + 1]) : []);
+        });
+    });
+    return entities;
+}
+
+// The viewport grown by VIEW_PADDING on every side
+function padded(view) {
+    const padX = view.width * VIEW_PADDING;
+    const padY = view.height * VIEW_PADDING;
+    return { x: view.x - padX, y: view.y - padY, width: view.width + padX * 2, height: view.height + padY * 2 };
+}
+
+// Whether a point with this reach touches a rectangle
+function overlaps(rect, x, y, reach) {
+    return x + reach >= rect.x && x - reach <= rect.x + rect.width &&
+        y + reach >= rect.y && y - reach <= rect.y + rect.height;
+}
+
+export { RenderSnapshot };
@@ -0,0 +1,238 @@
+// Replays - a run recorded as its starting point plus the tick-stamped commands applied to it, played back with seeking.
+// The simulation is deterministic, so re-running the same commands on the same ticks reproduces the run exactly
+import { Commands } from './protocol.js';
+
+const REPLAY_FORMAT = 'cells-dominion-replay';
+const REPLAY_VERSION = 1;
+
+// Commands that change the world and therefore belong in a recording
+const RECORDED_COMMANDS = new Set([
+    Commands.SET_SETTING,
+    Commands.SET_ENVIRONMENT,
+    Commands.GOD_POWER,
+    Commands.GOD_UNDO,
+    Commands.GOD_REDO,
+    Commands.IMPORT_GOD_LOG,
+    Commands.START_TOURNAMENT
+]);
+
+// Ticks between keyframes (full snapshots) that make seeking backwards fast
+const KEYFRAME_INTERVAL = 3000;
+
+// Keyframes kept in memory - when full, every other one is dropped and the spacing doubles
+const MAX_KEYFRAMES = 10;
+
+// Wall-clock time (ms) a seek may run per host loop before a progress frame is sent
+const SEEK_BUDGET = 50;
+
+class ReplayRecorder {
+    constructor() {
+        this.recording = null;
+        this.keyframes = new KeyframeStore();
+    }
+
+    static records(command) {
+        return RECORDED_COMMANDS.has(command.type);
+    }
+
+    // Start a new recording from the simulation's current world. A freshly reset world is stored as its seed and
+    // settings; anything else (the page's first world, a loaded save) as a full snapshot
+    start(simulation, seeded = false) {
+        this.recording = {
+            format: REPLAY_FORMAT,
+            version: REPLAY_VERSION,
+            width: simulation.width,
+            height: simulation.height,
+            seed: simulation.seed,
+            settings: { ...simulation.settings },
+            scenario: simulation.scenario,
+            snapshot: seeded ? null : JSON.stringify(simulation.saveState()),
+            startTick: simulation.tick,
+            commands: []
+        };
+        this.keyframes = new KeyframeStore();
+        this.keyframes.capture(simulation, true);
+    }
+
+    // Called before a recorded command is applied: it takes effect between this tick and the next
+    log(tick, command) {
+        const { type, requestId, ...fields } = command;
+        this.recording.commands.push({ tick, type, ...fields });
+    }
+
+    // Called after every live tick
+    record(simulation) {
+        this.keyframes.capture(simulation);
+    }
+
+    // Continue recording from a played-back world: the recording now ends at its tick
+    adopt(player, simulation) {
+        this.recording = {
+            ...player.recording,
+            commands: player.recording.commands.slice(0, player.nextCommand)
+        };
+        this.keyframes = player.keyframes;
+        this.keyframes.discardAfter(simulation.tick);
+    }
+
+    toJSON(simulation) {
+        return { ...this.recording, endTick: simulation.tick };
+    }
+}
+
+class ReplayPlayer {
+    constructor(recording, keyframes = null) {
+        ReplayPlayer.validate(recording);
+        this.recording = recording;
+        this.keyframes = keyframes || new KeyframeStore();
+        this.nextCommand = 0; // Index of the first command not applied yet
+        this.restoredTick = recording.startTick; // Tick of the world the simulation was last rebuilt from
+        this.playing = false;
+        this.speed = 1; // Ticks per host loop (fractions accumulate)
+        this.budget = 0;
+        this.target = null; // Tick a seek is heading for
+        this.endTick = recording.endTick;
+        this.returnToLive = false; // Seeking to the end to hand the world back to live recording
+    }
+
+    static validate(recording) {
+        if (!recording || recording.format !== REPLAY_FORMAT) {
+            throw new Error('Not a Cells Dominion replay');
+        }
+        if (recording.version > REPLAY_VERSION) {
+            throw new Error(`Replay version ${recording.version} is newer than this simulator supports (${REPLAY_VERSION})`);
+        }
+    }
+
+    // Rebuild the world the recording starts from
+    begin(simulation) {
+        if (this.recording.snapshot) {
+            simulation.loadState(this.recording.snapshot);
+        } else {
+            simulation.resize(this.recording.width, this.recording.height);
+            simulation.reset(this.recording.settings, this.recording.seed, this.recording.scenario || null);
+        }
+        this.nextCommand = 0;
+        this.restoredTick = this.recording.startTick;
+        this.keyframes.capture(simulation, true);
+    }
+
+    // Apply the commands recorded at this tick, then advance one tick
+    step(simulation, apply) {
+        const commands = this.recording.commands;
+        while (this.nextCommand < commands.length && commands[this.nextCommand].tick <= simulation.tick) {
+            apply(commands[this.nextCommand++]);
+        }
+        simulation.update();
+        this.keyframes.capture(simulation);
+    }
+
+    // Advance playback (or a seek in progress) for one host loop. Returns true if the world changed
+    advance(simulation, apply) {
+        if (this.target !== null) {
+            const started = Date.now();
+            while (simulation.tick < this.target && Date.now() - started < SEEK_BUDGET) {
+                this.step(simulation, apply);
+            }
+            if (simulation.tick >= this.target) this.target = null;
+            return true;
+        }
+
+        if (!this.playing) return false;
+
+        this.budget += this.speed;
+        let stepped = false;
+        while (this.budget >= 1 && simulation.tick < this.endTick) {
+            this.step(simulation, apply);
+            this.budget--;
+            stepped = true;
+        }
+        if (simulation.tick >= this.endTick) {
+            this.playing = false;
+            this.budget = 0;
+        }
+        return stepped;
+    }
+
+    // Jump to a tick: restore the closest keyframe at or before it (if that is nearer than where we are),
+    // then let advance() run the remaining ticks
+    seek(simulation, tick) {
+        tick = Math.max(this.recording.startTick, Math.min(this.endTick, Math.round(tick)));
+
+        // Keyframes don't hold god-mode undo history - start from one taken before any command undone later on
+        let keyframe = this.keyframes.before(tick);
+        while (keyframe && keyframe.tick > this.recording.startTick && this.undoesBefore(keyframe.tick)) {
+            keyframe = this.keyframes.before(keyframe.tick - 1);
+        }
+
+        const missingHistory = keyframe && this.restoredTick > keyframe.tick && this.undoesBefore(this.restoredTick);
+        if (tick < simulation.tick || (keyframe && keyframe.tick > simulation.tick) || missingHistory) {
+            simulation.loadState(keyframe.data);
+            this.restoredTick = keyframe.tick;
+            this.nextCommand = this.recording.commands.findIndex(command => command.tick >= keyframe.tick);
+            if (this.nextCommand === -1) this.nextCommand = this.recording.commands.length;
+        }
+
+        this.target = tick > simulation.tick ? tick : null;
+        this.budget = 0;
+    }
+
+    // Whether a god-mode undo/redo recorded from this tick on affects a command applied before it
+    undoesBefore(tick) {
+        return this.recording.commands.some(command =>
+            command.commandTick !== undefined && command.tick >= tick && command.commandTick < tick);
+    }
+
+    get seeking() {
+        return this.target !== null;
+    }
+
+    status(simulation) {
+        return {
+            mode: 'playback',
+            tick: simulation.tick,
+            startTick: this.recording.startTick,
+            endTick: this.endTick,
+            playing: this.playing,
+            seeking: this.seeking,
+            speed: this.speed
+        };
+    }
+}
+
+// Snapshots taken every KEYFRAME_INTERVAL ticks, kept as JSON text (restoring shares objects with the source)
+class KeyframeStore {
+    constructor() {
+        this.frames = []; // { tick, data }, oldest first
+        this.interval = KEYFRAME_INTERVAL;
+    }
+
+    capture(simulation, force = false) {
+        const tick = simulation.tick;
+        if (!force && tick % this.interval !== 0) return;
+        if (this.frames.some(frame => frame.tick === tick)) return;
+
+        this.frames.push({ tick, data: JSON.stringify(simulation.saveState()) });
+        this.frames.sort((a, b) => a.tick - b.tick);
+
+        if (this.frames.length > MAX_KEYFRAMES) {
+            // Keep the first keyframe (the recording's start) and every other one after it
+            this.interval *= 2;
+            this.frames = this.frames.filter((frame, index) => index === 0 || frame.tick % this.interval === 0);
+        }
+    }
+
+    before(tick) {
+        let best = null;
+        this.frames.forEach(frame => {
+            if (frame.tick <= tick) best = frame;
+        });
+        return best;
+    }
+
+    discardAfter(tick) {
+        this.frames = this.frames.filter(frame => frame.tick <= tick);
+    }
+}
+
+export { ReplayRecorder, ReplayPlayer };
@@ -0,0 +1,176 @@
+// Run data recorder - full-length time series and event log of a run, exported as CSV/JSON for analysis
+
+const RUN_DATA_FORMAT = 'cells-dominion-run';
+
+// Columns of every sample, in CSV order (trait columns follow)
+const SERIES_COLUMNS = [
+    'tick', 'season', 'population', 'viruses', 'food', 'colonies', 'avgFitness',
+    'biodiversity', 'ecosystemHealth', 'species', 'generation', 'temperature', 'activeDisasters'
+];
+
+const EVENT_COLUMNS = ['tick', 'type', 'name', 'x', 'y', 'radius', 'intensity', 'duration'];
+
+class RunRecorder {
+    constructor(environment = null) {
+        this.samples = []; // One entry every runDataInterval ticks, never truncated
+        this.events = []; // Season changes and disasters, oldest first
+        this.season = null;
+        this.seenDisasters = new WeakSet(); // Disasters already logged (natural and god-made alike)
+
+        if (environment) this.observe(environment, 0);
+    }
+
+    // Called once per tick after the world has been updated. Returns the events logged this tick
+    record(simulation) {
+        const events = this.observe(simulation.environment, simulation.tick);
+
+        const interval = Math.max(1, simulation.settings.runDataInterval || 20);
+        if (simulation.tick % interval === 0) {
+            this.sample(simulation);
+        }
+        return events;
+    }
+
+    observe(environment, tick) {
+        const logged = this.events.length;
+
+        if (environment.season !== this.season) {
+            this.season = environment.season;
+            this.events.push({ tick, type: 'season', name: environment.season });
+        }
+
+        environment.disasters.forEach(disaster => {
+            if (this.seenDisasters.has(disaster)) return;
+            this.seenDisasters.add(disaster);
+            this.events.push({
+                tick,
+                type: 'disaster',
+                name: disaster.type,
+                x: round(disaster.x),
+                y: round(disaster.y),
+                radius: round(disaster.radius),
+                intensity: round(disaster.intensity),
+                duration: round(disaster.duration)
+            });
+        });
+
+        return this.events.slice(logged);
+    }
+
+    sample(simulation) {
+        const stats = simulation.stats;
+        const distribution = stats.traitDistribution;
+
+        // Numerical traits as [average, min, max], only those some living cell or virus has
+        const traits = {};
+        Object.entries(distribution.averages).forEach(([trait, data]) => {
+            if (data.count === 0) return;
+            const range = distribution.ranges[trait];
+            traits[trait] = [round(data.average), round(range.min), round(range.max)];
+        });
+
+        this.samples.push({
+            tick: simulation.tick,
+            season: simulation.environment.season,
+            population: simulation.cells.length,
+            viruses: simulation.viruses.length,
+            food: simulation.foodManager.getFood().length,
+            colonies: simulation.colonies.length,
+            avgFitness: round(stats.averageFitness || 0),
+            biodiversity: round(stats.biodiversityIndex || 0),
+            ecosystemHealth: stats.ecosystemHealth,
+            species: simulation.species.living().length,
+            generation: simulation.maxGeneration,
+            temperature: round(simulation.environment.temperature),
+            activeDisasters: simulation.environment.disasters.length,
+            traits
+        });
+    }
+
+    // Trait names in the order they first appeared
+    traitNames() {
+        const names = new Set();
+        this.samples.forEach(sample => Object.keys(sample.traits).forEach(trait => names.add(trait)));
+        return Array.from(names);
+    }
+
+    toJSON(simulation) {
+        return {
+            format: RUN_DATA_FORMAT,
+            seed: simulation.seed,
+            tick: simulation.tick,
+            width: simulation.width,
+            height: simulation.height,
+            settings: simulation.settings,
+            samples: this.samples.map(({ traits, ...sample }) => ({
+                ...sample,
+                traits: Object.fromEntries(Object.entries(traits).map(([trait, [average, min, max]]) =>
+                    [trait, { average, min, max }]))
+            })),
+            events: this.events
+        };
+    }
+
+    // One row per sample: the series columns, then <trait>_avg/_min/_max for every trait
+    *seriesLines() {
+        const traits = this.traitNames();
+        yield [...SERIES_COLUMNS, ...traits.flatMap(trait => [`${trait}_avg`, `${trait}_min`, `${trait}_max`])].join(',');
+
+        for (const sample of this.samples) {
+            const values = SERIES_COLUMNS.map(column => sample[column]);
+            traits.forEach(trait => values.push(...(sample.traits[trait] || ['', '', ''])));
+            yield values.map(csvValue).join(',');
+        }
+    }
+
+    *eventLines() {
+        yield EVENT_COLUMNS.join(',');
+        for (const event of this.events) {
+            yield EVENT_COLUMNS.map(column => csvValue(event[column])).join(',');
+        }
+    }
+
+    toCSV() {
+        return Array.from(this.seriesLines()).join('\n') + '\n';
+    }
+
+    eventsToCSV() {
+        return Array.from(this.eventLines()).join('\n') + '\n';
+    }
+
+    // Snapshot support
+    serialize() {
+        return {
+            samples: this.samples,
+            events: this.events,
+            season: this.season
+        };
+    }
+
+    static restore(data, environment) {
+        const recorder = new RunRecorder();
+        if (data) {
+            recorder.samples = data.samples;
+            recorder.events = data.events;
+            recorder.season = data.season;
+        } else {
+            recorder.season = environment.season;
+        }
+
+        // Disasters still raging at save time were logged before
+        environment.disasters.forEach(disaster => recorder.seenDisasters.add(disaster));
+        return recorder;
+    }
+}
+
+function round(value) {
+    return typeof value === 'number' ? Math.round(value * 10000) / 10000 : value;
+}
+
+function csvValue(value) {
+    if (value === undefined || value === null) return '';
+    const text = String(value);
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+export { RunRecorder };
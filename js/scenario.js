@@ -0,0 +1,156 @@
+// Scenarios - JSON descriptions of a world, its starting populations, settings overrides and scripted events
+import { Cell } from './cell.js';
+import { GodPowers } from './godpowers.js';
+import { random } from './random.js';
+
+const SCENARIO_FORMAT = 'cells-dominion-scenario';
+const SCENARIO_VERSION = 1;
+
+// Event names scenario files use -> the god power they trigger (god power names work too)
+const EVENT_ACTIONS = {
+    spawn_food: 'spawnFood',
+    famine: 'causeFamine',
+    abundance: 'createAbundance',
+    meteor: 'triggerMeteor',
+    plague: 'triggerPlague',
+    toxic_spill: 'triggerToxicSpill',
+    radiation_storm: 'triggerRadiation',
+    heatwave: 'triggerHeatwave',
+    ice_age: 'triggerIceAge',
+    restore_climate: 'restoreClimate',
+    mass_extinction: 'massExtinction',
+    mutation_boost: 'mutationBoost',
+    super_cell: 'createSuperCell'
+};
+
+// Fields terrain features listed in a scenario may leave out
+const OBSTACLE_DEFAULTS = { width: 60, height: 60, type: 'rock', rotation: 0 };
+const HAZARD_DEFAULTS = { radius: 120, type: 'toxic', intensity: 0.8, pulsePhase: 0, damagePerTick: 1 };
+const SPIKE_DEFAULTS = { radius: 20, damage: 15, cooldown: 0, maxCooldown: 180, isActive: true, triggerRadius: 35 };
+const NUTRIENT_DEFAULTS = { radius: 100, rate: 0.5 };
+
+class Scenario {
+    static validate(scenario) {
+        if (!scenario || typeof scenario !== 'object' || scenario.format !== SCENARIO_FORMAT) {
+            throw new Error('Not a scenario file');
+        }
+        if (typeof scenario.version !== 'number' || scenario.version > SCENARIO_VERSION) {
+            throw new Error(`Unsupported scenario version ${scenario.version} (this build reads up to ${SCENARIO_VERSION})`);
+        }
+
+        const world = scenario.world || {};
+        ['width', 'height'].forEach(dimension => {
+            if (world[dimension] !== undefined && !(world[dimension] >= 200)) {
+                throw new Error(`Scenario world ${dimension} must be a number of at least 200`);
+            }
+        });
+
+        (scenario.populations || []).forEach((population, index) => {
+            if (!(population.count >= 0)) throw new Error(`Population ${index + 1} needs a count`);
+        });
+
+        (scenario.events || []).forEach(event => {
+            if (typeof event.tick !== 'number') throw new Error('Every scenario event needs a tick');
+            if (event.action && !GodPowers.actions.includes(Scenario.godPower(event.action))) {
+                throw new Error(`Unknown scenario event: ${event.action}`);
+            }
+        });
+    }
+
+    static godPower(action) {
+        return EVENT_ACTIONS[action] || action;
+    }
+
+    // Settings the run starts with: defaults, then the scenario's overrides, then the caller's
+    static settings(scenario, defaults, overrides = {}) {
+        return { ...defaults, ...(scenario.settings || {}), ...overrides };
+    }
+
+    // Terrain on top of (or, with terrain: "none", instead of) what the Environment generated from the seed
+    static applyTerrain(scenario, environment) {
+        const world = scenario.world || {};
+        if (world.terrain === 'none') {
+            environment.obstacles = [];
+            environment.hazardZones = [];
+            environment.spikeTraps = [];
+            environment.nutrientSources = [];
+        }
+
+        (world.obstacles || []).forEach(obstacle => {
+            environment.obstacles.push({ ...OBSTACLE_DEFAULTS, ...obstacle });
+        });
+        (world.hazardZones || []).forEach(zone => {
+            const hazard = { ...HAZARD_DEFAULTS, ...zone };
+            hazard.baseIntensity = hazard.intensity;
+            environment.hazardZones.push(hazard);
+        });
+        (world.spikeTraps || []).forEach(spike => {
+            environment.spikeTraps.push({ ...SPIKE_DEFAULTS, ...spike });
+        });
+        (world.nutrientSources || []).forEach(source => {
+            environment.nutrientSources.push({ ...NUTRIENT_DEFAULTS, ...source });
+        });
+    }
+
+    // Starting cells - each population is `count` cells in its area (default: anywhere) with the given traits
+    static spawnPopulations(scenario, width, height) {
+        const cells = [];
+        scenario.populations.forEach(population => {
+            for (let i = 0; i < population.count; i++) {
+                const position = Scenario.positionIn(population.area, width, height);
+                const cell = new Cell(position.x, position.y, {
+                    ...Scenario.resolveTraits(population.traits || {}),
+                    generation: 1
+                });
+                cells.push(cell);
+            }
+        });
+        return cells;
+    }
+
+    // Trait values are fixed (12, "spikes"), a [min, max] range of numbers, or a list of choices
+    static resolveTraits(traits) {
+        const resolved = {};
+        Object.entries(traits).forEach(([trait, value]) => {
+            if (!Array.isArray(value)) {
+                resolved[trait] = value;
+            } else if (value.length === 2 && value.every(bound => typeof bound === 'number')) {
+                resolved[trait] = value[0] + random() * (value[1] - value[0]);
+            } else {
+                resolved[trait] = value[Math.floor(random() * value.length)];
+            }
+        });
+        return resolved;
+    }
+
+    // Area is { x, y, radius } or { x, y, width, height }
+    static positionIn(area, width, height) {
+        if (!area) {
+            return { x: 50 + random() * (width - 100), y: 50 + random() * (height - 100) };
+        }
+        if (area.radius !== undefined) {
+            const angle = random() * Math.PI * 2;
+            const distance = Math.sqrt(random()) * area.radius;
+            return { x: area.x + Math.cos(angle) * distance, y: area.y + Math.sin(angle) * distance };
+        }
+        return { x: area.x + random() * area.width, y: area.y + random() * area.height };
+    }
+
+    // Events in the order they fire
+    static timeline(scenario) {
+        return (scenario.events || []).slice().sort((a, b) => a.tick - b.tick);
+    }
+
+    // One scripted event: a god power, settings and/or environment changes
+    static applyEvent(simulation, event) {
+        if (event.action) {
+            new GodPowers(simulation).apply(Scenario.godPower(event.action), event.position || null);
+        }
+        if (event.settings) Object.assign(simulation.settings, event.settings);
+        if (event.environment) Object.assign(simulation.environment, event.environment);
+
+        console.log(`📜 Scenario event at tick ${simulation.tick}: ${event.label || event.action || 'settings change'}`);
+    }
+}
+
+export { Scenario, SCENARIO_FORMAT };
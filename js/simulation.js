@@ -1,7 +1,52 @@
 // Main simulation controller - orchestrates all systems
-import { Cell, Virus } from './cell.js';
+import { Cell, Virus, Colony } from './cell.js';
 import { FoodManager } from './food.js';
 import { Environment } from './environment.js';
+import { rng, random, resetIds, SeededRandom } from './random.js';
+import { WorldSnapshot } from './snapshot.js';
+import { SpatialGrid } from './spatial.js';
+import { LineageRegistry } from './lineage.js';
+import { SpeciesTracker } from './species.js';
+import { RunRecorder } from './runData.js';
+import { WorldRenderer } from './worldRenderer.js';
+import { Scenario } from './scenario.js';
+import { GodCommandLog } from './godCommands.js';
+
+// Hazard zone damage per tick = damagePerTick * local intensity * scale * (1 - resistance)
+const HAZARD_DAMAGE_SCALE = 0.1;
+
+// How long a cell ready to breed keeps signalling for a partner in sexual mode
+const MATE_SEARCH_TICKS = 300;
+
+// Ticks between sweeps of the lineage registry for removed cells and extinct branches
+const LINEAGE_SWEEP_INTERVAL = 600;
+
+// Ticks between species re-clustering (newborns keep their parent's species in between)
+const SPECIES_UPDATE_INTERVAL = 60;
+
+// Species listed separately in each composition sample - smaller ones are summed as 'other'
+const HISTORY_SPECIES_LIMIT = 15;
+
+// Composition samples kept for the whole run - past the limit every other one is dropped and sampling slows to match
+const COMPOSITION_HISTORY_LIMIT = 500;
+const COMPOSITION_INTERVAL = 20;
+
+// Highlights (predations, disasters, new colonies and species) kept for the camera director between frames
+const MAX_HIGHLIGHTS = 50;
+
+// Dissolved nutrients a cell absorbs per tick at full digestive capacity, and the energy each unit gives
+const NUTRIENT_UPTAKE = 0.002;
+const NUTRIENT_ENERGY = 50;
+
+// Dissolved nutrients a dead cell releases where it died, per unit of size
+const DECOMPOSITION_NUTRIENTS = 0.01;
+
+// Energy per tick from photosynthesis in full light with a photosynthesis trait of 1 - for the special ability and
+// for the metabolism type (a cell with both gets both)
+const PHOTOSYNTHESIS_ENERGY = { ability: 0.8, metabolism: 0.4 };
+
+// Photosynthesis per season (long warm days make more of the same light)
+const SEASON_PHOTOSYNTHESIS = { spring: 1.1, summer: 1.2, autumn: 0.8, winter: 0.5 };
 
 class Simulation {
     constructor(width, height) {
@@ -15,43 +60,31 @@ class Simulation {
         this.foodManager = new FoodManager(width, height);
         this.environment = new Environment(width, height);
         this.tick = 0;
+
+        // Shared neighbor index, rebuilt every tick (queries return full-scan results, just faster)
+        this.spatialIndex = {
+            cells: new SpatialGrid(100),
+            food: new SpatialGrid(50)
+        };
         this.generation = 1;
         this.maxGeneration = 1;
+        this.seed = rng.seed; // Seed of the shared random stream (shown in the UI)
 
         // Continuous simulation system (no rounds)
         this.continuousMode = true;
+        this.tournament = null; // Round-based tournament state while one is running (see startTournament)
+        this.lineage = new LineageRegistry(); // Birth/death record of every cell, for phylogeny export
+        this.species = new SpeciesTracker(); // Genetic clusters of the population
+        this.runData = new RunRecorder(this.environment); // Full time series and season/disaster log for export
+        this.highlights = []; // Recent moments worth a look, drained by the host with every frame
+        this.scenario = null; // Scenario the current run was started from (see reset)
+        this.scenarioEvents = []; // Its scripted events, in tick order
+        this.nextScenarioEvent = 0; // Index of the first scripted event that hasn't fired yet
+        this.godCommands = new GodCommandLog(this); // God Mode actions: queued, applied between ticks, undoable
+        this.mutationBoost = null; // { rate, endTick } while a god-mode mutation boost lasts
 
         // Settings for continuous ecosystem - ENHANCED FOR RAPID GROWTH
-        this.settings = {
-            initialCells: 75, // Increased starting population
-            foodSpawnRate: 4.2, // Increased food rate to support rapid growth (was 2.5)
-            maxFood: 750, // Increased maximum food particles (was 500)
-            mutationRate: 0.12, // Slightly reduced for stability
-            geneticDrift: 0.06, // Reduced drift for more stable growth
-            simulationSpeed: 1.0,
-            minPopulation: 75, // Higher minimum to maintain robust populations  
-            maxPopulation: 3500, // Increased carrying capacity (was 2000)
-            virusSpawnRate: 0.001, // Much reduced virus pressure for friendlier ecosystem (was 0.003)
-            maxViruses: 5, // Significantly reduced max viruses (was 12)
-
-            // Natural ecosystem settings
-            naturalSelectionEnabled: true,
-            fitnessBasedSurvival: true,
-            selectionPressure: 0.05, // Gentler selection for continuous mode
-            traitStabilization: 2000,
-            environmentalPressure: 0.15,
-
-            // Reproduction settings - ENHANCED FOR FASTER MULTIPLICATION
-            reproductionRate: 1.8, // Increased base reproduction multiplier (birth rate)
-            mitosisCooldown: 250, // Reduced time between reproduction attempts (was 400)
-            energyThreshold: 0.45, // Reduced energy level needed to reproduce (was 0.6)
-            foodDependentReproduction: true, // Reproduction depends on food
-            predationReproduction: true, // Can reproduce after eating other cells
-
-            // Colony settings
-            maxColonySize: 25,
-            colonyFormationThreshold: 3 // Min cells needed to form colony
-        };
+        this.settings = Simulation.defaultSettings();
 
         // Statistics for continuous ecosystem
         this.stats = {
@@ -94,30 +127,126 @@ class Simulation {
                 geneticDrift: 0
             },
             populationHistory: [],
+            compositionHistory: [], // { tick, composition } samples covering the whole run
+            compositionInterval: COMPOSITION_INTERVAL, // Ticks between composition samples, doubled at every thinning
+            speciesLegend: {}, // species id -> { name, color, parentSpeciesId } for species in compositionHistory
+            deathCauses: {}, // cause -> number of cells that died of it
+            births: { mitosis: 0, mating: 0 },
             ecosystemHealth: 100
         };
 
         console.log('🧬 Simulation initialized');
     }
 
-    reset(newSettings = {}) {
+    // Default settings (also used by the UI before the worker reports back)
+    static defaultSettings() {
+        return {
+            initialCells: 75, // Increased starting population
+            foodSpawnRate: 4.2, // Increased food rate to support rapid growth (was 2.5)
+            maxFood: 750, // Increased maximum food particles (was 500)
+            mutationRate: 0.12, // Slightly reduced for stability
+            geneticDrift: 0.06, // Reduced drift for more stable growth
+            simulationSpeed: 1.0,
+            minPopulation: 75, // Higher minimum to maintain robust populations  
+            maxPopulation: 3500, // Increased carrying capacity (was 2000)
+            virusSpawnRate: 0.001, // Much reduced virus pressure for friendlier ecosystem (was 0.003)
+            maxViruses: 5, // Significantly reduced max viruses (was 12)
+
+            // Natural ecosystem settings
+            naturalSelectionEnabled: true,
+            fitnessBasedSurvival: true,
+            selectionPressure: 0.05, // Gentler selection for continuous mode
+            traitStabilization: 2000,
+            environmentalPressure: 0.15,
+
+            // Reproduction settings - ENHANCED FOR FASTER MULTIPLICATION
+            reproductionRate: 1.8, // Increased base reproduction multiplier (birth rate)
+            mitosisCooldown: 250, // Reduced time between reproduction attempts (was 400)
+            energyThreshold: 0.45, // Reduced energy level needed to reproduce (was 0.6)
+            foodDependentReproduction: true, // Reproduction depends on food
+            predationReproduction: true, // Can reproduce after eating other cells
+            reproductionMode: 'asexual', // 'asexual' (mitosis) or 'sexual' (two parents, genetic crossover)
+            mateCompatibility: 0.45, // Max genetic distance between two cells that can still mate
+
+            // Behavior settings
+            decisionMode: 'rules', // 'rules' (hand-coded behavior) or 'brain' (each cell's evolving neural network)
+
+            // Colony settings
+            maxColonySize: 25,
+            colonyFormationThreshold: 3, // Min cells needed to form colony
+
+            // Lineage settings
+            pruneExtinctLineages: true, // Forget branches with no living descendants (keeps long runs bounded)
+            speciesThreshold: 0.3, // Max genetic distance from a species' typical genes before a cell counts as another species
+
+            // Data export settings
+            runDataInterval: 20, // Ticks between samples of the exported time series
+
+            // Tournament settings
+            tournamentRoundLength: 3600, // Ticks per round (one minute at 60 ticks/second)
+            championsPerRound: 5 // Top scorers carried into the next round
+        };
+    }
+
+    // A scenario (see scenario.js) replaces the generated start: its world size, terrain, populations, settings
+    // overrides (on top of the defaults, under newSettings) and scripted events. Its seed is used when none is given
+    reset(newSettings = {}, seed = null, scenario = null) {
         console.log('🔄 Resetting simulation...');
+        if (scenario) Scenario.validate(scenario);
+
+        // Reseed the shared random stream - same seed + same settings (+ same scenario) = same run
+        const isSeed = (value) => value !== null && value !== undefined && String(value).trim() !== '';
+        const chosenSeed = isSeed(seed) ? seed : scenario?.seed;
+        rng.setSeed(isSeed(chosenSeed) ? chosenSeed : SeededRandom.randomSeed());
+        this.seed = rng.seed;
+        resetIds();
 
         // Update settings
-        this.settings = { ...this.settings, ...newSettings };
+        if (scenario) {
+            this.settings = Scenario.settings(scenario, Simulation.defaultSettings(), newSettings);
+        } else {
+            this.settings = { ...this.settings, ...newSettings };
+        }
+
+        this.scenario = scenario;
+        this.scenarioEvents = scenario ? Scenario.timeline(scenario) : [];
+        this.nextScenarioEvent = 0;
+        if (scenario?.world) {
+            this.resize(scenario.world.width || this.width, scenario.world.height || this.height);
+        }
 
         // Reset state
         this.cells = [];
+        this.viruses = [];
+        this.colonies = [];
         this.tick = 0;
         this.generation = 1;
         this.maxGeneration = 1;
+        this.tournament = null;
+        this.continuousMode = true;
+        this.lineage = new LineageRegistry();
+        this.species = new SpeciesTracker();
+
+        // Rebuild terrain from the new seed
+        this.environment = new Environment(this.width, this.height);
+        if (scenario) Scenario.applyTerrain(scenario, this.environment);
+        this.runData = new RunRecorder(this.environment);
+        this.highlights = [];
+        this.godCommands = new GodCommandLog(this);
+        this.mutationBoost = null;
 
         // Reset food system
         this.foodManager.reset();
         this.foodManager.setSpawnRate(this.settings.foodSpawnRate);
 
         // Spawn initial cells
-        this.spawnInitialCells();
+        if (scenario?.populations) {
+            this.cells = Scenario.spawnPopulations(scenario, this.width, this.height);
+        } else {
+            this.spawnInitialCells();
+        }
+        this.lineage.update(this.cells, this.tick);
+        this.species.update(this.cells, this.tick, this.settings.speciesThreshold);
 
         // Reset stats
         this.stats = {
@@ -127,16 +256,29 @@ class Simulation {
             foodCount: this.foodManager.getFood().length,
             traitDistribution: this.calculateTraitDistribution(),
             populationHistory: [],
+            compositionHistory: [],
+            compositionInterval: COMPOSITION_INTERVAL,
+            speciesLegend: {},
+            deathCauses: {},
+            births: { mitosis: 0, mating: 0 },
             extinctions: 0
         };
 
-        console.log(`✅ Simulation reset with ${this.cells.length} initial cells`);
+        console.log(`✅ Simulation reset with ${this.cells.length} initial cells (seed ${this.seed})`);
+    }
+
+    // Takes effect with the next reset, which rebuilds the terrain for the new size
+    resize(width, height) {
+        this.width = width;
+        this.height = height;
+        this.foodManager.width = width;
+        this.foodManager.height = height;
     }
 
     spawnInitialCells() {
         for (let i = 0; i < this.settings.initialCells; i++) {
-            const x = 50 + Math.random() * (this.width - 100);
-            const y = 50 + Math.random() * (this.height - 100);
+            const x = 50 + random() * (this.width - 100);
+            const y = 50 + random() * (this.height - 100);
 
             // Create cells with random initial traits
             const cell = new Cell(x, y, {
@@ -160,14 +302,25 @@ class Simulation {
         }
 
         // Handle partial updates for smooth speed control
-        if (partialUpdate > 0 && Math.random() < partialUpdate) {
+        if (partialUpdate > 0 && random() < partialUpdate) {
             this.updateSingleStep();
         }
     }
 
     updateSingleStep() {
+        // God Mode commands queued since the last tick
+        this.godCommands.applyDue();
+
         this.tick++;
 
+        // A mutation boost wears off once its tick has passed
+        if (this.mutationBoost && this.tick >= this.mutationBoost.endTick) {
+            this.mutationBoost = null;
+        }
+
+        // Scripted scenario events due this tick
+        this.runScenarioEvents();
+
         // Update environment with seasonal changes and disasters
         this.environment.update();
 
@@ -179,6 +332,11 @@ class Simulation {
         this.updateFoodSystem(environmentalPressures);
         const food = this.foodManager.getFood();
 
+        // Index this tick's cells and food for neighbor queries
+        this.spatialIndex.cells.rebuild(this.cells);
+        this.spatialIndex.food.rebuild(food);
+        this.environment.indexTerrain();
+
         // Track cells that need to be removed and new cells to add
         const deadCells = [];
         const newCells = [];
@@ -192,25 +350,36 @@ class Simulation {
             cell.globalPopulation = this.cells.length;
             cell.globalFoodCount = food.length;
             cell.simulation = this; // Pass simulation reference for settings access
+            cell.spatialIndex = this.spatialIndex;
 
             const isAlive = cell.update(this.cells, food, { width: this.width, height: this.height }, environment);
 
+            // Obstacles, hazard zones and spike traps act on the cell where it moved to
+            if (isAlive) {
+                this.applyTerrainEffects(cell);
+            }
+
+            // Re-file the cell at its new position so later queries this tick see where it is now
+            this.spatialIndex.cells.update(cell);
+
             if (!isAlive || cell.traits.health <= 0) {
                 deadCells.push({ cell, index });
             } else {
                 // Handle food consumption
-                food.forEach(foodParticle => {
+                cell.queryNearby(food, cell.radius + this.spatialIndex.food.maxRadius, this.spatialIndex.food).forEach(foodParticle => {
                     if (cell.eat(foodParticle)) {
                         // Increase reproduction chances based on food consumed
                         cell.traits.energy = Math.min(cell.traits.maxEnergy, cell.traits.energy + foodParticle.energyValue);
                         cell.lastFoodTime = this.tick;
+                        cell.roundStats.foodEaten++;
                     }
                 });
 
                 // Handle cell-to-cell interactions (predation, cooperation, etc.)
-                this.cells.forEach(other => {
+                cell.queryNearby(this.cells, cell.radius + this.spatialIndex.cells.maxRadius).forEach(other => {
                     if (other !== cell && cell.collidesWith(other)) {
                         this.handleCellInteraction(cell, other, newCells);
+                        this.spatialIndex.cells.update(other);
                     }
                 });
 
@@ -219,10 +388,11 @@ class Simulation {
                     const offspring = this.createOffspring(cell);
                     // Enhanced reproduction success rates for faster population growth
                     const populationPressure = Math.max(0.8, this.cells.length / this.settings.maxPopulation); // Reduced pressure (was 1)
-                    const reproductionSuccess = Math.random() < (1.3 / populationPressure); // Enhanced success rate (was 1 / populationPressure)
+                    const reproductionSuccess = random() < (1.3 / populationPressure); // Enhanced success rate (was 1 / populationPressure)
 
                     if (offspring && reproductionSuccess) {
                         newCells.push(offspring);
+                        this.stats.births[offspring.coParentId ? 'mating' : 'mitosis']++;
                         this.maxGeneration = Math.max(this.maxGeneration, offspring.generation);
                     } else if (offspring && !reproductionSuccess) {
                         // Failed reproduction due to overcrowding - convert energy back to parent but with less loss
@@ -231,11 +401,15 @@ class Simulation {
                     }
                     cell.reproduced = false; // Reset reproduction flag
                 }
+
+                // Eating and predation can grow the cell - keep the index's radius padding current
+                this.spatialIndex.cells.update(cell);
             }
         });
 
         // Remove dead cells and spawn food from their corpses
         deadCells.reverse().forEach(({ cell, index }) => {
+            this.recordDeath(cell, this.classifyDeath(cell));
             this.foodManager.spawnFromDeath(cell.x, cell.y, cell.traits.size);
             this.cells.splice(index, 1);
         });
@@ -260,6 +434,29 @@ class Simulation {
         // Check for population control - respawn if extinct or maintain minimum
         this.maintainPopulation();
 
+        // Advance the tournament clock and score finished rounds
+        if (this.tournament) {
+            this.updateTournament();
+        }
+
+        // Register this tick's births; every so often settle cells that vanished and prune dead branches
+        this.lineage.update(this.cells, this.tick);
+        if (this.tick % LINEAGE_SWEEP_INTERVAL === 0) {
+            this.lineage.markMissing(this.cells, this.tick);
+            if (this.settings.pruneExtinctLineages) this.lineage.pruneExtinct();
+        }
+        if (this.tick % SPECIES_UPDATE_INTERVAL === 0) {
+            this.species.update(this.cells, this.tick, this.settings.speciesThreshold);
+            this.species.events
+                .filter(event => event.type === 'speciation' && event.tick === this.tick)
+                .forEach(event => {
+                    const founder = this.cells.find(cell => cell.id === event.founderId);
+                    if (founder) {
+                        this.addHighlight('species', founder.x, founder.y, { kind: 'cell', id: founder.id }, `New species ${event.name}`);
+                    }
+                });
+        }
+
         // Update generation based on living cells
         if (this.cells.length > 0) {
             this.generation = Math.floor(this.cells.reduce((sum, cell) => sum + cell.generation, 0) / this.cells.length);
@@ -267,14 +464,36 @@ class Simulation {
 
         // Update ecosystem statistics
         this.updateEcosystemStats();
+        this.runData.record(this).forEach(event => {
+            if (event.type === 'disaster') {
+                this.addHighlight('disaster', event.x, event.y, null, `Disaster: ${event.name}`);
+            }
+        });
+    }
+
+    // Something worth watching for the camera director - a place, and optionally a cell/colony to follow there
+    addHighlight(type, x, y, target = null, label = '') {
+        this.highlights.push({ type, tick: this.tick, x, y, target, label });
+        if (this.highlights.length > MAX_HIGHLIGHTS) this.highlights.shift();
+    }
+
+    takeHighlights() {
+        const highlights = this.highlights;
+        this.highlights = [];
+        return highlights;
     }
 
     updateViruses(food, environment) {
         const deadViruses = [];
 
+        // Cells were removed and born since the start of the tick
+        this.spatialIndex.cells.rebuild(this.cells);
+
         // Update each virus
         this.viruses.forEach((virus, index) => {
+            virus.spatialIndex = this.spatialIndex;
             const isAlive = virus.update(this.cells, food, this.width, this.height);
+            this.applyTerrainEffects(virus);
 
             if (!isAlive || virus.traits.health <= 0) {
                 deadViruses.push(index);
@@ -291,9 +510,9 @@ class Simulation {
         if (this.viruses.length >= this.settings.maxViruses) return;
         if (this.cells.length < 10) return; // Need some cells to justify virus spawning
 
-        if (Math.random() < this.settings.virusSpawnRate) {
-            const x = Math.random() * this.width;
-            const y = Math.random() * this.height;
+        if (random() < this.settings.virusSpawnRate) {
+            const x = random() * this.width;
+            const y = random() * this.height;
 
             const virus = new Virus(x, y);
             this.viruses.push(virus);
@@ -334,7 +553,7 @@ class Simulation {
 
             // GROWTH ENHANCEMENT 6: Colony reproduction coordination
             // Colonies can coordinate reproduction for population booms
-            if (colony.members.length >= 8 && Math.random() < 0.05) {
+            if (colony.members.length >= 8 && random() < 0.05) {
                 console.log(`👨‍👩‍👧‍👦 ${colony.id} coordinating reproduction event`);
                 colony.members.forEach(member => {
                     if (member.traits.energy > member.traits.maxEnergy * 0.6) {
@@ -348,6 +567,7 @@ class Simulation {
         this.cells.forEach(cell => {
             if (cell.colony && !this.colonies.includes(cell.colony)) {
                 this.colonies.push(cell.colony);
+                this.highlightColony(cell.colony);
             }
         });
 
@@ -357,7 +577,7 @@ class Simulation {
 
     // New method to encourage colony formation for population growth
     encourageColonyFormation() {
-        if (Math.random() < 0.02) { // 2% chance per tick
+        if (random() < 0.02) { // 2% chance per tick
             const loners = this.cells.filter(cell => !cell.colony);
             if (loners.length >= 3) {
                 // Find potential colony founders
@@ -368,21 +588,16 @@ class Simulation {
                     );
 
                     if (nearbyLoners.length >= 2) {
-                        // Form new colony - import Colony dynamically
-                        import('./cell.js').then(module => {
-                            const Colony = module.Colony;
-                            if (Colony && founder.colony === null) { // Check still needs colony
-                                const newColony = new Colony(founder);
-                                nearbyLoners.slice(0, 2).forEach(cell => {
-                                    if (cell.colony === null) { // Double-check availability
-                                        newColony.addMember(cell, founder);
-                                    }
-                                });
-                                console.log(`🏘️ New colony formed with ${newColony.members.length} members`);
+                        // Form new colony
+                        const newColony = new Colony(founder);
+                        nearbyLoners.slice(0, 2).forEach(cell => {
+                            if (cell.colony === null) {
+                                newColony.addMember(cell, founder);
                             }
-                        }).catch(err => {
-                            console.warn('Could not import Colony class:', err);
                         });
+                        this.colonies.push(newColony);
+                        this.highlightColony(newColony);
+                        console.log(`🏘️ New colony formed with ${newColony.members.length} members`);
                         break;
                     }
                 }
@@ -390,6 +605,11 @@ class Simulation {
         }
     }
 
+    highlightColony(colony) {
+        const center = colony.structure.center;
+        this.addHighlight('colony', center.x, center.y, { kind: 'colony', id: colony.id }, `${colony.founder.name} founded a colony`);
+    }
+
     updateFoodSystem(environmentalPressures) {
         // Adjust food spawn rate based on environmental conditions
         let foodModifier = environmentalPressures.resourceAvailability;
@@ -448,9 +668,10 @@ class Simulation {
         this.foodManager.setSpawnRate(this.settings.foodSpawnRate * foodModifier);
         this.foodManager.setMaxFood(this.settings.maxFood);
         this.foodManager.update();
+        this.foodManager.spawnFromSources(this.environment.nutrientSources);
 
         // GROWTH ENHANCEMENT 4: Periodic abundance events
-        if (Math.random() < 0.003) { // 0.3% chance per tick
+        if (random() < 0.003) { // 0.3% chance per tick
             this.triggerAbundanceEvent();
         }
 
@@ -487,9 +708,12 @@ class Simulation {
     applyEnvironmentalEffects(cell, pressures) {
         let damageDealt = false;
 
+        // Temperature, toxins, light and nutrients differ across the world - use what is at the cell
+        const local = this.environment.sampleFields(cell.x, cell.y);
+
         // Temperature effects
         const tempTolerance = cell.traits.temperatureTolerance || 0.5;
-        const tempStress = Math.abs(pressures.temperature - tempTolerance);
+        const tempStress = Math.abs(local.temperature - tempTolerance);
         if (tempStress > 0.3) {
             const tempDamage = (tempStress - 0.3) * 2;
             cell.traits.health -= tempDamage;
@@ -499,7 +723,7 @@ class Simulation {
 
         // Toxicity effects
         const toxinResistance = cell.traits.toxinResistance || 0.0;
-        const toxinDamage = Math.max(0, pressures.toxicity - toxinResistance) * 3;
+        const toxinDamage = Math.max(0, local.toxicity - toxinResistance) * 3;
         if (toxinDamage > 0) {
             cell.traits.health -= toxinDamage;
             damageDealt = true;
@@ -512,12 +736,28 @@ class Simulation {
             cell.traits.health -= radiationExposure * 2;
 
             // Chance for radiation-induced mutations
-            if (Math.random() < radiationExposure * 0.1) {
+            if (random() < radiationExposure * 0.1) {
                 this.applyRadiationMutation(cell);
             }
             damageDealt = true;
         }
 
+        // Dissolved nutrients are absorbed straight through the membrane
+        if (local.nutrients > 0) {
+            const uptake = NUTRIENT_UPTAKE * (cell.traits.digestiveCapacity || 0);
+            const absorbed = this.environment.fields.take('nutrients', cell.x, cell.y, uptake);
+            cell.traits.energy = Math.min(cell.traits.maxEnergy, cell.traits.energy + absorbed * NUTRIENT_ENERGY);
+        }
+
+        // Photosynthesis - autotrophs live on the light where they are, so shade and night starve them
+        const autotrophy = (cell.traits.specialAbility === 'photosynthesis' ? PHOTOSYNTHESIS_ENERGY.ability : 0) +
+            (cell.traits.metabolismType === 'photosynthetic' ? PHOTOSYNTHESIS_ENERGY.metabolism : 0);
+        if (autotrophy > 0) {
+            const gain = autotrophy * local.light * (cell.traits.photosynthesis || 0) * SEASON_PHOTOSYNTHESIS[pressures.season];
+            cell.traits.energy = Math.min(cell.traits.maxEnergy, cell.traits.energy + gain);
+            cell.defenseStates.photosynthesisRate = gain;
+        }
+
         // Oxygen level effects
         if (pressures.oxygenLevel < 0.8) {
             const oxygenStress = (0.8 - pressures.oxygenLevel) * 4;
@@ -530,30 +770,35 @@ class Simulation {
             this.applyDisasterEffects(cell, disasterType);
         });
 
+        if (damageDealt) {
+            cell.lastDamageCause = 'climate';
+            cell.lastDamageTime = cell.age;
+        }
+
         // Visual feedback for environmental damage
-        if (damageDealt && Math.random() < 0.1) {
-            this.addEnvironmentalDamageEffect(cell, pressures);
+        if (damageDealt && random() < 0.1) {
+            this.addEnvironmentalDamageEffect(cell, { ...pressures, ...local });
         }
     }
 
     applyRadiationMutation(cell) {
         // Radiation causes random trait changes
         const traits = Object.keys(cell.traits);
-        const randomTrait = traits[Math.floor(Math.random() * traits.length)];
+        const randomTrait = traits[Math.floor(random() * traits.length)];
 
         switch (randomTrait) {
             case 'size':
                 cell.traits.size = Math.max(4, Math.min(20,
-                    cell.traits.size + (Math.random() - 0.5) * 6));
+                    cell.traits.size + (random() - 0.5) * 6));
                 break;
             case 'speed':
                 cell.traits.speed = Math.max(0.2, Math.min(3.0,
-                    cell.traits.speed + (Math.random() - 0.5) * 1.0));
+                    cell.traits.speed + (random() - 0.5) * 1.0));
                 break;
             case 'maxHealth':
                 const oldHealth = cell.traits.maxHealth;
                 cell.traits.maxHealth = Math.max(40, Math.min(160,
-                    oldHealth + (Math.random() - 0.5) * 30));
+                    oldHealth + (random() - 0.5) * 30));
                 // Adjust current health proportionally
                 cell.traits.health = (cell.traits.health / oldHealth) * cell.traits.maxHealth;
                 break;
@@ -566,17 +811,19 @@ class Simulation {
         switch (disasterType) {
             case 'meteor':
                 // Increased chance of physical damage from debris
-                if (Math.random() < 0.01) {
-                    cell.traits.health -= 5 + Math.random() * 10;
+                if (random() < 0.01) {
+                    cell.traits.health -= 5 + random() * 10;
+                    cell.lastDamageCause = 'disaster';
+                    cell.lastDamageTime = cell.age;
                 }
                 break;
 
             case 'plague':
                 // Increased infection spread rate
-                if (!cell.isInfected && Math.random() < 0.005) {
+                if (!cell.isInfected && random() < 0.005) {
                     cell.isInfected = true;
-                    cell.infectionTimer = 300 + Math.random() * 200;
-                    cell.infectionSeverity = 0.5 + Math.random() * 0.5;
+                    cell.infectionTimer = 300 + random() * 200;
+                    cell.infectionSeverity = 0.5 + random() * 0.5;
                 }
                 break;
 
@@ -592,6 +839,90 @@ class Simulation {
         }
     }
 
+    // Obstacles, hazard zones and spike traps acting on a cell or virus after it moved
+    applyTerrainEffects(cell) {
+        const environment = this.environment;
+        const terrain = cell.terrainStats;
+
+        // Obstacles are solid - slide along them, then stay inside the world
+        if (environment.resolveObstacleCollisions(cell)) {
+            cell.x = Math.max(cell.radius, Math.min(this.width - cell.radius, cell.x));
+            cell.y = Math.max(cell.radius, Math.min(this.height - cell.radius, cell.y));
+        }
+
+        // Hazard zones deal typed damage, reduced by the matching resistance trait
+        environment.checkHazardCollision(cell).forEach(hazard => {
+            const fullDamage = (hazard.damagePerTick || 1) * hazard.intensity * HAZARD_DAMAGE_SCALE;
+            const damage = fullDamage * (1 - environment.hazardResistance(hazard.type, cell.traits));
+
+            this.applyTerrainDamage(cell, damage, `hazard:${hazard.type}`);
+            terrain.hazardTicks++;
+            terrain.damageResisted += fullDamage - damage;
+
+            if (hazard.type === 'ice') {
+                cell.vx *= 0.9; // Ice slows everything down
+                cell.vy *= 0.9;
+            }
+        });
+
+        // Spike traps hit once per activation - armor blunts them
+        environment.checkSpikeTrapCollision(cell).forEach(spike => {
+            const damage = spike.damage * (1 - Math.min(0.8, cell.traits.armorThickness || 0));
+            this.applyTerrainDamage(cell, damage, 'spikeTrap');
+            terrain.spikeHits++;
+
+            cell.particleEffects.push({
+                x: cell.x,
+                y: cell.y,
+                vx: 0,
+                vy: 0,
+                size: 3,
+                life: 20,
+                maxLife: 20,
+                color: '#ff0000',
+                type: 'environmental'
+            });
+        });
+    }
+
+    applyTerrainDamage(cell, damage, cause) {
+        if (damage <= 0) return;
+
+        cell.traits.health -= damage;
+        cell.terrainStats.damageTaken += damage;
+        cell.lastDamageCause = cause;
+        cell.lastDamageTime = cell.age;
+    }
+
+    // Why a cell died - explicit kills first, then the state it died in, then its last injury
+    classifyDeath(cell) {
+        if (cell.deathCause) return cell.deathCause;
+        if (cell.age >= cell.maxLifespan * cell.traits.agingRate) return 'oldAge';
+        if (cell.traits.energy <= 0 && cell.traits.health > 0) return 'starvation';
+        if (cell.lastDamageCause && cell.age - cell.lastDamageTime < 60) return cell.lastDamageCause;
+        if (cell.isInfected) return 'infection';
+        return 'other';
+    }
+
+    recordDeath(cell, cause) {
+        // Whatever the cause, the body decomposes into the surrounding water
+        this.environment.fields.deposit('nutrients', cell.x, cell.y, cell.radius, DECOMPOSITION_NUTRIENTS * cell.traits.size);
+
+        cell.deathCause = cause;
+        this.stats.deathCauses[cause] = (this.stats.deathCauses[cause] || 0) + 1;
+        this.lineage.recordDeath(cell, this.tick, cause);
+    }
+
+    // Take a recorded death back - god-mode undo and redo put removed cells back into the world
+    undoDeath(cell) {
+        if (cell.deathCause) {
+            this.environment.fields.deposit('nutrients', cell.x, cell.y, cell.radius, -DECOMPOSITION_NUTRIENTS * cell.traits.size);
+            this.stats.deathCauses[cell.deathCause] = Math.max(0, (this.stats.deathCauses[cell.deathCause] || 0) - 1);
+            cell.deathCause = null;
+        }
+        this.lineage.undoDeath(cell);
+    }
+
     addEnvironmentalDamageEffect(cell, pressures) {
         // Add visual particles for environmental damage
         const effectColor = pressures.toxicity > 0.3 ? '#00ff00' :
@@ -601,11 +932,11 @@ class Simulation {
 
         for (let i = 0; i < 3; i++) {
             cell.particleEffects.push({
-                x: cell.x + (Math.random() - 0.5) * cell.radius * 2,
-                y: cell.y + (Math.random() - 0.5) * cell.radius * 2,
-                vx: (Math.random() - 0.5) * 2,
-                vy: (Math.random() - 0.5) * 2,
-                size: 1 + Math.random() * 2,
+                x: cell.x + (random() - 0.5) * cell.radius * 2,
+                y: cell.y + (random() - 0.5) * cell.radius * 2,
+                vx: (random() - 0.5) * 2,
+                vy: (random() - 0.5) * 2,
+                size: 1 + random() * 2,
                 life: 20,
                 maxLife: 20,
                 color: effectColor,
@@ -636,166 +967,74 @@ class Simulation {
         });
     }
 
-    // Create offspring from a parent cell
-    createOffspring(parent) {
-        // Position offspring near parent with slight offset
-        const angle = Math.random() * Math.PI * 2;
-        const distance = parent.radius * 2 + Math.random() * 10;
-        const x = parent.x + Math.cos(angle) * distance;
-        const y = parent.y + Math.sin(angle) * distance;
-
-        // Keep within boundaries
-        const clampedX = Math.max(parent.radius, Math.min(this.width - parent.radius, x));
-        const clampedY = Math.max(parent.radius, Math.min(this.height - parent.radius, y));
-
-        // Create offspring with inherited traits plus mutations
-        const offspring = new Cell(clampedX, clampedY, {
-            generation: parent.generation + 1,
-            parentTraits: parent.traits,
-            mutationRate: this.settings.mutationRate
-        });
-        offspring.simulation = this; // Pass simulation reference for settings access
-
-        // Copy some parent properties
-        offspring.colonyRole = parent.colonyRole;
-        offspring.homePosition = parent.homePosition;
-
-        // Chance to inherit parent's colony
-        if (parent.colony && parent.colony.members.length < this.settings.maxColonySize) {
-            if (Math.random() < 0.6) { // 60% chance to join parent's colony
-                parent.colony.addMember(offspring, parent);
+    // Create offspring from a parent cell - by mitosis, or with a mate in sexual mode
+    createOffspring(parent, mode = this.settings.reproductionMode) {
+        let mate = null;
+        if (mode === 'sexual') {
+            mate = parent.chooseMate(this.cells);
+            if (!mate) {
+                // Nobody suitable nearby - keep signalling for a partner (see Cell.update)
+                if (!parent.seekingMate) parent.seekingMate = MATE_SEARCH_TICKS;
+                return null;
             }
         }
 
-        // Energy cost to parent
-        parent.traits.energy *= 0.7;
-
-        console.log(`🧬 ${parent.name} reproduced: ${offspring.name} (Gen ${offspring.generation})`);
-
-        return offspring;
-    }
-
-    // Enhanced cell interaction with COOPERATIVE focus
-    handleCellInteraction(cell1, cell2, newCells) {
-        if (!cell1.collidesWith(cell2)) return;
-
-        // Check for cooperation opportunities FIRST before any combat
-        if (this.attemptCooperation(cell1, cell2)) {
-            return; // Skip combat if cooperation occurred
-        }
-
-        // Store initial health for tracking changes
-        const initialHealth1 = cell1.traits.health;
-        const initialHealth2 = cell2.traits.health;
-
-        // Much stricter predation requirements to reduce combat
-        if (this.canPredate(cell1, cell2)) {
-            this.handlePredation(cell1, cell2, newCells);
-            return; // Skip normal combat if predation occurred
-        } else if (this.canPredate(cell2, cell1)) {
-            this.handlePredation(cell2, cell1, newCells);
-            return;
-        }
-
-        // FRIENDLY INTERACTION: Reduced combat damage and energy sharing
-        let damage1 = 0;
-        let damage2 = 0;
-
-        // Much reduced base combat damage for friendliness
-        const baseDamage1 = cell1.traits.size * 0.05; // Reduced from 0.15
-        const baseDamage2 = cell2.traits.size * 0.05; // Reduced from 0.15
-
-        // Apply aggression modifiers - peaceful cells fight less
-        const aggression1 = cell1.traits.aggression || 0.3;
-        const aggression2 = cell2.traits.aggression || 0.3;
+        // Inherited traits plus mutations, placed next to the parent(s)
+        const offspring = mate ?
+            parent.reproduceWith(mate, this.currentMutationRate()) :
+            parent.reproduce(this.currentMutationRate());
+        offspring.simulation = this; // Pass simulation reference for settings access
 
-        damage1 *= aggression1; // Scale damage by aggression
-        damage2 *= aggression2;
+        // Keep within boundaries
+        offspring.x = Math.max(offspring.radius, Math.min(this.width - offspring.radius, offspring.x));
+        offspring.y = Math.max(offspring.radius, Math.min(this.height - offspring.radius, offspring.y));
 
-        // Apply defense-specific interactions with reduced damage
-        damage1 = this.calculateDefenseInteraction(cell1, cell2, baseDamage1) * 0.5; // 50% damage reduction
-        damage2 = this.calculateDefenseInteraction(cell2, cell1, baseDamage2) * 0.5;
+        offspring.speciesId = parent.speciesId; // Until the next re-clustering says otherwise
+        this.assignColonyRole(offspring, parent);
 
-        // Apply minimal damage for friendly ecosystem
-        cell1.traits.health -= damage2;
-        cell2.traits.health -= damage1;
+        // Energy cost to parent - a mate shares it
+        parent.traits.energy *= mate ? 0.85 : 0.7;
+        if (mate) mate.traits.energy *= 0.85;
 
-        // Reduced energy cost for combat
-        cell1.traits.energy -= Math.min(1, cell1.traits.energy * 0.01); // Reduced from 0.03
-        cell2.traits.energy -= Math.min(1, cell2.traits.energy * 0.01);
+        const partner = mate ? ` with ${mate.name}` : '';
+        console.log(`🧬 ${parent.name} reproduced${partner}: ${offspring.name} (Gen ${offspring.generation}, ${offspring.mutations.length} mutations)`);
 
-        // Handle special combat effects
-        this.handleSpecialCombatEffects(cell1, cell2);
+        return offspring;
     }
 
-    // NEW: Cooperation system for friendly interactions
-    attemptCooperation(cell1, cell2) {
-        // Check if both cells are cooperative enough
-        const social1 = cell1.traits.socialIntelligence || 0.5;
-        const social2 = cell2.traits.socialIntelligence || 0.5;
-        const altruism1 = cell1.traits.altruism || 0.4;
-        const altruism2 = cell2.traits.altruism || 0.4;
-
-        // Higher chance of cooperation for social, altruistic cells
-        const cooperationChance = (social1 + social2 + altruism1 + altruism2) / 4;
-
-        if (Math.random() < cooperationChance * 0.6) { // 60% max cooperation chance
-            // ENERGY SHARING: Cells with more energy share with those with less
-            const totalEnergy = cell1.traits.energy + cell2.traits.energy;
-            const avgEnergy = totalEnergy / 2;
-            const shareAmount = Math.min(5, Math.abs(cell1.traits.energy - cell2.traits.energy) * 0.1);
-
-            if (cell1.traits.energy > cell2.traits.energy) {
-                cell1.traits.energy -= shareAmount;
-                cell2.traits.energy += shareAmount;
-            } else {
-                cell2.traits.energy -= shareAmount;
-                cell1.traits.energy += shareAmount;
+    // Role-based reproduction: sedentary colony cells raise mostly sedentary young at home, inside the colony;
+    // adventurers raise mostly adventurers, who settle where they're born and may found an outpost colony there
+    assignColonyRole(offspring, parent) {
+        if (parent.colonyRole === 'sedentary' && parent.colony) {
+            offspring.colonyRole = random() < 0.8 ? 'sedentary' : 'adventurer';
+            offspring.homePosition = { x: parent.x, y: parent.y };
+        } else if (parent.colonyRole === 'adventurer') {
+            offspring.colonyRole = random() < 0.6 ? 'adventurer' : 'sedentary';
+            offspring.homePosition = { x: offspring.x, y: offspring.y };
+        } else {
+            offspring.colonyRole = parent.colonyRole;
+            offspring.homePosition = parent.homePosition;
+        }
+
+        // Sedentary parents always keep their young in the colony, others 60% of the time
+        if (parent.colony && parent.colony.members.length < this.settings.maxColonySize) {
+            if (parent.colonyRole === 'sedentary' || random() < 0.6) {
+                parent.colony.addMember(offspring, parent);
             }
-
-            // HEALING COOPERATION: Healthy cells help heal injured ones
-            if (cell1.traits.health < cell1.traits.maxHealth * 0.7 && cell2.traits.health > cell2.traits.maxHealth * 0.8) {
-                const healAmount = Math.min(3, cell2.traits.energy * 0.02);
-                cell1.traits.health += healAmount;
-                cell2.traits.energy -= healAmount * 0.5;
-            } else if (cell2.traits.health < cell2.traits.maxHealth * 0.7 && cell1.traits.health > cell1.traits.maxHealth * 0.8) {
-                const healAmount = Math.min(3, cell1.traits.energy * 0.02);
-                cell2.traits.health += healAmount;
-                cell1.traits.energy -= healAmount * 0.5;
+        } else if (parent.colonyRole === 'adventurer' && !parent.colony) {
+            // Far from home, an adventurer's young may start an outpost (the Colony marks it as founder)
+            const distanceFromHome = Math.hypot(parent.x - parent.homePosition.x, parent.y - parent.homePosition.y);
+            if (distanceFromHome > parent.maxDistanceFromHome * 0.8 && random() < 0.3) {
+                const outpost = new Colony(offspring);
+                this.colonies.push(outpost);
+                this.highlightColony(outpost);
             }
-
-            // MUTUAL GROWTH: Both cells get small growth bonus from cooperation
-            cell1.growthPoints += 0.5;
-            cell2.growthPoints += 0.5;
-
-            // Add cooperation visual effects
-            this.addCooperationEffect(cell1, cell2);
-
-            return true; // Cooperation successful
         }
-
-        return false; // No cooperation
     }
 
-    // Add visual effects for cooperation
-    addCooperationEffect(cell1, cell2) {
-        // Add heart particles between cooperating cells
-        const midX = (cell1.x + cell2.x) / 2;
-        const midY = (cell1.y + cell2.y) / 2;
-
-        for (let i = 0; i < 3; i++) {
-            cell1.particleEffects.push({
-                x: midX + (Math.random() - 0.5) * 20,
-                y: midY + (Math.random() - 0.5) * 20,
-                color: '#ff69b4', // Pink hearts
-                size: 3 + Math.random() * 2,
-                life: 30,
-                maxLife: 30,
-                vx: (Math.random() - 0.5) * 0.5,
-                vy: (Math.random() - 0.5) * 0.5,
-                type: 'heart'
-            });
-        }
+    // The mutation rate setting, unless a god-mode boost is raising it
+    currentMutationRate() {
+        return this.mutationBoost ? this.mutationBoost.rate : this.settings.mutationRate;
     }
 
     // Check if one cell can predate another - MUCH STRICTER for friendliness
@@ -826,6 +1065,7 @@ class Simulation {
     // Handle predation event
     handlePredation(predator, prey, newCells) {
         console.log(`🦈 ${predator.name} consumed ${prey.name}!`);
+        this.addHighlight('predation', predator.x, predator.y, { kind: 'cell', id: predator.id }, `${predator.name} consumed ${prey.name}`);
 
         // Predator gains significant energy and health
         const energyGain = Math.min(prey.traits.maxEnergy * 0.8, predator.traits.maxEnergy - predator.traits.energy);
@@ -836,6 +1076,7 @@ class Simulation {
 
         // Mark prey as dead
         prey.traits.health = 0;
+        prey.deathCause = 'predation';
 
         // Chance for predator to reproduce after successful hunt
         if (this.settings.predationReproduction) {
@@ -844,7 +1085,7 @@ class Simulation {
             const populationPressure = Math.max(1, this.cells.length / this.settings.maxPopulation);
             const adjustedChance = reproductionChance / Math.sqrt(populationPressure); // Reduced chance when crowded
 
-            if (Math.random() < adjustedChance) {
+            if (random() < adjustedChance) {
                 predator.reproduced = true;
                 predator.lastFoodTime = this.tick;
 
@@ -856,11 +1097,11 @@ class Simulation {
         // Add predation particle effects
         for (let i = 0; i < 5; i++) {
             predator.particleEffects.push({
-                x: predator.x + (Math.random() - 0.5) * predator.radius * 2,
-                y: predator.y + (Math.random() - 0.5) * predator.radius * 2,
-                vx: (Math.random() - 0.5) * 3,
-                vy: (Math.random() - 0.5) * 3,
-                size: 2 + Math.random() * 3,
+                x: predator.x + (random() - 0.5) * predator.radius * 2,
+                y: predator.y + (random() - 0.5) * predator.radius * 2,
+                vx: (random() - 0.5) * 3,
+                vy: (random() - 0.5) * 3,
+                size: 2 + random() * 3,
                 life: 40,
                 maxLife: 40,
                 color: '#ff4444',
@@ -869,6 +1110,13 @@ class Simulation {
         }
     }
 
+    runScenarioEvents() {
+        while (this.nextScenarioEvent < this.scenarioEvents.length &&
+            this.scenarioEvents[this.nextScenarioEvent].tick <= this.tick) {
+            Scenario.applyEvent(this, this.scenarioEvents[this.nextScenarioEvent++]);
+        }
+    }
+
     // Maintain minimum population and handle extinctions
     maintainPopulation() {
         if (this.cells.length === 0) {
@@ -904,6 +1152,196 @@ class Simulation {
         }
     }
 
+    // Start a round-based tournament with the current population as the first round's field
+    startTournament(rounds = 10) {
+        this.tournament = {
+            totalRounds: Math.max(1, Math.floor(rounds)),
+            currentRound: 0,
+            roundTick: 0,
+            status: 'starting',
+            roundWinners: 0,
+            championIds: [], // Cells carried over from the last round
+            champions: [], // Top scorers of every finished round, in order
+            leaderboard: [] // Standings across all rounds
+        };
+        this.continuousMode = false;
+
+        console.log(`🏁 Tournament started: ${this.tournament.totalRounds} rounds of ${this.settings.tournamentRoundLength} ticks`);
+        this.startRound();
+    }
+
+    startRound() {
+        const tournament = this.tournament;
+        tournament.currentRound++;
+        tournament.roundTick = 0;
+        tournament.status = 'starting';
+
+        if (tournament.currentRound > 1) {
+            this.repopulateFromChampions();
+        }
+
+        // Everyone starts the round with a clean scorecard
+        this.cells.forEach(cell => cell.resetRoundStats());
+
+        console.log(`🚀 Round ${tournament.currentRound}/${tournament.totalRounds} begins with ${this.cells.length} cells`);
+    }
+
+    // Champions return fully restored, their offspring and fresh challengers fill up the arena
+    repopulateFromChampions() {
+        const champions = this.cells.filter(cell => this.tournament.championIds.includes(cell.id));
+
+        this.cells = [];
+        this.viruses = [];
+        this.colonies = [];
+
+        champions.forEach(champion => {
+            champion.colony = null;
+            champion.traits.health = champion.traits.maxHealth;
+            champion.traits.energy = champion.traits.maxEnergy;
+            this.cells.push(champion);
+        });
+
+        // Half of the field descends from the champions
+        for (let i = 0; champions.length > 0 && this.cells.length < this.settings.initialCells / 2; i++) {
+            const parent = champions[i % champions.length];
+            const offspring = this.createOffspring(parent, 'asexual'); // Champions seed the next round themselves
+            parent.traits.energy = parent.traits.maxEnergy; // No reproduction cost between rounds
+            this.cells.push(offspring);
+            this.maxGeneration = Math.max(this.maxGeneration, offspring.generation);
+        }
+
+        // The rest are new random challengers
+        while (this.cells.length < this.settings.initialCells) {
+            const x = 50 + random() * (this.width - 100);
+            const y = 50 + random() * (this.height - 100);
+            const cell = new Cell(x, y, { generation: this.generation });
+            cell.simulation = this;
+            this.cells.push(cell);
+        }
+    }
+
+    updateTournament() {
+        const tournament = this.tournament;
+        if (tournament.status === 'tournament_complete') return;
+
+        tournament.roundTick++;
+
+        this.cells.forEach(cell => {
+            const stats = cell.roundStats;
+            stats.survivalTime++;
+            stats.distanceTraveled += Math.hypot(cell.x - stats.lastX, cell.y - stats.lastY);
+            stats.lastX = cell.x;
+            stats.lastY = cell.y;
+        });
+
+        const roundLength = this.settings.tournamentRoundLength;
+        if (tournament.roundTick >= roundLength) {
+            this.endRound();
+        } else if (tournament.roundTick < roundLength * 0.1) {
+            tournament.status = 'starting';
+        } else if (tournament.roundTick > roundLength * 0.9) {
+            tournament.status = 'ending';
+        } else {
+            tournament.status = 'active';
+        }
+    }
+
+    // Round score from the cell's roundStats
+    calculateRoundScore(cell) {
+        const stats = cell.roundStats;
+        let score = 0;
+
+        score += stats.survivalTime * 0.1; // Staying alive (a full default round is worth 360)
+        score += stats.foodEaten * 5; // Foraging
+        score += stats.combatWins * 2; // Winning exchanges (counted every tick two cells touch)
+        score += Math.min(stats.distanceTraveled, 3000) * 0.01; // Exploring (capped so wanderers can't farm it)
+        score -= stats.damageTaken * 0.5; // Getting hurt
+
+        // Ending the round stronger than it started
+        score += (cell.traits.health - stats.roundStartHealth) / cell.traits.maxHealth * 20;
+        score += (cell.traits.energy - stats.roundStartEnergy) / cell.traits.maxEnergy * 20;
+
+        return Math.max(0, score);
+    }
+
+    endRound() {
+        const tournament = this.tournament;
+        const round = tournament.currentRound;
+
+        // Only survivors can win a round
+        const ranked = this.cells
+            .map(cell => ({ cell, score: this.calculateRoundScore(cell) }))
+            .sort((a, b) => b.score - a.score);
+        const winners = ranked.slice(0, this.settings.championsPerRound);
+
+        winners.forEach(({ cell, score }) => {
+            cell.roundStats.fitnessScore = score;
+            tournament.champions.push({
+                round,
+                id: cell.id,
+                name: cell.name,
+                shape: cell.traits.shape,
+                defenseType: cell.traits.defenseType,
+                specialAbility: cell.traits.specialAbility,
+                generation: cell.generation,
+                fitnessScore: score
+            });
+            this.updateLeaderboard(cell, round, score);
+        });
+
+        tournament.roundWinners = winners.length;
+        tournament.championIds = winners.map(({ cell }) => cell.id);
+
+        if (winners.length > 0) {
+            console.log(`🏅 Round ${round} winner: ${winners[0].cell.name} (${Math.round(winners[0].score)} pts)`);
+        } else {
+            console.log(`💀 Round ${round} ended with no survivors`);
+        }
+
+        if (round >= tournament.totalRounds) {
+            tournament.status = 'tournament_complete';
+            this.continuousMode = true; // The ecosystem carries on after the final round
+
+            const winner = tournament.leaderboard[0];
+            if (winner) {
+                console.log(`🏆 Tournament complete! ${winner.name} wins - champion in ${winner.roundsWon} rounds, ${Math.round(winner.fitnessScore)} pts`);
+            }
+            return;
+        }
+
+        this.startRound();
+    }
+
+    // Standings: most rounds as a champion first, total score breaks ties
+    updateLeaderboard(cell, round, score) {
+        const leaderboard = this.tournament.leaderboard;
+        let entry = leaderboard.find(e => e.id === cell.id);
+
+        if (!entry) {
+            entry = {
+                id: cell.id,
+                name: cell.name,
+                shape: cell.traits.shape,
+                defenseType: cell.traits.defenseType,
+                specialAbility: cell.traits.specialAbility,
+                roundsWon: 0,
+                bestScore: 0,
+                round, // Round of the best score
+                fitnessScore: 0 // Total across rounds
+            };
+            leaderboard.push(entry);
+        }
+
+        entry.roundsWon++;
+        entry.fitnessScore += score;
+        if (score > entry.bestScore) {
+            entry.bestScore = score;
+            entry.round = round;
+        }
+
+        leaderboard.sort((a, b) => b.roundsWon - a.roundsWon || b.fitnessScore - a.fitnessScore);
+    }
+
     // Update ecosystem statistics
     updateEcosystemStats() {
         // Calculate population growth rate
@@ -917,15 +1355,8 @@ class Simulation {
         this.stats.averageFitness = this.cells.length > 0 ?
             this.cells.reduce((sum, cell) => sum + (cell.fitnessScore || 0), 0) / this.cells.length : 0;
 
-        // Calculate biodiversity index (trait variety)
-        const traitCounts = {};
-        this.cells.forEach(cell => {
-            const key = `${cell.traits.defenseType}-${cell.traits.shape}-${cell.traits.specialAbility}`;
-            traitCounts[key] = (traitCounts[key] || 0) + 1;
-        });
-
-        const numUniqueTraits = Object.keys(traitCounts).length;
-        this.stats.biodiversityIndex = this.cells.length > 0 ? numUniqueTraits / this.cells.length : 0;
+        // Biodiversity: Simpson's index over genetic species (0 = one species, towards 1 = many even ones)
+        this.stats.biodiversityIndex = this.species.diversity(this.cells.length);
 
         // Update colony count
         this.stats.coloniesFormed = this.colonies.length;
@@ -974,6 +1405,62 @@ class Simulation {
                 this.stats.populationHistory = this.stats.populationHistory.slice(-250);
             }
         }
+
+        if (this.tick % this.stats.compositionInterval === 0) {
+            this.recordComposition();
+        }
+    }
+
+    // Composition history for the chart - halved instead of truncated so it always reaches back to the start
+    recordComposition() {
+        this.stats.compositionHistory.push({ tick: this.tick, composition: this.populationComposition() });
+
+        if (this.stats.compositionHistory.length > COMPOSITION_HISTORY_LIMIT) {
+            const interval = this.stats.compositionInterval * 2;
+            this.stats.compositionInterval = interval;
+            this.stats.compositionHistory = this.stats.compositionHistory.filter(sample => sample.tick % interval === 0);
+            this.pruneSpeciesLegend();
+        }
+    }
+
+    // Population split by defense type, special ability and species, for the composition chart
+    populationComposition() {
+        const composition = { defense: {}, ability: {}, species: {} };
+        this.cells.forEach(cell => {
+            const { defenseType, specialAbility } = cell.traits;
+            composition.defense[defenseType] = (composition.defense[defenseType] || 0) + 1;
+            composition.ability[specialAbility] = (composition.ability[specialAbility] || 0) + 1;
+            if (cell.speciesId) {
+                composition.species[cell.speciesId] = (composition.species[cell.speciesId] || 0) + 1;
+            }
+        });
+
+        // Keep the largest species, lump the rest (and cells not clustered yet) together
+        const ranked = Object.entries(composition.species).sort((a, b) => b[1] - a[1]);
+        composition.species = Object.fromEntries(ranked.slice(0, HISTORY_SPECIES_LIMIT));
+        const listed = ranked.slice(0, HISTORY_SPECIES_LIMIT).reduce((sum, [, count]) => sum + count, 0);
+        if (this.cells.length > listed) composition.species.other = this.cells.length - listed;
+
+        // Names and colors outlive extinct species for as long as they appear in the history
+        ranked.slice(0, HISTORY_SPECIES_LIMIT).forEach(([id]) => {
+            if (this.stats.speciesLegend[id]) return;
+            const species = this.species.get(id);
+            if (species) {
+                this.stats.speciesLegend[id] = { name: species.name, color: species.color, parentSpeciesId: species.parentSpeciesId };
+            }
+        });
+
+        return composition;
+    }
+
+    pruneSpeciesLegend() {
+        const shown = new Set();
+        this.stats.compositionHistory.forEach(sample => {
+            Object.keys(sample.composition.species).forEach(id => shown.add(id));
+        });
+        Object.keys(this.stats.speciesLegend).forEach(id => {
+            if (!shown.has(id)) delete this.stats.speciesLegend[id];
+        });
     }
 
     calculateTraitDistribution() {
@@ -1125,18 +1612,15 @@ class Simulation {
         return distribution;
     }
 
-    render(ctx) {
-        // Render food first (background layer)
-        this.foodManager.render(ctx);
-
-        // Render colonies (background structures)
-        this.colonies.forEach(colony => colony.render(ctx));
-
-        // Render cells
-        this.cells.forEach(cell => cell.render(ctx));
-
-        // Render viruses (foreground - they should be visible)
-        this.viruses.forEach(virus => virus.render(ctx));
+    render(ctx, camera = null) {
+        // Terrain, food, colonies, cells and viruses - only what the camera sees, simpler when zoomed out
+        WorldRenderer.render(ctx, {
+            environment: this.environment,
+            food: this.foodManager.food,
+            colonies: this.colonies,
+            cells: this.cells,
+            viruses: this.viruses
+        }, camera);
 
         // Render debug info if needed
         if (this.showDebugInfo) {
@@ -1153,26 +1637,191 @@ class Simulation {
         ctx.fillText(`Gen: ${this.generation}`, 10, 65);
     }
 
+    // The whole-run composition history is streamed separately (SimulationHost.compositionUpdate)
     getStats() {
+        const { compositionHistory, ...stats } = this.stats;
         return {
             // Basic stats
             totalCells: this.cells.length,
             generation: this.maxGeneration,
             tick: this.tick,
+            seed: this.seed,
             foodCount: this.foodManager.getFood().length,
             activeColonies: this.colonies.length,
             populationGrowthRate: this.stats.populationGrowthRate,
             averageFitness: this.stats.averageFitness,
 
             // Extended ecosystem stats
-            ...this.stats,
+            ...stats,
             currentEnvironment: this.environment.getCurrentConditions(),
             virusCount: this.viruses.length,
             colonyStats: this.getColonyStats(),
-            traitDistribution: this.calculateTraitDistribution()
+            traitDistribution: this.calculateTraitDistribution(),
+            lineage: this.lineage.getStats(),
+            species: this.species.getStats(),
+
+            // Round/champion stats for UIManager.updateRoundStats
+            ...this.getTournamentStats()
+        };
+    }
+
+    getTournamentStats() {
+        const tournament = this.tournament;
+        if (!tournament) {
+            return { roundStatus: 'waiting', roundTimeLeft: 0, roundWinners: 0, champions: [], leaderboard: [] };
+        }
+
+        const complete = tournament.status === 'tournament_complete';
+        return {
+            currentRound: tournament.currentRound,
+            totalRounds: tournament.totalRounds,
+            roundStatus: tournament.status,
+            roundTimeLeft: complete ? 0 : this.settings.tournamentRoundLength - tournament.roundTick,
+            roundWinners: tournament.roundWinners,
+            champions: tournament.champions,
+            leaderboard: tournament.leaderboard
+        };
+    }
+
+    // Serialize the whole world to a versioned JSON-safe object
+    saveState() {
+        return WorldSnapshot.serialize(this);
+    }
+
+    // Restore a world saved with saveState() - the run continues exactly where it was saved
+    loadState(data) {
+        WorldSnapshot.restore(this, typeof data === 'string' ? JSON.parse(data) : data);
+        console.log(`📂 World restored at tick ${this.tick} with ${this.cells.length} cells`);
+    }
+
+    // Family tree of every tracked cell - Newick text for tree viewers, or a nested JSON tree
+    exportLineage(format = 'newick') {
+        return format === 'json' ? this.lineage.toTree(this.tick) : this.lineage.toNewick();
+    }
+
+    // Everything the inspector shows about one cell or virus. Cells that are gone only get their lineage record
+    inspectCell(id) {
+        const cell = this.cells.find(c => c.id === id) || this.viruses.find(v => v.id === id);
+        const node = this.lineage.get(id);
+        const relative = (relativeId) => {
+            if (!relativeId) return null;
+            const living = this.cells.find(c => c.id === relativeId);
+            const record = this.lineage.get(relativeId);
+            return { id: relativeId, name: living?.name || record?.name || relativeId, alive: !!living };
+        };
+
+        if (!cell) {
+            return node ? { id, name: node.name, alive: false, deathCause: node.deathCause, deathTick: node.deathTick } : null;
+        }
+
+        const species = this.species.get(cell.speciesId);
+        const breakdown = cell.isVirus ? {} : this.fitnessBreakdown(cell);
+
+        return {
+            id: cell.id,
+            name: cell.name,
+            alive: true,
+            isVirus: cell.isVirus,
+            x: cell.x,
+            y: cell.y,
+            color: cell.color,
+            age: cell.age,
+            generation: cell.generation,
+            species: species ? { id: species.id, name: species.name, color: species.color } : null,
+            emotionalState: cell.getCurrentEmotionalState(),
+            colony: cell.colony ? {
+                id: cell.colony.id,
+                size: cell.colony.members.length,
+                founder: cell.isColonyFounder
+            } : null,
+            colonyRole: cell.colonyRole,
+            surroundings: this.environment.sampleFields(cell.x, cell.y),
+            infection: {
+                infected: cell.isInfected,
+                timer: cell.infectionTimer,
+                severity: cell.infectionSeverity,
+                by: cell.infectedByName
+            },
+            traits: cell.groupedTraits(),
+            defenseStates: inspectableStates(cell.defenseStates),
+            dna: { ...cell.dna },
+            brain: cell.brain ? { weights: cell.brain.length, intent: cell.brainIntent } : null,
+            parent: relative(cell.parentId),
+            coParent: relative(cell.coParentId),
+            offspring: node ? node.offspring || 0 : 0,
+            mutations: cell.mutations.length,
+            fitness: {
+                total: cell.isVirus ? 0 : this.calculateEvolutionaryFitness(cell),
+                breakdown
+            }
         };
     }
 
+    // Where the camera should look for a follow target ({ kind: 'cell' | 'virus' | 'colony', id }). A cell that
+    // is gone hands over to its offspring or nearest kin (noted in `via`); returns null when nothing is left
+    resolveFollowTarget(target) {
+        if (target.kind === 'colony') return this.resolveColonyTarget(target);
+
+        const pool = target.kind === 'virus' ? this.viruses : this.cells;
+        const entity = pool.find(e => e.id === target.id);
+        if (entity) return { ...target, ...followTarget(target.kind, entity) }; // Keeps how we got here (via)
+
+        let successor = null;
+        let via = target.kind;
+        if (target.kind === 'cell') {
+            const living = new Map(this.cells.map(cell => [cell.id, cell]));
+            const relative = this.lineage.closestLivingRelative(target.id, id => living.has(id));
+            if (relative) {
+                successor = living.get(relative.id);
+                via = relative.relation;
+            } else if (target.speciesId) {
+                successor = nearestTo(target, this.cells.filter(cell => cell.speciesId === target.speciesId));
+                via = 'species';
+            }
+        } else {
+            successor = nearestTo(target, this.viruses);
+        }
+
+        if (!successor) return null;
+        console.log(`🎥 ${target.name} is gone - following ${via} ${successor.name}`);
+        return { ...followTarget(target.kind, successor), via, previous: target.name };
+    }
+
+    // A colony is watched through its center; when it breaks up, follow where its members went
+    resolveColonyTarget(target) {
+        const colony = this.colonies.find(c => c.id === target.id);
+        if (colony) {
+            return {
+                ...target,
+                kind: 'colony',
+                id: colony.id,
+                name: `${colony.founder.name}'s colony`,
+                x: colony.structure.center.x,
+                y: colony.structure.center.y,
+                memberIds: colony.members.map(member => member.id)
+            };
+        }
+
+        const formerMembers = this.cells.filter(cell => (target.memberIds || []).includes(cell.id));
+        const member = nearestTo(target, formerMembers);
+        if (!member) return null;
+
+        console.log(`🎥 ${target.name} broke up - following ${member.name}`);
+        const next = member.colony && this.colonies.includes(member.colony) ?
+            this.resolveColonyTarget({ kind: 'colony', id: member.colony.id }) :
+            followTarget('cell', member);
+        return { ...next, via: 'member', previous: target.name };
+    }
+
+    // Whole-run time series and season/disaster events - 'csv' (series), 'events-csv' or 'json' (everything)
+    exportRunData(format = 'json') {
+        switch (format) {
+            case 'csv': return this.runData.toCSV();
+            case 'events-csv': return this.runData.eventsToCSV();
+            default: return this.runData.toJSON(this);
+        }
+    }
+
     getColonyStats() {
         return {
             totalColonies: this.colonies.length,
@@ -1187,8 +1836,8 @@ class Simulation {
 
     // Additional ecosystem methods
     addRandomCell(x = null, y = null) {
-        const spawnX = x !== null ? x : Math.random() * this.width;
-        const spawnY = y !== null ? y : Math.random() * this.height;
+        const spawnX = x !== null ? x : random() * this.width;
+        const spawnY = y !== null ? y : random() * this.height;
 
         const cell = new Cell(spawnX, spawnY, { generation: this.generation });
         cell.simulation = this; // Pass simulation reference for settings access
@@ -1199,86 +1848,98 @@ class Simulation {
     }
 
     calculateEvolutionaryFitness(cell) {
-        let score = 0;
+        const breakdown = this.fitnessBreakdown(cell);
+        const score = Object.values(breakdown).reduce((sum, value) => sum + value, 0);
+
+        // Normalize score to prevent runaway values
+        return Math.max(1, Math.min(1000, score));
+    }
+
+    // Fitness contributions by category (calculateEvolutionaryFitness sums them, the inspector lists them)
+    fitnessBreakdown(cell) {
+        const breakdown = {
+            survival: 0, metabolism: 0, reproduction: 0, foraging: 0, social: 0, environment: 0, combat: 0,
+            predation: 0, size: 0, geneticDiversity: 0, lifeStage: 0, conditions: 0, terrain: 0, mutationBonus: 0
+        };
 
         // 1. Survival fitness - age and health
-        score += cell.age * 2; // Reward longevity
+        breakdown.survival += cell.age * 2; // Reward longevity
         const healthRatio = cell.traits.health / cell.traits.maxHealth;
-        score += healthRatio * 40;
+        breakdown.survival += healthRatio * 40;
 
         // 2. Metabolic fitness - energy efficiency
         const energyRatio = cell.traits.energy / cell.traits.maxEnergy;
-        score += energyRatio * 25;
+        breakdown.metabolism += energyRatio * 25;
 
         // 3. Reproductive success - most important for evolution
         const reproductiveEvents = cell.reproductiveSuccess || 0;
-        score += reproductiveEvents * 150; // Big bonus for reproduction
+        breakdown.reproduction += reproductiveEvents * 150; // Big bonus for reproduction
 
         // 4. Resource acquisition - food gathering ability
         const timeSinceFood = this.tick - (cell.lastFoodTime || 0);
         if (timeSinceFood < 300) { // Recently fed
-            score += 30;
+            breakdown.foraging += 30;
         } else if (timeSinceFood < 600) {
-            score += 15;
+            breakdown.foraging += 15;
         }
 
         // 5. Social fitness - colony participation
         if (cell.colony) {
-            score += cell.colony.members.length * 3; // Larger colonies = better
+            breakdown.social += cell.colony.members.length * 3; // Larger colonies = better
             if (cell.isColonyFounder) {
-                score += 40; // Bonus for successful colony founding
+                breakdown.social += 40; // Bonus for successful colony founding
             }
 
             // Role effectiveness
             if (cell.colonyRole === 'sedentary' && cell.colony.structure.integrity > 80) {
-                score += 20; // Well-maintained structures
+                breakdown.social += 20; // Well-maintained structures
             } else if (cell.colonyRole === 'adventurer' && (cell.lastFoodTime || 0) > this.tick - 200) {
-                score += 15; // Successful foraging
+                breakdown.social += 15; // Successful foraging
             }
         }
 
         // 6. Environmental adaptation
         const envPressures = this.environment.getEnvironmentalPressures();
         if (envPressures.toxicity > 0.5 && cell.traits.toxinResistance > 0.7) {
-            score += 25; // Adaptation to toxic environment
+            breakdown.environment += 25; // Adaptation to toxic environment
         }
         if (envPressures.temperature < 0.3 && cell.traits.temperatureTolerance > 0.8) {
-            score += 20; // Cold adaptation
+            breakdown.environment += 20; // Cold adaptation
         }
         if (envPressures.temperature > 0.7 && cell.traits.temperatureTolerance > 0.8) {
-            score += 20; // Heat adaptation
+            breakdown.environment += 20; // Heat adaptation
         }
 
         // 7. Combat effectiveness and survival
         const combatWins = cell.combatWins || 0;
         const combatLosses = cell.combatLosses || 0;
         if (combatWins > combatLosses) {
-            score += (combatWins - combatLosses) * 8;
+            breakdown.combat += (combatWins - combatLosses) * 8;
         }
 
         // 8. Predation success (for predatory cells)
         const predationSuccess = cell.predationSuccess || 0;
-        score += predationSuccess * 50;
+        breakdown.predation += predationSuccess * 50;
 
         // 9. Size efficiency - balance between size advantages and energy costs
         const optimalSize = 12;
         const sizeDeviation = Math.abs(cell.traits.size - optimalSize);
-        score += Math.max(0, 15 - sizeDeviation); // Penalty for being too far from optimal
+        breakdown.size += Math.max(0, 15 - sizeDeviation); // Penalty for being too far from optimal
 
         // 10. Genetic diversity bonus (encourages mutations)
         const mutationCount = cell.mutationHistory ? cell.mutationHistory.length : 0;
-        score += Math.min(mutationCount * 3, 15);
+        breakdown.geneticDiversity += Math.min(mutationCount * 3, 15);
 
         // 11. Life stage bonuses
         switch (cell.traits.lifestage) {
             case 'adult':
-                score += 20; // Prime reproductive age
+                breakdown.lifeStage += 20; // Prime reproductive age
                 break;
             case 'elder':
-                score += 10; // Wisdom bonus, but reduced reproductive value
+                breakdown.lifeStage += 10; // Wisdom bonus, but reduced reproductive value
                 break;
             case 'juvenile':
-                score += 5; // Potential bonus
+                breakdown.lifeStage += 5; // Potential bonus
                 break;
         }
 
@@ -1286,21 +1947,27 @@ class Simulation {
         if (this.viruses.length > 5) {
             // Virus outbreak - favor resistant cells
             if (cell.traits.defenseType === 'poison' || cell.traits.toxinResistance > 0.6) {
-                score += 20;
+                breakdown.conditions += 20;
             }
         }
 
         if (this.cells.length > this.settings.maxPopulation * 0.7) {
             // Crowded conditions - favor efficient cells
-            if (cell.traits.size < 10) score += 15; // Small cells do better when crowded
-            if (cell.colonyRole === 'sedentary') score += 10; // Cooperative behavior helps
+            if (cell.traits.size < 10) breakdown.conditions += 15; // Small cells do better when crowded
+            if (cell.colonyRole === 'sedentary') breakdown.conditions += 10; // Cooperative behavior helps
+        }
+
+        // 13. Terrain - enduring hazard zones on resistance pays off, getting hurt by terrain doesn't
+        const terrain = cell.terrainStats;
+        if (terrain) {
+            breakdown.terrain += Math.min(terrain.damageResisted, 30);
+            breakdown.terrain -= Math.min(terrain.damageTaken * 0.5, 40);
         }
 
         // Apply fitness bonuses from beneficial mutations
-        score += (cell.traits.fitnessBonus || 0) * 80;
+        breakdown.mutationBonus += (cell.traits.fitnessBonus || 0) * 80;
 
-        // Normalize score to prevent runaway values
-        return Math.max(1, Math.min(1000, score));
+        return breakdown;
     }
 
     trackEnvironmentalAdaptation(cell) {
@@ -1430,11 +2097,11 @@ class Simulation {
                 // Weight removal probability by fitness (worse fitness = higher removal chance)
                 const fitnessWeights = removalCandidates.map(cell => {
                     const avgFitness = this.stats.averageFitness || 1;
-                    return Math.max(0.1, avgFitness - cell.fitnessScore + Math.random() * 10); // Add randomness
+                    return Math.max(0.1, avgFitness - cell.fitnessScore + random() * 10); // Add randomness
                 });
 
                 const totalWeight = fitnessWeights.reduce((sum, w) => sum + w, 0);
-                let randomValue = Math.random() * totalWeight;
+                let randomValue = random() * totalWeight;
 
                 for (let j = 0; j < removalCandidates.length; j++) {
                     randomValue -= fitnessWeights[j];
@@ -1450,6 +2117,7 @@ class Simulation {
             removedCells.forEach(cell => {
                 const index = this.cells.indexOf(cell);
                 if (index > -1) {
+                    this.recordDeath(cell, 'selection');
                     // Convert dead cell to food - more food during crisis helps survivors
                     this.foodManager.spawnFromDeath(cell.x, cell.y, cell.traits.size * 2);
                     this.cells.splice(index, 1);
@@ -1571,8 +2239,9 @@ class Simulation {
 
     killRandomCell() {
         if (this.cells.length > 0) {
-            const randomIndex = Math.floor(Math.random() * this.cells.length);
+            const randomIndex = Math.floor(random() * this.cells.length);
             const cell = this.cells[randomIndex];
+            this.recordDeath(cell, 'culled');
             this.foodManager.spawnFromDeath(cell.x, cell.y, cell.traits.size);
             this.cells.splice(randomIndex, 1);
         }
@@ -1592,7 +2261,7 @@ class Simulation {
         // Randomly damage some cells to simulate disease
         const affectedCount = Math.floor(this.cells.length * 0.2);
         for (let i = 0; i < affectedCount; i++) {
-            const randomIndex = Math.floor(Math.random() * this.cells.length);
+            const randomIndex = Math.floor(random() * this.cells.length);
             this.cells[randomIndex].traits.health *= 0.7;
         }
     }
@@ -1626,10 +2295,19 @@ class Simulation {
     }
 
     // Enhanced cell interaction system
-    handleCellInteraction(cell1, cell2) {
+    handleCellInteraction(cell1, cell2, newCells) {
         // Basic collision check
         if (!cell1.collidesWith(cell2)) return;
 
+        // A much larger, aggressive cell swallows the other outright instead of fighting it
+        if (this.canPredate(cell1, cell2)) {
+            this.handlePredation(cell1, cell2, newCells);
+            return;
+        } else if (this.canPredate(cell2, cell1)) {
+            this.handlePredation(cell2, cell1, newCells);
+            return;
+        }
+
         // Store initial health for combat tracking
         const initialHealth1 = cell1.traits.health;
         const initialHealth2 = cell2.traits.health;
@@ -1649,6 +2327,9 @@ class Simulation {
         // Apply damage
         cell1.traits.health -= damage2;
         cell2.traits.health -= damage1;
+        cell1.lastDamageCause = cell2.lastDamageCause = 'combat';
+        cell1.lastDamageTime = cell1.age;
+        cell2.lastDamageTime = cell2.age;
 
         // Track combat stats for rounds
         if (cell1.roundStats) {
@@ -1750,8 +2431,8 @@ class Simulation {
         // Magnetic field disruption
         if (cell1.traits.defenseType === 'magnetic' && cell2.traits.magneticSensitivity > 0.3) {
             const disruptionForce = cell1.defenseStates.magneticField * 0.1;
-            cell2.vx += (Math.random() - 0.5) * disruptionForce;
-            cell2.vy += (Math.random() - 0.5) * disruptionForce;
+            cell2.vx += (random() - 0.5) * disruptionForce;
+            cell2.vy += (random() - 0.5) * disruptionForce;
         }
 
         // Swarm coordination
@@ -1784,7 +2465,7 @@ class Simulation {
                         cell.traits.health -= 15;
                     }
                     // But also increases mutation chance
-                    if (Math.random() < 0.1) {
+                    if (random() < 0.1) {
                         cell.randomBeneficialMutation();
                     }
                 });
@@ -1814,8 +2495,8 @@ class Simulation {
                 // Disrupts magnetic-sensitive cells
                 this.cells.forEach(cell => {
                     if (cell.traits.magneticSensitivity > 0.4) {
-                        cell.vx += (Math.random() - 0.5) * 2;
-                        cell.vy += (Math.random() - 0.5) * 2;
+                        cell.vx += (random() - 0.5) * 2;
+                        cell.vy += (random() - 0.5) * 2;
                     }
                 });
                 break;
@@ -1823,4 +2504,36 @@ class Simulation {
     }
 }
 
+function followTarget(kind, entity) {
+    return { kind, id: entity.id, name: entity.name, x: entity.x, y: entity.y, speciesId: entity.speciesId };
+}
+
+function nearestTo(point, entities) {
+    let nearest = null;
+    let nearestDistance = Infinity;
+    entities.forEach(entity => {
+        const distance = Math.hypot(entity.x - point.x, entity.y - point.y);
+        if (distance < nearestDistance) {
+            nearest = entity;
+            nearestDistance = distance;
+        }
+    });
+    return nearest;
+}
+
+// Defense states hold references to other cells - the inspector only needs names and counts
+function inspectableStates(states) {
+    const result = {};
+    Object.entries(states).forEach(([key, value]) => {
+        if (Array.isArray(value)) {
+            result[key] = value.length;
+        } else if (value && typeof value === 'object') {
+            result[key] = value.name || (value.x !== undefined ? `(${Math.round(value.x)}, ${Math.round(value.y)})` : '…');
+        } else {
+            result[key] = value;
+        }
+    });
+    return result;
+}
+
 export { Simulation };
\ No newline at end of file
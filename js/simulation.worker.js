@@ -0,0 +1,8 @@
+// Web Worker entry point - runs the simulation off the main thread
+import { SimulationHost } from './simulationHost.js';
+
+const host = new SimulationHost(message => self.postMessage(message));
+
+self.addEventListener('message', (e) => host.handle(e.data));
+
+host.start();
@@ -0,0 +1,294 @@
+// Main-thread handle on the simulation - sends typed commands, keeps the latest render frame and stats
+import { Simulation } from './simulation.js';
+import { SimulationHost } from './simulationHost.js';
+import { Scenario } from './scenario.js';
+import { RenderSnapshot } from './renderSnapshot.js';
+import { Commands, Messages } from './protocol.js';
+
+class SimulationClient {
+    constructor(width, height, settings = {}) {
+        this.width = width;
+        this.height = height;
+        this.settings = { ...Simulation.defaultSettings(), ...settings }; // Local mirror for the settings sliders
+
+        this.frame = null; // Latest RenderSnapshot
+        this.stats = null;
+        this.inspection = null; // Details of the selected cell, refreshed with every frame
+        this.follow = null; // Where the followed cell/colony is now (null = not following)
+        this.highlights = []; // Highlights received since the director last took them
+        this.composition = { reset: false, samples: [] }; // Composition samples received since the chart last took them
+        this.replay = null; // Recording/playback position: { mode, tick, startTick, endTick, playing?, seeking?, speed? }
+        this.godLog = null; // Recent god-mode commands: { recent, pending, canUndo, canRedo }
+        this.frameVersion = 0; // Bumped on every new frame so the game loop knows to refresh the UI
+        this.viewportKey = null; // Last viewport sent, rounded - unchanged views aren't sent again
+
+        this.ready = false;
+        this.pendingCommands = []; // Sent before the worker reported READY (replayed on fallback)
+        this.requests = new Map(); // requestId -> { resolve, reject }
+        this.nextRequestId = 1;
+
+        this.worker = null;
+        this.localHost = null;
+        this.startWorker();
+    }
+
+    startWorker() {
+        if (typeof Worker === 'undefined') {
+            this.startLocalHost('Web Workers are not supported');
+            return;
+        }
+
+        try {
+            this.worker = new Worker(new URL('./simulation.worker.js', import.meta.url), { type: 'module' });
+            this.worker.addEventListener('message', (e) => this.receive(e.data));
+            this.worker.addEventListener('error', (e) => {
+                // Module workers can fail to load (older browsers, file:// pages) - fall back to the main thread
+                if (!this.ready) {
+                    e.preventDefault();
+                    this.startLocalHost(e.message || 'worker failed to load');
+                } else {
+                    console.error('❌ Simulation worker error:', e.message);
+                }
+            });
+            console.log('🧵 Simulation running in a Web Worker');
+        } catch (error) {
+            this.startLocalHost(error.message);
+        }
+    }
+
+    startLocalHost(reason) {
+        console.warn(`⚠️ Running simulation on the main thread (${reason})`);
+
+        if (this.worker) {
+            this.worker.terminate();
+            this.worker = null;
+        }
+
+        this.localHost = new SimulationHost(message => this.receive(message), this.width, this.height);
+        this.localHost.start();
+    }
+
+    send(command) {
+        if (this.localHost) {
+            this.localHost.handle(command);
+            return;
+        }
+
+        if (!this.ready) this.pendingCommands.push(command);
+        this.worker.postMessage(command);
+    }
+
+    receive(message) {
+        switch (message.type) {
+            case Messages.READY:
+                this.ready = true;
+                // The worker got our commands already - only a local fallback needs them replayed
+                if (this.localHost) {
+                    this.pendingCommands.forEach(command => this.localHost.handle(command));
+                }
+                this.pendingCommands = [];
+                break;
+
+            case Messages.FRAME:
+                this.frame = new RenderSnapshot(message.frame);
+                this.stats = message.stats;
+                this.inspection = message.inspection;
+                this.follow = message.follow;
+                this.replay = message.replay;
+                this.godLog = message.godLog;
+                this.highlights.push(...message.highlights);
+                this.queueComposition(message.composition);
+                this.width = message.frame.width;
+                this.height = message.frame.height;
+                this.frameVersion++;
+                this.send({ type: Commands.FRAME_ACK });
+                break;
+
+            case Messages.SAVED:
+                this.resolveRequest(message.requestId, message.data);
+                break;
+
+            case Messages.LINEAGE:
+                this.resolveRequest(message.requestId, message.data);
+                break;
+
+            case Messages.RUN_DATA:
+                this.resolveRequest(message.requestId, message.data);
+                break;
+
+            case Messages.REPLAY:
+                this.resolveRequest(message.requestId, message.data);
+                break;
+
+            case Messages.GOD_LOG:
+                this.resolveRequest(message.requestId, message.data);
+                break;
+
+            case Messages.LOADED:
+                this.width = message.width;
+                this.height = message.height;
+                this.resolveRequest(message.requestId, message);
+                break;
+
+            case Messages.ERROR:
+                if (message.requestId && this.requests.has(message.requestId)) {
+                    this.requests.get(message.requestId).reject(new Error(message.message));
+                    this.requests.delete(message.requestId);
+                } else {
+                    console.error('❌ Simulation error:', message.message);
+                }
+                break;
+        }
+    }
+
+    request(command) {
+        const requestId = this.nextRequestId++;
+        return new Promise((resolve, reject) => {
+            this.requests.set(requestId, { resolve, reject });
+            this.send({ ...command, requestId });
+        });
+    }
+
+    resolveRequest(requestId, value) {
+        const pending = this.requests.get(requestId);
+        if (pending) {
+            pending.resolve(value);
+            this.requests.delete(requestId);
+        }
+    }
+
+    // Commands
+    reset(newSettings = {}, seed = null, scenario = null) {
+        if (scenario) {
+            this.settings = Scenario.settings(scenario, Simulation.defaultSettings(), newSettings);
+        } else {
+            this.settings = { ...this.settings, ...newSettings };
+        }
+        this.send({ type: Commands.RESET, settings: newSettings, seed, scenario });
+    }
+
+    setRunning(running) {
+        this.send({ type: Commands.SET_RUNNING, running });
+    }
+
+    step() {
+        this.send({ type: Commands.STEP });
+    }
+
+    setSetting(key, value) {
+        this.settings[key] = value;
+        this.send({ type: Commands.SET_SETTING, key, value });
+    }
+
+    setEnvironment(key, value) {
+        this.send({ type: Commands.SET_ENVIRONMENT, key, value });
+    }
+
+    godPower(action, position = null, options = null) {
+        this.send({ type: Commands.GOD_POWER, action, position, options });
+    }
+
+    godUndo() {
+        this.send({ type: Commands.GOD_UNDO });
+    }
+
+    godRedo() {
+        this.send({ type: Commands.GOD_REDO });
+    }
+
+    // Replay an exported god-mode log's commands in this run, at the ticks they were logged
+    importGodLog(log) {
+        this.send({ type: Commands.IMPORT_GOD_LOG, log });
+    }
+
+    exportGodLog() {
+        return this.request({ type: Commands.EXPORT_GOD_LOG });
+    }
+
+    startTournament(rounds = 10) {
+        this.send({ type: Commands.START_TOURNAMENT, rounds });
+    }
+
+    selectCell(id) {
+        this.inspection = null;
+        this.send({ type: Commands.SELECT_CELL, id });
+    }
+
+    followTarget(target) {
+        this.follow = null;
+        this.send({ type: Commands.FOLLOW, target });
+    }
+
+    setFieldView(layer) {
+        this.send({ type: Commands.SET_FIELD_VIEW, layer });
+    }
+
+    // The part of the world the camera shows - frames only carry the entities around it
+    setViewport(view) {
+        const key = `${Math.round(view.x)},${Math.round(view.y)},${Math.round(view.width)},${Math.round(view.height)},${view.zoom.toFixed(2)}`;
+        if (key === this.viewportKey) return;
+        this.viewportKey = key;
+        this.send({ type: Commands.SET_VIEWPORT, view });
+    }
+
+    takeHighlights() {
+        const highlights = this.highlights;
+        this.highlights = [];
+        return highlights;
+    }
+
+    // A replaced history makes everything queued before it stale
+    queueComposition({ reset, samples }) {
+        if (reset) {
+            this.composition = { reset: true, samples };
+        } else {
+            this.composition.samples.push(...samples);
+        }
+    }
+
+    takeComposition() {
+        const composition = this.composition;
+        this.composition = { reset: false, samples: [] };
+        return composition;
+    }
+
+    saveState() {
+        return this.request({ type: Commands.SAVE });
+    }
+
+    loadState(data) {
+        return this.request({ type: Commands.LOAD, data });
+    }
+
+    exportLineage(format = 'newick') {
+        return this.request({ type: Commands.EXPORT_LINEAGE, format });
+    }
+
+    exportRunData(format = 'json') {
+        return this.request({ type: Commands.EXPORT_RUN_DATA, format });
+    }
+
+    // Play back a recording (null = rewind the current run)
+    startReplay(recording = null) {
+        this.send({ type: Commands.REPLAY_START, recording });
+    }
+
+    controlReplay(action, options = {}) {
+        this.send({ type: Commands.REPLAY_CONTROL, action, ...options });
+    }
+
+    exportReplay() {
+        return this.request({ type: Commands.EXPORT_REPLAY });
+    }
+
+    // Views used by the game loop
+    getStats() {
+        return this.stats;
+    }
+
+    render(ctx, camera = null) {
+        if (this.frame) this.frame.render(ctx, camera);
+    }
+}
+
+export { SimulationClient };
@@ -0,0 +1,334 @@
+// Simulation host - owns the Simulation, applies typed commands and streams render frames.
+// Runs inside the Web Worker, or on the main thread when workers are unavailable
+import { Simulation } from './simulation.js';
+import { RenderSnapshot } from './renderSnapshot.js';
+import { ReplayRecorder, ReplayPlayer } from './replay.js';
+import { Commands, Messages } from './protocol.js';
+
+class SimulationHost {
+    constructor(post, width = 4000, height = 3000) {
+        this.post = post; // (message) => void
+        this.simulation = new Simulation(width, height);
+        this.worldSize = { width, height }; // Size a reset without a scenario returns to
+        this.recorder = new ReplayRecorder(); // Every run is recorded so it can be rewound
+        this.recorder.start(this.simulation);
+        this.replay = null; // ReplayPlayer while a recording is played back
+
+        this.running = true;
+        this.selectedId = null; // Cell or virus shown in the inspector
+        this.followTarget = null; // What the camera follows, re-resolved every frame (successors take over)
+        this.fieldView = null; // Environment field layer drawn as an overlay
+        this.viewport = null; // World rectangle the main thread shows - frames are culled to it (null = everything)
+        this.sentComposition = { history: null, tick: -Infinity }; // Composition history the main thread has, up to tick
+        this.awaitingAck = false; // Only one frame in flight - the main thread always draws the newest
+        this.dirty = true; // World changed since the last frame was sent
+        this.tickInterval = 1000 / 60;
+        this.timer = null;
+    }
+
+    start() {
+        this.post({ type: Messages.READY });
+        this.loop();
+    }
+
+    loop() {
+        const started = Date.now();
+
+        try {
+            if (this.replay) {
+                if (this.replay.advance(this.simulation, command => this.applyWorldCommand(command))) this.dirty = true;
+                if (this.replay.returnToLive && !this.replay.seeking) this.takeOver();
+            } else if (this.running) {
+                this.simulation.update();
+                this.recorder.record(this.simulation);
+                this.dirty = true;
+            }
+
+            if (this.dirty && !this.awaitingAck) {
+                this.sendFrame();
+            }
+        } catch (error) {
+            console.error('❌ Simulation error:', error);
+            this.post({ type: Messages.ERROR, message: error.message });
+        }
+
+        // Keep a steady 60 ticks/second; slow ticks just run back to back
+        const elapsed = Date.now() - started;
+        this.timer = setTimeout(() => this.loop(), Math.max(0, this.tickInterval - elapsed));
+    }
+
+    sendFrame() {
+        // Flag first - an in-thread client acks synchronously from inside post()
+        this.awaitingAck = true;
+        this.dirty = false;
+        this.post({
+            type: Messages.FRAME,
+            frame: RenderSnapshot.capture(this.simulation, this.fieldView, this.viewport),
+            stats: this.simulation.getStats(),
+            inspection: this.selectedId ? this.simulation.inspectCell(this.selectedId) : null,
+            follow: this.resolveFollow(),
+            highlights: this.simulation.takeHighlights(),
+            composition: this.compositionUpdate(),
+            replay: this.replay ? this.replay.status(this.simulation) : {
+                mode: 'recording',
+                tick: this.simulation.tick,
+                startTick: this.recorder.recording.startTick,
+                endTick: this.simulation.tick
+            },
+            godLog: this.simulation.godCommands.status()
+        });
+    }
+
+    // Composition samples the main thread doesn't have yet - all of them again whenever the history was replaced
+    // (reset, load, replay seek, or thinned because it got long)
+    compositionUpdate() {
+        const history = this.simulation.stats.compositionHistory;
+        const reset = history !== this.sentComposition.history;
+        const after = reset ? -Infinity : this.sentComposition.tick;
+
+        let start = history.length;
+        while (start > 0 && history[start - 1].tick > after) start--;
+
+        this.sentComposition = { history, tick: history.length > 0 ? history[history.length - 1].tick : -Infinity };
+        return { reset, samples: history.slice(start) };
+    }
+
+    // Commands that change the world - applied live (and recorded) or replayed from a recording
+    applyWorldCommand(command) {
+        switch (command.type) {
+            case Commands.SET_SETTING:
+                this.simulation.settings[command.key] = command.value;
+                break;
+
+            case Commands.SET_ENVIRONMENT:
+                this.simulation.environment[command.key] = command.value;
+                break;
+
+            case Commands.GOD_POWER:
+                this.simulation.godCommands.submit(command.action, command.position, command.options || null);
+                break;
+
+            case Commands.GOD_UNDO:
+                this.simulation.godCommands.undo();
+                break;
+
+            case Commands.GOD_REDO:
+                this.simulation.godCommands.redo();
+                break;
+
+            case Commands.IMPORT_GOD_LOG:
+                this.simulation.godCommands.schedule(command.log);
+                break;
+
+            case Commands.START_TOURNAMENT:
+                this.simulation.startTournament(command.rounds);
+                break;
+        }
+    }
+
+    startReplay(recording) {
+        const live = !recording;
+        const player = live ?
+            new ReplayPlayer(this.recorder.toJSON(this.simulation), this.recorder.keyframes) :
+            new ReplayPlayer(recording);
+
+        player.begin(this.simulation);
+        this.replay = player;
+        this.followTarget = null;
+        console.log(`⏪ Replaying ${live ? 'this run' : 'a recording'} (ticks ${player.recording.startTick}-${player.endTick})`);
+    }
+
+    controlReplay(command) {
+        if (!this.replay) throw new Error('No replay is playing');
+
+        switch (command.action) {
+            case 'play':
+                if (this.simulation.tick >= this.replay.endTick) this.replay.seek(this.simulation, this.replay.recording.startTick);
+                this.replay.playing = true;
+                break;
+
+            case 'pause':
+                this.replay.playing = false;
+                break;
+
+            case 'seek':
+                this.replay.seek(this.simulation, command.tick);
+                break;
+
+            case 'speed':
+                this.replay.speed = command.speed;
+                break;
+
+            case 'takeOver':
+                this.takeOver();
+                break;
+
+            case 'live':
+                // Run to the end of the recording, then hand the world back
+                this.replay.playing = false;
+                this.replay.returnToLive = true;
+                this.replay.seek(this.simulation, this.replay.endTick);
+                break;
+
+            default:
+                throw new Error(`Unknown replay action: ${command.action}`);
+        }
+    }
+
+    exportReplay() {
+        return this.replay ? this.replay.recording : this.recorder.toJSON(this.simulation);
+    }
+
+    // Leave playback where it is: the world goes live from this tick and recording continues from here
+    takeOver() {
+        this.recorder.adopt(this.replay, this.simulation);
+        this.replay = null;
+        console.log(`▶️ Live again from tick ${this.simulation.tick}`);
+    }
+
+    // Undo/redo is recorded with the tick of the command it affects, so playback can seek from a keyframe that
+    // still has that command's diff
+    undoGodCommand(command) {
+        if (this.replay) this.takeOver();
+
+        const godCommands = this.simulation.godCommands;
+        godCommands.applyDue();
+        const target = command.type === Commands.GOD_UNDO ? godCommands.undoTarget() : godCommands.redoTarget();
+        if (!target) return;
+
+        this.recorder.log(this.simulation.tick, { ...command, commandTick: target.tick });
+        this.applyWorldCommand(command);
+    }
+
+    resolveFollow() {
+        if (!this.followTarget) return null;
+        this.followTarget = this.simulation.resolveFollowTarget(this.followTarget);
+        return this.followTarget;
+    }
+
+    handle(command) {
+        try {
+            switch (command.type) {
+                case Commands.RESET:
+                    if (!command.scenario) this.simulation.resize(this.worldSize.width, this.worldSize.height);
+                    this.simulation.reset(command.settings, command.seed, command.scenario || null);
+                    this.recorder.start(this.simulation, true);
+                    this.replay = null;
+                    this.followTarget = null;
+                    this.dirty = true;
+                    break;
+
+                case Commands.SET_RUNNING:
+                    this.running = command.running;
+                    if (this.replay) this.replay.playing = command.running;
+                    break;
+
+                case Commands.STEP:
+                    if (this.replay) {
+                        this.replay.seek(this.simulation, this.simulation.tick + 1);
+                    } else if (!this.running) {
+                        this.simulation.update();
+                        this.recorder.record(this.simulation);
+                        this.dirty = true;
+                    }
+                    break;
+
+                case Commands.SET_SETTING:
+                case Commands.SET_ENVIRONMENT:
+                case Commands.GOD_POWER:
+                case Commands.IMPORT_GOD_LOG:
+                case Commands.START_TOURNAMENT:
+                    // Changing the world during playback branches off: live from here, recording the change
+                    if (this.replay) this.takeOver();
+                    this.applyWorldCommand(command); // Throws for invalid commands - those aren't recorded
+                    this.recorder.log(this.simulation.tick, command);
+                    // Queued god-mode commands wait for the next tick - while paused that's now
+                    if (!this.running) this.simulation.godCommands.applyDue();
+                    this.dirty = true;
+                    break;
+
+                case Commands.GOD_UNDO:
+                case Commands.GOD_REDO:
+                    this.undoGodCommand(command);
+                    this.dirty = true;
+                    break;
+
+                case Commands.SELECT_CELL:
+                    this.selectedId = command.id;
+                    this.dirty = true;
+                    break;
+
+                case Commands.FOLLOW:
+                    this.followTarget = command.target;
+                    this.dirty = true;
+                    break;
+
+                case Commands.SET_FIELD_VIEW:
+                    this.fieldView = command.layer;
+                    this.dirty = true;
+                    break;
+
+                case Commands.SET_VIEWPORT:
+                    this.viewport = command.view;
+                    this.dirty = true;
+                    break;
+
+                case Commands.FRAME_ACK:
+                    this.awaitingAck = false;
+                    break;
+
+                case Commands.SAVE:
+                    this.post({ type: Messages.SAVED, requestId: command.requestId, data: this.simulation.saveState() });
+                    break;
+
+                case Commands.LOAD:
+                    this.simulation.loadState(command.data);
+                    this.recorder.start(this.simulation);
+                    this.replay = null;
+                    this.followTarget = null;
+                    this.dirty = true;
+                    this.post({
+                        type: Messages.LOADED,
+                        requestId: command.requestId,
+                        width: this.simulation.width,
+                        height: this.simulation.height
+                    });
+                    break;
+
+                case Commands.EXPORT_LINEAGE:
+                    this.post({ type: Messages.LINEAGE, requestId: command.requestId, data: this.simulation.exportLineage(command.format) });
+                    break;
+
+                case Commands.EXPORT_RUN_DATA:
+                    this.post({ type: Messages.RUN_DATA, requestId: command.requestId, data: this.simulation.exportRunData(command.format) });
+                    break;
+
+                case Commands.REPLAY_START:
+                    this.startReplay(command.recording);
+                    this.dirty = true;
+                    break;
+
+                case Commands.REPLAY_CONTROL:
+                    this.controlReplay(command);
+                    this.dirty = true;
+                    break;
+
+                case Commands.EXPORT_REPLAY:
+                    this.post({ type: Messages.REPLAY, requestId: command.requestId, data: this.exportReplay() });
+                    break;
+
+                case Commands.EXPORT_GOD_LOG:
+                    this.post({ type: Messages.GOD_LOG, requestId: command.requestId, data: this.simulation.godCommands.toJSON() });
+                    break;
+
+                default:
+                    throw new Error(`Unknown command: ${command.type}`);
+            }
+        } catch (error) {
+            console.error(`❌ Command ${command.type} failed:`, error);
+            this.post({ type: Messages.ERROR, requestId: command.requestId, message: error.message });
+        }
+    }
+}
+
+export { SimulationHost };
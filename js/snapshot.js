@@ -0,0 +1,293 @@
+// World snapshots - versioned JSON save/load of the complete simulation state
+import { Cell, Virus, Colony } from './cell.js';
+import { Food } from './food.js';
+import { Environment } from './environment.js';
+import { EnvironmentFields } from './fields.js';
+import { LineageRegistry } from './lineage.js';
+import { SpeciesTracker } from './species.js';
+import { RunRecorder } from './runData.js';
+import { Scenario } from './scenario.js';
+import { GodCommandLog } from './godCommands.js';
+import { rng, getIdCounter, setIdCounter } from './random.js';
+
+const SNAPSHOT_FORMAT = 'cells-dominion-world';
+const SNAPSHOT_VERSION = 1;
+
+// Properties that are re-attached on load instead of being saved
+const SKIPPED_PROPERTIES = new Set(['simulation', 'spatialIndex']);
+
+class WorldSnapshot {
+    // Build a plain JSON-safe document from a running simulation
+    static serialize(simulation) {
+        const encoder = new SnapshotEncoder(simulation);
+
+        const data = {
+            format: SNAPSHOT_FORMAT,
+            version: SNAPSHOT_VERSION,
+            savedAt: new Date().toISOString(),
+            width: simulation.width,
+            height: simulation.height,
+            random: { seed: rng.seed, state: rng.state, nextId: getIdCounter() },
+            simulation: {
+                tick: simulation.tick,
+                generation: simulation.generation,
+                maxGeneration: simulation.maxGeneration,
+                seed: simulation.seed,
+                settings: encoder.encode(simulation.settings),
+                stats: encoder.encode(simulation.stats),
+                evolutionHistory: encoder.encode(simulation.evolutionHistory || []),
+                traitFrequencies: encoder.encode(simulation.traitFrequencies || []),
+                continuousMode: simulation.continuousMode,
+                tournament: encoder.encode(simulation.tournament),
+                lineage: simulation.lineage.serialize(),
+                species: simulation.species.serialize(),
+                runData: simulation.runData.serialize(),
+                scenario: simulation.scenario,
+                nextScenarioEvent: simulation.nextScenarioEvent,
+                godCommands: simulation.godCommands.serialize(),
+                mutationBoost: simulation.mutationBoost
+            },
+            cells: simulation.cells.map(cell => encoder.encodeEntity(cell)),
+            viruses: simulation.viruses.map(virus => encoder.encodeEntity(virus)),
+            colonies: simulation.colonies.map(colony => encoder.encodeEntity(colony)),
+            food: simulation.foodManager.food.map(food => encoder.encodeEntity(food)),
+            foodManager: {
+                maxFood: simulation.foodManager.maxFood,
+                spawnRate: simulation.foodManager.spawnRate,
+                spawnCooldown: simulation.foodManager.spawnCooldown
+            },
+            environment: encoder.encodeEntity(simulation.environment)
+        };
+
+        // Entities that are only reachable through references (e.g. dead colony members, colonies
+        // not yet picked up by updateColonies) are saved too so every reference survives the round trip
+        const detached = encoder.encodeDetached();
+        data.detachedCells = detached.cells;
+        data.detachedColonies = detached.colonies;
+
+        return data;
+    }
+
+    // Replace the simulation's world with the snapshot contents
+    static restore(simulation, data) {
+        WorldSnapshot.validate(data);
+
+        const decoder = new SnapshotDecoder(data);
+
+        simulation.width = data.width;
+        simulation.height = data.height;
+        simulation.tick = data.simulation.tick;
+        simulation.generation = data.simulation.generation;
+        simulation.maxGeneration = data.simulation.maxGeneration;
+        simulation.seed = data.simulation.seed;
+        simulation.settings = decoder.decode(data.simulation.settings);
+        // Counters added after a save was made start from zero
+        simulation.stats = {
+            deathCauses: {}, births: { mitosis: 0, mating: 0 }, speciesLegend: {}, compositionHistory: [], compositionInterval: 20,
+            ...decoder.decode(data.simulation.stats)
+        };
+        simulation.evolutionHistory = decoder.decode(data.simulation.evolutionHistory);
+        simulation.traitFrequencies = decoder.decode(data.simulation.traitFrequencies);
+        simulation.continuousMode = data.simulation.continuousMode ?? true;
+        simulation.tournament = decoder.decode(data.simulation.tournament ?? null);
+        simulation.lineage = LineageRegistry.restore(data.simulation.lineage);
+        simulation.species = SpeciesTracker.restore(data.simulation.species);
+        simulation.scenario = data.simulation.scenario ?? null;
+        simulation.scenarioEvents = simulation.scenario ? Scenario.timeline(simulation.scenario) : [];
+        simulation.nextScenarioEvent = data.simulation.nextScenarioEvent ?? 0;
+        simulation.godCommands = GodCommandLog.restore(data.simulation.godCommands, simulation);
+        simulation.mutationBoost = data.simulation.mutationBoost ?? null;
+
+        simulation.cells = decoder.cells;
+        simulation.viruses = decoder.viruses;
+        simulation.colonies = decoder.colonies;
+
+        const foodManager = simulation.foodManager;
+        foodManager.width = data.width;
+        foodManager.height = data.height;
+        foodManager.food = decoder.food;
+        Object.assign(foodManager, data.foodManager);
+
+        simulation.environment = decoder.environment;
+        simulation.environment.nutrientSources = simulation.environment.nutrientSources ?? []; // Older saves have none
+        simulation.environment.light = simulation.environment.light ?? 0.7;
+        simulation.environment.dayLength = simulation.environment.dayLength ?? Environment.dayLength; // Older saves start the day cycle
+        simulation.environment.dayTick = simulation.environment.dayTick ??
+            Math.floor(Environment.dayLength * Environment.startTimeOfDay);
+        simulation.environment.updateDaylight();
+        simulation.environment.fields = EnvironmentFields.restore(simulation.environment.fields, data.width, data.height);
+        simulation.runData = RunRecorder.restore(data.simulation.runData, simulation.environment);
+
+        // Re-attach the simulation back-reference the cells use for settings access
+        simulation.cells.forEach(cell => { cell.simulation = simulation; });
+        simulation.viruses.forEach(virus => { virus.simulation = simulation; });
+
+        // Continue the random stream exactly where the snapshot left it
+        rng.seed = data.random.seed;
+        rng.state = data.random.state;
+        setIdCounter(data.random.nextId);
+
+        return simulation;
+    }
+
+    static validate(data) {
+        if (!data || typeof data !== 'object' || data.format !== SNAPSHOT_FORMAT) {
+            throw new Error('Not a world snapshot');
+        }
+        if (typeof data.version !== 'number' || data.version > SNAPSHOT_VERSION) {
+            throw new Error(`Unsupported snapshot version ${data.version} (this build reads up to ${SNAPSHOT_VERSION})`);
+        }
+    }
+}
+
+// Turns live objects into JSON. Entity references become { $ref } markers
+class SnapshotEncoder {
+    constructor(simulation) {
+        this.foodIndex = new Map(simulation.foodManager.food.map((food, index) => [food, index]));
+        this.visiting = new Set();
+
+        // Everything saved in the main lists, plus anything discovered only through a reference
+        this.knownEntities = new Set([...simulation.cells, ...simulation.viruses, ...simulation.colonies]);
+        this.detachedCells = [];
+        this.detachedColonies = [];
+    }
+
+    encodeDetached() {
+        const cells = [];
+        const colonies = [];
+
+        // Encoding a detached entity can discover more of them, so loop until the lists stop growing
+        while (cells.length < this.detachedCells.length || colonies.length < this.detachedColonies.length) {
+            if (cells.length < this.detachedCells.length) {
+                cells.push(this.encodeEntity(this.detachedCells[cells.length]));
+            } else {
+                colonies.push(this.encodeEntity(this.detachedColonies[colonies.length]));
+            }
+        }
+
+        return { cells, colonies };
+    }
+
+    trackReference(entity, detachedList) {
+        if (!this.knownEntities.has(entity)) {
+            this.knownEntities.add(entity);
+            detachedList.push(entity);
+        }
+    }
+
+    encodeEntity(entity) {
+        const encoded = {};
+        Object.keys(entity).forEach(key => {
+            if (SKIPPED_PROPERTIES.has(key)) return;
+            const value = entity[key];
+            if (value === undefined || typeof value === 'function') return;
+            encoded[key] = this.encode(value);
+        });
+        return encoded;
+    }
+
+    encode(value) {
+        if (value === null || value === undefined) return null;
+        if (typeof value === 'number') {
+            // JSON has no Infinity/NaN - keep them explicit so they round-trip
+            return Number.isFinite(value) ? value : { $number: String(value) };
+        }
+        if (typeof value !== 'object') return value;
+
+        // Entity references
+        if (value instanceof Cell) {
+            this.trackReference(value, this.detachedCells);
+            return { $ref: 'cell', id: value.id };
+        }
+        if (value instanceof Colony) {
+            this.trackReference(value, this.detachedColonies);
+            return { $ref: 'colony', id: value.id };
+        }
+        if (value instanceof Food) {
+            return this.foodIndex.has(value) ? { $ref: 'food', index: this.foodIndex.get(value) } : null;
+        }
+
+        // Guard against cycles inside plain data
+        if (this.visiting.has(value)) return null;
+        this.visiting.add(value);
+
+        let encoded;
+        if (value instanceof Map) {
+            encoded = { $map: Array.from(value.entries(), ([key, item]) => [this.encode(key), this.encode(item)]) };
+        } else if (value instanceof Set) {
+            encoded = { $set: Array.from(value, item => this.encode(item)) };
+        } else if (Array.isArray(value)) {
+            encoded = value.map(item => this.encode(item));
+        } else {
+            encoded = {};
+            Object.keys(value).forEach(key => {
+                if (value[key] === undefined || typeof value[key] === 'function') return;
+                encoded[key] = this.encode(value[key]);
+            });
+        }
+
+        this.visiting.delete(value);
+        return encoded;
+    }
+}
+
+// Rebuilds live objects. Entities are created first so references can be resolved in any order
+class SnapshotDecoder {
+    constructor(data) {
+        this.cellsById = new Map();
+        this.coloniesById = new Map();
+
+        const detachedCells = data.detachedCells || [];
+        const detachedColonies = data.detachedColonies || [];
+
+        // Pass 1: allocate every entity without running constructors (they would consume random numbers)
+        this.cells = data.cells.map(() => Object.create(Cell.prototype));
+        this.viruses = data.viruses.map(() => Object.create(Virus.prototype));
+        this.colonies = data.colonies.map(() => Object.create(Colony.prototype));
+        this.food = data.food.map(() => Object.create(Food.prototype));
+        const extraCells = detachedCells.map(cell => Object.create((cell.isVirus ? Virus : Cell).prototype));
+        const extraColonies = detachedColonies.map(() => Object.create(Colony.prototype));
+
+        const register = (map, entries, instances) => entries.forEach((entry, i) => map.set(entry.id, instances[i]));
+        register(this.cellsById, data.cells, this.cells);
+        register(this.cellsById, data.viruses, this.viruses);
+        register(this.cellsById, detachedCells, extraCells);
+        register(this.coloniesById, data.colonies, this.colonies);
+        register(this.coloniesById, detachedColonies, extraColonies);
+
+        // Pass 2: fill in properties now that every reference target exists
+        const fill = (entries, instances) => entries.forEach((entry, i) => Object.assign(instances[i], this.decode(entry)));
+        fill(data.cells, this.cells);
+        fill(data.viruses, this.viruses);
+        fill(detachedCells, extraCells);
+        fill(data.colonies, this.colonies);
+        fill(detachedColonies, extraColonies);
+        fill(data.food, this.food);
+
+        this.environment = Object.assign(Object.create(Environment.prototype), this.decode(data.environment));
+    }
+
+    decode(value) {
+        if (value === null || typeof value !== 'object') return value;
+        if (Array.isArray(value)) return value.map(item => this.decode(item));
+
+        if (value.$ref !== undefined) {
+            // References to entities that no longer exist (e.g. a dead target) decode to null
+            if (value.$ref === 'cell') return this.cellsById.get(value.id) || null;
+            if (value.$ref === 'colony') return this.coloniesById.get(value.id) || null;
+            if (value.$ref === 'food') return this.food[value.index] || null;
+            return null;
+        }
+        if (value.$number !== undefined) return Number(value.$number);
+        if (value.$map !== undefined) return new Map(value.$map.map(([key, item]) => [this.decode(key), this.decode(item)]));
+        if (value.$set !== undefined) return new Set(value.$set.map(item => this.decode(item)));
+
+        const decoded = {};
+        Object.keys(value).forEach(key => {
+            decoded[key] = this.decode(value[key]);
+        });
+        return decoded;
+    }
+}
+
+export { WorldSnapshot, SNAPSHOT_VERSION };
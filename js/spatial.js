@@ -0,0 +1,111 @@
+// Uniform spatial hash grid for radius neighbor queries (cells, food, viruses)
+class SpatialGrid {
+    constructor(bucketSize = 100) {
+        this.bucketSize = bucketSize;
+        this.items = null;
+        this.buckets = new Map(); // bucket key -> array of item indices
+        this.itemIndex = new Map(); // item -> index in the source array
+        this.itemKeys = []; // index -> bucket key the item is filed under
+        this.indexedLength = 0;
+        this.maxRadius = 0; // Largest item radius seen, used to pad contact queries
+    }
+
+    // Index every item of the array at its current position
+    rebuild(items) {
+        this.items = items;
+        this.buckets.clear();
+        this.itemIndex.clear();
+        this.itemKeys = new Array(items.length);
+        this.indexedLength = items.length;
+        this.maxRadius = 0;
+
+        for (let i = 0; i < items.length; i++) {
+            const item = items[i];
+            const key = this.keyFor(item.x, item.y);
+            this.itemIndex.set(item, i);
+            this.itemKeys[i] = key;
+            this.addToBucket(key, i);
+            this.maxRadius = Math.max(this.maxRadius, item.radius || 0);
+        }
+    }
+
+    // Re-file an item after it moved or grew
+    update(item) {
+        const index = this.itemIndex.get(item);
+        if (index === undefined) return;
+
+        this.maxRadius = Math.max(this.maxRadius, item.radius || 0);
+
+        const key = this.keyFor(item.x, item.y);
+        const oldKey = this.itemKeys[index];
+        if (key === oldKey) return;
+
+        const bucket = this.buckets.get(oldKey);
+        if (bucket) {
+            const position = bucket.indexOf(index);
+            if (position !== -1) bucket.splice(position, 1);
+            if (bucket.length === 0) this.buckets.delete(oldKey);
+        }
+
+        this.itemKeys[index] = key;
+        this.addToBucket(key, index);
+    }
+
+    // True when queries against this array can be answered from the index.
+    // Items pushed after the rebuild are still covered (they are always returned as candidates)
+    covers(items) {
+        return this.items === items && items.length >= this.indexedLength;
+    }
+
+    // Candidates within radius of (x, y), in the same order as the source array.
+    // Callers still apply their exact distance checks - the grid only skips far-away items,
+    // so results match a full scan of the array
+    queryRadius(x, y, radius) {
+        const size = this.bucketSize;
+        const minX = Math.floor((x - radius) / size);
+        const maxX = Math.floor((x + radius) / size);
+        const minY = Math.floor((y - radius) / size);
+        const maxY = Math.floor((y + radius) / size);
+
+        // Huge or invalid queries gain nothing from the grid
+        if (!Number.isFinite(minX) || !Number.isFinite(minY) ||
+            (maxX - minX + 1) * (maxY - minY + 1) > this.buckets.size) {
+            return this.items;
+        }
+
+        const indices = [];
+        for (let bx = minX; bx <= maxX; bx++) {
+            for (let by = minY; by <= maxY; by++) {
+                const bucket = this.buckets.get(this.bucketKey(bx, by));
+                if (bucket) {
+                    for (let i = 0; i < bucket.length; i++) indices.push(bucket[i]);
+                }
+            }
+        }
+
+        // Unindexed items appended since the last rebuild
+        for (let i = this.indexedLength; i < this.items.length; i++) indices.push(i);
+
+        indices.sort((a, b) => a - b);
+        return indices.map(i => this.items[i]);
+    }
+
+    keyFor(x, y) {
+        return this.bucketKey(Math.floor(x / this.bucketSize), Math.floor(y / this.bucketSize));
+    }
+
+    bucketKey(bx, by) {
+        return `${bx},${by}`;
+    }
+
+    addToBucket(key, index) {
+        let bucket = this.buckets.get(key);
+        if (!bucket) {
+            bucket = [];
+            this.buckets.set(key, bucket);
+        }
+        bucket.push(index);
+    }
+}
+
+export { SpatialGrid };
@@ -0,0 +1,197 @@
+// Species tracking - clusters cells into species by genetic distance and logs speciation/extinction
+import { Cell, CellNameGenerator } from './cell.js';
+
+// Extinct species kept for the history (oldest are forgotten first)
+const MAX_EXTINCT_SPECIES = 500;
+const MAX_EVENTS = 100;
+
+class SpeciesTracker {
+    constructor() {
+        this.species = new Map(); // species id -> species record
+        this.events = []; // Recent speciation/extinction events, newest last
+        this.nextNumber = 1;
+        this.extinctCount = 0;
+    }
+
+    // Re-cluster the population: every cell stays in its species while it is within `threshold`
+    // of the species' typical genes, otherwise joins the closest species or founds a new one
+    update(cells, tick, threshold) {
+        cells.forEach(cell => this.assign(cell, tick, threshold));
+
+        const members = new Map();
+        cells.forEach(cell => {
+            if (!members.has(cell.speciesId)) members.set(cell.speciesId, []);
+            members.get(cell.speciesId).push(cell);
+        });
+
+        this.species.forEach(species => {
+            if (species.extinctTick !== null) return;
+
+            const group = members.get(species.id) || [];
+            species.population = group.length;
+
+            if (group.length === 0) {
+                this.markExtinct(species, tick);
+                return;
+            }
+
+            species.peakPopulation = Math.max(species.peakPopulation, group.length);
+            species.representative = Cell.averageDNA(group.map(cell => cell.dna));
+            species.profile = this.profile(group);
+        });
+
+        this.forgetOldExtinct();
+    }
+
+    assign(cell, tick, threshold) {
+        const current = this.species.get(cell.speciesId);
+        if (current && current.extinctTick === null &&
+            Cell.dnaDistance(cell.dna, current.representative) <= threshold) {
+            return;
+        }
+
+        // Drifted away (or new to the tracker) - the closest living species within reach takes it
+        let closest = null;
+        let closestDistance = threshold;
+        this.species.forEach(species => {
+            if (species.extinctTick !== null) return;
+            const distance = Cell.dnaDistance(cell.dna, species.representative);
+            if (distance <= closestDistance) {
+                closest = species;
+                closestDistance = distance;
+            }
+        });
+
+        if (closest) {
+            cell.speciesId = closest.id;
+        } else {
+            this.found(cell, tick, current);
+        }
+    }
+
+    found(founder, tick, parentSpecies) {
+        const number = this.nextNumber++;
+        const species = {
+            id: `species_${number}`,
+            name: CellNameGenerator.generate(),
+            color: `hsl(${Math.round((number * 137.508) % 360)}, 70%, 55%)`, // Golden angle keeps neighbors apart
+            founderId: founder.id,
+            founderName: founder.name,
+            parentSpeciesId: parentSpecies ? parentSpecies.id : null,
+            originTick: tick,
+            extinctTick: null,
+            population: 1,
+            peakPopulation: 1,
+            representative: { ...founder.dna },
+            profile: this.profile([founder])
+        };
+
+        this.species.set(species.id, species);
+        founder.speciesId = species.id;
+
+        this.logEvent({
+            type: 'speciation',
+            tick,
+            speciesId: species.id,
+            name: species.name,
+            parentSpeciesId: species.parentSpeciesId,
+            founderId: founder.id,
+            founderName: founder.name
+        });
+        const origin = parentSpecies ? ` branched off ${parentSpecies.name}` : ' appeared';
+        console.log(`🌱 New species ${species.name}${origin} (founder ${founder.name})`);
+
+        return species;
+    }
+
+    markExtinct(species, tick) {
+        species.extinctTick = tick;
+        species.population = 0;
+        this.extinctCount++;
+
+        this.logEvent({ type: 'extinction', tick, speciesId: species.id, name: species.name, lifespan: tick - species.originTick });
+        console.log(`🪦 Species ${species.name} went extinct after ${tick - species.originTick} ticks`);
+    }
+
+    logEvent(event) {
+        this.events.push(event);
+        if (this.events.length > MAX_EVENTS) this.events.shift();
+    }
+
+    forgetOldExtinct() {
+        const extinct = Array.from(this.species.values()).filter(species => species.extinctTick !== null);
+        extinct.slice(0, Math.max(0, extinct.length - MAX_EXTINCT_SPECIES))
+            .forEach(species => this.species.delete(species.id));
+    }
+
+    // What a species looks like: its most common defense/shape/ability and average body
+    profile(group) {
+        const mostCommon = (trait) => {
+            const counts = {};
+            group.forEach(cell => { counts[cell.traits[trait]] = (counts[cell.traits[trait]] || 0) + 1; });
+            return Object.keys(counts).reduce((best, value) => counts[value] > counts[best] ? value : best);
+        };
+        const average = (trait) => group.reduce((sum, cell) => sum + cell.traits[trait], 0) / group.length;
+
+        return {
+            defenseType: mostCommon('defenseType'),
+            shape: mostCommon('shape'),
+            specialAbility: mostCommon('specialAbility'),
+            size: average('size'),
+            speed: average('speed')
+        };
+    }
+
+    get(id) {
+        return this.species.get(id) || null;
+    }
+
+    living() {
+        return Array.from(this.species.values())
+            .filter(species => species.extinctTick === null)
+            .sort((a, b) => b.population - a.population);
+    }
+
+    // Simpson's diversity over species: chance two random cells belong to different species
+    diversity(totalCells) {
+        if (totalCells === 0) return 0;
+        const sumSquares = this.living().reduce((sum, species) => {
+            const share = species.population / totalCells;
+            return sum + share * share;
+        }, 0);
+        return 1 - sumSquares;
+    }
+
+    getStats(limit = 12) {
+        const living = this.living();
+        return {
+            count: living.length,
+            extinct: this.extinctCount,
+            list: living.slice(0, limit).map(({ representative, ...species }) => species),
+            populations: living.map(species => species.population), // All living species, for diversity indices
+            events: this.events.slice(-10)
+        };
+    }
+
+    serialize() {
+        return {
+            nextNumber: this.nextNumber,
+            extinctCount: this.extinctCount,
+            events: this.events,
+            species: Array.from(this.species.values())
+        };
+    }
+
+    static restore(data) {
+        const tracker = new SpeciesTracker();
+        if (!data) return tracker;
+
+        tracker.nextNumber = data.nextNumber;
+        tracker.extinctCount = data.extinctCount;
+        tracker.events = data.events;
+        data.species.forEach(species => tracker.species.set(species.id, species));
+        return tracker;
+    }
+}
+
+export { SpeciesTracker };
@@ -0,0 +1,91 @@
+// Replay timeline - rewind the current run or a loaded recording, then pause, seek and play it back at any speed
+
+class ReplayTimeline {
+    constructor(simulation) {
+        this.simulation = simulation;
+        this.scrubbing = false; // The user is dragging the slider - don't move it under them
+
+        this.slider = document.getElementById('replaySlider');
+        this.label = document.getElementById('replayTick');
+        this.playButton = document.getElementById('replayPlay');
+        this.speedSelect = document.getElementById('replaySpeed');
+        this.container = document.getElementById('replayTimeline');
+
+        this.initializeControls();
+    }
+
+    initializeControls() {
+        document.getElementById('replayRewind')?.addEventListener('click', () => this.rewind());
+        document.getElementById('replayTakeOver')?.addEventListener('click', () => this.simulation.controlReplay('takeOver'));
+        document.getElementById('replayLive')?.addEventListener('click', () => this.simulation.controlReplay('live'));
+
+        this.playButton?.addEventListener('click', () => {
+            if (!this.isPlayback()) {
+                this.rewind();
+                this.simulation.controlReplay('play');
+            } else {
+                this.simulation.controlReplay(this.simulation.replay.playing ? 'pause' : 'play');
+            }
+        });
+
+        this.speedSelect?.addEventListener('change', (e) => {
+            if (this.isPlayback()) this.simulation.controlReplay('speed', { speed: parseFloat(e.target.value) });
+        });
+
+        if (!this.slider) return;
+        this.slider.addEventListener('input', () => {
+            this.scrubbing = true;
+            this.renderLabel(parseInt(this.slider.value));
+        });
+        this.slider.addEventListener('change', () => {
+            this.scrubbing = false;
+            this.seek(parseInt(this.slider.value));
+        });
+    }
+
+    isPlayback() {
+        return this.simulation.replay?.mode === 'playback';
+    }
+
+    // Play the current run back from its start (paused)
+    rewind() {
+        this.simulation.startReplay();
+        this.simulation.controlReplay('speed', { speed: parseFloat(this.speedSelect?.value || 1) });
+    }
+
+    // Seeking while recording rewinds the current run first
+    seek(tick) {
+        if (!this.isPlayback()) this.rewind();
+        this.simulation.controlReplay('seek', { tick });
+    }
+
+    // Called whenever a new frame arrived
+    update() {
+        const replay = this.simulation.replay;
+        if (!replay || !this.slider) return;
+
+        const playback = replay.mode === 'playback';
+        this.container?.classList.toggle('playback', playback);
+        if (this.playButton) this.playButton.textContent = playback && replay.playing ? '⏸️' : '▶️';
+
+        if (this.scrubbing) return;
+        this.slider.min = replay.startTick;
+        this.slider.max = replay.endTick;
+        this.slider.value = replay.tick;
+        this.renderLabel(replay.tick);
+    }
+
+    renderLabel(tick) {
+        const replay = this.simulation.replay;
+        if (!this.label || !replay) return;
+
+        if (replay.mode !== 'playback') {
+            this.label.textContent = `⏺️ Recording · tick ${tick}`;
+        } else {
+            const state = replay.seeking ? 'Seeking…' : (replay.playing ? `Playing ${replay.speed}x` : 'Paused');
+            this.label.textContent = `⏪ ${state} · tick ${tick} / ${replay.endTick}`;
+        }
+    }
+}
+
+export { ReplayTimeline };
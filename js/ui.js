@@ -1,7 +1,10 @@
 // UI Management for statistics and charts
+import { CompositionChart } from './compositionChart.js';
+
 class UIManager {
     constructor() {
         this.populationChart = null;
+        this.speciesDatasets = new Map(); // species id -> chart dataset
         this.chartData = {
             labels: [],
             datasets: [
@@ -25,6 +28,7 @@ class UIManager {
         };
 
         this.initChart();
+        this.compositionChart = new CompositionChart();
     }
 
     initChart() {
@@ -82,13 +86,16 @@ class UIManager {
         });
     }
 
-    updateStats(stats) {
+    updateStats(stats, composition) {
         // Update population info
         document.getElementById('totalCells').textContent = stats.totalCells;
         document.getElementById('generation').textContent = stats.generation;
         document.getElementById('tick').textContent = stats.tick;
         document.getElementById('foodCount').textContent = stats.foodCount;
 
+        const seedValueEl = document.getElementById('seedValue');
+        if (seedValueEl && stats.seed !== undefined) seedValueEl.textContent = stats.seed;
+
         // Update new ecosystem stats
         const activeColoniesEl = document.getElementById('activeColonies');
         const growthRateEl = document.getElementById('growthRate');
@@ -102,11 +109,20 @@ class UIManager {
         }
         if (avgFitnessEl) avgFitnessEl.textContent = (stats.averageFitness || 0).toFixed(2);
 
-        // Update trait distribution
+        const birthCountsEl = document.getElementById('birthCounts');
+        if (birthCountsEl && stats.births) birthCountsEl.textContent = `${stats.births.mitosis} / ${stats.births.mating}`;
+
+        this.updateDeathCauses(stats.deathCauses);
+
+        // Update species and trait distribution
+        this.updateSpecies(stats.species);
         this.updateTraitBars(stats.traitDistribution);
 
         // Update comprehensive traits panel
-        this.updateComprehensiveTraits(stats.traitDistribution);
+        this.updateComprehensiveTraits(stats.traitDistribution, stats.species);
+
+        // Update tournament rounds and champions
+        this.updateRoundStats(stats);
 
         // Update chart every 10 ticks to avoid performance issues
         if (stats.tick % 10 === 0) {
@@ -143,8 +159,10 @@ class UIManager {
             roundElements.roundWinners.textContent = stats.roundWinners || 0;
         }
 
-        // Update champions list
-        if (roundElements.championsList && stats.champions) {
+        // Update champions list - the final leaderboard replaces it once the tournament is over
+        if (roundElements.championsList && stats.roundStatus === 'tournament_complete' && stats.leaderboard) {
+            this.updateChampionsList(stats.leaderboard, true);
+        } else if (roundElements.championsList && stats.champions) {
             this.updateChampionsList(stats.champions);
         }
     }
@@ -160,13 +178,15 @@ class UIManager {
         }
     }
 
-    updateChampionsList(champions) {
+    updateChampionsList(champions, fromTop = false) {
         const championsList = document.getElementById('championsList');
         if (!championsList) return;
 
         championsList.innerHTML = '';
 
-        champions.slice(-3).forEach((champion, index) => {
+        // Latest champions by default, top of the list for the ranked leaderboard
+        const shown = fromTop ? champions.slice(0, 3) : champions.slice(-3);
+        shown.forEach((champion, index) => {
             const championDiv = document.createElement('div');
             championDiv.className = 'champion-entry';
             championDiv.innerHTML = `
@@ -189,6 +209,74 @@ class UIManager {
         return icons[shape] || '⚫';
     }
 
+    updateDeathCauses(deathCauses) {
+        const list = document.getElementById('deathCausesList');
+        if (!list || !deathCauses) return;
+
+        // Most common causes first
+        list.innerHTML = Object.entries(deathCauses)
+            .sort((a, b) => b[1] - a[1])
+            .slice(0, 6)
+            .map(([cause, count]) => `<p>${this.formatDeathCause(cause)} <span>${count}</span></p>`)
+            .join('');
+    }
+
+    formatDeathCause(cause) {
+        if (cause.startsWith('hazard:')) {
+            const type = cause.slice('hazard:'.length);
+            return `☣️ ${type.charAt(0).toUpperCase() + type.slice(1)} zone`;
+        }
+
+        switch (cause) {
+            case 'combat': return '⚔️ Combat';
+            case 'predation': return '🍽️ Predation';
+            case 'virus': return '🦠 Virus';
+            case 'infection': return '🤒 Infection';
+            case 'starvation': return '🍂 Starvation';
+            case 'oldAge': return '⚰️ Old age';
+            case 'climate': return '🌡️ Climate';
+            case 'disaster': return '☄️ Disaster';
+            case 'spikeTrap': return '📌 Spike trap';
+            case 'fragmentation': return '💥 Fragmentation';
+            case 'selection': return '⚖️ Natural selection';
+            case 'culled': return '💀 Culled';
+            case 'god': return '⚡ God Mode';
+            default: return '❔ Other';
+        }
+    }
+
+    updateSpecies(species) {
+        const bars = document.getElementById('speciesBars');
+        if (!bars || !species) return;
+
+        document.getElementById('speciesCount').textContent = species.count;
+        document.getElementById('extinctSpeciesCount').textContent = species.extinct;
+
+        const largest = species.list.length > 0 ? species.list[0].population : 1;
+        bars.innerHTML = species.list.map(entry => {
+            const profile = entry.profile;
+            const details = `Founder: ${entry.founderName}, since tick ${entry.originTick}, peak ${entry.peakPopulation}` +
+                `\nSize ${profile.size.toFixed(1)}, speed ${profile.speed.toFixed(2)}, ${profile.specialAbility}`;
+            return `
+                <div class="trait-bar" title="${details}">
+                    <span class="species-name" style="color: ${entry.color}">${this.getShapeIcon(profile.shape)}${this.getDefenseIcon(profile.defenseType)} ${entry.name}</span>
+                    <div class="bar">
+                        <div class="fill" style="width: ${(entry.population / largest) * 100}%; background: ${entry.color}"></div>
+                    </div>
+                    <span>${entry.population}</span>
+                </div>
+            `;
+        }).join('');
+
+        const events = document.getElementById('speciesEvents');
+        if (events) {
+            events.innerHTML = species.events.slice(-5).reverse().map(event => event.type === 'speciation' ?
+                `<p>🌱 ${event.name} ${event.parentSpeciesId ? 'branched off' : 'appeared'} (tick ${event.tick})</p>` :
+                `<p>🪦 ${event.name} went extinct (tick ${event.tick})</p>`
+            ).join('');
+        }
+    }
+
     getDefenseIcon(defense) {
         const icons = {
             spikes: '🔸', poison: '☠️', armor: '🛡️', regen: '💚', camo: '👻',
@@ -259,16 +347,51 @@ class UIManager {
         this.chartData.labels.push(stats.tick);
         this.chartData.datasets[0].data.push(stats.totalCells);
         this.chartData.datasets[1].data.push(stats.foodCount);
+        this.updateSpeciesLines(stats.species);
 
         // Remove old data points if we have too many
         if (this.chartData.labels.length > maxDataPoints) {
             this.chartData.labels.shift();
-            this.chartData.datasets[0].data.shift();
-            this.chartData.datasets[1].data.shift();
+            this.chartData.datasets.forEach(dataset => dataset.data.shift());
+            this.removeFadedSpeciesLines();
         }
 
         // Update chart
         this.populationChart.update('none'); // 'none' mode for better performance
+        this.compositionChart.update(stats, composition);
+    }
+
+    // One line per currently large species; lines stay until their species has scrolled off the chart
+    updateSpeciesLines(species) {
+        const maxSpeciesLines = 6;
+        const populations = new Map((species ? species.list : []).map(entry => [entry.id, entry]));
+
+        (species ? species.list : []).slice(0, maxSpeciesLines).forEach(entry => {
+            if (this.speciesDatasets.has(entry.id)) return;
+            const dataset = {
+                label: entry.name,
+                data: new Array(this.chartData.labels.length - 1).fill(null),
+                borderColor: entry.color,
+                backgroundColor: 'transparent',
+                borderWidth: 1,
+                fill: false
+            };
+            this.speciesDatasets.set(entry.id, dataset);
+            this.chartData.datasets.push(dataset);
+        });
+
+        this.speciesDatasets.forEach((dataset, id) => {
+            dataset.data.push(populations.has(id) ? populations.get(id).population : null);
+        });
+    }
+
+    removeFadedSpeciesLines() {
+        this.speciesDatasets.forEach((dataset, id) => {
+            if (dataset.data.every(value => !value)) {
+                this.speciesDatasets.delete(id);
+                this.chartData.datasets.splice(this.chartData.datasets.indexOf(dataset), 1);
+            }
+        });
     }
 
     reset() {
@@ -276,7 +399,10 @@ class UIManager {
         this.chartData.labels = [];
         this.chartData.datasets[0].data = [];
         this.chartData.datasets[1].data = [];
+        this.chartData.datasets.splice(2);
+        this.speciesDatasets.clear();
         this.populationChart.update();
+        this.compositionChart.reset();
 
         // Reset all counters
         document.getElementById('totalCells').textContent = '0';
@@ -304,7 +430,7 @@ class UIManager {
         });
     }
 
-    updateComprehensiveTraits(traitDistribution) {
+    updateComprehensiveTraits(traitDistribution, species = null) {
         // Update population overview
         const totalEntitiesEl = document.getElementById('totalEntities');
         const totalCellsEl = document.getElementById('totalCells');
@@ -327,7 +453,7 @@ class UIManager {
         }
 
         // Calculate and update diversity metrics
-        this.updateDiversityMetrics(traitDistribution);
+        if (species) this.updateDiversityMetrics(species.populations);
     }
 
     populateNumericalTraits(container, averages) {
@@ -388,14 +514,14 @@ class UIManager {
         });
     }
 
-    updateDiversityMetrics(traitDistribution) {
-        // Calculate Shannon diversity index
-        const total = traitDistribution.total;
+    updateDiversityMetrics(populations) {
+        // Shannon and Simpson diversity over genetic species
+        const total = populations.reduce((sum, count) => sum + count, 0);
         let shannon = 0;
         let simpson = 0;
 
         if (total > 0) {
-            Object.values(traitDistribution.counts).forEach(count => {
+            populations.forEach(count => {
                 if (count > 0) {
                     const p = count / total;
                     shannon += -p * Math.log2(p);
@@ -406,7 +532,7 @@ class UIManager {
             simpson = 1 - simpson; // Simpson's diversity index
 
             // Calculate evenness (Shannon / log2(species count))
-            const speciesCount = Object.values(traitDistribution.counts).filter(count => count > 0).length;
+            const speciesCount = populations.filter(count => count > 0).length;
             const maxShannon = speciesCount > 1 ? Math.log2(speciesCount) : 1;
             const evenness = maxShannon > 0 ? shannon / maxShannon : 0;
 
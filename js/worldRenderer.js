@@ -0,0 +1,113 @@
+// World renderer - draws food, colonies, cells and viruses with viewport culling and zoom-dependent level of detail
+
+// World distance beyond an entity's body its auras, bars and names can reach
+const ENTITY_MARGIN = 60;
+
+// Below this zoom cells lose names, health bars, auras and particle effects and become plain shapes
+const FULL_DETAIL_ZOOM = 0.7;
+
+// Below this zoom cells are merged into aggregated dots
+const DOTS_ZOOM = 0.4;
+
+// Visible entities beyond which the next cheaper level is used whatever the zoom
+const FULL_DETAIL_LIMIT = 400;
+const SIMPLE_DETAIL_LIMIT = 1500;
+
+// Screen pixels per aggregation square at the dots level
+const DOT_GRID = 10;
+
+class WorldRenderer {
+    // Render frames keep entities this close to the viewport (see RenderSnapshot.capture)
+    static entityMargin = ENTITY_MARGIN;
+
+    // world: { environment, food, colonies, cells, viruses } - a Simulation's or a RenderSnapshot's entities.
+    // Without a camera everything is drawn at full detail (and the terrain, which needs the camera, is skipped)
+    static render(ctx, world, camera = null) {
+        if (!camera) {
+            world.food.forEach(food => food.render(ctx));
+            world.colonies.forEach(colony => colony.render(ctx));
+            world.cells.forEach(cell => cell.render(ctx));
+            world.viruses.forEach(virus => virus.render(ctx));
+            return;
+        }
+
+        // Terrain under everything
+        world.environment.render(ctx, camera);
+
+        const visible = (entity) => camera.isVisible(entity.x, entity.y,
+            entity.radius + (entity.infectionRadius || 0) + ENTITY_MARGIN);
+        const cells = world.cells.filter(visible);
+        const viruses = world.viruses.filter(visible);
+        const detail = WorldRenderer.levelOfDetail(camera.zoom, cells.length + viruses.length);
+
+        // Food first (background layer)
+        world.food.forEach(food => {
+            if (camera.isVisible(food.x, food.y, food.radius)) food.render(ctx, detail);
+        });
+
+        // Colonies (background structures)
+        world.colonies.forEach(colony => {
+            const { center, radius } = colony.structure;
+            if (camera.isVisible(center.x, center.y, radius + ENTITY_MARGIN)) colony.render(ctx, detail);
+        });
+
+        if (detail === 'dots') {
+            WorldRenderer.renderDots(ctx, cells, camera.zoom);
+            WorldRenderer.renderDots(ctx, viruses, camera.zoom);
+            return;
+        }
+
+        // Cells, then viruses in the foreground so they stay visible
+        cells.forEach(cell => cell.render(ctx, detail));
+        viruses.forEach(virus => virus.render(ctx, detail));
+    }
+
+    // 'full', 'simple' (plain shapes, no extras) or 'dots' (aggregated)
+    static levelOfDetail(zoom, visibleCount) {
+        if (zoom < DOTS_ZOOM || visibleCount > SIMPLE_DETAIL_LIMIT) return 'dots';
+        if (zoom < FULL_DETAIL_ZOOM || visibleCount > FULL_DETAIL_LIMIT) return 'simple';
+        return 'full';
+    }
+
+    // One dot per screen-space grid square, at the members' centroid, sized by how many it stands for and
+    // colored like the most common color among them
+    static renderDots(ctx, entities, zoom) {
+        const grid = DOT_GRID / zoom;
+        const buckets = new Map();
+
+        entities.forEach(entity => {
+            const key = `${Math.floor(entity.x / grid)},${Math.floor(entity.y / grid)}`;
+            let bucket = buckets.get(key);
+            if (!bucket) {
+                bucket = { x: 0, y: 0, radius: 0, count: 0, colors: new Map() };
+                buckets.set(key, bucket);
+            }
+            bucket.x += entity.x;
+            bucket.y += entity.y;
+            bucket.radius += entity.radius;
+            bucket.count++;
+            bucket.colors.set(entity.color, (bucket.colors.get(entity.color) || 0) + 1);
+        });
+
+        ctx.save();
+        buckets.forEach(bucket => {
+            let color = null;
+            let most = 0;
+            bucket.colors.forEach((count, candidate) => {
+                if (count > most) {
+                    color = candidate;
+                    most = count;
+                }
+            });
+
+            const radius = Math.min(grid * 0.75, (bucket.radius / bucket.count) * Math.sqrt(bucket.count));
+            ctx.fillStyle = color;
+            ctx.beginPath();
+            ctx.arc(bucket.x / bucket.count, bucket.y / bucket.count, Math.max(radius, 1.5 / zoom), 0, Math.PI * 2);
+            ctx.fill();
+        });
+        ctx.restore();
+    }
+}
+
+export { WorldRenderer };